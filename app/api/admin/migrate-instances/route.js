@@ -0,0 +1,43 @@
+import { NextResponse } from "next/server";
+import { migrateLegacyVmFields } from "@/libs/instances";
+
+export const dynamic = "force-dynamic";
+
+// Migrating every account can take a while
+export const maxDuration = 300;
+
+/**
+ * POST /api/admin/migrate-instances
+ * Move the VM fields users had before instances into the production instance of their personal organization.
+ * Run once after deploying instances, after /api/admin/migrate-organizations; safe to run again.
+ * Protected by ADMIN_SECRET
+ *
+ * Body: { secret }
+ */
+export async function POST(req) {
+  try {
+    const { secret } = await req.json();
+
+    // Verify admin secret
+    if (!process.env.ADMIN_SECRET || secret !== process.env.ADMIN_SECRET) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const results = await migrateLegacyVmFields();
+
+    console.log(`[Admin] Migrated VMs to instances. Migrated: ${results.migrated}, Failed: ${results.failed}`);
+
+    return NextResponse.json({
+      success: true,
+      summary: {
+        total: results.total,
+        migrated: results.migrated,
+        failed: results.failed,
+      },
+      details: results.details,
+    });
+  } catch (error) {
+    console.error("[Admin] Migrate instances error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from "next/server";
+import { migrateOrganizations } from "@/libs/organizations";
+
+export const dynamic = "force-dynamic";
+
+// Migrating every account can take a while
+export const maxDuration = 300;
+
+/**
+ * POST /api/admin/migrate-organizations
+ * Give every user from before organizations a personal organization holding their subscription,
+ * and move their instances, backups, jobs and usage to it.
+ * Run once after deploying organizations, before /api/admin/migrate-instances; safe to run again.
+ * Protected by ADMIN_SECRET
+ *
+ * Body: { secret }
+ */
+export async function POST(req) {
+  try {
+    const { secret } = await req.json();
+
+    // Verify admin secret
+    if (!process.env.ADMIN_SECRET || secret !== process.env.ADMIN_SECRET) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const results = await migrateOrganizations();
+
+    console.log(`[Admin] Migrated users to organizations. Migrated: ${results.migrated}, Failed: ${results.failed}`);
+
+    return NextResponse.json({
+      success: true,
+      summary: {
+        renamed: results.renamed,
+        total: results.total,
+        migrated: results.migrated,
+        failed: results.failed,
+      },
+      details: results.details,
+    });
+  } catch (error) {
+    console.error("[Admin] Migrate organizations error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
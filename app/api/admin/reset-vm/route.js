@@ -1,10 +1,12 @@
 import { NextResponse } from "next/server";
 import connectMongo from "@/libs/mongoose";
 import User from "@/models/User";
+import { getOrCreateProductionInstance } from "@/libs/instances";
+import { getUserOrganization } from "@/libs/organizations";
 
 /**
  * POST /api/admin/reset-vm
- * Reset a user's VM status to allow re-provisioning
+ * Reset the VM status of the production instance of a user's organization to allow re-provisioning
  * Protected by E2E_TEST_SECRET
  */
 export async function POST(req) {
@@ -28,22 +30,29 @@ export async function POST(req) {
       return NextResponse.json({ error: "User not found" }, { status: 404 });
     }
 
+    const organization = await getUserOrganization(user);
+    const instance = await getOrCreateProductionInstance(organization._id);
+
     // Reset VM fields to allow re-provisioning
-    user.vmStatus = "error"; // This allows the "Retry Setup" button to appear
-    user.vmSubdomain = null;
-    user.vmIp = null;
-    user.vmHetznerId = null;
-    user.vmAuthSecretHash = null;
-    user.vmPublicKey = null;
-    user.vmProvisionedAt = null;
-    await user.save();
+    instance.vmStatus = "error"; // This allows the "Retry Setup" button to appear
+    instance.vmSubdomain = null;
+    instance.vmIp = null;
+    instance.vmHetznerId = null;
+    instance.vmAuthSecretHash = null;
+    instance.vmAuthSecretRotation = undefined;
+    instance.vmSigningKeyId = null;
+    instance.vmSigningPrivateKey = null;
+    instance.vmSigningPublicJwk = null;
+    instance.vmPublicKey = null;
+    instance.vmProvisionedAt = null;
+    await instance.save();
 
     console.log(`[Admin] Reset VM status for user ${email}`);
 
     return NextResponse.json({
       success: true,
       message: `VM status reset for ${email}`,
-      vmStatus: user.vmStatus
+      vmStatus: instance.vmStatus
     });
   } catch (error) {
     console.error("[Admin] Reset VM error:", error);
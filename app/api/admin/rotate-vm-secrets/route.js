@@ -0,0 +1,46 @@
+import { NextResponse } from "next/server";
+import { rotateAllVmAuthSecrets } from "@/libs/vm-secrets";
+
+export const dynamic = "force-dynamic";
+
+// Re-keying many VMs can take a while
+export const maxDuration = 300;
+
+/**
+ * POST /api/admin/rotate-vm-secrets
+ * Rotate the auth secret of every ready VM (or only the given users' VMs) after a suspected leak
+ * Protected by ADMIN_SECRET
+ *
+ * Body: { secret, emails? }
+ */
+export async function POST(req) {
+  try {
+    const { secret, emails } = await req.json();
+
+    // Verify admin secret
+    if (!process.env.ADMIN_SECRET || secret !== process.env.ADMIN_SECRET) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    if (emails !== undefined && !Array.isArray(emails)) {
+      return NextResponse.json({ error: "emails must be an array" }, { status: 400 });
+    }
+
+    const results = await rotateAllVmAuthSecrets({ emails });
+
+    console.log(`[Admin] Rotated VM auth secrets. Rotated: ${results.rotated}, Failed: ${results.failed}`);
+
+    return NextResponse.json({
+      success: true,
+      summary: {
+        total: results.total,
+        rotated: results.rotated,
+        failed: results.failed,
+      },
+      details: results.details,
+    });
+  } catch (error) {
+    console.error("[Admin] Rotate VM secrets error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,60 @@
+import { NextResponse } from "next/server";
+import connectMongo from "@/libs/mongoose";
+import StripeEvent from "@/models/StripeEvent";
+import { replayStripeEvent } from "@/libs/stripe-events";
+
+export const dynamic = "force-dynamic";
+
+// Replays run one after another
+export const maxDuration = 300;
+
+/**
+ * POST /api/admin/stripe-events/replay
+ * Replay failed Stripe webhook events from the ledger (the given ones, or all failed events)
+ * Protected by ADMIN_SECRET
+ *
+ * Body: { secret, eventIds? }
+ */
+export async function POST(req) {
+  try {
+    const { secret, eventIds } = await req.json();
+
+    // Verify admin secret
+    if (!process.env.ADMIN_SECRET || secret !== process.env.ADMIN_SECRET) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    if (eventIds !== undefined && !Array.isArray(eventIds)) {
+      return NextResponse.json({ error: "eventIds must be an array" }, { status: 400 });
+    }
+
+    await connectMongo();
+
+    // Replay in the order Stripe sent them
+    const ids = eventIds || (
+      await StripeEvent.find({ status: "failed" }).sort({ createdAt: 1 }).select("eventId")
+    ).map((e) => e.eventId);
+
+    const details = [];
+    for (const eventId of ids) {
+      details.push(await replayStripeEvent(eventId));
+    }
+
+    const replayed = details.filter((d) => d.success).length;
+
+    console.log(`[Admin] Replayed Stripe events. Replayed: ${replayed}, Failed: ${details.length - replayed}`);
+
+    return NextResponse.json({
+      success: true,
+      summary: {
+        total: details.length,
+        replayed,
+        failed: details.length - replayed,
+      },
+      details,
+    });
+  } catch (error) {
+    console.error("[Admin] Replay Stripe events error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,53 @@
+import { NextResponse } from "next/server";
+import connectMongo from "@/libs/mongoose";
+import StripeEvent from "@/models/StripeEvent";
+
+export const dynamic = "force-dynamic";
+
+const STATUSES = ["processing", "processed", "failed"];
+
+/**
+ * POST /api/admin/stripe-events
+ * List the Stripe webhook events in the ledger, most recent first (failed ones by default)
+ * Protected by ADMIN_SECRET
+ *
+ * Body: { secret, status?, limit? }
+ */
+export async function POST(req) {
+  try {
+    const { secret, status = "failed", limit = 50 } = await req.json();
+
+    // Verify admin secret
+    if (!process.env.ADMIN_SECRET || secret !== process.env.ADMIN_SECRET) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    if (!STATUSES.includes(status)) {
+      return NextResponse.json({ error: `status must be one of ${STATUSES.join(", ")}` }, { status: 400 });
+    }
+
+    await connectMongo();
+
+    const events = await StripeEvent.find({ status })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200))
+      .select("-payload")
+      .lean();
+
+    return NextResponse.json({
+      events: events.map((e) => ({
+        eventId: e.eventId,
+        type: e.type,
+        status: e.status,
+        attempts: e.attempts,
+        error: e.error || null,
+        receivedAt: e.createdAt,
+        lastAttemptAt: e.lastAttemptAt || null,
+        processedAt: e.processedAt || null,
+      })),
+    });
+  } catch (error) {
+    console.error("[Admin] List Stripe events error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
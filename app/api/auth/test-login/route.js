@@ -2,6 +2,8 @@ import { NextResponse } from "next/server";
 import { encode } from "next-auth/jwt";
 import connectMongo from "@/libs/mongoose";
 import User from "@/models/User";
+import { getOrCreateProductionInstance } from "@/libs/instances";
+import { getUserOrganization } from "@/libs/organizations";
 
 // Test secret - must match E2E_TEST_SECRET in environment
 const TEST_SECRET = process.env.E2E_TEST_SECRET;
@@ -47,51 +49,46 @@ export async function POST(req) {
       );
     }
 
-    // Find or create the test user in database with subscription access
+    // Find or create the test user in database, with subscription access for their organization
     await connectMongo();
     let user = await User.findOne({ email: TEST_USER_EMAIL });
 
     if (!user) {
       // Create the test user if it doesn't exist
-      // Only set hasAccess: true, let user trigger provisioning manually
-      const userData = {
+      // Only grant access, let user trigger provisioning manually
+      user = await User.create({
         email: TEST_USER_EMAIL,
         name: "E2E Test User",
-        hasAccess: true,
-      };
+      });
+    }
 
-      // If skipProvisioning=true (for E2E tests), pre-provision the VM
-      if (skipProvisioning) {
-        userData.vmStatus = 'ready';
-        userData.vmSubdomain = 'test-demo';
-        userData.vmIp = '127.0.0.1';
-      }
+    const organization = await getUserOrganization(user);
+    if (!organization.hasAccess) {
+      // Ensure the test user's organization has subscription access
+      organization.hasAccess = true;
+      await organization.save();
+    }
 
-      user = await User.create(userData);
-    } else {
-      // Ensure test user has subscription access
-      const updates = {};
-      if (!user.hasAccess) updates.hasAccess = true;
+    // The test user's VM lives on its organization's production instance
+    if (reset || skipProvisioning) {
+      const instance = await getOrCreateProductionInstance(organization._id);
 
       // If reset=true, clear VM fields to test provisioning flow
       if (reset) {
-        updates.vmStatus = 'pending';
-        updates.vmSubdomain = null;
-        updates.vmIp = null;
-        updates.vmHetznerId = null;
-        updates.vmProvisionedAt = null;
+        instance.vmStatus = 'pending';
+        instance.vmSubdomain = null;
+        instance.vmIp = null;
+        instance.vmHetznerId = null;
+        instance.vmProvisionedAt = null;
       }
-      // If skipProvisioning=true, set up VM fields for E2E tests
-      else if (skipProvisioning) {
-        if (user.vmStatus !== 'ready') updates.vmStatus = 'ready';
-        if (!user.vmSubdomain) updates.vmSubdomain = 'test-demo';
-        if (!user.vmIp) updates.vmIp = '127.0.0.1';
+      // If skipProvisioning=true (for E2E tests), pre-provision the VM
+      else {
+        if (instance.vmStatus !== 'ready') instance.vmStatus = 'ready';
+        if (!instance.vmSubdomain) instance.vmSubdomain = 'test-demo';
+        if (!instance.vmIp) instance.vmIp = '127.0.0.1';
       }
 
-      if (Object.keys(updates).length > 0) {
-        await User.findByIdAndUpdate(user._id, updates);
-        user = await User.findById(user._id);
-      }
+      await instance.save();
     }
 
     // Determine cookie name based on environment (HTTPS uses __Secure- prefix)
@@ -1,25 +1,9 @@
 import { NextResponse } from "next/server";
-import connectMongo from "@/libs/mongoose";
 import ExecutionMetric from "@/models/ExecutionMetric";
-import User from "@/models/User";
+import { authenticateVmRequest } from "@/libs/vm-auth";
 
-// Verify VM authentication token
-function verifyVmAuthToken(req) {
-  const authToken = req.headers.get("x-vm-auth-token");
-  const expectedToken = process.env.VM_AUTH_TOKEN;
-
-  if (!expectedToken) {
-    console.error("VM_AUTH_TOKEN not configured in environment variables");
-    return false;
-  }
-
-  if (!authToken) {
-    return false;
-  }
-
-  // Use constant-time comparison to prevent timing attacks
-  return authToken === expectedToken;
-}
+// Idempotency keys are chosen by the VM (e.g., a UUID per report)
+const IDEMPOTENCY_KEY_PATTERN = /^[\w-]{8,128}$/;
 
 // Validate date format (YYYY-MM-DD)
 function isValidDateFormat(dateString) {
@@ -45,24 +29,78 @@ function isValidDateFormat(dateString) {
   );
 }
 
+// Add a report to the organization's metric for the day unless its idempotency key was already counted
+// Use findOneAndUpdate with upsert to handle both create and update cases
+// $inc operator increments values if document exists, sets them if new.
+// The filter skips a document that already counted this report, so the upsert then hits the
+// unique (organizationId, date) index instead of counting the report again.
+async function recordReport(organizationId, date, idempotencyKey, increments) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const metric = await ExecutionMetric.findOneAndUpdate(
+        { organizationId, date, reportKeys: { $ne: idempotencyKey } },
+        {
+          $inc: increments,
+          $push: { reportKeys: idempotencyKey },
+        },
+        {
+          upsert: true,
+          new: true,
+          runValidators: true,
+        }
+      );
+      return { metric, duplicate: false };
+    } catch (e) {
+      if (e.code !== 11000 || attempt > 0) {
+        throw e;
+      }
+
+      // Either the report was counted before, or a concurrent first report of the day created the document
+      const existing = await ExecutionMetric.findOne({ organizationId, date });
+      if (existing?.reportKeys.includes(idempotencyKey)) {
+        return { metric: existing, duplicate: true };
+      }
+    }
+  }
+}
+
 // POST: Report execution metrics from VM
 // This endpoint receives daily billing metrics from user VMs
-// Security: Requires X-VM-Auth-Token header for authentication
+// Security: The report is authenticated as coming from one VM (see libs/vm-auth.js) and counted
+// for that VM's organization. The Idempotency-Key header is required: it makes retries of the same
+// report count once, so a report without one could be counted any number of times.
 export async function POST(req) {
   try {
     // Step 1: Verify VM authentication
-    if (!verifyVmAuthToken(req)) {
-      console.warn("Unauthorized billing report attempt - invalid or missing X-VM-Auth-Token");
+    const rawBody = await req.text();
+    const { organization, error, status } = await authenticateVmRequest(req, rawBody);
+
+    if (error) {
+      console.warn("Unauthorized billing report attempt - invalid or missing VM credentials");
+      return NextResponse.json(
+        { error },
+        { status }
+      );
+    }
+
+    const idempotencyKey = req.headers.get("idempotency-key");
+    if (idempotencyKey === null) {
+      return NextResponse.json(
+        { error: "Missing Idempotency-Key header" },
+        { status: 400 }
+      );
+    }
+    if (!IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
       return NextResponse.json(
-        { error: "Unauthorized" },
-        { status: 401 }
+        { error: "Invalid Idempotency-Key header" },
+        { status: 400 }
       );
     }
 
     // Step 2: Parse and validate request body
     let body;
     try {
-      body = await req.json();
+      body = JSON.parse(rawBody);
     } catch {
       return NextResponse.json(
         { error: "Invalid JSON in request body" },
@@ -71,7 +109,7 @@ export async function POST(req) {
     }
 
     // Step 3: Validate required fields
-    const requiredFields = ["userId", "date", "executionCount", "durationMs", "tokens", "successes", "failures"];
+    const requiredFields = ["date", "executionCount", "durationMs", "tokens", "successes", "failures"];
     const missingFields = requiredFields.filter(field => body[field] === undefined || body[field] === null);
 
     if (missingFields.length > 0) {
@@ -83,13 +121,15 @@ export async function POST(req) {
     }
 
     // Step 4: Validate field types and values
-    const { userId, date, executionCount, durationMs, tokens, successes, failures } = body;
+    const { date, executionCount, durationMs, tokens, successes, failures } = body;
 
-    // Validate userId format (MongoDB ObjectId)
-    if (typeof userId !== "string" || !/^[a-f\d]{24}$/i.test(userId)) {
+    // The organization is the authenticated VM's owner; an ID in the body may only confirm it.
+    // VMs provisioned before organizations send it as userId (personal organizations have their owner's ID)
+    const organizationId = body.organizationId ?? body.userId;
+    if (organizationId !== undefined && organizationId !== organization._id.toString()) {
       return NextResponse.json(
-        { error: "Invalid userId format. Must be a valid MongoDB ObjectId" },
-        { status: 400 }
+        { error: "organizationId does not match the reporting VM" },
+        { status: 403 }
       );
     }
 
@@ -127,46 +167,25 @@ export async function POST(req) {
       );
     }
 
-    // Step 5: Connect to database
-    await connectMongo();
-
-    // Step 6: Verify user exists
-    const user = await User.findById(userId);
-    if (!user) {
-      return NextResponse.json(
-        { error: "User not found" },
-        { status: 404 }
-      );
-    }
-
-    // Step 7: Upsert execution metric
-    // Use findOneAndUpdate with upsert to handle both create and update cases
-    // $inc operator increments values if document exists, sets them if new
-    const result = await ExecutionMetric.findOneAndUpdate(
-      { userId, date },
-      {
-        $inc: {
-          executionCount,
-          totalDurationMs: durationMs,
-          totalTokens: tokens,
-          successCount: successes,
-          failureCount: failures,
-        },
-      },
-      {
-        upsert: true,
-        new: true,
-        runValidators: true,
-      }
-    );
+    // Step 5: Add the report to the day's execution metric
+    const { metric: result, duplicate } = await recordReport(organization._id, date, idempotencyKey, {
+      executionCount,
+      totalDurationMs: durationMs,
+      totalTokens: tokens,
+      successCount: successes,
+      failureCount: failures,
+    });
 
-    // Step 8: Return success response
+    // Step 6: Return success response
     return NextResponse.json(
       {
         success: true,
-        message: "Execution metrics recorded successfully",
+        duplicate,
+        message: duplicate
+          ? "Report already recorded"
+          : "Execution metrics recorded successfully",
         data: {
-          userId: result.userId.toString(),
+          organizationId: result.organizationId.toString(),
           date: result.date,
           executionCount: result.executionCount,
           totalDurationMs: result.totalDurationMs,
@@ -180,14 +199,6 @@ export async function POST(req) {
   } catch (e) {
     console.error("Error recording execution metrics:", e);
 
-    // Handle duplicate key errors (should not happen with upsert, but defensive)
-    if (e.code === 11000) {
-      return NextResponse.json(
-        { error: "Duplicate metric entry for this user and date" },
-        { status: 409 }
-      );
-    }
-
     // Handle validation errors
     if (e.name === "ValidationError") {
       return NextResponse.json(
@@ -1,7 +1,8 @@
 import { NextResponse } from "next/server";
 import { auth } from "@/libs/auth";
-import connectMongo from "@/libs/mongoose";
-import User from "@/models/User";
+import { fetchVm } from "@/libs/vm-communication";
+import { getRequestInstance } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
 
 export async function POST(req, { params }) {
   try {
@@ -11,19 +12,31 @@ export async function POST(req, { params }) {
     }
 
     const { id } = await params;
-    await connectMongo();
-    const user = await User.findById(session.user.id);
+    const membership = await authorizeMember(session.user.id, "editor");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const instance = await getRequestInstance(req, membership.organization._id);
 
-    if (!user?.vmSubdomain) {
+    if (!instance) {
+      return NextResponse.json({ error: "Instance not found" }, { status: 404 });
+    }
+
+    if (!instance.vmSubdomain) {
       return NextResponse.json({ error: "VM not provisioned" }, { status: 400 });
     }
 
-    // Forward discovery request to user's VM
-    const vmUrl = `https://${user.vmSubdomain}.alfredos.site/api/connections/${id}/discover`;
+    if (instance.vmStatus !== "ready") {
+      return NextResponse.json({ error: "VM not ready" }, { status: 400 });
+    }
 
-    const response = await fetch(vmUrl, {
+    // Forward discovery request to the instance's VM
+    const response = await fetchVm(instance, `/api/connections/${encodeURIComponent(id)}/discover`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      action: "connections.discover",
+      // Discovery connects to the external service from the VM
+      timeout: 30000,
     });
 
     if (!response.ok) {
@@ -0,0 +1,111 @@
+/**
+ * VM Backup Cron Endpoint
+ *
+ * Snapshots every ready VM once its plan's backup interval has passed and deletes
+ * snapshots beyond the plan's retention (see `vm.backups` in config.js and libs/backups.js).
+ * Also cancels restores whose VM never registered.
+ *
+ * Recommended schedule: Every hour
+ *
+ * Security:
+ * - Should be protected with CRON_SECRET environment variable
+ * - Only accepts GET requests
+ *
+ * Usage:
+ * - Vercel Cron: Configure in vercel.json
+ * - External: Call with Authorization header containing CRON_SECRET
+ *   Example: curl -H "Authorization: Bearer YOUR_CRON_SECRET" https://yourapp.com/api/cron/backups
+ */
+
+import { NextResponse } from "next/server";
+import { runScheduledBackups } from "@/libs/backups";
+
+export const dynamic = "force-dynamic";
+
+// Snapshot requests for many VMs can take a while
+export const maxDuration = 60;
+
+/**
+ * GET /api/cron/backups
+ *
+ * Takes, checks and prunes VM backups
+ */
+export async function GET(req) {
+  const startTime = Date.now();
+
+  try {
+    // Verify cron secret for security
+    const cronSecret = process.env.CRON_SECRET;
+    if (cronSecret) {
+      const authHeader = req.headers.get("authorization");
+      const token = authHeader?.replace("Bearer ", "");
+
+      if (token !== cronSecret) {
+        console.warn("Unauthorized backup cron attempt");
+        return NextResponse.json(
+          {
+            success: false,
+            error: "Unauthorized",
+          },
+          { status: 401 }
+        );
+      }
+    } else {
+      console.warn(
+        "CRON_SECRET not set - backup endpoint is not protected. " +
+        "Set CRON_SECRET environment variable to secure this endpoint."
+      );
+    }
+
+    console.log("Starting VM backup cron job...");
+
+    const results = await runScheduledBackups();
+
+    const duration = Date.now() - startTime;
+
+    console.log(
+      `Backup cron completed in ${duration}ms. ` +
+      `Created: ${results.created}, Available: ${results.available}, ` +
+      `Deleted: ${results.deleted}, Restores cancelled: ${results.restoresCancelled}, Failed: ${results.failed}`
+    );
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      duration,
+      summary: {
+        created: results.created,
+        available: results.available,
+        deleted: results.deleted,
+        restoresCancelled: results.restoresCancelled,
+        failed: results.failed,
+      },
+      details: results.details,
+    });
+  } catch (error) {
+    console.error("Backup cron job failed:", error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        duration: Date.now() - startTime,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST is not allowed
+ */
+export async function POST() {
+  return NextResponse.json(
+    {
+      success: false,
+      error: "Method not allowed. Use GET.",
+    },
+    { status: 405 }
+  );
+}
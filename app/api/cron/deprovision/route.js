@@ -0,0 +1,114 @@
+/**
+ * VM Deprovisioning Cron Endpoint
+ *
+ * Destroys the VMs of cancelled customers once their grace period has passed.
+ * The grace period starts when Stripe sends `customer.subscription.deleted`
+ * (see VM_DEPROVISION_GRACE_DAYS, default: 7 days). Also finishes tearing down
+ * instances their owners deleted.
+ *
+ * Recommended schedule: Every hour
+ *
+ * Teardown is resumable: a VM whose snapshot is still being created is reported
+ * as pending and picked up again by the next run.
+ *
+ * Security:
+ * - Should be protected with CRON_SECRET environment variable
+ * - Only accepts GET requests
+ *
+ * Usage:
+ * - Vercel Cron: Configure in vercel.json
+ * - External: Call with Authorization header containing CRON_SECRET
+ *   Example: curl -H "Authorization: Bearer YOUR_CRON_SECRET" https://yourapp.com/api/cron/deprovision
+ */
+
+import { NextResponse } from "next/server";
+import { deprovisionExpiredVMs } from "@/libs/provisioning";
+
+export const dynamic = "force-dynamic";
+
+// Hetzner and Cloudflare calls for several users can take a while
+export const maxDuration = 60;
+
+/**
+ * GET /api/cron/deprovision
+ *
+ * Deprovisions all VMs whose vmDeprovisionAt date has passed
+ */
+export async function GET(req) {
+  const startTime = Date.now();
+
+  try {
+    // Verify cron secret for security
+    const cronSecret = process.env.CRON_SECRET;
+    if (cronSecret) {
+      const authHeader = req.headers.get("authorization");
+      const token = authHeader?.replace("Bearer ", "");
+
+      if (token !== cronSecret) {
+        console.warn("Unauthorized deprovision attempt");
+        return NextResponse.json(
+          {
+            success: false,
+            error: "Unauthorized",
+          },
+          { status: 401 }
+        );
+      }
+    } else {
+      console.warn(
+        "CRON_SECRET not set - deprovision endpoint is not protected. " +
+        "Set CRON_SECRET environment variable to secure this endpoint."
+      );
+    }
+
+    console.log("Starting VM deprovision cron job...");
+
+    const results = await deprovisionExpiredVMs();
+
+    const duration = Date.now() - startTime;
+
+    console.log(
+      `Deprovision cron completed in ${duration}ms. ` +
+      `Total: ${results.total}, Deprovisioned: ${results.deprovisioned}, ` +
+      `Pending: ${results.pending}, Failed: ${results.failed}`
+    );
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      duration,
+      summary: {
+        total: results.total,
+        deprovisioned: results.deprovisioned,
+        pending: results.pending,
+        failed: results.failed,
+      },
+      details: results.details,
+    });
+  } catch (error) {
+    console.error("Deprovision cron job failed:", error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        duration: Date.now() - startTime,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST is not allowed
+ */
+export async function POST() {
+  return NextResponse.json(
+    {
+      success: false,
+      error: "Method not allowed. Use GET.",
+    },
+    { status: 405 }
+  );
+}
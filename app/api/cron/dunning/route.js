@@ -0,0 +1,105 @@
+/**
+ * Dunning Cron Endpoint
+ *
+ * Suspends customers whose invoice is still unpaid once the grace period after a failed
+ * payment has passed (see PAYMENT_GRACE_DAYS, default: 7 days, and libs/subscriptions.js).
+ * Their VM is scheduled for deprovisioning like after a cancellation.
+ *
+ * Recommended schedule: Every hour
+ *
+ * Security:
+ * - Should be protected with CRON_SECRET environment variable
+ * - Only accepts GET requests
+ *
+ * Usage:
+ * - Vercel Cron: Configure in vercel.json
+ * - External: Call with Authorization header containing CRON_SECRET
+ *   Example: curl -H "Authorization: Bearer YOUR_CRON_SECRET" https://yourapp.com/api/cron/dunning
+ */
+
+import { NextResponse } from "next/server";
+import { suspendOverdueAccounts } from "@/libs/subscriptions";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * GET /api/cron/dunning
+ *
+ * Suspends accounts with an overdue payment
+ */
+export async function GET(req) {
+  const startTime = Date.now();
+
+  try {
+    // Verify cron secret for security
+    const cronSecret = process.env.CRON_SECRET;
+    if (cronSecret) {
+      const authHeader = req.headers.get("authorization");
+      const token = authHeader?.replace("Bearer ", "");
+
+      if (token !== cronSecret) {
+        console.warn("Unauthorized dunning cron attempt");
+        return NextResponse.json(
+          {
+            success: false,
+            error: "Unauthorized",
+          },
+          { status: 401 }
+        );
+      }
+    } else {
+      console.warn(
+        "CRON_SECRET not set - dunning endpoint is not protected. " +
+        "Set CRON_SECRET environment variable to secure this endpoint."
+      );
+    }
+
+    console.log("Starting dunning cron job...");
+
+    const results = await suspendOverdueAccounts();
+
+    const duration = Date.now() - startTime;
+
+    console.log(
+      `Dunning cron completed in ${duration}ms. ` +
+      `Total: ${results.total}, Suspended: ${results.suspended}, Failed: ${results.failed}`
+    );
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      duration,
+      summary: {
+        total: results.total,
+        suspended: results.suspended,
+        failed: results.failed,
+      },
+      details: results.details,
+    });
+  } catch (error) {
+    console.error("Dunning cron job failed:", error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        duration: Date.now() - startTime,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST is not allowed
+ */
+export async function POST() {
+  return NextResponse.json(
+    {
+      success: false,
+      error: "Method not allowed. Use GET.",
+    },
+    { status: 405 }
+  );
+}
@@ -0,0 +1,110 @@
+/**
+ * Job Queue Cron Endpoint
+ *
+ * Drains the background job queue (see libs/jobs.js): runs queued jobs that are due,
+ * retries of failed attempts, and jobs whose function was killed while running them.
+ * Routes that queue a job also start the queue right away; this run catches everything else.
+ *
+ * Recommended schedule: Every minute
+ *
+ * Security:
+ * - Should be protected with CRON_SECRET environment variable
+ * - Only accepts GET requests
+ *
+ * Usage:
+ * - Vercel Cron: Configure in vercel.json
+ * - External: Call with Authorization header containing CRON_SECRET
+ *   Example: curl -H "Authorization: Bearer YOUR_CRON_SECRET" https://yourapp.com/api/cron/jobs
+ */
+
+import { NextResponse } from "next/server";
+import { runJobs } from "@/libs/jobs";
+
+export const dynamic = "force-dynamic";
+
+// Provisioning a VM can take a few minutes; runJobs stops claiming jobs well before this
+export const maxDuration = 300;
+
+/**
+ * GET /api/cron/jobs
+ *
+ * Runs due jobs
+ */
+export async function GET(req) {
+  const startTime = Date.now();
+
+  try {
+    // Verify cron secret for security
+    const cronSecret = process.env.CRON_SECRET;
+    if (cronSecret) {
+      const authHeader = req.headers.get("authorization");
+      const token = authHeader?.replace("Bearer ", "");
+
+      if (token !== cronSecret) {
+        console.warn("Unauthorized jobs cron attempt");
+        return NextResponse.json(
+          {
+            success: false,
+            error: "Unauthorized",
+          },
+          { status: 401 }
+        );
+      }
+    } else {
+      console.warn(
+        "CRON_SECRET not set - jobs endpoint is not protected. " +
+        "Set CRON_SECRET environment variable to secure this endpoint."
+      );
+    }
+
+    const results = await runJobs();
+
+    const duration = Date.now() - startTime;
+
+    if (results.processed > 0) {
+      console.log(
+        `Jobs cron completed in ${duration}ms. ` +
+        `Processed: ${results.processed}, Completed: ${results.completed}, ` +
+        `Retrying: ${results.retrying}, Failed: ${results.failed}`
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      duration,
+      summary: {
+        processed: results.processed,
+        completed: results.completed,
+        retrying: results.retrying,
+        failed: results.failed,
+      },
+      details: results.details,
+    });
+  } catch (error) {
+    console.error("Jobs cron failed:", error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        duration: Date.now() - startTime,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST is not allowed
+ */
+export async function POST() {
+  return NextResponse.json(
+    {
+      success: false,
+      error: "Method not allowed. Use GET.",
+    },
+    { status: 405 }
+  );
+}
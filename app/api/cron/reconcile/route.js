@@ -0,0 +1,119 @@
+/**
+ * Orphaned Resource Reconciliation Cron Endpoint
+ *
+ * Finds servers, volumes and DNS records left behind by failed provisioning runs
+ * (see libs/reconcile.js) and reports them, or deletes them once deletion is enabled.
+ *
+ * Recommended schedule: Every hour
+ *
+ * Review workflow:
+ * - By default every run is a dry run: orphans are logged and returned, nothing is deleted
+ * - After reviewing a dry run, delete the reported orphans once with ?dryRun=false,
+ *   or set RECONCILE_DELETE_ORPHANS=true to let every run delete them
+ * - ?dryRun=true forces a dry run even when RECONCILE_DELETE_ORPHANS is set
+ *
+ * Security:
+ * - Should be protected with CRON_SECRET environment variable
+ * - Only accepts GET requests
+ *
+ * Usage:
+ * - Vercel Cron: Configure in vercel.json
+ * - External: Call with Authorization header containing CRON_SECRET
+ *   Example: curl -H "Authorization: Bearer YOUR_CRON_SECRET" "https://yourapp.com/api/cron/reconcile?dryRun=true"
+ */
+
+import { NextResponse } from "next/server";
+import { reconcileOrphanedResources, RECONCILE_DELETE_ORPHANS } from "@/libs/reconcile";
+
+export const dynamic = "force-dynamic";
+
+// Listing every provider's resources and the DNS zone can take a while
+export const maxDuration = 60;
+
+/**
+ * GET /api/cron/reconcile
+ *
+ * Reports (and optionally deletes) orphaned cloud resources
+ */
+export async function GET(req) {
+  const startTime = Date.now();
+
+  try {
+    // Verify cron secret for security
+    const cronSecret = process.env.CRON_SECRET;
+    if (cronSecret) {
+      const authHeader = req.headers.get("authorization");
+      const token = authHeader?.replace("Bearer ", "");
+
+      if (token !== cronSecret) {
+        console.warn("Unauthorized reconcile attempt");
+        return NextResponse.json(
+          {
+            success: false,
+            error: "Unauthorized",
+          },
+          { status: 401 }
+        );
+      }
+    } else {
+      console.warn(
+        "CRON_SECRET not set - reconcile endpoint is not protected. " +
+        "Set CRON_SECRET environment variable to secure this endpoint."
+      );
+    }
+
+    const dryRunParam = new URL(req.url).searchParams.get("dryRun");
+    const dryRun = dryRunParam === null ? !RECONCILE_DELETE_ORPHANS : dryRunParam !== "false";
+
+    console.log(`Starting orphaned resource reconciliation${dryRun ? " (dry run)" : ""}...`);
+
+    const results = await reconcileOrphanedResources({ dryRun });
+
+    const duration = Date.now() - startTime;
+
+    console.log(
+      `Reconcile cron completed in ${duration}ms. ` +
+      `Orphans: ${results.total}, Deleted: ${results.deleted}, ` +
+      `Pending: ${results.pending}, Failed: ${results.failed}`
+    );
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      duration,
+      dryRun: results.dryRun,
+      summary: {
+        total: results.total,
+        deleted: results.deleted,
+        pending: results.pending,
+        failed: results.failed,
+      },
+      orphans: results.orphans,
+    });
+  } catch (error) {
+    console.error("Reconcile cron job failed:", error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        duration: Date.now() - startTime,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST is not allowed
+ */
+export async function POST() {
+  return NextResponse.json(
+    {
+      success: false,
+      error: "Method not allowed. Use GET.",
+    },
+    { status: 405 }
+  );
+}
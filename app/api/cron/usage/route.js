@@ -0,0 +1,109 @@
+/**
+ * Usage Reporting Cron Endpoint
+ *
+ * Reports each customer's executions over their plan's monthly quota to the Stripe meter
+ * behind the metered price (see `usage` in config.js and libs/usage.js).
+ *
+ * Recommended schedule: Hourly. A meter event left pending by a crashed run is only resent safely while
+ * Stripe still dedups its identifier (24 hours), so runs must be much closer together than that.
+ *
+ * Security:
+ * - Should be protected with CRON_SECRET environment variable
+ * - Only accepts GET requests
+ *
+ * Usage:
+ * - Vercel Cron: Configure in vercel.json
+ * - External: Call with Authorization header containing CRON_SECRET
+ *   Example: curl -H "Authorization: Bearer YOUR_CRON_SECRET" https://yourapp.com/api/cron/usage
+ */
+
+import { NextResponse } from "next/server";
+import { reportMeteredUsage } from "@/libs/usage";
+
+export const dynamic = "force-dynamic";
+
+// One Stripe request per customer over quota
+export const maxDuration = 60;
+
+/**
+ * GET /api/cron/usage
+ *
+ * Reports metered usage to Stripe
+ */
+export async function GET(req) {
+  const startTime = Date.now();
+
+  try {
+    // Verify cron secret for security
+    const cronSecret = process.env.CRON_SECRET;
+    if (cronSecret) {
+      const authHeader = req.headers.get("authorization");
+      const token = authHeader?.replace("Bearer ", "");
+
+      if (token !== cronSecret) {
+        console.warn("Unauthorized usage cron attempt");
+        return NextResponse.json(
+          {
+            success: false,
+            error: "Unauthorized",
+          },
+          { status: 401 }
+        );
+      }
+    } else {
+      console.warn(
+        "CRON_SECRET not set - usage endpoint is not protected. " +
+        "Set CRON_SECRET environment variable to secure this endpoint."
+      );
+    }
+
+    console.log("Starting usage reporting cron job...");
+
+    const results = await reportMeteredUsage();
+
+    const duration = Date.now() - startTime;
+
+    console.log(
+      `Usage cron completed in ${duration}ms. ` +
+      `Checked: ${results.checked}, Reported: ${results.reported}, Failed: ${results.failed}`
+    );
+
+    return NextResponse.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      duration,
+      summary: {
+        periods: results.periods,
+        checked: results.checked,
+        reported: results.reported,
+        failed: results.failed,
+      },
+      details: results.details,
+    });
+  } catch (error) {
+    console.error("Usage cron job failed:", error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        duration: Date.now() - startTime,
+      },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST is not allowed
+ */
+export async function POST() {
+  return NextResponse.json(
+    {
+      success: false,
+      error: "Method not allowed. Use GET.",
+    },
+    { status: 405 }
+  );
+}
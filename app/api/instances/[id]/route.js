@@ -0,0 +1,59 @@
+import { NextResponse, after } from "next/server";
+import { auth } from "@/libs/auth";
+import { findOrganizationInstance, deleteInstance } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
+import { deprovisionVM } from "@/libs/provisioning";
+
+/**
+ * DELETE /api/instances/:id
+ * Delete a (non-production) instance. Its VM is destroyed without a snapshot; backups of it are
+ * removed by the backups cron.
+ */
+export async function DELETE(req, { params }) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id } = await params;
+    const membership = await authorizeMember(session.user.id, "admin");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const instance = await findOrganizationInstance(membership.organization._id, id);
+
+    if (!instance) {
+      return NextResponse.json(
+        { error: "Instance not found" },
+        { status: 404 }
+      );
+    }
+
+    const result = await deleteInstance(instance);
+
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: 400 });
+    }
+
+    // Destroy the VM once the response is sent; the deprovision cron retries if this fails
+    if (!result.removed) {
+      after(async () => {
+        const deprovision = await deprovisionVM(instance._id.toString());
+        if (!deprovision.success) {
+          console.error(`[Instances API] Deprovisioning deleted instance ${id} failed:`, deprovision.error);
+        }
+      });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("[Instances API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,84 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { listOrganizationInstances, createInstance, getMaxInstances, toInstanceSummary } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
+
+/**
+ * GET /api/instances
+ * List the organization's instances (production first) and how many the plan allows
+ */
+export async function GET() {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const membership = await authorizeMember(session.user.id, "viewer");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const { organization } = membership;
+
+    const instances = await listOrganizationInstances(organization._id);
+
+    return NextResponse.json({
+      instances: instances.map(toInstanceSummary),
+      maxInstances: getMaxInstances(organization.priceId),
+    });
+  } catch (error) {
+    console.error("[Instances API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/instances
+ * Create an instance, e.g. a staging one. Its VM is set up with POST /api/vm/provision
+ * and the new instance selected.
+ *
+ * Body: { name?, environment? } (environment: 'production' or 'staging', default 'staging')
+ */
+export async function POST(req) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const membership = await authorizeMember(session.user.id, "admin");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const { organization } = membership;
+
+    if (!organization.hasAccess) {
+      return NextResponse.json(
+        { error: "Subscription required. Please subscribe first." },
+        { status: 403 }
+      );
+    }
+
+    const body = await req.json().catch(() => ({}));
+    const result = await createInstance(organization, { name: body.name, environment: body.environment });
+
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: 400 });
+    }
+
+    return NextResponse.json({ success: true, instance: toInstanceSummary(result.instance) });
+  } catch (error) {
+    console.error("[Instances API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
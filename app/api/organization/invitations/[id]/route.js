@@ -0,0 +1,38 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { authorizeMember, revokeInvitation } from "@/libs/organizations";
+
+/**
+ * DELETE /api/organization/invitations/:id
+ * Revoke a pending invitation; its link stops working
+ */
+export async function DELETE(req, { params }) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id } = await params;
+
+    const membership = await authorizeMember(session.user.id, "admin");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const result = await revokeInvitation(membership.organization, id);
+
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("[Invitations API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
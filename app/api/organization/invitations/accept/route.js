@@ -0,0 +1,49 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import connectMongo from "@/libs/mongoose";
+import User from "@/models/User";
+import { acceptInvitation, toOrganizationSummary } from "@/libs/organizations";
+
+/**
+ * POST /api/organization/invitations/accept
+ * Join the organization of an invitation sent to the signed-in user's email
+ *
+ * Body: { token } (from the invitation link)
+ */
+export async function POST(req) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { token } = await req.json().catch(() => ({}));
+
+    await connectMongo();
+    const user = await User.findById(session.user.id);
+
+    if (!user) {
+      return NextResponse.json(
+        { error: "User not found" },
+        { status: 404 }
+      );
+    }
+
+    const result = await acceptInvitation(user, token);
+
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: 400 });
+    }
+
+    const { role } = result.organization.members.find((m) => m.userId.equals(user._id));
+
+    return NextResponse.json({ success: true, organization: toOrganizationSummary(result.organization, role) });
+  } catch (error) {
+    console.error("[Invitations API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,49 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { authorizeMember, inviteMember } from "@/libs/organizations";
+
+/**
+ * POST /api/organization/invitations
+ * Invite someone to the organization. They get an email with a link that is valid for 7 days.
+ *
+ * Body: { email, role } (role: 'admin', 'editor' or 'viewer', at most the inviter's own role)
+ */
+export async function POST(req) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}));
+
+    const membership = await authorizeMember(session.user.id, "admin");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const result = await inviteMember(membership.organization, membership, { email: body.email, role: body.role });
+
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: 400 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      invitation: {
+        id: result.invitation._id.toString(),
+        email: result.invitation.email,
+        role: result.invitation.role,
+        expiresAt: result.invitation.expiresAt,
+      },
+      emailSent: result.emailSent,
+    });
+  } catch (error) {
+    console.error("[Invitations API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,77 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { authorizeMember, updateMemberRole, removeMember } from "@/libs/organizations";
+
+/**
+ * PATCH /api/organization/members/:userId
+ * Change a member's role
+ *
+ * Body: { role } ('admin', 'editor' or 'viewer', at most the changing member's own role)
+ */
+export async function PATCH(req, { params }) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { userId } = await params;
+    const body = await req.json().catch(() => ({}));
+
+    const membership = await authorizeMember(session.user.id, "admin");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const result = await updateMemberRole(membership.organization, membership.role, userId, body.role);
+
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: 400 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("[Members API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/organization/members/:userId
+ * Remove a member (admins), or leave the organization (any member, with their own user ID)
+ */
+export async function DELETE(req, { params }) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { userId } = await params;
+    const leaving = userId === session.user.id;
+
+    const membership = await authorizeMember(session.user.id, leaving ? "viewer" : "admin");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const result = await removeMember(membership.organization, membership.role, userId);
+
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: 400 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("[Members API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,81 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { authorizeMember, hasRole, listMembers, toOrganizationSummary } from "@/libs/organizations";
+
+/**
+ * GET /api/organization
+ * The user's organization, its members and (for admins) its pending invitations
+ */
+export async function GET() {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const membership = await authorizeMember(session.user.id, "viewer");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const { organization, role } = membership;
+    const { members, invitations } = await listMembers(organization);
+
+    return NextResponse.json({
+      organization: toOrganizationSummary(organization, role),
+      members,
+      invitations: hasRole(role, "admin") ? invitations : [],
+    });
+  } catch (error) {
+    console.error("[Organization API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/organization
+ * Rename the organization
+ *
+ * Body: { name }
+ */
+export async function PATCH(req) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+
+    if (!name || name.length > 80) {
+      return NextResponse.json(
+        { error: "Name is required (80 characters at most)" },
+        { status: 400 }
+      );
+    }
+
+    const membership = await authorizeMember(session.user.id, "admin");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const { organization, role } = membership;
+
+    organization.name = name;
+    await organization.save();
+
+    return NextResponse.json({ success: true, organization: toOrganizationSummary(organization, role) });
+  } catch (error) {
+    console.error("[Organization API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -1,48 +1,60 @@
 import { NextResponse } from "next/server";
 import { auth } from "@/libs/auth";
-import connectMongo from "@/libs/mongoose";
-import User from "@/models/User";
+import { fetchVm, isInternalVmPath } from "@/libs/vm-communication";
+import { checkUsageLimits } from "@/libs/usage";
+import { getRequestInstance, INSTANCE_QUERY_PARAM } from "@/libs/instances";
+import { getMembership, getVmRequestRole, hasRole } from "@/libs/organizations";
 
 /**
- * VM Proxy Route - Catch-all proxy to forward requests to user's VM
+ * VM Proxy Route - Catch-all proxy to forward requests to the selected instance's VM
  *
- * This route proxies requests to the user's provisioned VM at:
+ * This route proxies requests to the instance's provisioned VM at:
  * https://{vmSubdomain}.alfredos.site/api/{path}
  *
+ * The instance is picked with the X-Alfred-Instance header or the instanceId query
+ * parameter (see libs/instances.js); the parameter isn't forwarded to the VM.
+ *
  * Supports: GET, POST, PUT, DELETE
- * Authentication: Required (JWT session)
+ * Authentication: Required (JWT session), with a role in the organization that allows the request
  * VM Status: Must be 'ready'
+ *
+ * Requests are signed with a token scoped to the path and method (see libs/vm-communication.js).
+ * Paths reserved for Alfred Core, such as auth secret rotation, are refused.
  */
 
-// Helper function to construct VM URL
-function constructVmUrl(vmSubdomain, path) {
-  const pathString = Array.isArray(path) ? path.join('/') : path;
-  return `https://${vmSubdomain}.alfredos.site/api/${pathString}`;
+// Helper function to construct the VM API path
+// Returns null for dot segments, which would let the path escape /api and its token scope
+function constructVmPath(path, search) {
+  const segments = Array.isArray(path) ? path : [path];
+  if (segments.some((segment) => segment === '.' || segment === '..')) {
+    return null;
+  }
+  return `/api/${segments.map(encodeURIComponent).join('/')}${search || ''}`;
+}
+
+// Helper function to get the query string to forward, without the instance selection
+function getForwardedSearch(url) {
+  const { searchParams } = new URL(url);
+  searchParams.delete(INSTANCE_QUERY_PARAM);
+  const search = searchParams.toString();
+  return search ? `?${search}` : '';
 }
 
-// Helper function to forward request to VM
-async function forwardToVm(vmUrl, method, headers, body) {
-  const options = {
+// Helper function to forward a signed request to the VM
+async function forwardToVm(instance, vmPath, method, headers, body) {
+  return fetchVm(instance, vmPath, {
     method,
+    body,
     headers: {
       'Content-Type': headers.get('content-type') || 'application/json',
       'Accept': headers.get('accept') || 'application/json',
-      // Forward other relevant headers
-      ...(headers.get('user-agent') && { 'User-Agent': headers.get('user-agent') }),
-      // TODO: Add JWT signing for secure VM authentication
-      // 'X-Alfred-Auth': signedJwt,
     },
-  };
-
-  // Add body for methods that support it
-  if (body && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
-    options.body = body;
-  }
-
-  const response = await fetch(vmUrl, options);
-  return response;
+  });
 }
 
+// VM paths that run a skill and so count against the plan's usage limits
+const EXECUTION_PATH_PATTERN = /^\/api\/(skills\/[^/?]+\/execute|execute)(\?|$)/;
+
 // Helper function to handle errors safely
 function handleError(error, statusCode = 500) {
   console.error('VM Proxy Error:', error);
@@ -72,40 +84,66 @@ export async function GET(req, { params }) {
       );
     }
 
-    // Connect to database
-    await connectMongo();
-
-    // Get user with VM details
-    const user = await User.findById(session.user.id);
-    if (!user) {
+    // Get the user's organization and their role in it
+    const membership = await getMembership(session.user.id);
+    if (!membership) {
       return NextResponse.json(
         { error: 'User not found' },
         { status: 404 }
       );
     }
 
+    const { organization, role } = membership;
+
+    // Get the instance the request is for
+    const instance = await getRequestInstance(req, organization._id);
+    if (!instance) {
+      return NextResponse.json(
+        { error: 'Instance not found' },
+        { status: 404 }
+      );
+    }
+
     // Check if VM is ready
-    if (user.vmStatus !== 'ready') {
+    if (instance.vmStatus !== 'ready') {
       return NextResponse.json(
-        { error: 'VM is not ready', vmStatus: user.vmStatus },
+        { error: 'VM is not ready', vmStatus: instance.vmStatus },
         { status: 503 }
       );
     }
 
     // Validate VM configuration
-    if (!user.vmSubdomain) {
+    if (!instance.vmSubdomain) {
       return NextResponse.json(
         { error: 'VM not configured' },
         { status: 500 }
       );
     }
 
-    // Construct VM URL
-    const vmUrl = constructVmUrl(user.vmSubdomain, params.path);
+    // Construct VM API path
+    const { path } = await params;
+    const vmPath = constructVmPath(path, getForwardedSearch(req.url));
+
+    if (!vmPath || isInternalVmPath(vmPath)) {
+      return NextResponse.json(
+        { error: 'Forbidden' },
+        { status: 403 }
+      );
+    }
+
+    // Check the member's role allows the request
+    const requiredRole = getVmRequestRole('GET', vmPath);
+    if (!hasRole(role, requiredRole)) {
+      return NextResponse.json(
+        { error: `This requires the ${requiredRole} role or above (your role: ${role})` },
+        { status: 403 }
+      );
+    }
 
     // Forward request to VM
     const vmResponse = await forwardToVm(
-      vmUrl,
+      instance,
+      vmPath,
       'GET',
       req.headers,
       null
@@ -138,28 +176,36 @@ export async function POST(req, { params }) {
       );
     }
 
-    // Connect to database
-    await connectMongo();
-
-    // Get user with VM details
-    const user = await User.findById(session.user.id);
-    if (!user) {
+    // Get the user's organization and their role in it
+    const membership = await getMembership(session.user.id);
+    if (!membership) {
       return NextResponse.json(
         { error: 'User not found' },
         { status: 404 }
       );
     }
 
+    const { organization, role } = membership;
+
+    // Get the instance the request is for
+    const instance = await getRequestInstance(req, organization._id);
+    if (!instance) {
+      return NextResponse.json(
+        { error: 'Instance not found' },
+        { status: 404 }
+      );
+    }
+
     // Check if VM is ready
-    if (user.vmStatus !== 'ready') {
+    if (instance.vmStatus !== 'ready') {
       return NextResponse.json(
-        { error: 'VM is not ready', vmStatus: user.vmStatus },
+        { error: 'VM is not ready', vmStatus: instance.vmStatus },
         { status: 503 }
       );
     }
 
     // Validate VM configuration
-    if (!user.vmSubdomain) {
+    if (!instance.vmSubdomain) {
       return NextResponse.json(
         { error: 'VM not configured' },
         { status: 500 }
@@ -169,12 +215,41 @@ export async function POST(req, { params }) {
     // Get request body
     const body = await req.text();
 
-    // Construct VM URL
-    const vmUrl = constructVmUrl(user.vmSubdomain, params.path);
+    // Construct VM API path
+    const { path } = await params;
+    const vmPath = constructVmPath(path, getForwardedSearch(req.url));
+
+    if (!vmPath || isInternalVmPath(vmPath)) {
+      return NextResponse.json(
+        { error: 'Forbidden' },
+        { status: 403 }
+      );
+    }
+
+    // Check the member's role allows the request
+    const requiredRole = getVmRequestRole('POST', vmPath);
+    if (!hasRole(role, requiredRole)) {
+      return NextResponse.json(
+        { error: `This requires the ${requiredRole} role or above (your role: ${role})` },
+        { status: 403 }
+      );
+    }
+
+    // Block skill executions once a plan limit is reached
+    if (EXECUTION_PATH_PATTERN.test(vmPath)) {
+      const limits = await checkUsageLimits(organization);
+      if (!limits.allowed) {
+        return NextResponse.json(limits.error, {
+          status: 429,
+          headers: { 'Retry-After': String(limits.retryAfter) },
+        });
+      }
+    }
 
     // Forward request to VM
     const vmResponse = await forwardToVm(
-      vmUrl,
+      instance,
+      vmPath,
       'POST',
       req.headers,
       body
@@ -207,28 +282,36 @@ export async function PUT(req, { params }) {
       );
     }
 
-    // Connect to database
-    await connectMongo();
-
-    // Get user with VM details
-    const user = await User.findById(session.user.id);
-    if (!user) {
+    // Get the user's organization and their role in it
+    const membership = await getMembership(session.user.id);
+    if (!membership) {
       return NextResponse.json(
         { error: 'User not found' },
         { status: 404 }
       );
     }
 
+    const { organization, role } = membership;
+
+    // Get the instance the request is for
+    const instance = await getRequestInstance(req, organization._id);
+    if (!instance) {
+      return NextResponse.json(
+        { error: 'Instance not found' },
+        { status: 404 }
+      );
+    }
+
     // Check if VM is ready
-    if (user.vmStatus !== 'ready') {
+    if (instance.vmStatus !== 'ready') {
       return NextResponse.json(
-        { error: 'VM is not ready', vmStatus: user.vmStatus },
+        { error: 'VM is not ready', vmStatus: instance.vmStatus },
         { status: 503 }
       );
     }
 
     // Validate VM configuration
-    if (!user.vmSubdomain) {
+    if (!instance.vmSubdomain) {
       return NextResponse.json(
         { error: 'VM not configured' },
         { status: 500 }
@@ -238,12 +321,30 @@ export async function PUT(req, { params }) {
     // Get request body
     const body = await req.text();
 
-    // Construct VM URL
-    const vmUrl = constructVmUrl(user.vmSubdomain, params.path);
+    // Construct VM API path
+    const { path } = await params;
+    const vmPath = constructVmPath(path, getForwardedSearch(req.url));
+
+    if (!vmPath || isInternalVmPath(vmPath)) {
+      return NextResponse.json(
+        { error: 'Forbidden' },
+        { status: 403 }
+      );
+    }
+
+    // Check the member's role allows the request
+    const requiredRole = getVmRequestRole('PUT', vmPath);
+    if (!hasRole(role, requiredRole)) {
+      return NextResponse.json(
+        { error: `This requires the ${requiredRole} role or above (your role: ${role})` },
+        { status: 403 }
+      );
+    }
 
     // Forward request to VM
     const vmResponse = await forwardToVm(
-      vmUrl,
+      instance,
+      vmPath,
       'PUT',
       req.headers,
       body
@@ -276,40 +377,66 @@ export async function DELETE(req, { params }) {
       );
     }
 
-    // Connect to database
-    await connectMongo();
-
-    // Get user with VM details
-    const user = await User.findById(session.user.id);
-    if (!user) {
+    // Get the user's organization and their role in it
+    const membership = await getMembership(session.user.id);
+    if (!membership) {
       return NextResponse.json(
         { error: 'User not found' },
         { status: 404 }
       );
     }
 
+    const { organization, role } = membership;
+
+    // Get the instance the request is for
+    const instance = await getRequestInstance(req, organization._id);
+    if (!instance) {
+      return NextResponse.json(
+        { error: 'Instance not found' },
+        { status: 404 }
+      );
+    }
+
     // Check if VM is ready
-    if (user.vmStatus !== 'ready') {
+    if (instance.vmStatus !== 'ready') {
       return NextResponse.json(
-        { error: 'VM is not ready', vmStatus: user.vmStatus },
+        { error: 'VM is not ready', vmStatus: instance.vmStatus },
         { status: 503 }
       );
     }
 
     // Validate VM configuration
-    if (!user.vmSubdomain) {
+    if (!instance.vmSubdomain) {
       return NextResponse.json(
         { error: 'VM not configured' },
         { status: 500 }
       );
     }
 
-    // Construct VM URL
-    const vmUrl = constructVmUrl(user.vmSubdomain, params.path);
+    // Construct VM API path
+    const { path } = await params;
+    const vmPath = constructVmPath(path, getForwardedSearch(req.url));
+
+    if (!vmPath || isInternalVmPath(vmPath)) {
+      return NextResponse.json(
+        { error: 'Forbidden' },
+        { status: 403 }
+      );
+    }
+
+    // Check the member's role allows the request
+    const requiredRole = getVmRequestRole('DELETE', vmPath);
+    if (!hasRole(role, requiredRole)) {
+      return NextResponse.json(
+        { error: `This requires the ${requiredRole} role or above (your role: ${role})` },
+        { status: 403 }
+      );
+    }
 
     // Forward request to VM
     const vmResponse = await forwardToVm(
-      vmUrl,
+      instance,
+      vmPath,
       'DELETE',
       req.headers,
       null
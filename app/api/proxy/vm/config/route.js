@@ -1,72 +1,45 @@
 import { NextResponse } from "next/server";
 import { auth } from "@/libs/auth";
-import connectMongo from "@/libs/mongoose";
-import User from "@/models/User";
+import { sendToVm } from "@/libs/vm-communication";
+import { getRequestInstance } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
 
-// Helper function to get user's VM URL
-async function getUserVmUrl(userId) {
-  await connectMongo();
-  const user = await User.findById(userId);
+// GET: Retrieve config status from the selected instance's VM (returns masked key status)
+export async function GET(req) {
+  const session = await auth();
 
-  if (!user) {
-    throw new Error("User not found");
+  if (!session) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
   }
 
-  // Check if user has a provisioned VM
-  if (!user.vmSubdomain) {
-    throw new Error("VM not provisioned yet. Please complete setup first.");
-  }
+  try {
+    console.log(`[Proxy] Fetching config from VM`);
 
-  // Check VM status - allow 'ready' or 'provisioning' states
-  if (user.vmStatus === 'pending') {
-    throw new Error("VM provisioning has not started. Please complete setup first.");
-  }
+    const membership = await authorizeMember(session.user.id, "viewer");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
 
-  if (user.vmStatus === 'error') {
-    throw new Error("VM provisioning failed. Please contact support.");
-  }
+    const instance = await getRequestInstance(req, membership.organization._id);
+    if (!instance) {
+      return NextResponse.json({ error: "Instance not found" }, { status: 404 });
+    }
 
-  // Construct VM URL from subdomain
-  const vmDomain = process.env.VM_BASE_DOMAIN || 'alfredos.site';
-  return `https://${user.vmSubdomain}.${vmDomain}`;
-}
+    // Proxy the request to the instance's VM
+    const result = await sendToVm(instance, "/api/config", "GET", null, { action: "config.get" });
 
-// GET: Retrieve config status from user's VM (returns masked key status)
-export async function GET() {
-  const session = await auth();
+    console.log(`[Proxy] VM response status: ${result.statusCode}`);
 
-  if (!session) {
-    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
-  }
-
-  try {
-    const vmUrl = await getUserVmUrl(session.user.id);
-    console.log(`[Proxy] Fetching config from VM: ${vmUrl}/api/config`);
-
-    // Proxy the request to the user's VM
-    const response = await fetch(`${vmUrl}/api/config`, {
-      method: "GET",
-      headers: {
-        "Content-Type": "application/json",
-        // TODO: Add authentication header for VM in Phase 2
-        // "Authorization": `Bearer ${signedJWT}`
-      },
-    });
-
-    console.log(`[Proxy] VM response status: ${response.status}`);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("[Proxy] VM API error:", errorText);
+    if (!result.success) {
+      console.error("[Proxy] VM API error:", result.error);
       return NextResponse.json(
-        { error: "Failed to fetch config from VM" },
-        { status: response.status }
+        { error: result.data ? "Failed to fetch config from VM" : result.error },
+        { status: result.statusCode }
       );
     }
 
-    const config = await response.json();
-    console.log(`[Proxy] VM config response:`, JSON.stringify(config));
-    return NextResponse.json(config);
+    console.log(`[Proxy] VM config response:`, JSON.stringify(result.data));
+    return NextResponse.json(result.data);
   } catch (e) {
     console.error("[Proxy] Error fetching config:", e);
     return NextResponse.json(
@@ -76,7 +49,7 @@ export async function GET() {
   }
 }
 
-// POST: Save config to user's VM (anthropic_api_key)
+// POST: Save config to the selected instance's VM (anthropic_api_key)
 export async function POST(req) {
   const session = await auth();
 
@@ -111,32 +84,30 @@ export async function POST(req) {
       );
     }
 
-    const vmUrl = await getUserVmUrl(session.user.id);
-
-    // Proxy the request to the user's VM
-    const response = await fetch(`${vmUrl}/api/config`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        // TODO: Add authentication header for VM in Phase 2
-        // "Authorization": `Bearer ${signedJWT}`
-      },
-      body: JSON.stringify({
-        anthropic_api_key: body.anthropic_api_key,
-      }),
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error("VM API error:", errorData);
+    const membership = await authorizeMember(session.user.id, "admin");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const instance = await getRequestInstance(req, membership.organization._id);
+    if (!instance) {
+      return NextResponse.json({ error: "Instance not found" }, { status: 404 });
+    }
+
+    // Proxy the request to the instance's VM
+    const result = await sendToVm(instance, "/api/config", "POST", {
+      anthropic_api_key: body.anthropic_api_key,
+    }, { action: "config.update" });
+
+    if (!result.success) {
+      console.error("VM API error:", result.error);
       return NextResponse.json(
-        { error: errorData.error || "Failed to save config to VM" },
-        { status: response.status }
+        { error: result.data ? result.data.error || "Failed to save config to VM" : result.error },
+        { status: result.statusCode }
       );
     }
 
-    const result = await response.json();
-    return NextResponse.json(result, { status: 200 });
+    return NextResponse.json(result.data, { status: 200 });
   } catch (e) {
     console.error("Error saving config:", e);
     return NextResponse.json(
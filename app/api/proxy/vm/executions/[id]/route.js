@@ -1,11 +1,12 @@
 import { NextResponse } from "next/server";
 import { auth } from "@/libs/auth";
-import connectMongo from "@/libs/mongoose";
-import User from "@/models/User";
+import { fetchVm } from "@/libs/vm-communication";
+import { getRequestInstance } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
 
 /**
  * GET /api/proxy/vm/executions/[id]
- * Fetch a single execution by ID from the user's VM
+ * Fetch a single execution by ID from the selected instance's VM
  */
 export async function GET(req, { params }) {
   try {
@@ -19,7 +20,7 @@ export async function GET(req, { params }) {
     }
 
     // Get execution ID from params
-    const { id } = params;
+    const { id } = await params;
     if (!id) {
       return NextResponse.json(
         { error: "Execution ID is required" },
@@ -27,36 +28,32 @@ export async function GET(req, { params }) {
       );
     }
 
-    // Connect to database and get user's VM details
-    await connectMongo();
-    const user = await User.findById(session.user.id);
+    // Get the instance's VM details, if the user may see its executions
+    const membership = await authorizeMember(session.user.id, "viewer");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const instance = await getRequestInstance(req, membership.organization._id);
 
-    if (!user) {
+    if (!instance) {
       return NextResponse.json(
-        { error: "User not found" },
+        { error: "Instance not found" },
         { status: 404 }
       );
     }
 
-    // Check if user has a VM provisioned
-    if (!user.vmSubdomain || user.vmStatus !== 'ready') {
+    // Check if the instance has a VM provisioned
+    if (!instance.vmSubdomain || instance.vmStatus !== 'ready') {
       return NextResponse.json(
         { error: "VM not ready. Please provision a VM first." },
         { status: 400 }
       );
     }
 
-    // Construct VM API URL
-    const vmDomain = process.env.VM_BASE_DOMAIN || 'alfredos.site';
-    const vmUrl = `https://${user.vmSubdomain}.${vmDomain}/api/executions/${id}`;
-
-    // Forward request to user's VM with authentication
-    const vmResponse = await fetch(vmUrl, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${user.vmAuthSecretHash}`,
-      },
+    // Forward request to the instance's VM with a signed token
+    const vmResponse = await fetchVm(instance, `/api/executions/${encodeURIComponent(id)}`, {
+      action: "executions.get",
     });
 
     if (!vmResponse.ok) {
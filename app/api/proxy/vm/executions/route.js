@@ -1,37 +1,10 @@
 import { NextResponse } from "next/server";
 import { auth } from "@/libs/auth";
-import connectMongo from "@/libs/mongoose";
-import User from "@/models/User";
+import { sendToVm } from "@/libs/vm-communication";
+import { getRequestInstance } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
 
-// Helper function to get user's VM URL
-async function getUserVmUrl(userId) {
-  await connectMongo();
-  const user = await User.findById(userId);
-
-  if (!user) {
-    throw new Error("User not found");
-  }
-
-  // Check if user has a provisioned VM
-  if (!user.vmSubdomain) {
-    throw new Error("VM not provisioned yet. Please complete setup first.");
-  }
-
-  // Check VM status - allow 'ready' or 'provisioning' states
-  if (user.vmStatus === 'pending') {
-    throw new Error("VM provisioning has not started. Please complete setup first.");
-  }
-
-  if (user.vmStatus === 'error') {
-    throw new Error("VM provisioning failed. Please contact support.");
-  }
-
-  // Construct VM URL from subdomain
-  const vmDomain = process.env.VM_BASE_DOMAIN || 'alfredos.site';
-  return `https://${user.vmSubdomain}.${vmDomain}`;
-}
-
-// GET: List executions from user's VM with pagination and filtering
+// GET: List executions from the selected instance's VM with pagination and filtering
 export async function GET(req) {
   const session = await auth();
 
@@ -60,7 +33,6 @@ export async function GET(req) {
       );
     }
 
-    const vmUrl = await getUserVmUrl(session.user.id);
     const queryParams = new URLSearchParams({
       page: page.toString(),
       pageSize: pageSize.toString(),
@@ -74,24 +46,29 @@ export async function GET(req) {
       queryParams.append("skillId", skillId);
     }
 
-    const response = await fetch(`${vmUrl}/api/executions?${queryParams.toString()}`, {
-      method: "GET",
-      headers: {
-        "Content-Type": "application/json",
-      },
+    const membership = await authorizeMember(session.user.id, "viewer");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const instance = await getRequestInstance(req, membership.organization._id);
+    if (!instance) {
+      return NextResponse.json({ error: "Instance not found" }, { status: 404 });
+    }
+
+    const result = await sendToVm(instance, `/api/executions?${queryParams.toString()}`, "GET", null, {
+      action: "executions.list",
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("VM API error:", errorText);
+    if (!result.success) {
+      console.error("VM API error:", result.error);
       return NextResponse.json(
-        { error: "Failed to fetch executions from VM" },
-        { status: response.status }
+        { error: result.data ? "Failed to fetch executions from VM" : result.error },
+        { status: result.statusCode }
       );
     }
 
-    const data = await response.json();
-    return NextResponse.json(data);
+    return NextResponse.json(result.data);
   } catch (e) {
     console.error("Error fetching executions:", e);
     return NextResponse.json(
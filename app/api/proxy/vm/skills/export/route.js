@@ -0,0 +1,83 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { sendToVm } from "@/libs/vm-communication";
+import { getRequestInstance } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
+import { SKILL_FILE_FORMATS, serializeSkillFile } from "@/libs/skill-files";
+
+// Make a file name from a name, e.g. 'Daily report' → 'daily-report'
+function toFileSlug(name, fallback) {
+  const slug = String(name || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || fallback;
+}
+
+// GET: Download the skills of the selected instance's VM as a skill file (see libs/skill-files.js)
+// Query: id (one skill; default: every skill, as a bundle), format (yaml | json, default: yaml)
+export async function GET(req) {
+  const session = await auth();
+
+  if (!session) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+
+  const { searchParams } = new URL(req.url);
+  const format = searchParams.get("format") || "yaml";
+  const skillId = searchParams.get("id");
+
+  if (!SKILL_FILE_FORMATS.includes(format)) {
+    return NextResponse.json({ error: "Invalid format. Must be yaml or json" }, { status: 400 });
+  }
+
+  try {
+    const membership = await authorizeMember(session.user.id, "viewer");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const instance = await getRequestInstance(req, membership.organization._id);
+    if (!instance) {
+      return NextResponse.json({ error: "Instance not found" }, { status: 404 });
+    }
+
+    const result = skillId
+      ? await sendToVm(instance, `/api/skills/${encodeURIComponent(skillId)}`, "GET", null, { action: "skills.get" })
+      : await sendToVm(instance, "/api/skills", "GET", null, { action: "skills.list" });
+
+    if (!result.success) {
+      console.error("VM API error:", result.error);
+      return NextResponse.json(
+        { error: result.data ? "Failed to fetch skills from VM" : result.error },
+        { status: result.statusCode }
+      );
+    }
+
+    let body;
+    let filename;
+    if (skillId) {
+      body = serializeSkillFile(result.data, format);
+      filename = `${toFileSlug(result.data.name, skillId)}.${format}`;
+    } else {
+      const skills = Array.isArray(result.data) ? result.data : result.data?.skills || [];
+      const date = new Date().toISOString().slice(0, 10);
+      body = serializeSkillFile(skills, format, instance);
+      filename = `alfred-skills-${toFileSlug(instance.name, instance.environment)}-${date}.${format}`;
+    }
+
+    return new NextResponse(body, {
+      headers: {
+        "Content-Type": format === "json" ? "application/json" : "application/yaml; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      },
+    });
+  } catch (e) {
+    console.error("Error exporting skills:", e);
+    return NextResponse.json(
+      { error: e?.message || "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,98 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { sendToVm } from "@/libs/vm-communication";
+import { getRequestInstance } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
+import { parseSkillFile } from "@/libs/skill-files";
+
+// Largest file accepted (characters), far above a bundle of every skill of a VM
+const MAX_CONTENT_LENGTH = 1024 * 1024;
+
+// POST: Create the skills of a skill file (see libs/skill-files.js) on the selected instance's VM
+// Body: { content: file contents (YAML or JSON), replace?: update skills with the same name instead of skipping them,
+//        dryRun?: only report what would be created, updated and skipped }
+// The whole file is checked first, so an invalid file imports nothing.
+export async function POST(req) {
+  const session = await auth();
+
+  if (!session) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+
+  try {
+    const { content, replace = false, dryRun = false } = await req.json();
+
+    if (typeof content !== "string") {
+      return NextResponse.json({ error: "content is required" }, { status: 400 });
+    }
+    if (content.length > MAX_CONTENT_LENGTH) {
+      return NextResponse.json({ error: "The file is too large (1 MB at most)" }, { status: 413 });
+    }
+
+    const file = parseSkillFile(content);
+    if (!file.success) {
+      return NextResponse.json({ error: file.error, details: file.details }, { status: 400 });
+    }
+
+    const membership = await authorizeMember(session.user.id, "editor");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const instance = await getRequestInstance(req, membership.organization._id);
+    if (!instance) {
+      return NextResponse.json({ error: "Instance not found" }, { status: 404 });
+    }
+
+    const current = await sendToVm(instance, "/api/skills", "GET", null, { action: "skills.list" });
+    if (!current.success) {
+      console.error("VM API error:", current.error);
+      return NextResponse.json(
+        { error: current.data ? "Failed to fetch skills from VM" : current.error },
+        { status: current.statusCode }
+      );
+    }
+
+    const existing = new Map(
+      (Array.isArray(current.data) ? current.data : current.data?.skills || []).map((skill) => [skill.name?.trim(), skill])
+    );
+
+    const report = { created: [], updated: [], skipped: [], failed: [] };
+
+    // One at a time, so a large bundle doesn't flood the VM
+    for (const skill of file.skills) {
+      const match = existing.get(skill.name.trim());
+
+      if (match && !replace) {
+        report.skipped.push(skill.name);
+        continue;
+      }
+
+      if (dryRun) {
+        report[match ? "updated" : "created"].push(skill.name);
+        continue;
+      }
+
+      const result = match
+        ? await sendToVm(instance, `/api/skills/${encodeURIComponent(match.id)}`, "PUT", { ...skill, id: match.id }, {
+            action: "skills.update",
+          })
+        : await sendToVm(instance, "/api/skills", "POST", skill, { action: "skills.create" });
+
+      if (result.success) {
+        report[match ? "updated" : "created"].push(skill.name);
+      } else {
+        console.error("VM API error:", result.error);
+        report.failed.push({ name: skill.name, error: result.data?.error || result.error });
+      }
+    }
+
+    return NextResponse.json(report, { status: report.created.length && !dryRun ? 201 : 200 });
+  } catch (e) {
+    console.error("Error importing skills:", e);
+    return NextResponse.json(
+      { error: e?.message || "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
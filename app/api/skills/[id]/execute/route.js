@@ -1,36 +1,75 @@
 import { NextResponse } from "next/server";
 import { auth } from "@/libs/auth";
-import connectMongo from "@/libs/mongoose";
-import User from "@/models/User";
+import { fetchVm } from "@/libs/vm-communication";
+import { authenticateApiKey } from "@/libs/api-auth";
+import { checkUsageLimits } from "@/libs/usage";
+import { getRequestInstance } from "@/libs/instances";
+import { getMembership, hasRole } from "@/libs/organizations";
 
+// Callable from the dashboard (session) or with an API key with the skills:execute scope (Authorization: Bearer alf_...)
 export async function POST(req, { params }) {
   try {
-    const session = await auth();
-    if (!session?.user?.id) {
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    const authHeader = req.headers.get("authorization");
+    let userId;
+
+    if (authHeader?.startsWith("Bearer alf_")) {
+      const result = await authenticateApiKey(req, "skills:execute");
+      if (result.error) {
+        return NextResponse.json({ error: result.error }, { status: result.status });
+      }
+      userId = result.user._id;
+    } else {
+      const session = await auth();
+      if (!session?.user?.id) {
+        return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+      }
+      userId = session.user.id;
     }
 
     const { id } = await params;
     const body = await req.json().catch(() => ({}));
 
-    await connectMongo();
-    const user = await User.findById(session.user.id);
+    const membership = await getMembership(userId);
+    if (!membership) {
+      return NextResponse.json({ error: "User not found" }, { status: 404 });
+    }
+
+    // API keys act with their user's role in the organization
+    const { organization, role } = membership;
+    if (!hasRole(role, "editor")) {
+      return NextResponse.json(
+        { error: `This requires the editor role or above (your role: ${role})` },
+        { status: 403 }
+      );
+    }
 
-    if (!user?.vmSubdomain) {
+    const instance = await getRequestInstance(req, organization._id);
+    if (!instance) {
+      return NextResponse.json({ error: "Instance not found" }, { status: 404 });
+    }
+
+    if (!instance.vmSubdomain) {
       return NextResponse.json({ error: "VM not provisioned" }, { status: 400 });
     }
 
-    if (user.vmStatus !== "ready") {
+    if (instance.vmStatus !== "ready") {
       return NextResponse.json({ error: "VM not ready" }, { status: 400 });
     }
 
-    // Forward execution request to user's VM
-    const vmUrl = `https://${user.vmSubdomain}.alfredos.site/api/execute`;
+    // Block the execution once a plan limit is reached
+    const limits = await checkUsageLimits(organization);
+    if (!limits.allowed) {
+      return NextResponse.json(limits.error, {
+        status: 429,
+        headers: { "Retry-After": String(limits.retryAfter) },
+      });
+    }
 
-    const response = await fetch(vmUrl, {
+    // Forward execution request to the instance's VM
+    const response = await fetchVm(instance, "/api/execute", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ skill_id: id, input: body.input || {} }),
+      body: { skill_id: id, input: body.input || {} },
+      action: "skills.execute",
     });
 
     if (!response.ok) {
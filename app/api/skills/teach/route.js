@@ -1,7 +1,8 @@
 import { NextResponse } from "next/server";
 import { auth } from "@/libs/auth";
-import connectMongo from "@/libs/mongoose";
-import User from "@/models/User";
+import { fetchVm } from "@/libs/vm-communication";
+import { getRequestInstance } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
 
 export async function POST(req) {
   try {
@@ -10,10 +11,18 @@ export async function POST(req) {
       return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
     }
 
-    await connectMongo();
-    const user = await User.findById(session.user.id);
+    const membership = await authorizeMember(session.user.id, "editor");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const instance = await getRequestInstance(req, membership.organization._id);
 
-    if (!user?.vmSubdomain) {
+    if (!instance) {
+      return NextResponse.json({ error: "Instance not found" }, { status: 404 });
+    }
+
+    if (!instance.vmSubdomain) {
       return NextResponse.json({ error: "VM not provisioned" }, { status: 400 });
     }
 
@@ -23,13 +32,17 @@ export async function POST(req) {
       return NextResponse.json({ error: "Prompt is required" }, { status: 400 });
     }
 
-    // Forward to user's VM async-agent for skill generation
-    const vmUrl = `https://${user.vmSubdomain}.alfredos.site/api/execute/teach`;
+    if (instance.vmStatus !== "ready") {
+      return NextResponse.json({ error: "VM not ready" }, { status: 400 });
+    }
 
-    const response = await fetch(vmUrl, {
+    // Forward to the instance's VM async-agent for skill generation
+    const response = await fetchVm(instance, "/api/execute/teach", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ prompt, name }),
+      body: { prompt, name },
+      action: "skills.teach",
+      // Skill generation runs a model on the VM
+      timeout: 60000,
     });
 
     const result = await response.json();
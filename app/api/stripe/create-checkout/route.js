@@ -1,8 +1,8 @@
 import { NextResponse } from "next/server";
 import { auth } from "@/libs/auth";
 import { createCheckout } from "@/libs/stripe";
-import connectMongo from "@/libs/mongoose";
-import User from "@/models/User";
+import { getMembership, hasRole } from "@/libs/organizations";
+import { getPlan, resolveVmSelection } from "@/libs/vm-plans";
 
 // This function is used to create a Stripe Checkout Session (one-time payment or subscription)
 // It's called by the <ButtonCheckout /> component
@@ -30,12 +30,28 @@ export async function POST(req) {
     );
   }
 
+  // Region and VM size picked on the pricing card, validated against the plan and handed to the webhook
+  let vm;
+  try {
+    vm = resolveVmSelection(body.priceId, body.vm);
+  } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+
   try {
     const session = await auth();
 
-    await connectMongo();
+    const membership = session?.user?.id ? await getMembership(session.user.id) : null;
+
+    // Only the owner pays for the organization
+    if (membership && !hasRole(membership.role, "owner")) {
+      return NextResponse.json(
+        { error: "Only the organization's owner can manage billing" },
+        { status: 403 }
+      );
+    }
 
-    const user = await User.findById(session?.user?.id);
+    const { user, organization } = membership || {};
 
     const { priceId, mode, successUrl, cancelUrl } = body;
 
@@ -44,10 +60,18 @@ export async function POST(req) {
       mode,
       successUrl,
       cancelUrl,
-      // If user is logged in, it will pass the user ID to the Stripe Session so it can be retrieved in the webhook later
-      clientReferenceId: user?._id?.toString(),
+      // If user is logged in, it will pass their organization ID to the Stripe Session so it can be retrieved in the webhook later
+      clientReferenceId: organization?._id?.toString(),
       // If user is logged in, this will automatically prefill Checkout data like email and/or credit card for faster checkout
-      user,
+      user: user && { email: user.email, customerId: organization.customerId },
+      metadata: {
+        vmProvider: vm.provider,
+        vmRegion: vm.region,
+        vmSize: vm.size,
+        vmVolumeSize: String(vm.volumeSize),
+      },
+      // Usage over the plan's quota is billed through the metered price (see libs/usage.js)
+      meteredPriceId: mode === "subscription" ? getPlan(priceId).usage?.metered?.priceId : undefined,
       // If you send coupons from the frontend, you can pass it here
       // couponId: body.couponId,
     });
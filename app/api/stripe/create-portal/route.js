@@ -1,23 +1,24 @@
 import { NextResponse } from "next/server";
 import { auth } from "@/libs/auth";
-import connectMongo from "@/libs/mongoose";
 import { createCustomerPortal } from "@/libs/stripe";
-import User from "@/models/User";
+import { authorizeMember } from "@/libs/organizations";
 
 export async function POST(req) {
   const session = await auth();
 
   if (session) {
     try {
-      await connectMongo();
-
       const body = await req.json();
 
-      const { id } = session.user;
+      // Only the owner manages the organization's billing
+      const membership = await authorizeMember(session.user.id, "owner");
+      if (membership.error) {
+        return NextResponse.json({ error: membership.error }, { status: membership.status });
+      }
 
-      const user = await User.findById(id);
+      const { organization } = membership;
 
-      if (!user?.customerId) {
+      if (!organization.customerId) {
         return NextResponse.json(
           {
             error:
@@ -33,7 +34,7 @@ export async function POST(req) {
       }
 
       const stripePortalUrl = await createCustomerPortal({
-        customerId: user.customerId,
+        customerId: organization.customerId,
         returnUrl: body.returnUrl,
       });
 
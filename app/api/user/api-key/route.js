@@ -2,9 +2,11 @@ import { NextResponse } from "next/server";
 import { auth } from "@/libs/auth";
 import connectMongo from "@/libs/mongoose";
 import User from "@/models/User";
-import crypto from "crypto";
+import { API_KEY_SCOPES, createApiKey, getQuickstartApiKey, revokeApiKey, maskApiKey } from "@/libs/api-auth";
 
-// POST: Generate new API key
+// The dashboard's Quick Start key: one key with every scope. Other keys are managed with /api/user/api-keys.
+
+// POST: Generate a new Quick Start key (the previous one stops working, other keys are kept)
 export async function POST() {
   const session = await auth();
 
@@ -22,23 +24,16 @@ export async function POST() {
       return NextResponse.json({ error: "User not found" }, { status: 404 });
     }
 
-    // Generate new API key with "alf_" prefix and 32 random characters
-    const randomBytes = crypto.randomBytes(16).toString("hex");
-    const apiKey = `alf_${randomBytes}`;
-
-    // Hash the API key for secure storage
-    const apiKeyHash = crypto.createHash("sha256").update(apiKey).digest("hex");
+    const result = await createApiKey(user, { name: "Quick Start key", scopes: API_KEY_SCOPES, quickstart: true });
 
-    // Update user with hashed API key
-    user.apiKeyHash = apiKeyHash;
-    user.apiKey = undefined; // Remove plain text API key if it exists
-    user.apiKeyCreatedAt = new Date();
-    await user.save();
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: 400 });
+    }
 
     // Return the API key (only time it will be shown in full)
     return NextResponse.json({
-      apiKey,
-      createdAt: user.apiKeyCreatedAt,
+      apiKey: result.key,
+      createdAt: result.apiKey.createdAt,
       message: "API key generated successfully. Save it securely - it won't be shown again.",
     });
   } catch (e) {
@@ -47,7 +42,7 @@ export async function POST() {
   }
 }
 
-// DELETE: Revoke API key
+// DELETE: Revoke the Quick Start key
 export async function DELETE() {
   const session = await auth();
 
@@ -56,27 +51,16 @@ export async function DELETE() {
   }
 
   try {
-    await connectMongo();
-
-    const { id } = session.user;
-    const user = await User.findById(id);
-
-    if (!user) {
-      return NextResponse.json({ error: "User not found" }, { status: 404 });
-    }
+    const apiKey = await getQuickstartApiKey(session.user.id);
 
-    if (!user.apiKeyHash) {
+    if (!apiKey) {
       return NextResponse.json(
         { error: "No API key to revoke" },
         { status: 400 }
       );
     }
 
-    // Revoke API key by removing it
-    user.apiKeyHash = undefined;
-    user.apiKey = undefined; // Also remove if it exists
-    user.apiKeyCreatedAt = undefined;
-    await user.save();
+    await revokeApiKey(session.user.id, apiKey._id.toString());
 
     return NextResponse.json({
       message: "API key revoked successfully",
@@ -87,7 +71,7 @@ export async function DELETE() {
   }
 }
 
-// GET: Check if user has an API key (without revealing the key)
+// GET: Check if user has a Quick Start key (without revealing the key)
 export async function GET() {
   const session = await auth();
 
@@ -96,23 +80,14 @@ export async function GET() {
   }
 
   try {
-    await connectMongo();
-
-    const { id } = session.user;
-    const user = await User.findById(id);
-
-    if (!user) {
-      return NextResponse.json({ error: "User not found" }, { status: 404 });
-    }
+    const apiKey = await getQuickstartApiKey(session.user.id);
 
     // Return status without revealing the actual key
-    const hasApiKey = !!user.apiKey;
-    const lastFourChars = hasApiKey ? user.apiKey.slice(-4) : null;
-
     return NextResponse.json({
-      hasApiKey,
-      lastFourChars: lastFourChars ? `...${lastFourChars}` : null,
-      createdAt: user.apiKeyCreatedAt || null,
+      hasApiKey: !!apiKey,
+      lastFourChars: apiKey?.lastFour ? `...${apiKey.lastFour}` : null,
+      maskedApiKey: apiKey ? maskApiKey(apiKey) : null,
+      createdAt: apiKey?.createdAt || null,
     });
   } catch (e) {
     console.error(e);
@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { revokeApiKey } from "@/libs/api-auth";
+
+/**
+ * DELETE /api/user/api-keys/:id
+ * Revoke an API key; requests with it fail right away
+ */
+export async function DELETE(req, { params }) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id } = await params;
+    const result = await revokeApiKey(session.user.id, id);
+
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("[API Keys API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
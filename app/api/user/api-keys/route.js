@@ -0,0 +1,84 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import connectMongo from "@/libs/mongoose";
+import User from "@/models/User";
+import { API_KEY_SCOPES, createApiKey, listApiKeys, toApiKeySummary } from "@/libs/api-auth";
+
+/**
+ * GET /api/user/api-keys
+ * List the user's API keys (masked) and the scopes a key can have
+ */
+export async function GET() {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const apiKeys = await listApiKeys(session.user.id);
+
+    return NextResponse.json({
+      apiKeys: apiKeys.map(toApiKeySummary),
+      scopes: API_KEY_SCOPES,
+    });
+  } catch (error) {
+    console.error("[API Keys API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/user/api-keys
+ * Create an API key. The key is only returned in this response.
+ *
+ * Body: { name, scopes, expiresInDays?, allowedIps? }
+ * (allowedIps: IP addresses or IPv4 CIDR ranges; the key works from anywhere without them)
+ */
+export async function POST(req) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}));
+
+    await connectMongo();
+    const user = await User.findById(session.user.id);
+
+    if (!user) {
+      return NextResponse.json(
+        { error: "User not found" },
+        { status: 404 }
+      );
+    }
+
+    const result = await createApiKey(user, {
+      name: body.name,
+      scopes: body.scopes,
+      expiresInDays: body.expiresInDays,
+      allowedIps: body.allowedIps,
+    });
+
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: 400 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      key: result.key,
+      apiKey: toApiKeySummary(result.apiKey),
+    });
+  } catch (error) {
+    console.error("[API Keys API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -1,10 +1,12 @@
 import { NextResponse } from "next/server";
 import { auth } from "@/libs/auth";
-import connectMongo from "@/libs/mongoose";
-import User from "@/models/User";
+import { getProvisioningStatus } from "@/libs/provisioning";
+import { getRequestInstance, findOrganizationInstance, listOrganizationInstances, getMaxInstances, toInstanceSummary } from "@/libs/instances";
+import { getMembership, toOrganizationSummary } from "@/libs/organizations";
+import { getQuickstartApiKey, maskApiKey } from "@/libs/api-auth";
 
-// GET: Fetch user status (subscription, VM status, subdomain, API key info)
-export async function GET() {
+// GET: Fetch user status (organization and role, subscription, API key info, the organization's instances and the selected instance's VM)
+export async function GET(req) {
   const session = await auth();
 
   if (!session) {
@@ -12,29 +14,49 @@ export async function GET() {
   }
 
   try {
-    await connectMongo();
+    const membership = await getMembership(session.user.id);
 
-    const { id } = session.user;
-    const user = await User.findById(id);
-
-    if (!user) {
+    if (!membership) {
       return NextResponse.json({ error: "User not found" }, { status: 404 });
     }
 
-    // Get API key info without revealing the full key
-    const hasApiKey = !!user.apiKey;
-    const maskedApiKey = hasApiKey
-      ? `alf_${"*".repeat(24)}${user.apiKey.slice(-4)}`
+    const { user, organization, role } = membership;
+
+    // Get Quick Start key info without revealing the full key
+    const quickstartKey = await getQuickstartApiKey(user._id);
+    const hasApiKey = !!quickstartKey;
+    const maskedApiKey = hasApiKey ? maskApiKey(quickstartKey) : null;
+
+    // A stale selection (e.g. an instance deleted from another tab) falls back to the default instance
+    const instance = (await getRequestInstance(req, organization._id)) || (await findOrganizationInstance(organization._id));
+    const instances = await listOrganizationInstances(organization._id);
+
+    // Report real provisioning progress while the VM is being set up (or failed to)
+    const provisioning = ["provisioning", "error"].includes(instance?.vmStatus)
+      ? await getProvisioningStatus(instance._id)
       : null;
 
     return NextResponse.json({
-      hasAccess: user.hasAccess,
-      vmStatus: user.vmStatus,
-      vmSubdomain: user.vmSubdomain,
-      vmIp: user.vmIp,
+      organization: toOrganizationSummary(organization, role),
+      hasAccess: organization.hasAccess,
+      subscriptionCancelAt: organization.subscriptionCancelAt || null,
+      paymentGraceEndsAt: organization.paymentGraceEndsAt || null,
+      instances: instances.map(toInstanceSummary),
+      maxInstances: getMaxInstances(organization.priceId),
+      instanceId: instance?._id.toString() || null,
+      vmStatus: instance?.vmStatus || "pending",
+      vmSubdomain: instance?.vmSubdomain,
+      vmIp: instance?.vmIp,
+      vmProvider: instance?.vmProvider || null,
+      vmRegion: instance?.vmRegion || null,
+      vmSize: instance?.vmSize || null,
+      vmVolumeSize: instance?.vmVolumeSize || null,
+      vmResizeTo: instance?.vmResizeTo?.size ? instance.vmResizeTo : null,
+      vmDeprovisionAt: instance?.vmDeprovisionAt || null,
+      provisioning,
       hasApiKey,
       maskedApiKey,
-      apiKeyCreatedAt: user.apiKeyCreatedAt || null,
+      apiKeyCreatedAt: quickstartKey?.createdAt || null,
     });
   } catch (e) {
     console.error(e);
@@ -0,0 +1,66 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { resolveUsageRange, getDailyUsage } from "@/libs/usage";
+import { authorizeMember } from "@/libs/organizations";
+
+const EXPORT_FIELDS = ["date", "executions", "successes", "failures", "successRate", "durationMs", "tokens"];
+
+// Quote a CSV value if it contains a separator, quote or newline
+function toCsvValue(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// GET: Download daily usage over a date range as CSV or JSON
+// Query: from, to (YYYY-MM-DD, default: last 30 days), format (csv | json, default: csv)
+export async function GET(req) {
+  const session = await auth();
+
+  if (!session) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+
+  const { searchParams } = new URL(req.url);
+  const format = searchParams.get("format") || "csv";
+
+  if (!["csv", "json"].includes(format)) {
+    return NextResponse.json({ error: "Invalid format. Must be csv or json" }, { status: 400 });
+  }
+
+  let range;
+  try {
+    range = resolveUsageRange({
+      from: searchParams.get("from") || undefined,
+      to: searchParams.get("to") || undefined,
+    });
+  } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+
+  const membership = await authorizeMember(session.user.id, "viewer");
+  if (membership.error) {
+    return NextResponse.json({ error: membership.error }, { status: membership.status });
+  }
+
+  try {
+    const days = await getDailyUsage(membership.organization._id, range);
+    const filename = `alfred-usage-${range.from}-to-${range.to}.${format}`;
+
+    const body = format === "json"
+      ? JSON.stringify({ from: range.from, to: range.to, days }, null, 2)
+      : [
+          EXPORT_FIELDS.join(","),
+          ...days.map((day) => EXPORT_FIELDS.map((field) => toCsvValue(day[field])).join(",")),
+        ].join("\n");
+
+    return new NextResponse(body, {
+      headers: {
+        "Content-Type": format === "json" ? "application/json" : "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      },
+    });
+  } catch (e) {
+    console.error(e);
+    return NextResponse.json({ error: e?.message }, { status: 500 });
+  }
+}
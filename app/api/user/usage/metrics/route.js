@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { resolveUsageRange, getUsageSeries } from "@/libs/usage";
+import { authorizeMember } from "@/libs/organizations";
+
+// GET: Usage over a date range, by day or week, for the usage charts
+// Query: from, to (YYYY-MM-DD, default: last 30 days), interval (day | week)
+export async function GET(req) {
+  const session = await auth();
+
+  if (!session) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+
+  const { searchParams } = new URL(req.url);
+
+  let range;
+  try {
+    range = resolveUsageRange({
+      from: searchParams.get("from") || undefined,
+      to: searchParams.get("to") || undefined,
+      interval: searchParams.get("interval") || undefined,
+    });
+  } catch (e) {
+    return NextResponse.json({ error: e.message }, { status: 400 });
+  }
+
+  const membership = await authorizeMember(session.user.id, "viewer");
+  if (membership.error) {
+    return NextResponse.json({ error: membership.error }, { status: membership.status });
+  }
+
+  try {
+    const { series, totals } = await getUsageSeries(membership.organization._id, range);
+
+    return NextResponse.json({ ...range, series, totals });
+  } catch (e) {
+    console.error(e);
+    return NextResponse.json({ error: e?.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { getUsageSummary } from "@/libs/usage";
+import { authorizeMember } from "@/libs/organizations";
+
+// GET: Month-to-date usage of the organization against the plan's quotas
+export async function GET() {
+  const session = await auth();
+
+  if (!session) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+
+  try {
+    const membership = await authorizeMember(session.user.id, "viewer");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    return NextResponse.json(await getUsageSummary(membership.organization));
+  } catch (e) {
+    console.error(e);
+    return NextResponse.json({ error: e?.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,43 @@
+import { sendToVm } from "@/libs/vm-communication";
+import { withApiV1, apiResponse, apiError, vmErrorResponse, isValidResourceId } from "@/libs/api-v1";
+import { API_V1_OPERATIONS } from "@/libs/api-v1-operations";
+
+// GET /api/v1/connections/:id: Get a connection (connections:read)
+export async function GET(req, { params }) {
+  const { id } = await params;
+
+  return withApiV1(req, API_V1_OPERATIONS.getConnection, async ({ instance }) => {
+    // The VM only lists connections
+    const result = await sendToVm(instance, "/api/connections", "GET", null, { action: "connections.list" });
+    if (!result.success) {
+      return vmErrorResponse(result);
+    }
+
+    const connection = (Array.isArray(result.data) ? result.data : []).find((c) => String(c.id) === id);
+    if (!connection) {
+      return apiError("not_found", "Connection not found");
+    }
+
+    return apiResponse(connection);
+  });
+}
+
+// DELETE /api/v1/connections/:id: Remove a connection (connections:write)
+export async function DELETE(req, { params }) {
+  const { id } = await params;
+
+  return withApiV1(req, API_V1_OPERATIONS.deleteConnection, async ({ instance }) => {
+    if (!isValidResourceId(id)) {
+      return apiError("invalid_request", "Invalid connection ID");
+    }
+
+    const result = await sendToVm(instance, `/api/connections/${encodeURIComponent(id)}`, "DELETE", null, {
+      action: "connections.delete",
+    });
+    if (!result.success) {
+      return vmErrorResponse(result, "Connection not found");
+    }
+
+    return apiResponse({ id, deleted: true });
+  });
+}
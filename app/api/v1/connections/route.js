@@ -0,0 +1,41 @@
+import { sendToVm } from "@/libs/vm-communication";
+import { withApiV1, apiResponse, apiError, getPageParams, paginate, vmErrorResponse } from "@/libs/api-v1";
+import { API_V1_OPERATIONS } from "@/libs/api-v1-operations";
+
+// GET /api/v1/connections: List the instance's MCP connections (connections:read)
+export async function GET(req) {
+  return withApiV1(req, API_V1_OPERATIONS.listConnections, async ({ instance, query }) => {
+    const page = getPageParams(query);
+    if (page.error) {
+      return apiError("invalid_request", page.error);
+    }
+
+    const result = await sendToVm(instance, "/api/connections", "GET", null, { action: "connections.list" });
+    if (!result.success) {
+      return vmErrorResponse(result);
+    }
+
+    const { data, pagination } = paginate(Array.isArray(result.data) ? result.data : [], page);
+
+    return apiResponse(data, { pagination });
+  });
+}
+
+// POST /api/v1/connections: Add a connection (connections:write)
+// Body: { name, type, config }, as in the dashboard's Add Connection form (see CONNECTION_INPUT_SCHEMA)
+export async function POST(req) {
+  return withApiV1(req, API_V1_OPERATIONS.createConnection, async ({ instance, body }) => {
+    const result = await sendToVm(
+      instance,
+      "/api/connections",
+      "POST",
+      { name: body.name, type: body.type, config: body.config },
+      { action: "connections.create" }
+    );
+    if (!result.success) {
+      return vmErrorResponse(result);
+    }
+
+    return apiResponse(result.data, { status: 201 });
+  });
+}
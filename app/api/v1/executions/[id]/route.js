@@ -0,0 +1,23 @@
+import { sendToVm } from "@/libs/vm-communication";
+import { withApiV1, apiResponse, apiError, vmErrorResponse, isValidResourceId } from "@/libs/api-v1";
+import { API_V1_OPERATIONS } from "@/libs/api-v1-operations";
+
+// GET /api/v1/executions/:id: Get an execution with its steps and output (executions:read)
+export async function GET(req, { params }) {
+  const { id } = await params;
+
+  return withApiV1(req, API_V1_OPERATIONS.getExecution, async ({ instance }) => {
+    if (!isValidResourceId(id)) {
+      return apiError("invalid_request", "Invalid execution ID");
+    }
+
+    const result = await sendToVm(instance, `/api/executions/${encodeURIComponent(id)}`, "GET", null, {
+      action: "executions.get",
+    });
+    if (!result.success) {
+      return vmErrorResponse(result, "Execution not found");
+    }
+
+    return apiResponse(result.data);
+  });
+}
@@ -0,0 +1,46 @@
+import { sendToVm } from "@/libs/vm-communication";
+import { withApiV1, apiResponse, apiError, getPageParams, encodeCursor, vmErrorResponse, MAX_PAGE_LIMIT } from "@/libs/api-v1";
+import { API_V1_OPERATIONS } from "@/libs/api-v1-operations";
+
+// GET /api/v1/executions: List the instance's executions, newest first (executions:read)
+// Filters: ?status=running|completed|failed and ?skillId=
+export async function GET(req) {
+  return withApiV1(req, API_V1_OPERATIONS.listExecutions, async ({ instance, query }) => {
+    const page = getPageParams(query);
+    if (page.error) {
+      return apiError("invalid_request", page.error);
+    }
+
+    const { status, skillId } = query;
+
+    // The VM pages executions itself, so the cursor holds its page (and the page size it was made with).
+    // Cursors come from the client: a page size outside the limits is ignored.
+    const { page: cursorPage, limit: cursorLimit } = page.position;
+    const pageNumber = Number.isInteger(cursorPage) && cursorPage > 0 ? cursorPage : 1;
+    const pageSize = Number.isInteger(cursorLimit) && cursorLimit >= 1 && cursorLimit <= MAX_PAGE_LIMIT ? cursorLimit : page.limit;
+
+    const queryParams = new URLSearchParams({ page: String(pageNumber), pageSize: String(pageSize) });
+    if (status) {
+      queryParams.append("status", status);
+    }
+    if (skillId) {
+      queryParams.append("skillId", skillId);
+    }
+
+    const result = await sendToVm(instance, `/api/executions?${queryParams.toString()}`, "GET", null, {
+      action: "executions.list",
+    });
+    if (!result.success) {
+      return vmErrorResponse(result);
+    }
+
+    const hasMore = pageNumber < (result.data?.totalPages || 1);
+
+    return apiResponse(result.data?.executions || [], {
+      pagination: {
+        nextCursor: hasMore ? encodeCursor({ page: pageNumber + 1, limit: pageSize }) : null,
+        hasMore,
+      },
+    });
+  });
+}
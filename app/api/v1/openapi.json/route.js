@@ -0,0 +1,12 @@
+import { NextResponse } from "next/server";
+import { buildOpenApiDocument } from "@/libs/openapi";
+
+// GET /api/v1/openapi.json: OpenAPI 3.1 description of the public API (no API key needed)
+export async function GET() {
+  return NextResponse.json(buildOpenApiDocument(), {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "public, max-age=3600",
+    },
+  });
+}
@@ -0,0 +1,12 @@
+import { NextResponse } from "next/server";
+import { SKILL_FILE_SCHEMA } from "@/libs/skill-files";
+
+// GET /api/v1/schemas/skill-file.json: JSON Schema of skill files (no API key needed), for editors and CI checks
+export async function GET() {
+  return NextResponse.json(SKILL_FILE_SCHEMA, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "public, max-age=3600",
+    },
+  });
+}
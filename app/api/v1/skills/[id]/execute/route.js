@@ -0,0 +1,32 @@
+import { sendToVm } from "@/libs/vm-communication";
+import { withApiV1, apiResponse, apiError, vmErrorResponse, isValidResourceId } from "@/libs/api-v1";
+import { API_V1_OPERATIONS } from "@/libs/api-v1-operations";
+import { checkUsageLimits } from "@/libs/usage";
+
+// POST /api/v1/skills/:id/execute: Start running a skill (skills:execute)
+// Body: { input } (optional). Answers 202 with the execution to follow at /api/v1/executions/:id.
+export async function POST(req, { params }) {
+  const { id } = await params;
+
+  return withApiV1(req, API_V1_OPERATIONS.executeSkill, async ({ organization, instance, body }) => {
+    if (!isValidResourceId(id)) {
+      return apiError("invalid_request", "Invalid skill ID");
+    }
+
+    // Block the execution once a plan limit is reached
+    const limits = await checkUsageLimits(organization);
+    if (!limits.allowed) {
+      const { error: message, code, ...details } = limits.error;
+      return apiError(code, message, { details, headers: { "Retry-After": String(limits.retryAfter) } });
+    }
+
+    const result = await sendToVm(instance, "/api/execute", "POST", { skill_id: id, input: body.input || {} }, {
+      action: "skills.execute",
+    });
+    if (!result.success) {
+      return vmErrorResponse(result, "Skill not found");
+    }
+
+    return apiResponse({ executionId: result.data.execution_id, status: result.data.status }, { status: 202 });
+  });
+}
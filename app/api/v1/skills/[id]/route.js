@@ -0,0 +1,77 @@
+import { sendToVm } from "@/libs/vm-communication";
+import { withApiV1, apiResponse, apiError, vmErrorResponse, isValidResourceId } from "@/libs/api-v1";
+import { API_V1_OPERATIONS } from "@/libs/api-v1-operations";
+import { validateSkill } from "@/libs/skills";
+
+// GET /api/v1/skills/:id: Get a skill (skills:read)
+export async function GET(req, { params }) {
+  const { id } = await params;
+
+  return withApiV1(req, API_V1_OPERATIONS.getSkill, async ({ instance }) => {
+    if (!isValidResourceId(id)) {
+      return apiError("invalid_request", "Invalid skill ID");
+    }
+
+    const result = await sendToVm(instance, `/api/skills/${encodeURIComponent(id)}`, "GET", null, {
+      action: "skills.get",
+    });
+    if (!result.success) {
+      return vmErrorResponse(result, "Skill not found");
+    }
+
+    return apiResponse(result.data);
+  });
+}
+
+// PATCH /api/v1/skills/:id: Change some of a skill's fields (skills:write)
+// The skill is read first so the complete definition can be checked before it is saved.
+export async function PATCH(req, { params }) {
+  const { id } = await params;
+
+  return withApiV1(req, API_V1_OPERATIONS.updateSkill, async ({ instance, body: changes }) => {
+    if (!isValidResourceId(id)) {
+      return apiError("invalid_request", "Invalid skill ID");
+    }
+
+    const path = `/api/skills/${encodeURIComponent(id)}`;
+
+    const current = await sendToVm(instance, path, "GET", null, { action: "skills.get" });
+    if (!current.success) {
+      return vmErrorResponse(current, "Skill not found");
+    }
+
+    const skill = { ...current.data, ...changes, id: current.data.id };
+
+    const validationError = validateSkill(skill);
+    if (validationError) {
+      return apiError("invalid_request", validationError);
+    }
+
+    const result = await sendToVm(instance, path, "PUT", skill, { action: "skills.update" });
+    if (!result.success) {
+      return vmErrorResponse(result, "Skill not found");
+    }
+
+    return apiResponse(result.data);
+  });
+}
+
+// DELETE /api/v1/skills/:id: Delete a skill (skills:write)
+export async function DELETE(req, { params }) {
+  const { id } = await params;
+
+  return withApiV1(req, API_V1_OPERATIONS.deleteSkill, async ({ instance }) => {
+    if (!isValidResourceId(id)) {
+      return apiError("invalid_request", "Invalid skill ID");
+    }
+
+    const result = await sendToVm(instance, `/api/skills/${encodeURIComponent(id)}`, "DELETE", null, {
+      action: "skills.delete",
+    });
+    if (!result.success) {
+      return vmErrorResponse(result, "Skill not found");
+    }
+
+    return apiResponse({ id, deleted: true });
+  });
+}
@@ -0,0 +1,36 @@
+import { sendToVm } from "@/libs/vm-communication";
+import { withApiV1, apiResponse, apiError, getPageParams, paginate, vmErrorResponse } from "@/libs/api-v1";
+import { API_V1_OPERATIONS } from "@/libs/api-v1-operations";
+
+// GET /api/v1/skills: List the instance's skills (skills:read)
+export async function GET(req) {
+  return withApiV1(req, API_V1_OPERATIONS.listSkills, async ({ instance, query }) => {
+    const page = getPageParams(query);
+    if (page.error) {
+      return apiError("invalid_request", page.error);
+    }
+
+    const result = await sendToVm(instance, "/api/skills", "GET", null, { action: "skills.list" });
+    if (!result.success) {
+      return vmErrorResponse(result);
+    }
+
+    const skills = Array.isArray(result.data) ? result.data : result.data?.skills || [];
+    const { data, pagination } = paginate(skills, page);
+
+    return apiResponse(data, { pagination });
+  });
+}
+
+// POST /api/v1/skills: Create a skill (skills:write)
+// The body is checked against the skill schema (see API_V1_OPERATIONS.createSkill)
+export async function POST(req) {
+  return withApiV1(req, API_V1_OPERATIONS.createSkill, async ({ instance, body }) => {
+    const result = await sendToVm(instance, "/api/skills", "POST", body, { action: "skills.create" });
+    if (!result.success) {
+      return vmErrorResponse(result);
+    }
+
+    return apiResponse(result.data, { status: 201 });
+  });
+}
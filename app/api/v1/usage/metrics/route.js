@@ -0,0 +1,20 @@
+import { withApiV1, apiResponse, apiError } from "@/libs/api-v1";
+import { API_V1_OPERATIONS } from "@/libs/api-v1-operations";
+import { resolveUsageRange, getUsageSeries } from "@/libs/usage";
+
+// GET /api/v1/usage/metrics: Usage over a date range, by day or week (usage:read)
+// Query: from, to (YYYY-MM-DD, default: last 30 days), interval (day | week)
+export async function GET(req) {
+  return withApiV1(req, API_V1_OPERATIONS.getUsageMetrics, async ({ organization, query }) => {
+    let range;
+    try {
+      range = resolveUsageRange(query);
+    } catch (e) {
+      return apiError("invalid_request", e.message);
+    }
+
+    const { series, totals } = await getUsageSeries(organization._id, range);
+
+    return apiResponse({ ...range, series, totals });
+  });
+}
@@ -0,0 +1,10 @@
+import { withApiV1, apiResponse } from "@/libs/api-v1";
+import { API_V1_OPERATIONS } from "@/libs/api-v1-operations";
+import { getUsageSummary } from "@/libs/usage";
+
+// GET /api/v1/usage: Month-to-date usage of the organization against the plan's quotas (usage:read)
+export async function GET(req) {
+  return withApiV1(req, API_V1_OPERATIONS.getUsage, async ({ organization }) => {
+    return apiResponse(await getUsageSummary(organization));
+  });
+}
@@ -0,0 +1,27 @@
+import { withApiV1, apiResponse, apiError } from "@/libs/api-v1";
+import { API_V1_OPERATIONS } from "@/libs/api-v1-operations";
+import { getRequestInstance, toInstanceSummary } from "@/libs/instances";
+import { checkVmHealth } from "@/libs/vm-communication";
+
+// GET /api/v1/vm: Status of the instance's VM, with a health check when it is ready (vm:read)
+export async function GET(req) {
+  // The VM doesn't have to be ready: this is how clients find out whether it is
+  return withApiV1(req, API_V1_OPERATIONS.getVmStatus, async ({ organization }) => {
+    const instance = await getRequestInstance(req, organization._id);
+    if (!instance) {
+      return apiError("not_found", "Instance not found");
+    }
+
+    let health = null;
+    if (instance.vmSubdomain && instance.vmStatus === "ready") {
+      const { ping } = await checkVmHealth(instance);
+      health = {
+        status: ping?.status || "error",
+        responseTime: ping?.responseTime ?? null,
+        checkedAt: ping?.timestamp || new Date().toISOString(),
+      };
+    }
+
+    return apiResponse({ ...toInstanceSummary(instance), health });
+  });
+}
@@ -0,0 +1,64 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { restoreBackup } from "@/libs/backups";
+import { getRequestInstance } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
+
+/**
+ * POST /api/vm/backups/:id/restore
+ * Restore a backup of the selected instance to a new VM. The current VM keeps running until the restored one
+ * registers, then the subdomain is switched over to it and the old VM is deleted.
+ */
+export async function POST(req, { params }) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id } = await params;
+
+    const membership = await authorizeMember(session.user.id, "admin");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const { organization } = membership;
+
+    if (!organization.hasAccess) {
+      return NextResponse.json(
+        { error: "Subscription required. Please subscribe first." },
+        { status: 403 }
+      );
+    }
+
+    const instance = await getRequestInstance(req, organization._id);
+
+    if (!instance) {
+      return NextResponse.json(
+        { error: "Instance not found" },
+        { status: 404 }
+      );
+    }
+
+    const result = await restoreBackup(instance._id.toString(), id);
+
+    if (!result.success) {
+      const status = result.notFound ? 404 : result.invalid ? 400 : 500;
+      return NextResponse.json({ error: result.error }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: "Restore started. Your VM will switch over once the restored VM is up.",
+      backupId: result.backupId,
+    });
+  } catch (error) {
+    console.error("[Restore API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
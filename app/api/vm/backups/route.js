@@ -0,0 +1,111 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { listBackups, createBackup, getBackupPolicy } from "@/libs/backups";
+import { getRequestInstance } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
+
+/**
+ * GET /api/vm/backups
+ * List the selected instance's VM backups (newest first), the plan's backup policy and any restore in progress
+ */
+export async function GET(req) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const membership = await authorizeMember(session.user.id, "viewer");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const { organization } = membership;
+
+    const instance = await getRequestInstance(req, organization._id);
+
+    if (!instance) {
+      return NextResponse.json(
+        { error: "Instance not found" },
+        { status: 404 }
+      );
+    }
+
+    const backups = await listBackups(instance._id);
+
+    return NextResponse.json({
+      backups: backups.map((backup) => ({
+        id: backup._id.toString(),
+        trigger: backup.trigger,
+        status: backup.status,
+        createdAt: backup.createdAt,
+        availableAt: backup.availableAt || null,
+      })),
+      policy: getBackupPolicy(organization.priceId),
+      restore: instance.vmRestore?.serverId
+        ? { backupId: instance.vmRestore.backupId.toString(), startedAt: instance.vmRestore.startedAt }
+        : null,
+    });
+  } catch (error) {
+    console.error("[Backups API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/vm/backups
+ * Take a backup of the selected instance's VM right away
+ */
+export async function POST(req) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const membership = await authorizeMember(session.user.id, "admin");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const instance = await getRequestInstance(req, membership.organization._id);
+
+    if (!instance) {
+      return NextResponse.json(
+        { error: "Instance not found" },
+        { status: 404 }
+      );
+    }
+
+    const result = await createBackup(instance._id.toString());
+
+    if (!result.success) {
+      return NextResponse.json(
+        { error: result.error },
+        { status: result.invalid ? 400 : 500 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      backup: {
+        id: result.backup._id.toString(),
+        trigger: result.backup.trigger,
+        status: result.backup.status,
+        createdAt: result.backup.createdAt,
+        availableAt: null,
+      },
+    });
+  } catch (error) {
+    console.error("[Backups API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,28 @@
+import { NextResponse } from "next/server";
+import { getVmJwks } from "@/libs/vm-keys";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * GET /api/vm/jwks/[subdomain]
+ * Public key a VM verifies Alfred Core's request tokens with (see libs/vm-keys.js)
+ * Public: the VM fetches it at startup and whenever it sees an unknown key ID
+ */
+export async function GET(req, { params }) {
+  try {
+    const { subdomain } = await params;
+
+    const jwks = await getVmJwks(subdomain);
+
+    if (!jwks) {
+      return NextResponse.json({ error: "No signing key for this VM" }, { status: 404 });
+    }
+
+    return NextResponse.json(jwks, {
+      headers: { "Cache-Control": "public, max-age=300" },
+    });
+  } catch (error) {
+    console.error("JWKS error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,46 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { getVmOptions } from "@/libs/vm-plans";
+import { DEFAULT_VM_PROVIDER } from "@/libs/vm-providers";
+import { getRequestInstance } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
+
+/**
+ * GET /api/vm/options
+ * Regions, server types and volume sizes the organization's plan allows, plus the selected instance's current selection
+ */
+export async function GET(req) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const membership = await authorizeMember(session.user.id, "viewer");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const { organization } = membership;
+
+    // Organizations that haven't got an instance yet get the defaults
+    const instance = await getRequestInstance(req, organization._id);
+    const options = getVmOptions(organization.priceId, instance?.vmProvider || DEFAULT_VM_PROVIDER);
+
+    return NextResponse.json({
+      ...options,
+      current: {
+        region: instance?.vmRegion || options.defaultRegion,
+        size: instance?.vmSize || options.defaultSize,
+        volumeSize: instance?.vmVolumeSize || options.defaultVolumeSize,
+      },
+    });
+  } catch (error) {
+    console.error("[VM Options API] Error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
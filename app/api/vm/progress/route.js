@@ -0,0 +1,62 @@
+import { NextResponse } from "next/server";
+import connectMongo from "@/libs/mongoose";
+import Instance from "@/models/Instance";
+import bcrypt from "bcryptjs";
+import { recordSetupPhase, VM_SETUP_PHASES, VM_SETUP_FAILURE_PHASES } from "@/libs/provisioning";
+
+/**
+ * POST /api/vm/progress
+ * Called by the VM's cloud-init setup.sh at each setup checkpoint
+ * (docker installed, images pulled, containers healthy, TLS issued) before it registers.
+ * Authenticated with the same subdomain + auth secret pair as /api/vm/register.
+ */
+export async function POST(req) {
+  try {
+    const { subdomain, authSecret, phase, message } = await req.json();
+
+    if (!subdomain || !authSecret || !phase) {
+      return NextResponse.json({ error: "Missing required fields" }, { status: 400 });
+    }
+
+    if (![...VM_SETUP_PHASES, ...VM_SETUP_FAILURE_PHASES].includes(phase)) {
+      return NextResponse.json({ error: `Unknown phase: ${phase}` }, { status: 400 });
+    }
+
+    await connectMongo();
+
+    // Find instance by subdomain
+    const instance = await Instance.findOne({ vmSubdomain: subdomain });
+
+    if (!instance) {
+      return NextResponse.json({ error: "Instance not found" }, { status: 404 });
+    }
+
+    if (!instance.vmAuthSecretHash) {
+      return NextResponse.json({ error: "No auth secret expected for this VM" }, { status: 400 });
+    }
+
+    const isValidSecret = await bcrypt.compare(authSecret, instance.vmAuthSecretHash);
+    if (!isValidSecret) {
+      console.error(`Invalid auth secret in progress report for subdomain ${subdomain}`);
+      return NextResponse.json({ error: "Invalid auth secret" }, { status: 401 });
+    }
+
+    const job = await recordSetupPhase(
+      instance._id,
+      subdomain,
+      phase,
+      typeof message === "string" ? message.slice(0, 1000) : undefined
+    );
+
+    if (!job) {
+      return NextResponse.json({ error: "No provisioning job found for this VM" }, { status: 404 });
+    }
+
+    console.log(`VM ${subdomain} reported setup phase ${phase}`);
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("VM progress report error:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,116 @@
+import { auth } from "@/libs/auth";
+import Instance from "@/models/Instance";
+import { getProvisioningStatus } from "@/libs/provisioning";
+import { getRequestInstance } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
+
+export const dynamic = "force-dynamic";
+
+// The stream is closed before the function times out; EventSource reconnects on its own
+export const maxDuration = 60;
+
+const STREAM_DURATION_MS = 50000;
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * GET /api/vm/provision/events
+ * Server-Sent Events stream of the selected instance's provisioning progress
+ * (EventSource can't send headers, so the instance is picked with ?instanceId=)
+ *
+ * Events:
+ * - status: { vmStatus, provisioning } whenever a step or setup phase changes
+ * - done: { vmStatus } once the VM is ready or provisioning failed, then the stream closes
+ * - failure: { error } if the status could not be loaded
+ */
+export async function GET(req) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return new Response(JSON.stringify({ error: "Authentication required" }), {
+      status: 401,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  const membership = await authorizeMember(session.user.id, "viewer");
+  if (membership.error) {
+    return new Response(JSON.stringify({ error: membership.error }), {
+      status: membership.status,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  const selected = await getRequestInstance(req, membership.organization._id);
+
+  if (!selected) {
+    return new Response(JSON.stringify({ error: "Instance not found" }), {
+      status: 404,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  const instanceId = selected._id;
+  const encoder = new TextEncoder();
+
+  // Set once the client went away (the stream is cancelled and can't be written to or closed any more)
+  let cancelled = false;
+  const isGone = () => cancelled || req.signal.aborted;
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const write = (event, json) => {
+        if (!isGone()) {
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${json}\n\n`));
+        }
+      };
+      const send = (event, data) => write(event, JSON.stringify(data));
+
+      const deadline = Date.now() + STREAM_DURATION_MS;
+      let lastPayload = null;
+
+      try {
+        while (!isGone() && Date.now() < deadline) {
+          const instance = await Instance.findById(instanceId).select("vmStatus");
+
+          if (!instance) {
+            send("failure", { error: "Instance not found" });
+            break;
+          }
+
+          const provisioning = await getProvisioningStatus(instanceId);
+          const payload = JSON.stringify({ vmStatus: instance.vmStatus, provisioning });
+
+          if (payload !== lastPayload) {
+            write("status", payload);
+            lastPayload = payload;
+          }
+
+          if (instance.vmStatus === "ready" || instance.vmStatus === "error") {
+            send("done", { vmStatus: instance.vmStatus });
+            break;
+          }
+
+          await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+        }
+      } catch (error) {
+        console.error("Provisioning event stream error:", error);
+        send("failure", { error: "Failed to load provisioning status" });
+      } finally {
+        if (!isGone()) {
+          controller.close();
+        }
+      }
+    },
+    cancel() {
+      cancelled = true;
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+    },
+  });
+}
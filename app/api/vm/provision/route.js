@@ -1,17 +1,22 @@
-import { NextResponse } from "next/server";
+import { NextResponse, after } from "next/server";
 import { auth } from "@/libs/auth";
-import connectMongo from "@/libs/mongoose";
-import User from "@/models/User";
-import { provisionVM } from "@/libs/provisioning";
+import { enqueueProvisioning, runJobs } from "@/libs/jobs";
+import { resolveVmSelection } from "@/libs/vm-plans";
+import { getRequestedInstanceId, findOrganizationInstance, getOrCreateProductionInstance } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
 
-// Extend timeout for provisioning (max 60s on Vercel Pro, 10s on Hobby)
-export const maxDuration = 60;
+// Provisioning runs in the job queue, started right after the response (see libs/jobs.js)
+export const maxDuration = 300;
 
 /**
  * POST /api/vm/provision
- * Manually trigger VM provisioning for users who have access but no VM yet
+ * Manually trigger VM provisioning for an instance that has no VM yet (the selected one, see libs/instances.js).
+ * Organizations that have access but no instance at all get their production instance created.
+ *
+ * Body (optional): { region, size, volumeSize } to override what was picked at checkout.
+ * Ignored when a failed run is retried, since its resources already exist.
  */
-export async function POST() {
+export async function POST(req) {
   const session = await auth();
 
   if (!session?.user?.id) {
@@ -22,70 +27,89 @@ export async function POST() {
   }
 
   try {
-    await connectMongo();
-    const user = await User.findById(session.user.id);
+    const body = await req.json().catch(() => ({}));
 
-    if (!user) {
-      return NextResponse.json(
-        { error: "User not found" },
-        { status: 404 }
-      );
+    const membership = await authorizeMember(session.user.id, "admin");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
     }
 
-    // Check if user has subscription access
-    if (!user.hasAccess) {
+    const { organization } = membership;
+
+    // Check if the organization has subscription access
+    if (!organization.hasAccess) {
       return NextResponse.json(
         { error: "Subscription required. Please subscribe first." },
         { status: 403 }
       );
     }
 
+    const requestedInstanceId = getRequestedInstanceId(req);
+    const instance = requestedInstanceId
+      ? await findOrganizationInstance(organization._id, requestedInstanceId)
+      : await getOrCreateProductionInstance(organization._id);
+
+    if (!instance) {
+      return NextResponse.json(
+        { error: "Instance not found" },
+        { status: 404 }
+      );
+    }
+
     // Check if VM is already provisioned or in progress
-    if (user.vmStatus === 'ready') {
+    if (instance.vmStatus === 'ready') {
       return NextResponse.json(
-        { error: "VM already provisioned", subdomain: user.vmSubdomain },
+        { error: "VM already provisioned", subdomain: instance.vmSubdomain },
         { status: 400 }
       );
     }
 
-    if (user.vmStatus === 'provisioning') {
+    if (instance.vmStatus === 'provisioning') {
       return NextResponse.json(
-        { error: "VM provisioning already in progress", subdomain: user.vmSubdomain },
+        { error: "VM provisioning already in progress", subdomain: instance.vmSubdomain },
         { status: 400 }
       );
     }
 
-    // If retrying from error, reset VM fields
-    if (user.vmStatus === 'error') {
-      console.log(`[Provision API] Resetting error state for user ${user._id}`);
-      user.vmSubdomain = null;
-      user.vmIp = null;
-      user.vmHetznerId = null;
-      user.vmStatus = 'pending';
-      await user.save();
+    // If retrying from error, provisioning resumes the failed ProvisioningJob from the
+    // failed step, reusing the volume/server it already created
+    if (instance.vmStatus === 'error') {
+      console.log(`[Provision API] Retrying failed provisioning for instance ${instance._id}`);
+    } else if (body.region || body.size || body.volumeSize) {
+      try {
+        const selection = resolveVmSelection(organization.priceId, {
+          provider: instance.vmProvider,
+          region: body.region || instance.vmRegion,
+          size: body.size || instance.vmSize,
+          volumeSize: body.volumeSize || instance.vmVolumeSize,
+        });
+        instance.vmProvider = selection.provider;
+        instance.vmRegion = selection.region;
+        instance.vmSize = selection.size;
+        instance.vmVolumeSize = selection.volumeSize;
+        await instance.save();
+      } catch (error) {
+        return NextResponse.json(
+          { error: error.message },
+          { status: 400 }
+        );
+      }
     }
 
-    // Trigger VM provisioning synchronously
-    console.log(`[Provision API] Starting VM provisioning for user ${user._id}`);
-
-    // Run provisioning synchronously so it completes before function ends
-    const result = await provisionVM(user._id.toString());
-
-    if (result.success) {
-      return NextResponse.json({
-        success: true,
-        message: "VM provisioning completed",
-        vmStatus: 'provisioning', // Still provisioning until VM registers itself
-        subdomain: result.subdomain,
-        ipAddress: result.ipAddress,
-      });
-    } else {
-      return NextResponse.json({
-        success: false,
-        error: result.error || "Provisioning failed",
-        vmStatus: 'error',
-      }, { status: 500 });
-    }
+    // Queue provisioning; a second request while it is queued or running gets the same job
+    const { job, existing } = await enqueueProvisioning(instance);
+    console.log(`[Provision API] ${existing ? "Provisioning already queued" : "Queued VM provisioning"} for instance ${instance._id}`);
+
+    // Start the queue now instead of waiting for the next /api/cron/jobs run
+    after(() => runJobs());
+
+    return NextResponse.json({
+      success: true,
+      message: "VM provisioning started",
+      vmStatus: "provisioning", // Until the VM registers itself
+      instanceId: instance._id.toString(),
+      jobId: job._id.toString(),
+    }, { status: 202 });
 
   } catch (error) {
     console.error("[Provision API] Error:", error);
@@ -1,7 +1,9 @@
 import { NextResponse } from "next/server";
 import connectMongo from "@/libs/mongoose";
-import User from "@/models/User";
+import Instance from "@/models/Instance";
 import bcrypt from "bcryptjs";
+import { completeProvisioningJob } from "@/libs/provisioning";
+import { isRestoreRegistration, completeRestore } from "@/libs/backups";
 
 export async function POST(req) {
   try {
@@ -13,33 +15,46 @@ export async function POST(req) {
 
     await connectMongo();
 
-    // Find user by subdomain
-    const user = await User.findOne({ vmSubdomain: subdomain });
+    // Find instance by subdomain
+    const instance = await Instance.findOne({ vmSubdomain: subdomain });
 
-    if (!user) {
-      return NextResponse.json({ error: "User not found" }, { status: 404 });
+    if (!instance) {
+      return NextResponse.json({ error: "Instance not found" }, { status: 404 });
     }
 
-    if (user.vmStatus === "ready") {
+    // A VM restored from a backup registers while the current one is still running
+    if (await isRestoreRegistration(instance, authSecret)) {
+      const restore = await completeRestore(instance, publicKey);
+      console.log(`Restored VM ${restore.serverId} registered for subdomain ${subdomain}`);
+
+      return NextResponse.json({
+        success: true,
+        message: "Restored VM registered successfully"
+      });
+    }
+
+    if (instance.vmStatus === "ready") {
       return NextResponse.json({ error: "VM already registered" }, { status: 400 });
     }
 
     // Verify the auth secret matches what we stored during provisioning
-    if (!user.vmAuthSecretHash) {
+    if (!instance.vmAuthSecretHash) {
       return NextResponse.json({ error: "No auth secret expected for this VM" }, { status: 400 });
     }
 
-    const isValidSecret = await bcrypt.compare(authSecret, user.vmAuthSecretHash);
+    const isValidSecret = await bcrypt.compare(authSecret, instance.vmAuthSecretHash);
     if (!isValidSecret) {
       console.error(`Invalid auth secret for subdomain ${subdomain}`);
       return NextResponse.json({ error: "Invalid auth secret" }, { status: 401 });
     }
 
-    // Update user record - VM is now verified and ready
-    user.vmStatus = "ready";
-    user.vmPublicKey = publicKey || null;
-    user.vmProvisionedAt = new Date();
-    await user.save();
+    // Update instance record - VM is now verified and ready
+    instance.vmStatus = "ready";
+    instance.vmPublicKey = publicKey || null;
+    instance.vmProvisionedAt = new Date();
+    await instance.save();
+
+    await completeProvisioningJob(instance._id);
 
     console.log(`VM registered successfully for subdomain ${subdomain}`);
 
@@ -0,0 +1,94 @@
+import { NextResponse } from "next/server";
+import { auth } from "@/libs/auth";
+import { resizeVM } from "@/libs/provisioning";
+import { getRequestInstance } from "@/libs/instances";
+import { authorizeMember } from "@/libs/organizations";
+
+// Provider actions are polled for up to 45s per request
+export const maxDuration = 60;
+
+/**
+ * POST /api/vm/resize
+ * Resize the selected instance's VM to another server type and/or grow its data volume, in place.
+ *
+ * Body: { size, volumeSize } (both optional, must be allowed by the organization's plan).
+ * While a resize is in progress (vmStatus 'resizing') the body is ignored and the call
+ * continues the pending resize; 202 means it is still running and should be called again.
+ */
+export async function POST(req) {
+  const session = await auth();
+
+  if (!session?.user?.id) {
+    return NextResponse.json(
+      { error: "Authentication required" },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}));
+
+    const membership = await authorizeMember(session.user.id, "admin");
+    if (membership.error) {
+      return NextResponse.json({ error: membership.error }, { status: membership.status });
+    }
+
+    const { organization } = membership;
+
+    if (!organization.hasAccess) {
+      return NextResponse.json(
+        { error: "Subscription required. Please subscribe first." },
+        { status: 403 }
+      );
+    }
+
+    const instance = await getRequestInstance(req, organization._id);
+
+    if (!instance) {
+      return NextResponse.json(
+        { error: "Instance not found" },
+        { status: 404 }
+      );
+    }
+
+    const continuing = instance.vmStatus === "resizing";
+    if (!continuing && !body.size && !body.volumeSize) {
+      return NextResponse.json(
+        { error: "size or volumeSize is required" },
+        { status: 400 }
+      );
+    }
+
+    const result = await resizeVM(
+      instance._id.toString(),
+      continuing ? null : { size: body.size, volumeSize: body.volumeSize }
+    );
+
+    if (result.success) {
+      return NextResponse.json({
+        success: true,
+        vmStatus: "ready",
+        size: result.size,
+        volumeSize: result.volumeSize,
+      });
+    }
+
+    if (result.pending) {
+      return NextResponse.json(
+        { success: false, pending: true, vmStatus: "resizing", step: result.step },
+        { status: 202 }
+      );
+    }
+
+    return NextResponse.json(
+      { success: false, error: result.error },
+      { status: result.invalid ? 400 : 500 }
+    );
+  } catch (error) {
+    console.error("[Resize API] Error:", error);
+    return NextResponse.json(
+      { error: "Failed to resize VM", message: error.message },
+      { status: 500 }
+    );
+  }
+}
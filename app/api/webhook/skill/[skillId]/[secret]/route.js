@@ -1,6 +1,6 @@
 import { NextResponse } from "next/server";
 import connectMongo from "@/libs/mongoose";
-import User from "@/models/User";
+import Instance from "@/models/Instance";
 
 export async function POST(req, { params }) {
   try {
@@ -9,7 +9,7 @@ export async function POST(req, { params }) {
 
     await connectMongo();
 
-    // Find user by webhook secret (stored in skill config on VM)
+    // Find the instance by webhook secret (stored in skill config on VM)
     // For now, we extract subdomain from the referer or a header
     const subdomain = req.headers.get("x-alfred-subdomain");
 
@@ -17,14 +17,14 @@ export async function POST(req, { params }) {
       return NextResponse.json({ error: "Missing subdomain" }, { status: 400 });
     }
 
-    const user = await User.findOne({ vmSubdomain: subdomain });
+    const instance = await Instance.findOne({ vmSubdomain: subdomain });
 
-    if (!user || user.vmStatus !== "ready") {
+    if (!instance || instance.vmStatus !== "ready") {
       return NextResponse.json({ error: "VM not found or not ready" }, { status: 404 });
     }
 
-    // Forward webhook to user's VM
-    const vmUrl = `https://${user.vmSubdomain}.alfredos.site/webhook/${skillId}/${secret}`;
+    // Forward webhook to the instance's VM
+    const vmUrl = `https://${instance.vmSubdomain}.alfredos.site/webhook/${skillId}/${secret}`;
 
     const response = await fetch(vmUrl, {
       method: "POST",
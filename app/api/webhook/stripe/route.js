@@ -1,19 +1,19 @@
-import { NextResponse } from "next/server";
+import { NextResponse, after } from "next/server";
 import { headers } from "next/headers";
 import Stripe from "stripe";
-import connectMongo from "@/libs/mongoose";
-import configFile from "@/config";
-import User from "@/models/User";
-import { findCheckoutSession } from "@/libs/stripe";
-import { provisionVM } from "@/libs/provisioning";
+import { processStripeEvent } from "@/libs/stripe-events";
+import { runJobs } from "@/libs/jobs";
+
+// Jobs queued by an event (e.g. VM provisioning) start right after the response
+export const maxDuration = 300;
 
 // Initialize Stripe only if the secret key is available
 const stripe = process.env.STRIPE_SECRET_KEY ? new Stripe(process.env.STRIPE_SECRET_KEY) : null;
 const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
 // This is where we receive Stripe webhook events
-// It used to update the user data, send emails, etc...
-// By default, it'll store the user in the database
+// It used to update the user data, send emails, etc... (see libs/stripe-events.js)
+// Each event is processed once; failures answer with a 500 so Stripe retries them
 // See more: https://shipfa.st/docs/features/payments
 export async function POST(req) {
   // Check if Stripe is configured
@@ -22,14 +22,10 @@ export async function POST(req) {
     return NextResponse.json({ error: "Stripe configuration missing" }, { status: 500 });
   }
 
-  await connectMongo();
-
   const body = await req.text();
 
   const signature = (await headers()).get("stripe-signature");
 
-  let data;
-  let eventType;
   let event;
 
   // verify Stripe event is legit
@@ -40,130 +36,25 @@ export async function POST(req) {
     return NextResponse.json({ error: err.message }, { status: 400 });
   }
 
-  data = event.data;
-  eventType = event.type;
-
   try {
-    switch (eventType) {
-      case "checkout.session.completed": {
-        // First payment is successful and a subscription is created (if mode was set to "subscription" in ButtonCheckout)
-        // ✅ Grant access to the product
-
-        const session = await findCheckoutSession(data.object.id);
-
-        const customerId = session?.customer;
-        const priceId = session?.line_items?.data[0]?.price.id;
-        const userId = data.object.client_reference_id;
-        const plan = configFile.stripe.plans.find((p) => p.priceId === priceId);
-
-        if (!plan) break;
-
-        const customer = await stripe.customers.retrieve(customerId);
-
-        let user;
-
-        // Get or create the user. userId is normally pass in the checkout session (clientReferenceID) to identify the user when we get the webhook event
-        if (userId) {
-          user = await User.findById(userId);
-        } else if (customer.email) {
-          user = await User.findOne({ email: customer.email });
-
-          if (!user) {
-            user = await User.create({
-              email: customer.email,
-              name: customer.name,
-            });
-
-            await user.save();
-          }
-        } else {
-          console.error("No user found");
-          throw new Error("No user found");
-        }
-
-        // Update user data + Grant user access to your product. It's a boolean in the database, but could be a number of credits, etc...
-        user.priceId = priceId;
-        user.customerId = customerId;
-        user.hasAccess = true;
-        await user.save();
-
-        // Trigger VM provisioning asynchronously
-        provisionVM(user._id.toString()).catch(err => {
-          console.error(`VM provisioning failed for user ${user._id}:`, err);
-        });
-
-        // Extra: send email with user link, product page, etc...
-        // try {
-        //   await sendEmail({to: ...});
-        // } catch (e) {
-        //   console.error("Email issue:" + e?.message);
-        // }
-
-        break;
-      }
+    const result = await processStripeEvent(event);
 
-      case "checkout.session.expired": {
-        // User didn't complete the transaction
-        // You don't need to do anything here, by you can send an email to the user to remind him to complete the transaction, for instance
-        break;
-      }
-
-      case "customer.subscription.updated": {
-        // The customer might have changed the plan (higher or lower plan, cancel soon etc...)
-        // You don't need to do anything here, because Stripe will let us know when the subscription is canceled for good (at the end of the billing cycle) in the "customer.subscription.deleted" event
-        // You can update the user data to show a "Cancel soon" badge for instance
-        break;
-      }
-
-      case "customer.subscription.deleted": {
-        // The customer subscription stopped
-        // ❌ Revoke access to the product
-        // The customer might have changed the plan (higher or lower plan, cancel soon etc...)
-        const subscription = await stripe.subscriptions.retrieve(
-          data.object.id
-        );
-        const user = await User.findOne({ customerId: subscription.customer });
-
-        // Revoke access to your product
-        user.hasAccess = false;
-        await user.save();
-
-        break;
-      }
-
-      case "invoice.paid": {
-        // Customer just paid an invoice (for instance, a recurring payment for a subscription)
-        // ✅ Grant access to the product
-        const priceId = data.object.lines.data[0].price.id;
-        const customerId = data.object.customer;
-
-        const user = await User.findOne({ customerId });
-
-        // Make sure the invoice is for the same plan (priceId) the user subscribed to
-        if (user.priceId !== priceId) break;
-
-        // Grant user access to your product. It's a boolean in the database, but could be a number of credits, etc...
-        user.hasAccess = true;
-        await user.save();
-
-        break;
-      }
-
-      case "invoice.payment_failed":
-        // A payment failed (for instance the customer does not have a valid payment method)
-        // ❌ Revoke access to the product
-        // ⏳ OR wait for the customer to pay (more friendly):
-        //      - Stripe will automatically email the customer (Smart Retries)
-        //      - We will receive a "customer.subscription.deleted" when all retries were made and the subscription has expired
+    if (result.status === "failed") {
+      return NextResponse.json({ error: result.error }, { status: 500 });
+    }
 
-        break;
+    // Another delivery of this event is being processed: have Stripe try again later
+    if (result.status === "in_progress") {
+      return NextResponse.json({ error: "Event is already being processed" }, { status: 409 });
+    }
 
-      default:
-      // Unhandled event type
+    if (result.status === "processed") {
+      after(() => runJobs());
     }
+
+    return NextResponse.json({ received: true, duplicate: result.status === "duplicate" });
   } catch (e) {
-    console.error("stripe error: " + e.message + " | EVENT TYPE: " + eventType);
+    console.error("stripe error: " + e.message + " | EVENT TYPE: " + event.type);
+    return NextResponse.json({ error: e.message }, { status: 500 });
   }
-
-  return NextResponse.json({});
 }
@@ -0,0 +1,22 @@
+import Link from "next/link";
+import ButtonAccount from "@/components/ButtonAccount";
+import ApiKeys from "@/components/ApiKeys";
+
+// Named API keys with scopes, expirations and IP allowlists for programmatic access
+export default function ApiKeysPage() {
+  return (
+    <main className="min-h-screen p-8 pb-24">
+      <section className="max-w-xl mx-auto space-y-8">
+        <ButtonAccount />
+        <div>
+          <Link href="/dashboard" className="btn btn-ghost btn-sm -ml-3">
+            &larr; Dashboard
+          </Link>
+          <h1 className="text-3xl md:text-4xl font-extrabold">API keys</h1>
+        </div>
+
+        <ApiKeys />
+      </section>
+    </main>
+  );
+}
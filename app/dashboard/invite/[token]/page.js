@@ -0,0 +1,57 @@
+"use client";
+
+import { useState, useEffect, useRef, use } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import ButtonAccount from "@/components/ButtonAccount";
+import apiClient, { setSelectedInstanceId } from "@/libs/api";
+
+// Accepts the invitation in the link emailed by POST /api/organization/invitations, then opens the dashboard
+// of the organization joined. The layout makes sure the invitee is signed in first.
+export default function InvitePage({ params }) {
+  const { token } = use(params);
+  const router = useRouter();
+  const [error, setError] = useState(null);
+  const accepted = useRef(false);
+
+  useEffect(() => {
+    // The token is single-use, so don't send it twice when the effect re-runs
+    if (accepted.current) return;
+    accepted.current = true;
+
+    apiClient
+      .post("/organization/invitations/accept", { token })
+      .then(() => {
+        // The instance selected in the previous organization doesn't exist in this one
+        setSelectedInstanceId(null);
+        router.replace("/dashboard");
+      })
+      .catch((e) => setError(e.message));
+  }, [token, router]);
+
+  return (
+    <main className="min-h-screen p-8 pb-24">
+      <section className="max-w-xl mx-auto space-y-8">
+        <ButtonAccount />
+        <h1 className="text-3xl md:text-4xl font-extrabold">Join team</h1>
+
+        {error ? (
+          <div className="card bg-base-200">
+            <div className="card-body">
+              <p className="text-error">{error}</p>
+              <div className="card-actions mt-4">
+                <Link href="/dashboard" className="btn btn-primary">
+                  Go to dashboard
+                </Link>
+              </div>
+            </div>
+          </div>
+        ) : (
+          <div className="flex justify-center py-12">
+            <span className="loading loading-spinner loading-lg"></span>
+          </div>
+        )}
+      </section>
+    </main>
+  );
+}
@@ -6,7 +6,14 @@ import ButtonAccount from "@/components/ButtonAccount";
 import AnthropicKeyModal from "@/components/AnthropicKeyModal";
 import Quickstart from "@/components/Quickstart";
 import ProvisioningStatus from "@/components/ProvisioningStatus";
-import apiClient from "@/libs/api";
+import VmOptionsSelect from "@/components/VmOptionsSelect";
+import ResizeVM from "@/components/ResizeVM";
+import Backups from "@/components/Backups";
+import UsageQuota from "@/components/UsageQuota";
+import SubscriptionBanner from "@/components/SubscriptionBanner";
+import InstanceSwitcher from "@/components/InstanceSwitcher";
+import Team from "@/components/Team";
+import apiClient, { getSelectedInstanceId, setSelectedInstanceId } from "@/libs/api";
 
 // This is a private page: It's protected by the layout.js component which ensures the user is authenticated.
 export default function Dashboard() {
@@ -16,6 +23,8 @@ export default function Dashboard() {
   const [apiKey, setApiKey] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isProvisioning, setIsProvisioning] = useState(false);
+  const [vmOptions, setVmOptions] = useState(null);
+  const [vmSelection, setVmSelection] = useState(null);
 
   // Fetch user status and config on mount
   useEffect(() => {
@@ -26,18 +35,35 @@ export default function Dashboard() {
     try {
       setIsLoading(true);
 
-      // Fetch user status (vmStatus, vmSubdomain, etc.)
+      // Fetch user status (vmStatus, vmSubdomain, etc. of the selected instance)
       const status = await apiClient.get("/user/status");
       setUserStatus(status);
 
+      // Forget a selected instance that no longer exists, so requests go to the one shown
+      if (getSelectedInstanceId() && getSelectedInstanceId() !== status.instanceId) {
+        setSelectedInstanceId(status.instanceId);
+      }
+
+      setVmOptions(null);
+      setConfigStatus(null);
+
+      const canManageVm = ["admin", "owner"].includes(status.organization?.role);
+
+      // Let admins pick a region and size before the VM is set up
+      if (status.hasAccess && canManageVm && (!status.vmStatus || ["pending", "deprovisioned"].includes(status.vmStatus))) {
+        const options = await apiClient.get("/vm/options");
+        setVmOptions(options);
+        setVmSelection(options.current);
+      }
+
       // Only fetch VM config if VM is ready
       if (status.vmStatus === "ready") {
         try {
           const config = await apiClient.get("/proxy/vm/config");
           setConfigStatus(config);
 
-          // Auto-open modal if API key is not set
-          if (!config.hasApiKey) {
+          // Auto-open modal if API key is not set (and the user may set it)
+          if (!config.hasApiKey && canManageVm) {
             setIsModalOpen(true);
           }
         } catch (error) {
@@ -63,7 +89,7 @@ export default function Dashboard() {
   const handleStartProvisioning = async () => {
     try {
       setIsProvisioning(true);
-      await apiClient.post("/vm/provision");
+      await apiClient.post("/vm/provision", userStatus?.vmStatus === "error" ? {} : vmSelection);
       // Update local state to show provisioning UI
       setUserStatus(prev => ({ ...prev, vmStatus: 'provisioning' }));
     } catch (error) {
@@ -91,8 +117,11 @@ export default function Dashboard() {
 
   // Show provisioning status only if user has access AND VM is actively provisioning
   const showProvisioning = userStatus?.hasAccess && userStatus?.vmStatus === "provisioning";
-  // Show start setup button if user has access but hasn't started provisioning OR if there was an error
-  const showStartSetup = userStatus?.hasAccess && (!userStatus?.vmStatus || userStatus?.vmStatus === "pending" || userStatus?.vmStatus === "error");
+  // Show start setup button if user has access but hasn't started provisioning, if there was an error,
+  // or if a returning customer's previous VM was deprovisioned
+  const showStartSetup = userStatus?.hasAccess && (!userStatus?.vmStatus || ["pending", "error", "deprovisioned"].includes(userStatus?.vmStatus));
+  // VM setup, size, backups, instances and the Anthropic key are for the organization's admins
+  const canManageVm = ["admin", "owner"].includes(userStatus?.organization?.role);
 
   return (
     <main className="min-h-screen p-8 pb-24">
@@ -100,6 +129,25 @@ export default function Dashboard() {
         <ButtonAccount />
         <h1 className="text-3xl md:text-4xl font-extrabold">Dashboard</h1>
 
+        {/* Failed payment or scheduled cancellation */}
+        {userStatus?.hasAccess && (
+          <SubscriptionBanner
+            subscriptionCancelAt={userStatus.subscriptionCancelAt}
+            paymentGraceEndsAt={userStatus.paymentGraceEndsAt}
+          />
+        )}
+
+        {/* Instance (VM) the dashboard shows: production, staging, ... */}
+        {userStatus?.hasAccess && userStatus.instances?.length > 0 && (
+          <InstanceSwitcher
+            instances={userStatus.instances}
+            maxInstances={userStatus.maxInstances}
+            selectedId={userStatus.instanceId}
+            onChange={fetchDashboardData}
+            canManage={canManageVm}
+          />
+        )}
+
         {/* Start Setup Button (shown when user has access but VM not started or error) */}
         {showStartSetup && (
           <div className="card bg-base-200">
@@ -120,26 +168,35 @@ export default function Dashboard() {
                   <p className="text-sm text-base-content/50">
                     This will take approximately 3-5 minutes.
                   </p>
+                  {vmOptions && vmSelection && (
+                    <VmOptionsSelect options={vmOptions} value={vmSelection} onChange={setVmSelection} />
+                  )}
                 </>
               )}
-              <div className="card-actions mt-4">
-                <button
-                  className="btn btn-primary"
-                  onClick={handleStartProvisioning}
-                  disabled={isProvisioning}
-                >
-                  {isProvisioning ? (
-                    <>
-                      <span className="loading loading-spinner loading-sm"></span>
-                      Setting up...
-                    </>
-                  ) : userStatus?.vmStatus === "error" ? (
-                    "Retry Setup"
-                  ) : (
-                    "Start Setup"
-                  )}
-                </button>
-              </div>
+              {canManageVm ? (
+                <div className="card-actions mt-4">
+                  <button
+                    className="btn btn-primary"
+                    onClick={handleStartProvisioning}
+                    disabled={isProvisioning}
+                  >
+                    {isProvisioning ? (
+                      <>
+                        <span className="loading loading-spinner loading-sm"></span>
+                        Setting up...
+                      </>
+                    ) : userStatus?.vmStatus === "error" ? (
+                      "Retry Setup"
+                    ) : (
+                      "Start Setup"
+                    )}
+                  </button>
+                </div>
+              ) : (
+                <p className="text-sm text-base-content/50">
+                  Ask an admin of your team to set up the VM.
+                </p>
+              )}
             </div>
           </div>
         )}
@@ -158,6 +215,17 @@ export default function Dashboard() {
           />
         )}
 
+        {/* VM Size (shown when VM is ready or being resized) */}
+        {canManageVm && ["ready", "resizing"].includes(userStatus?.vmStatus) && (
+          <ResizeVM vmStatus={userStatus.vmStatus} onResized={fetchDashboardData} />
+        )}
+
+        {/* Backups (shown when VM is ready) */}
+        {userStatus?.vmStatus === "ready" && <Backups canManage={canManageVm} />}
+
+        {/* Usage against the plan's quotas (shown when VM is ready) */}
+        {userStatus?.vmStatus === "ready" && <UsageQuota showDetailsLink />}
+
         {/* API Key Configuration Section (shown when VM is ready) */}
         {userStatus?.vmStatus === "ready" && (
           <div className="card bg-base-200">
@@ -187,12 +255,14 @@ export default function Dashboard() {
                       <span className="font-mono">{configStatus.maskedApiKey}</span>
                     </div>
                   )}
-                  <button
-                    className="btn btn-sm btn-outline"
-                    onClick={() => setIsModalOpen(true)}
-                  >
-                    Update API Key
-                  </button>
+                  {canManageVm && (
+                    <button
+                      className="btn btn-sm btn-outline"
+                      onClick={() => setIsModalOpen(true)}
+                    >
+                      Update API Key
+                    </button>
+                  )}
                 </div>
               ) : (
                 <div className="space-y-3">
@@ -214,18 +284,25 @@ export default function Dashboard() {
                   <p className="text-sm text-base-content/70">
                     You need to configure your Anthropic API key to use Alfred&apos;s AI features.
                   </p>
-                  <button
-                    className="btn btn-primary btn-sm"
-                    onClick={() => setIsModalOpen(true)}
-                  >
-                    Set API Key
-                  </button>
+                  {canManageVm ? (
+                    <button
+                      className="btn btn-primary btn-sm"
+                      onClick={() => setIsModalOpen(true)}
+                    >
+                      Set API Key
+                    </button>
+                  ) : (
+                    <p className="text-sm text-base-content/50">Ask an admin of your team to set it.</p>
+                  )}
                 </div>
               )}
             </div>
           </div>
         )}
 
+        {/* Members of the organization and invitations */}
+        {userStatus?.organization && <Team onLeave={fetchDashboardData} />}
+
         {/* No subscription message */}
         {!userStatus?.hasAccess && !showProvisioning && (
           <div className="card bg-base-200">
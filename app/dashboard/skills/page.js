@@ -1,9 +1,10 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { useRouter } from "next/navigation";
 import Link from "next/link";
 import TeachSkillModal from "@/components/TeachSkillModal";
+import { withInstance } from "@/libs/api";
 
 export default function SkillsPage() {
   const [skills, setSkills] = useState([]);
@@ -11,6 +12,8 @@ export default function SkillsPage() {
   const [error, setError] = useState(null);
   const [runningSkill, setRunningSkill] = useState(null);
   const [showTeachModal, setShowTeachModal] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const importInputRef = useRef(null);
   // eslint-disable-next-line no-unused-vars
   const router = useRouter();
 
@@ -23,7 +26,7 @@ export default function SkillsPage() {
       setLoading(true);
       setError(null);
 
-      const response = await fetch('/api/proxy/vm/skills');
+      const response = await fetch(withInstance('/api/proxy/vm/skills'));
 
       if (!response.ok) {
         if (response.status === 503) {
@@ -51,11 +54,17 @@ export default function SkillsPage() {
     try {
       setRunningSkill(skillId);
 
-      const response = await fetch(`/api/proxy/vm/skills/${skillId}/execute`, {
+      const response = await fetch(withInstance(`/api/proxy/vm/skills/${skillId}/execute`), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
       });
 
+      if (response.status === 429) {
+        const limit = await response.json();
+        alert(`${limit.error}. Skills can run again after ${new Date(limit.resetsAt).toLocaleString()}.`);
+        return;
+      }
+
       if (!response.ok) throw new Error('Failed to execute skill');
 
       const result = await response.json();
@@ -74,7 +83,7 @@ export default function SkillsPage() {
     if (!confirm(`Are you sure you want to delete "${skillName}"?`)) return;
 
     try {
-      const response = await fetch(`/api/proxy/vm/skills/${skillId}`, {
+      const response = await fetch(withInstance(`/api/proxy/vm/skills/${skillId}`), {
         method: 'DELETE',
       });
 
@@ -88,6 +97,58 @@ export default function SkillsPage() {
     }
   };
 
+  // Download skills as a skill file: one skill, or all of them as a bundle
+  const handleExport = (skillId) => {
+    const query = skillId ? `?id=${encodeURIComponent(skillId)}` : '';
+    window.location.href = withInstance(`/api/proxy/vm/skills/export${query}`);
+  };
+
+  const importSkillFile = async (content, options) => {
+    const response = await fetch(withInstance('/api/proxy/vm/skills/import'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ content, ...options }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.details ? `${data.error}:\n${data.details.join('\n')}` : data.error || 'Failed to import skills');
+    }
+    return data;
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setImporting(true);
+      const content = await file.text();
+
+      // Check the file and find the skills it would replace before changing anything
+      const preview = await importSkillFile(content, { dryRun: true });
+      const replace = preview.skipped.length > 0
+        && confirm(`These skills already exist: ${preview.skipped.join(', ')}.\nReplace them with the ones in ${file.name}? (Cancel keeps them)`);
+
+      const report = await importSkillFile(content, { replace });
+
+      const lines = [
+        report.created.length && `Created: ${report.created.join(', ')}`,
+        report.updated.length && `Replaced: ${report.updated.join(', ')}`,
+        report.skipped.length && `Skipped (already exist): ${report.skipped.join(', ')}`,
+        ...report.failed.map((failure) => `Failed: ${failure.name} (${failure.error})`),
+      ].filter(Boolean);
+      alert(lines.join('\n') || 'Nothing to import');
+
+      await fetchSkills();
+    } catch (err) {
+      console.error("Error importing skills:", err);
+      alert(`Failed to import ${file.name}\n\n${err.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
   const getTriggerBadgeColor = (type) => {
     const colors = { manual: "badge-primary", schedule: "badge-secondary", webhook: "badge-accent" };
     return colors[type] || "badge-ghost";
@@ -123,7 +184,22 @@ export default function SkillsPage() {
             <h1 className="text-3xl sm:text-4xl font-extrabold text-base-content mb-2">Skills</h1>
             <p className="text-base-content/70">Manage your AI-powered automation workflows</p>
           </div>
-          <div className="flex gap-2 self-start sm:self-auto">
+          <div className="flex flex-wrap gap-2 self-start sm:self-auto">
+            <input ref={importInputRef} type="file" accept=".yaml,.yml,.json" className="hidden" onChange={handleImport} />
+            <button onClick={() => importInputRef.current?.click()} disabled={importing} className="btn btn-ghost gap-2" title="Create skills from a YAML or JSON skill file">
+              {importing ? (
+                <span className="loading loading-spinner loading-sm"></span>
+              ) : (
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zM6.293 6.707a1 1 0 010-1.414l3-3a1 1 0 011.414 0l3 3a1 1 0 01-1.414 1.414L11 5.414V13a1 1 0 11-2 0V5.414L7.707 6.707a1 1 0 01-1.414 0z" clipRule="evenodd" /></svg>
+              )}
+              Import
+            </button>
+            {skills.length > 0 && (
+              <button onClick={() => handleExport()} className="btn btn-ghost gap-2" title="Download every skill as a YAML file, to back them up or import them on another instance">
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clipRule="evenodd" /></svg>
+                Export All
+              </button>
+            )}
             <button onClick={() => setShowTeachModal(true)} className="btn btn-secondary gap-2">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor"><path d="M10.394 2.08a1 1 0 00-.788 0l-7 3a1 1 0 000 1.84L5.25 8.051a.999.999 0 01.356-.257l4-1.714a1 1 0 11.788 1.838L7.667 9.088l1.94.831a1 1 0 00.787 0l7-3a1 1 0 000-1.838l-7-3zM3.31 9.397L5 10.12v4.102a8.969 8.969 0 00-1.05-.174 1 1 0 01-.89-.89 11.115 11.115 0 01.25-3.762zM9.3 16.573A9.026 9.026 0 007 14.935v-3.957l1.818.78a3 3 0 002.364 0l5.508-2.361a11.026 11.026 0 01.25 3.762 1 1 0 01-.89.89 8.968 8.968 0 00-5.35 2.524 1 1 0 01-1.4 0zM6 18a1 1 0 001-1v-2.065a8.935 8.935 0 00-2-.712V17a1 1 0 001 1z" /></svg>
               Teach New Skill
@@ -234,6 +310,10 @@ export default function SkillsPage() {
                         <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" /></svg>
                         Delete
                       </button>
+                      <button onClick={() => handleExport(skill.id)} className="btn btn-sm btn-ghost gap-1" title="Download as a YAML skill file">
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clipRule="evenodd" /></svg>
+                        Export
+                      </button>
                     </div>
                     <button onClick={() => handleRunSkill(skill.id, skill.name)} disabled={runningSkill === skill.id || !skill.is_active} className="btn btn-sm btn-primary gap-1">
                       {runningSkill === skill.id ? (
@@ -0,0 +1,25 @@
+import Link from "next/link";
+import ButtonAccount from "@/components/ButtonAccount";
+import UsageQuota from "@/components/UsageQuota";
+import UsageAnalytics from "@/components/UsageAnalytics";
+
+// Usage of the current month against the plan's quotas, and charts of usage over time
+export default function UsagePage() {
+  return (
+    <main className="min-h-screen p-8 pb-24">
+      <section className="max-w-4xl mx-auto space-y-8">
+        <ButtonAccount />
+        <div>
+          <Link href="/dashboard" className="btn btn-ghost btn-sm -ml-3">
+            &larr; Dashboard
+          </Link>
+          <h1 className="text-3xl md:text-4xl font-extrabold">Usage</h1>
+        </div>
+
+        <UsageQuota />
+
+        <UsageAnalytics />
+      </section>
+    </main>
+  );
+}
@@ -0,0 +1,177 @@
+import Link from "next/link";
+import { getSEOTags } from "@/libs/seo";
+import { buildOpenApiDocument, OPENAPI_PATH } from "@/libs/openapi";
+import config from "@/config";
+
+export const metadata = getSEOTags({
+  title: `API reference | ${config.appName}`,
+  description: "Manage and run Alfred skills, executions and connections with the REST API.",
+  canonicalUrlRelative: "/docs/api",
+});
+
+const METHOD_BADGES = {
+  get: "badge-info",
+  post: "badge-success",
+  patch: "badge-warning",
+  delete: "badge-error",
+};
+
+const schemaName = (schema) => schema?.$ref?.split("/").pop();
+
+const Example = ({ title, value }) => (
+  <div>
+    <p className="text-xs font-semibold uppercase text-base-content/60 mb-1">{title}</p>
+    <pre className="bg-base-300 rounded-box p-3 text-xs overflow-x-auto">{JSON.stringify(value, null, 2)}</pre>
+  </div>
+);
+
+// Renders one operation of the OpenAPI document: parameters, request body and example responses
+const Operation = ({ path, method, operation, serverUrl }) => {
+  const parameters = operation.parameters.filter((p) => !p.$ref);
+  const body = operation.requestBody?.content["application/json"];
+  const [successStatus, success] = Object.entries(operation.responses)[0];
+  const errors = Object.entries(operation.responses).slice(1);
+  const curlBody = body?.example ? ` \\\n  -H "Content-Type: application/json" \\\n  -d '${JSON.stringify(body.example)}'` : "";
+
+  return (
+    <article id={operation.operationId} className="card bg-base-200 scroll-mt-8">
+      <div className="card-body space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className={`badge ${METHOD_BADGES[method]} font-mono uppercase`}>{method}</span>
+          <code className="font-mono text-sm">/api/v1{path}</code>
+        </div>
+        <h3 className="card-title">{operation.summary}</h3>
+        <p className="text-sm text-base-content/80 whitespace-pre-line">{operation.description}</p>
+
+        {parameters.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="table table-sm">
+              <thead>
+                <tr>
+                  <th>Parameter</th>
+                  <th>In</th>
+                  <th>Type</th>
+                  <th>Description</th>
+                </tr>
+              </thead>
+              <tbody>
+                {parameters.map((parameter) => (
+                  <tr key={`${parameter.in}-${parameter.name}`}>
+                    <td className="font-mono">
+                      {parameter.name}
+                      {parameter.required && <span className="text-error">*</span>}
+                    </td>
+                    <td>{parameter.in}</td>
+                    <td className="font-mono text-xs">
+                      {parameter.schema.enum ? parameter.schema.enum.join(" | ") : parameter.schema.type}
+                    </td>
+                    <td>{parameter.description}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div>
+          <p className="text-xs font-semibold uppercase text-base-content/60 mb-1">Example request</p>
+          <pre className="bg-base-300 rounded-box p-3 text-xs overflow-x-auto">
+            {`curl -X ${method.toUpperCase()} ${serverUrl}${path.replace("{id}", "daily-report")} \\\n  -H "Authorization: Bearer alf_..."${curlBody}`}
+          </pre>
+        </div>
+
+        {body && <Example title={`Request body (${schemaName(body.schema) || "object"})`} value={body.example} />}
+
+        <Example title={`Response ${successStatus}`} value={success.content["application/json"].example} />
+
+        <div>
+          <p className="text-xs font-semibold uppercase text-base-content/60 mb-1">Errors</p>
+          <ul className="text-sm space-y-1">
+            {errors.map(([status, response]) => (
+              <li key={status}>
+                <span className="font-mono">{status}</span>{" "}
+                <span className="font-mono text-xs text-base-content/60">
+                  {Object.keys(response.content["application/json"].examples).join(", ")}
+                </span>{" "}
+                {response.description}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </article>
+  );
+};
+
+// API reference generated from the OpenAPI document (libs/openapi.js), so it stays in line with /api/v1
+export default function ApiDocsPage() {
+  const document = buildOpenApiDocument();
+  const serverUrl = document.servers[0].url;
+
+  const operations = Object.entries(document.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, operation]) => ({ path, method, operation }))
+  );
+
+  return (
+    <main className="min-h-screen p-8 pb-24">
+      <div className="max-w-4xl mx-auto space-y-12">
+        <header className="space-y-4">
+          <Link href="/" className="btn btn-ghost btn-sm -ml-3">
+            &larr; {config.appName}
+          </Link>
+          <h1 className="text-3xl md:text-4xl font-extrabold">{document.info.title}</h1>
+          <p className="text-base-content/80">{document.info.description}</p>
+          <div className="flex flex-wrap gap-2">
+            <a href={OPENAPI_PATH} className="btn btn-sm btn-primary">
+              OpenAPI spec (JSON)
+            </a>
+            <Link href="/dashboard/api-keys" className="btn btn-sm btn-ghost">
+              Create an API key
+            </Link>
+          </div>
+        </header>
+
+        <section className="space-y-3">
+          <h2 className="text-2xl font-bold">Basics</h2>
+          <ul className="list-disc pl-6 space-y-2 text-sm">
+            <li>
+              Send your API key as <code>Authorization: Bearer alf_...</code>. Each route needs a scope on the key,
+              and the key&apos;s user needs a role in their organization.
+            </li>
+            <li>
+              Pick the instance with the <code>X-Alfred-Instance</code> header (or <code>?instanceId=</code>); the
+              production instance is used otherwise.
+            </li>
+            <li>
+              Lists return <code>{`{ data, pagination: { nextCursor, hasMore } }`}</code>. Pass{" "}
+              <code>nextCursor</code> as <code>?cursor=</code> to get the next page, and <code>?limit=</code> (up to
+              100) to change the page size.
+            </li>
+            <li>
+              Errors return <code>{`{ error: { code, message } }`}</code>. Every response has{" "}
+              <code>X-RateLimit-Limit</code>, <code>X-RateLimit-Remaining</code> and <code>X-RateLimit-Reset</code>;
+              a 429 also has <code>Retry-After</code>.
+            </li>
+          </ul>
+        </section>
+
+        {document.tags.map(({ name }) => (
+          <section key={name} className="space-y-6">
+            <h2 className="text-2xl font-bold">{name}</h2>
+            {operations
+              .filter(({ operation }) => operation.tags.includes(name))
+              .map(({ path, method, operation }) => (
+                <Operation
+                  key={operation.operationId}
+                  path={path}
+                  method={method}
+                  operation={operation}
+                  serverUrl={serverUrl}
+                />
+              ))}
+          </section>
+        ))}
+      </div>
+    </main>
+  );
+}
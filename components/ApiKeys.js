@@ -0,0 +1,250 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import toast from "react-hot-toast";
+import apiClient from "@/libs/api";
+
+const SCOPE_LABELS = {
+  "skills:read": "Read skills",
+  "skills:write": "Change skills",
+  "skills:execute": "Run skills",
+  "executions:read": "Read executions",
+  "connections:read": "Read connections",
+  "connections:write": "Manage connections",
+  "usage:read": "Read usage",
+  "vm:read": "Read VM status",
+};
+
+const EXPIRY_OPTIONS = [
+  { label: "Never", days: null },
+  { label: "30 days", days: 30 },
+  { label: "90 days", days: 90 },
+  { label: "1 year", days: 365 },
+];
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : null);
+
+// Lists the user's API keys and creates or revokes them.
+// A new key is shown once, right after it is created; only its last characters are kept.
+export default function ApiKeys() {
+  const [data, setData] = useState(null);
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState(["skills:read", "skills:execute"]);
+  const [expiresInDays, setExpiresInDays] = useState(null);
+  const [allowedIps, setAllowedIps] = useState("");
+  const [newKey, setNewKey] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const fetchKeys = async () => {
+    try {
+      setData(await apiClient.get("/user/api-keys"));
+    } catch (error) {
+      console.error("Failed to load API keys:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchKeys();
+  }, []);
+
+  const toggleScope = (scope) => {
+    setScopes((prev) => (prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const result = await apiClient.post("/user/api-keys", {
+        name,
+        scopes,
+        expiresInDays,
+        allowedIps: allowedIps.split(/[\s,]+/).filter(Boolean),
+      });
+      setNewKey({ name: result.apiKey.name, key: result.key });
+      setName("");
+      setAllowedIps("");
+      await fetchKeys();
+    } catch (error) {
+      console.error("Failed to create API key:", error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Requests with it will fail right away.`)) {
+      return;
+    }
+
+    setIsBusy(true);
+    try {
+      await apiClient.delete(`/user/api-keys/${apiKey.id}`);
+      await fetchKeys();
+    } catch (error) {
+      console.error("Failed to revoke API key:", error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const copyNewKey = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey.key);
+      toast.success("API key copied to clipboard!");
+    } catch (err) {
+      toast.error("Failed to copy to clipboard");
+      console.error("Copy failed:", err);
+    }
+  };
+
+  if (!data) return null;
+
+  return (
+    <div className="space-y-8">
+      {newKey && (
+        <div className="alert alert-success flex-col items-stretch">
+          <p className="font-medium">
+            &quot;{newKey.name}&quot; was created. Copy it now: it won&apos;t be shown again.
+          </p>
+          <div className="join w-full">
+            <input
+              type="text"
+              value={newKey.key}
+              readOnly
+              className="input input-bordered join-item flex-1 font-mono text-sm text-base-content"
+            />
+            <button className="btn btn-primary join-item" onClick={copyNewKey}>
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="card bg-base-200">
+        <div className="card-body">
+          <h2 className="card-title">Your API keys</h2>
+
+          {data.apiKeys.length === 0 ? (
+            <p className="text-sm text-base-content/50">No API keys yet.</p>
+          ) : (
+            <ul className="divide-y divide-base-300">
+              {data.apiKeys.map((apiKey) => (
+                <li key={apiKey.id} className="flex items-start justify-between gap-4 py-3">
+                  <div className="min-w-0 space-y-1">
+                    <p className="text-sm font-medium">
+                      {apiKey.name}
+                      {apiKey.expired && <span className="badge badge-error badge-sm ml-2">Expired</span>}
+                    </p>
+                    <p className="font-mono text-xs text-base-content/70 truncate">{apiKey.maskedKey}</p>
+                    <div className="flex flex-wrap gap-1">
+                      {apiKey.scopes.map((scope) => (
+                        <span key={scope} className="badge badge-ghost badge-sm">
+                          {SCOPE_LABELS[scope] || scope}
+                        </span>
+                      ))}
+                    </div>
+                    <p className="text-xs text-base-content/50">
+                      Created {formatDate(apiKey.createdAt)}
+                      {" · "}
+                      {apiKey.expiresAt ? `Expires ${formatDate(apiKey.expiresAt)}` : "Never expires"}
+                      {" · "}
+                      {apiKey.lastUsedAt
+                        ? `Last used ${new Date(apiKey.lastUsedAt).toLocaleString()}${apiKey.lastUsedIp ? ` from ${apiKey.lastUsedIp}` : ""}`
+                        : "Never used"}
+                    </p>
+                    {apiKey.allowedIps.length > 0 && (
+                      <p className="text-xs text-base-content/50">Only from {apiKey.allowedIps.join(", ")}</p>
+                    )}
+                  </div>
+                  <button
+                    className="btn btn-xs btn-ghost text-error"
+                    onClick={() => handleRevoke(apiKey)}
+                    disabled={isBusy}
+                  >
+                    Revoke
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <form className="card bg-base-200" onSubmit={handleCreate}>
+        <div className="card-body space-y-2">
+          <h2 className="card-title">Create an API key</h2>
+
+          <label className="form-control">
+            <span className="label-text font-semibold mb-1">Name</span>
+            <input
+              type="text"
+              required
+              maxLength={80}
+              placeholder="e.g. CI pipeline"
+              className="input input-bordered input-sm"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              disabled={isBusy}
+            />
+          </label>
+
+          <div>
+            <span className="label-text font-semibold">Scopes</span>
+            <div className="grid grid-cols-2 gap-2 mt-1">
+              {data.scopes.map((scope) => (
+                <label key={scope} className="label cursor-pointer justify-start gap-2">
+                  <input
+                    type="checkbox"
+                    className="checkbox checkbox-sm"
+                    checked={scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                    disabled={isBusy}
+                  />
+                  <span className="label-text">{SCOPE_LABELS[scope] || scope}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <label className="form-control">
+            <span className="label-text font-semibold mb-1">Expires after</span>
+            <select
+              className="select select-bordered select-sm"
+              value={expiresInDays ?? ""}
+              onChange={(e) => setExpiresInDays(e.target.value ? Number(e.target.value) : null)}
+              disabled={isBusy}
+            >
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.label} value={option.days ?? ""}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="form-control">
+            <span className="label-text font-semibold mb-1">Allowed IP addresses (optional)</span>
+            <textarea
+              rows={2}
+              placeholder="203.0.113.7, 198.51.100.0/24"
+              className="textarea textarea-bordered textarea-sm font-mono"
+              value={allowedIps}
+              onChange={(e) => setAllowedIps(e.target.value)}
+              disabled={isBusy}
+            />
+            <span className="label-text-alt text-base-content/50 mt-1">
+              Leave empty to allow requests from anywhere.
+            </span>
+          </label>
+
+          <div className="card-actions justify-end">
+            <button type="submit" className="btn btn-primary btn-sm" disabled={isBusy || !name || scopes.length === 0}>
+              Create key
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
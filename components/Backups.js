@@ -0,0 +1,113 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import apiClient from "@/libs/api";
+
+// Lists the VM's backups and restores one to a new VM.
+// The restored VM takes over the subdomain once it has booted, so the current VM keeps running meanwhile.
+// Only admins (canManage) can back up and restore; other members just see the list.
+export default function Backups({ canManage = true }) {
+  const [data, setData] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const fetchBackups = async () => {
+    try {
+      setData(await apiClient.get("/vm/backups"));
+    } catch (error) {
+      console.error("Failed to load backups:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchBackups();
+  }, []);
+
+  const handleBackupNow = async () => {
+    setIsBusy(true);
+    try {
+      await apiClient.post("/vm/backups");
+      await fetchBackups();
+    } catch (error) {
+      console.error("Failed to create backup:", error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRestore = async (backup) => {
+    const date = new Date(backup.createdAt).toLocaleString();
+    if (!window.confirm(`Restore the backup from ${date} to a new VM? Changes made since then will be lost.`)) {
+      return;
+    }
+
+    setIsBusy(true);
+    try {
+      await apiClient.post(`/vm/backups/${backup.id}/restore`);
+      await fetchBackups();
+    } catch (error) {
+      console.error("Failed to restore backup:", error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!data) return null;
+
+  const { backups, policy, restore } = data;
+
+  return (
+    <div className="card bg-base-200">
+      <div className="card-body">
+        <div className="flex items-center justify-between gap-4">
+          <h2 className="card-title">Backups</h2>
+          {canManage && (
+            <button
+              className="btn btn-sm btn-outline"
+              onClick={handleBackupNow}
+              disabled={isBusy || !!restore || backups.some((b) => b.status === "creating")}
+            >
+              Back up now
+            </button>
+          )}
+        </div>
+        <p className="text-sm text-base-content/70">
+          Your VM is backed up every {policy.intervalHours} hours. The last {policy.retain} backups are kept.
+        </p>
+
+        {restore && (
+          <div className="alert alert-info text-sm">
+            <span className="loading loading-spinner loading-sm"></span>
+            Restoring a backup. Your VM will switch over once the restored VM is up (usually a few minutes).
+          </div>
+        )}
+
+        {backups.length === 0 ? (
+          <p className="text-sm text-base-content/50">No backups yet.</p>
+        ) : (
+          <ul className="divide-y divide-base-300">
+            {backups.map((backup) => (
+              <li key={backup.id} className="flex items-center justify-between gap-4 py-2">
+                <div>
+                  <p className="text-sm font-medium">{new Date(backup.createdAt).toLocaleString()}</p>
+                  <p className="text-xs text-base-content/50">
+                    {backup.trigger === "manual" ? "Manual" : "Scheduled"}
+                    {backup.status === "creating" && " · Creating..."}
+                  </p>
+                </div>
+                {canManage && (
+                  <button
+                    className="btn btn-xs btn-ghost"
+                    onClick={() => handleRestore(backup)}
+                    disabled={isBusy || !!restore || backup.status !== "available"}
+                  >
+                    Restore
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -2,13 +2,20 @@
 
 import { useState } from "react";
 import apiClient from "@/libs/api";
+import VmOptionsSelect from "./VmOptionsSelect";
 
 // This component is used to create Stripe Checkout Sessions
 // It calls the /api/stripe/create-checkout route with the priceId, successUrl and cancelUrl
 // By default, it doesn't force users to be authenticated. But if they are, it will prefill the Checkout data with their email and/or credit card. You can change that in the API route
 // You can also change the mode to "subscription" if you want to create a subscription instead of a one-time payment
-const ButtonCheckout = ({ priceId, mode = "subscription" }) => {
+// Pass vmOptions (from getVmOptions in libs/vm-plans.js) to let the customer pick a region and VM size before paying
+const ButtonCheckout = ({ priceId, mode = "subscription", vmOptions }) => {
   const [isLoading, setIsLoading] = useState(false);
+  const [vm, setVm] = useState(
+    vmOptions
+      ? { region: vmOptions.defaultRegion, size: vmOptions.defaultSize, volumeSize: vmOptions.defaultVolumeSize }
+      : null
+  );
 
   const handlePayment = async () => {
     setIsLoading(true);
@@ -19,6 +26,7 @@ const ButtonCheckout = ({ priceId, mode = "subscription" }) => {
         mode,
         successUrl: window.location.href,
         cancelUrl: window.location.href,
+        vm,
       });
 
       window.location.href = res.url;
@@ -30,6 +38,8 @@ const ButtonCheckout = ({ priceId, mode = "subscription" }) => {
   };
 
   return (
+    <>
+    {vmOptions && <VmOptionsSelect options={vmOptions} value={vm} onChange={setVm} />}
     <button
       className="btn btn-primary btn-block group"
       onClick={() => handlePayment()}
@@ -48,6 +58,7 @@ const ButtonCheckout = ({ priceId, mode = "subscription" }) => {
       )}
       Start Automating
     </button>
+    </>
   );
 };
 
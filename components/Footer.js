@@ -60,6 +60,9 @@ const Footer = () => {
                 <Link href="/blog" className="link link-hover">
                   Blog
                 </Link>
+                <Link href="/docs/api" className="link link-hover">
+                  API
+                </Link>
                 <a href="/#" target="_blank" className="link link-hover">
                   Affiliates
                 </a>
@@ -0,0 +1,82 @@
+"use client";
+
+import { useState } from "react";
+import apiClient, { setSelectedInstanceId } from "@/libs/api";
+
+// Picks the instance (VM) the dashboard acts on, and adds or deletes a staging instance.
+// The selection is kept in localStorage and sent with every API request (see libs/api.js).
+// Only admins (canManage) can add or delete instances.
+export default function InstanceSwitcher({ instances, maxInstances, selectedId, onChange, canManage = true }) {
+  const [isBusy, setIsBusy] = useState(false);
+
+  const selected = instances.find((i) => i.id === selectedId);
+
+  const handleSelect = (id) => {
+    setSelectedInstanceId(id);
+    onChange();
+  };
+
+  const handleAddStaging = async () => {
+    setIsBusy(true);
+    try {
+      const { instance } = await apiClient.post("/instances", { environment: "staging" });
+      handleSelect(instance.id);
+    } catch (error) {
+      console.error("Failed to create instance:", error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${selected.name}"? Its VM and everything on it will be destroyed.`)) {
+      return;
+    }
+
+    setIsBusy(true);
+    try {
+      await apiClient.delete(`/instances/${selected.id}`);
+      handleSelect(null);
+    } catch (error) {
+      console.error("Failed to delete instance:", error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // Nothing to switch between, and no room for another instance
+  if (instances.length <= 1 && maxInstances <= 1) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        className="select select-bordered select-sm"
+        value={selectedId || ""}
+        onChange={(e) => handleSelect(e.target.value)}
+        disabled={isBusy}
+      >
+        {instances.map((instance) => (
+          <option key={instance.id} value={instance.id}>
+            {instance.name} ({instance.environment})
+          </option>
+        ))}
+      </select>
+
+      {canManage && instances.length < maxInstances && !instances.some((i) => i.environment === "staging") && (
+        <button className="btn btn-sm btn-outline" onClick={handleAddStaging} disabled={isBusy}>
+          Add staging instance
+        </button>
+      )}
+
+      {canManage && selected && selected.environment !== "production" && (
+        <button
+          className="btn btn-sm btn-ghost text-error"
+          onClick={handleDelete}
+          disabled={isBusy || ["provisioning", "resizing"].includes(selected.vmStatus)}
+        >
+          Delete instance
+        </button>
+      )}
+    </div>
+  );
+}
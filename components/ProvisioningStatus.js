@@ -1,33 +1,88 @@
 "use client";
 import { useState, useEffect } from "react";
+import { withInstance } from "@/libs/api";
+
+// What the user sees for each infrastructure step and each phase reported by the VM, in order
+const STEPS = [
+  { key: "create_volume", label: "Creating storage volume" },
+  { key: "create_server", label: "Creating VM" },
+  { key: "configure_dns", label: "Setting up DNS" },
+  { key: "docker_installed", label: "Installing Docker" },
+  { key: "images_pulled", label: "Downloading services" },
+  { key: "containers_healthy", label: "Starting services", failedKey: "containers_unhealthy" },
+  { key: "tls_issued", label: "Issuing TLS certificate" },
+  { key: "registered", label: "Final checks" },
+];
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return null;
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+// Merge the provisioning job's steps and the VM's setup phases into one ordered list
+function buildSteps(provisioning, status) {
+  const jobSteps = Object.fromEntries((provisioning?.steps || []).map((s) => [s.name, s]));
+  const phases = Object.fromEntries((provisioning?.phases || []).map((p) => [p.name, p]));
+
+  return STEPS.map(({ key, label, failedKey }) => {
+    if (jobSteps[key]) {
+      const step = jobSteps[key];
+      const duration = step.startedAt && step.completedAt
+        ? new Date(step.completedAt) - new Date(step.startedAt)
+        : null;
+      return { label, done: step.status === "completed", failed: step.status === "failed", error: step.error, duration };
+    }
+
+    if (phases[key]) {
+      return { label, done: true, duration: phases[key].durationMs, error: phases[key].message };
+    }
+
+    if (failedKey && phases[failedKey]) {
+      return { label, failed: true, duration: phases[failedKey].durationMs, error: phases[failedKey].message };
+    }
+
+    if (key === "registered") {
+      return { label, done: status === "ready" };
+    }
+
+    return { label, done: false };
+  });
+}
 
 export default function ProvisioningStatus({ initialStatus }) {
   const [status, setStatus] = useState(initialStatus);
-  const [progress, setProgress] = useState(0);
+  const [provisioning, setProvisioning] = useState(null);
 
   useEffect(() => {
     if (status === "ready" || status === "error") return;
 
-    const interval = setInterval(async () => {
-      try {
-        const res = await fetch("/api/user/status");
-        const data = await res.json();
-        setStatus(data.vmStatus);
-
-        // Estimate progress
-        if (data.vmStatus === "provisioning") {
-          setProgress((prev) => Math.min(prev + 10, 90));
-        } else if (data.vmStatus === "ready") {
-          setProgress(100);
-          // Reload to show the ready dashboard
-          window.location.reload();
-        }
-      } catch (err) {
-        console.error("Failed to fetch status:", err);
+    // The server closes the stream periodically; EventSource reconnects on its own
+    const events = new EventSource(withInstance("/api/vm/provision/events"));
+
+    events.addEventListener("status", (event) => {
+      const data = JSON.parse(event.data);
+      setStatus(data.vmStatus);
+      setProvisioning(data.provisioning);
+    });
+
+    events.addEventListener("done", (event) => {
+      const data = JSON.parse(event.data);
+      events.close();
+      setStatus(data.vmStatus);
+
+      if (data.vmStatus === "ready") {
+        // Reload to show the ready dashboard
+        window.location.reload();
       }
-    }, 3000);
+    });
+
+    events.addEventListener("failure", (event) => {
+      console.error("Failed to fetch status:", JSON.parse(event.data).error);
+    });
 
-    return () => clearInterval(interval);
+    return () => events.close();
   }, [status]);
 
   if (status === "ready") return null;
@@ -38,13 +93,9 @@ export default function ProvisioningStatus({ initialStatus }) {
     error: "There was an issue provisioning your VM. Please contact support.",
   };
 
-  const steps = [
-    { label: "Creating VM", done: progress > 20 },
-    { label: "Installing Docker", done: progress > 40 },
-    { label: "Configuring services", done: progress > 60 },
-    { label: "Setting up DNS", done: progress > 80 },
-    { label: "Final checks", done: progress === 100 },
-  ];
+  const steps = buildSteps(provisioning, status);
+  const setupFailed = provisioning?.phases?.find((p) => p.name === "setup_failed");
+  const progress = Math.round((steps.filter((s) => s.done).length / steps.length) * 100);
 
   return (
     <div className="card bg-base-200">
@@ -56,6 +107,10 @@ export default function ProvisioningStatus({ initialStatus }) {
           {messages[status] || messages.pending}
         </p>
 
+        {setupFailed && (
+          <p className="text-sm text-error">{setupFailed.message || "VM setup reported an error"}</p>
+        )}
+
         {status !== "error" && (
           <>
             <progress
@@ -65,8 +120,19 @@ export default function ProvisioningStatus({ initialStatus }) {
             />
             <ul className="steps steps-vertical mt-4">
               {steps.map((step, i) => (
-                <li key={i} className={`step ${step.done ? "step-primary" : ""}`}>
-                  {step.label}
+                <li
+                  key={i}
+                  className={`step ${step.done ? "step-primary" : ""} ${step.failed ? "step-error" : ""}`}
+                >
+                  <span className="flex items-center gap-2">
+                    {step.label}
+                    {step.done && formatDuration(step.duration) && (
+                      <span className="text-xs text-base-content/50">{formatDuration(step.duration)}</span>
+                    )}
+                    {step.failed && step.error && (
+                      <span className="text-xs text-error">{step.error}</span>
+                    )}
+                  </span>
                 </li>
               ))}
             </ul>
@@ -1,6 +1,7 @@
 "use client";
 
 import { useState } from "react";
+import Link from "next/link";
 import toast from "react-hot-toast";
 import apiClient from "@/libs/api";
 
@@ -23,7 +24,7 @@ const Quickstart = ({ subdomain, apiKey, onApiKeyGenerated }) => {
   const generateNewApiKey = async () => {
     if (
       !confirm(
-        "This will generate a new API key and invalidate the old one. Continue?"
+        "This will generate a new API key and invalidate the old one. Your named API keys keep working. Continue?"
       )
     ) {
       return;
@@ -134,6 +135,9 @@ const Quickstart = ({ subdomain, apiKey, onApiKeyGenerated }) => {
           <div className="form-control">
             <label className="label">
               <span className="label-text font-semibold">API Key</span>
+              <Link href="/dashboard/api-keys" className="label-text-alt link link-hover">
+                Manage API keys
+              </Link>
             </label>
             <div className="join w-full">
               <input
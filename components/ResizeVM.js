@@ -0,0 +1,99 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import apiClient from "@/libs/api";
+import VmOptionsSelect from "./VmOptionsSelect";
+
+const STEP_LABELS = {
+  resize_volume: "Growing storage volume...",
+  power_off: "Shutting down VM...",
+  change_type: "Changing VM size...",
+  power_on: "Starting VM...",
+};
+
+// Shows the VM's size and lets the user upgrade it in place.
+// A resize can outlast a request, so POST /api/vm/resize is repeated while it answers pending.
+export default function ResizeVM({ vmStatus, onResized }) {
+  const [options, setOptions] = useState(null);
+  const [selection, setSelection] = useState(null);
+  const [isResizing, setIsResizing] = useState(vmStatus === "resizing");
+  const [step, setStep] = useState(null);
+
+  useEffect(() => {
+    apiClient.get("/vm/options").then((data) => {
+      setOptions(data);
+      setSelection(data.current);
+    }).catch(() => {});
+  }, []);
+
+  const runResize = async (body) => {
+    setIsResizing(true);
+    try {
+      let result = await apiClient.post("/vm/resize", body);
+      while (result.pending) {
+        setStep(result.step);
+        result = await apiClient.post("/vm/resize");
+      }
+      onResized?.();
+    } catch (error) {
+      console.error("Failed to resize VM:", error);
+    } finally {
+      setIsResizing(false);
+      setStep(null);
+    }
+  };
+
+  // Pick up a resize that was still running when the page was loaded
+  useEffect(() => {
+    if (vmStatus === "resizing") {
+      runResize();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleResize = () => {
+    if (!window.confirm("Your VM will be shut down for a few minutes while it is resized. Continue?")) {
+      return;
+    }
+    runResize({ size: selection.size, volumeSize: selection.volumeSize });
+  };
+
+  if (!options || !selection) return null;
+
+  const current = options.current;
+  const unchanged = selection.size === current.size && selection.volumeSize === current.volumeSize;
+
+  return (
+    <div className="card bg-base-200">
+      <div className="card-body">
+        <h2 className="card-title">VM Size</h2>
+
+        {isResizing ? (
+          <div className="flex items-center gap-2">
+            <span className="loading loading-spinner loading-sm"></span>
+            <span>{STEP_LABELS[step] || "Resizing your VM..."}</span>
+          </div>
+        ) : (
+          <>
+            <VmOptionsSelect
+              options={options}
+              value={selection}
+              onChange={setSelection}
+              disableRegion
+              minVolumeSize={current.volumeSize}
+            />
+            <div className="card-actions mt-4">
+              <button
+                className="btn btn-primary btn-sm"
+                onClick={handleResize}
+                disabled={unchanged}
+              >
+                Resize VM
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
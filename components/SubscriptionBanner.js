@@ -0,0 +1,45 @@
+"use client";
+
+import { useState } from "react";
+import apiClient from "@/libs/api";
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
+
+// Warns about a failed payment (and when access will be suspended) or a subscription set to cancel
+// at the end of the period, with a link to the Stripe Customer Portal to fix it.
+export default function SubscriptionBanner({ subscriptionCancelAt, paymentGraceEndsAt }) {
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleBilling = async () => {
+    setIsLoading(true);
+
+    try {
+      const { url } = await apiClient.post("/stripe/create-portal", {
+        returnUrl: window.location.href,
+      });
+
+      window.location.href = url;
+    } catch (e) {
+      console.error(e);
+    }
+
+    setIsLoading(false);
+  };
+
+  if (!subscriptionCancelAt && !paymentGraceEndsAt) return null;
+
+  return (
+    <div className={`alert ${paymentGraceEndsAt ? "alert-error" : "alert-warning"}`}>
+      <span>
+        {paymentGraceEndsAt
+          ? `Your last payment failed. Update your payment method before ${formatDate(paymentGraceEndsAt)} to keep your VM running.`
+          : `Your subscription cancels on ${formatDate(subscriptionCancelAt)}. Your VM will be deleted some time after that.`}
+      </span>
+      <button className="btn btn-sm" onClick={handleBilling} disabled={isLoading}>
+        {isLoading && <span className="loading loading-spinner loading-xs"></span>}
+        {paymentGraceEndsAt ? "Update payment method" : "Manage subscription"}
+      </button>
+    </div>
+  );
+}
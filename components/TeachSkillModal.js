@@ -1,5 +1,6 @@
 "use client";
 import { useState } from "react";
+import { withInstance } from "@/libs/api";
 
 export default function TeachSkillModal({ isOpen, onClose, onSuccess }) {
   const [prompt, setPrompt] = useState("");
@@ -13,7 +14,7 @@ export default function TeachSkillModal({ isOpen, onClose, onSuccess }) {
     setError("");
 
     try {
-      const res = await fetch("/api/skills/teach", {
+      const res = await fetch(withInstance("/api/skills/teach"), {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ prompt, name: skillName }),
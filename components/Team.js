@@ -0,0 +1,192 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useSession } from "next-auth/react";
+import apiClient from "@/libs/api";
+
+const ROLE_LABELS = {
+  owner: "Owner",
+  admin: "Admin",
+  editor: "Editor",
+  viewer: "Viewer",
+};
+
+// Roles an admin can invite people as or give members (ownership isn't handed out)
+const ASSIGNABLE_ROLES = ["admin", "editor", "viewer"];
+
+// Lists the organization's members and, for admins, lets them invite people, change roles and remove members.
+// Any member but the owner can leave.
+export default function Team({ onLeave }) {
+  const { data: session } = useSession();
+  const [data, setData] = useState(null);
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("editor");
+  const [isBusy, setIsBusy] = useState(false);
+
+  const fetchTeam = async () => {
+    try {
+      setData(await apiClient.get("/organization"));
+    } catch (error) {
+      console.error("Failed to load team:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchTeam();
+  }, []);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    try {
+      await action();
+      await fetchTeam();
+    } catch (error) {
+      console.error("Team update failed:", error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await apiClient.post("/organization/invitations", { email, role });
+      setEmail("");
+    });
+  };
+
+  const handleRoleChange = (member, newRole) =>
+    run(() => apiClient.patch(`/organization/members/${member.userId}`, { role: newRole }));
+
+  const handleRemove = (member) => {
+    const leaving = member.userId === session?.user?.id;
+    const question = leaving
+      ? `Leave ${data.organization.name}? You will lose access to its VMs.`
+      : `Remove ${member.name || member.email} from ${data.organization.name}?`;
+    if (!window.confirm(question)) {
+      return;
+    }
+
+    run(async () => {
+      await apiClient.delete(`/organization/members/${member.userId}`);
+      if (leaving) onLeave?.();
+    });
+  };
+
+  const handleRevoke = (invitation) =>
+    run(() => apiClient.delete(`/organization/invitations/${invitation.id}`));
+
+  if (!data) return null;
+
+  const { organization, members, invitations } = data;
+  const isAdmin = ["admin", "owner"].includes(organization.role);
+
+  return (
+    <div className="card bg-base-200">
+      <div className="card-body">
+        <h2 className="card-title">Team</h2>
+        <p className="text-sm text-base-content/70">
+          {organization.name} · Your role: {ROLE_LABELS[organization.role]}
+        </p>
+
+        <ul className="divide-y divide-base-300">
+          {members.map((member) => {
+            const isSelf = member.userId === session?.user?.id;
+            return (
+              <li key={member.userId} className="flex items-center justify-between gap-4 py-2">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium truncate">
+                    {member.name || member.email}
+                    {isSelf && " (you)"}
+                  </p>
+                  {member.name && <p className="text-xs text-base-content/50 truncate">{member.email}</p>}
+                </div>
+                <div className="flex items-center gap-2">
+                  {isAdmin && member.role !== "owner" && !isSelf ? (
+                    <select
+                      className="select select-bordered select-xs"
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member, e.target.value)}
+                      disabled={isBusy}
+                    >
+                      {ASSIGNABLE_ROLES.map((r) => (
+                        <option key={r} value={r}>
+                          {ROLE_LABELS[r]}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span className="badge badge-ghost badge-sm">{ROLE_LABELS[member.role]}</span>
+                  )}
+                  {member.role !== "owner" && (isSelf || isAdmin) && (
+                    <button
+                      className="btn btn-xs btn-ghost text-error"
+                      onClick={() => handleRemove(member)}
+                      disabled={isBusy}
+                    >
+                      {isSelf ? "Leave" : "Remove"}
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+
+        {isAdmin && invitations.length > 0 && (
+          <div className="space-y-1">
+            <p className="text-sm font-medium">Pending invitations</p>
+            <ul className="divide-y divide-base-300">
+              {invitations.map((invitation) => (
+                <li key={invitation.id} className="flex items-center justify-between gap-4 py-2">
+                  <div className="min-w-0">
+                    <p className="text-sm truncate">{invitation.email}</p>
+                    <p className="text-xs text-base-content/50">
+                      {ROLE_LABELS[invitation.role]} · Expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <button
+                    className="btn btn-xs btn-ghost"
+                    onClick={() => handleRevoke(invitation)}
+                    disabled={isBusy}
+                  >
+                    Revoke
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {isAdmin && (
+          <form className="flex flex-wrap items-center gap-2" onSubmit={handleInvite}>
+            <input
+              type="email"
+              required
+              placeholder="teammate@company.com"
+              className="input input-bordered input-sm flex-1 min-w-48"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              disabled={isBusy}
+            />
+            <select
+              className="select select-bordered select-sm"
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              disabled={isBusy}
+            >
+              {ASSIGNABLE_ROLES.map((r) => (
+                <option key={r} value={r}>
+                  {ROLE_LABELS[r]}
+                </option>
+              ))}
+            </select>
+            <button type="submit" className="btn btn-sm btn-primary" disabled={isBusy || !email}>
+              Invite
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
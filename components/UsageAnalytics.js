@@ -0,0 +1,107 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import apiClient from "@/libs/api";
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const formatDuration = (ms) => {
+  const minutes = ms / 60000;
+  return minutes >= 60 ? `${(minutes / 60).toFixed(1)} h` : `${minutes.toFixed(1)} min`;
+};
+
+const formatPercent = (rate) => (rate === null ? "–" : `${Math.round(rate * 100)}%`);
+
+const CHARTS = [
+  { key: "executions", title: "Executions", format: (v) => v.toLocaleString() },
+  { key: "successRate", title: "Success rate", format: formatPercent, max: 1 },
+  { key: "durationMs", title: "Total duration", format: formatDuration },
+  { key: "tokens", title: "Tokens", format: (v) => v.toLocaleString() },
+];
+
+// One bar per day or week; hovering a bar shows its value
+function BarChart({ series, valueKey, format, max }) {
+  const values = series.map((bucket) => bucket[valueKey] ?? 0);
+  const top = max || Math.max(...values, 1);
+
+  return (
+    <div className="flex items-end gap-px h-32">
+      {series.map((bucket, i) => (
+        <div
+          key={bucket.date}
+          className="flex-1 bg-primary/80 hover:bg-primary rounded-t tooltip"
+          data-tip={`${bucket.date}: ${format(bucket[valueKey])}`}
+          style={{ height: `${(values[i] / top) * 100}%`, minHeight: values[i] > 0 ? "2px" : 0 }}
+        ></div>
+      ))}
+    </div>
+  );
+}
+
+// Daily or weekly charts of executions, success rate, duration and tokens over a date range,
+// with CSV and JSON downloads of the daily numbers.
+export default function UsageAnalytics() {
+  const [from, setFrom] = useState(() => toDateInput(new Date(Date.now() - 29 * 24 * 60 * 60 * 1000)));
+  const [to, setTo] = useState(() => toDateInput(new Date()));
+  const [groupBy, setGroupBy] = useState("day");
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ from, to, interval: groupBy });
+    apiClient.get(`/user/usage/metrics?${params}`)
+      .then(setData)
+      .catch((error) => console.error("Failed to load usage:", error));
+  }, [from, to, groupBy]);
+
+  const exportUrl = (format) => `/api/user/usage/export?${new URLSearchParams({ from, to, format })}`;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end gap-4">
+        <label className="form-control">
+          <span className="label-text text-sm">From</span>
+          <input type="date" className="input input-bordered input-sm" value={from} max={to} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label className="form-control">
+          <span className="label-text text-sm">To</span>
+          <input type="date" className="input input-bordered input-sm" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+        </label>
+        <div className="join">
+          {["day", "week"].map((value) => (
+            <button
+              key={value}
+              className={`btn btn-sm join-item ${groupBy === value ? "btn-active" : ""}`}
+              onClick={() => setGroupBy(value)}
+            >
+              {value === "day" ? "Daily" : "Weekly"}
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-2 ml-auto">
+          <a href={exportUrl("csv")} className="btn btn-sm btn-outline">Export CSV</a>
+          <a href={exportUrl("json")} className="btn btn-sm btn-outline">Export JSON</a>
+        </div>
+      </div>
+
+      {data && (
+        <div className="grid md:grid-cols-2 gap-4">
+          {CHARTS.map((chart) => (
+            <div key={chart.key} className="card bg-base-200">
+              <div className="card-body">
+                <div className="flex items-baseline justify-between gap-4">
+                  <h2 className="card-title text-base">{chart.title}</h2>
+                  <span className="text-lg font-semibold">{chart.format(data.totals[chart.key])}</span>
+                </div>
+                <BarChart series={data.series} valueKey={chart.key} format={chart.format} max={chart.max} />
+                <div className="flex justify-between text-xs text-base-content/50">
+                  <span>{data.from}</span>
+                  <span>{data.to}</span>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
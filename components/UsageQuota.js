@@ -0,0 +1,67 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import apiClient from "@/libs/api";
+
+const METRIC_LABELS = {
+  executions: "Skill executions",
+  tokens: "Tokens",
+};
+
+// Month-to-date usage against the plan's quotas, with the overage billed on the next invoice.
+// Pass showDetailsLink on the dashboard to link to the usage page.
+export default function UsageQuota({ showDetailsLink = false }) {
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    apiClient.get("/user/usage").then(setSummary).catch(() => {});
+  }, []);
+
+  if (!summary) return null;
+
+  const { period, usage, quotas, metered } = summary;
+  const month = new Date(`${period}-01T00:00:00Z`).toLocaleString(undefined, { month: "long", year: "numeric", timeZone: "UTC" });
+
+  return (
+    <div className="card bg-base-200">
+      <div className="card-body">
+        <div className="flex items-center justify-between gap-4">
+          <h2 className="card-title">Usage this month</h2>
+          {showDetailsLink && (
+            <Link href="/dashboard/usage" className="btn btn-sm btn-ghost">
+              Details
+            </Link>
+          )}
+        </div>
+        <p className="text-sm text-base-content/70">{month}</p>
+
+        {Object.entries(quotas).map(([metric, quota]) => {
+          const used = usage[metric] || 0;
+          return (
+            <div key={metric} className="space-y-1">
+              <div className="flex justify-between text-sm">
+                <span>{METRIC_LABELS[metric] || metric}</span>
+                <span className={used > quota ? "text-warning" : "text-base-content/70"}>
+                  {used.toLocaleString()} / {quota.toLocaleString()}
+                </span>
+              </div>
+              <progress
+                className={`progress w-full ${used > quota ? "progress-warning" : "progress-primary"}`}
+                value={Math.min(used, quota)}
+                max={quota}
+              ></progress>
+            </div>
+          );
+        })}
+
+        {metered?.overage > 0 && (
+          <p className="text-sm text-base-content/70">
+            {metered.overage.toLocaleString()} {(METRIC_LABELS[metered.metric] || metered.metric).toLowerCase()} over
+            your plan, billed at ${metered.unitPrice} each (about ${metered.estimatedCost.toFixed(2)} so far).
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
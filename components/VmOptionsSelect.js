@@ -0,0 +1,72 @@
+"use client";
+
+// Region, VM size and volume size pickers for checkout, first-time setup and resizing.
+// `options` comes from getVmOptions() (libs/vm-plans.js) or GET /api/vm/options.
+// Pass `disableRegion` for an existing VM (it can't move) and `minVolumeSize` since volumes only grow.
+const VmOptionsSelect = ({ options, value, onChange, disableRegion = false, minVolumeSize = 0 }) => {
+  const handleChange = (e) => {
+    const { name, value: selected } = e.target;
+    onChange({ ...value, [name]: name === "volumeSize" ? Number(selected) : selected });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="form-control">
+        <label className="label">
+          <span className="label-text font-medium">Region</span>
+        </label>
+        <select
+          name="region"
+          value={value.region}
+          onChange={handleChange}
+          className="select select-bordered select-sm w-full"
+          disabled={disableRegion}
+        >
+          {options.regions.map((region) => (
+            <option key={region.id} value={region.id}>
+              {region.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-control">
+        <label className="label">
+          <span className="label-text font-medium">VM size</span>
+        </label>
+        <select
+          name="size"
+          value={value.size}
+          onChange={handleChange}
+          className="select select-bordered select-sm w-full"
+        >
+          {options.serverTypes.map((type) => (
+            <option key={type.id} value={type.id}>
+              {type.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-control">
+        <label className="label">
+          <span className="label-text font-medium">Storage volume</span>
+        </label>
+        <select
+          name="volumeSize"
+          value={value.volumeSize}
+          onChange={handleChange}
+          className="select select-bordered select-sm w-full"
+        >
+          {options.volumeSizes.map((size) => (
+            <option key={size} value={size} disabled={size < minVolumeSize}>
+              {size} GB
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default VmOptionsSelect;
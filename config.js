@@ -18,7 +18,47 @@ const config = {
         { name: "Unlimited MCP connections" },
         { name: "SSH access to your VM" },
         { name: "24/7 health monitoring" },
+        { name: "1,000 skill executions / month included" },
       ],
+      // Usage included each calendar month. Executions beyond the quota are reported hourly to the
+      // Stripe meter behind the metered price (see libs/usage.js); unset the price ID to bill a flat fee only.
+      usage: {
+        quotas: { executions: 1000, tokens: 5000000 },
+        // Hard caps checked before each execution; a warning email goes out at softLimitRatio of a cap
+        limits: { executionsPerDay: 500, tokensPerMonth: 5000000, softLimitRatio: 0.8 },
+        metered: {
+          metric: "executions",
+          priceId: process.env.STRIPE_METERED_PRICE_ID,
+          meterEventName: process.env.STRIPE_METER_EVENT_NAME || "alfred_executions",
+          unitPrice: 0.02,
+        },
+      },
+      // VM options the customer can pick at checkout and resize to later, from the smallest. The first entry is
+      // the default, unless a server type has `default: true` or `defaultVolumeSize` names another volume size.
+      // New VMs get the defaults, and upgrading to this plan grows smaller VMs to them.
+      vm: {
+        serverTypes: {
+          hetzner: [
+            { id: "cx23", label: "2 vCPU · 4 GB RAM" },
+            { id: "cx33", label: "4 vCPU · 8 GB RAM" },
+            { id: "cx43", label: "8 vCPU · 16 GB RAM" },
+          ],
+          digitalocean: [
+            { id: "s-2vcpu-4gb", label: "2 vCPU · 4 GB RAM" },
+            { id: "s-4vcpu-8gb", label: "4 vCPU · 8 GB RAM" },
+            { id: "s-8vcpu-16gb", label: "8 vCPU · 16 GB RAM" },
+          ],
+        },
+        volumeSizes: [30, 50, 100],
+        // Automatic VM snapshots: how often one is taken and how many are kept
+        backups: { intervalHours: 24, retain: 7 },
+        // Instances (VMs) per account: a production one plus e.g. a staging one. Each is billed as part of the plan
+        maxInstances: 2,
+      },
+      // Public API (/api/v1): requests each API key may make per window (see libs/api-v1.js)
+      api: {
+        rateLimit: { requests: 120, windowSeconds: 60 },
+      },
     }],
   },
   aws: { bucket: "bucket-name", bucketUrl: `https://bucket-name.s3.amazonaws.com/`, cdn: "https://cdn-id.cloudfront.net/" },
@@ -164,21 +164,19 @@ test.describe('Dashboard', () => {
       // Check for setup steps
       await expect(page.locator('text=Creating VM')).toBeVisible();
       await expect(page.locator('text=Installing Docker')).toBeVisible();
-      await expect(page.locator('text=Configuring services')).toBeVisible();
+      await expect(page.locator('text=Starting services')).toBeVisible();
+      await expect(page.locator('text=Issuing TLS certificate')).toBeVisible();
     });
 
-    test('should poll for status updates every 3 seconds', async ({ page }) => {
-      const statusCalls = [];
-
+    test('should stream provisioning phases from the server', async ({ page }) => {
       await page.route('**/api/user/status', async (route) => {
-        statusCalls.push(Date.now());
         await route.fulfill({
           status: 200,
           contentType: 'application/json',
           body: JSON.stringify({
             hasAccess: true,
             vmStatus: 'provisioning',
-            vmSubdomain: null,
+            vmSubdomain: 'test-user',
             vmIp: null,
             hasApiKey: false,
             maskedApiKey: null,
@@ -187,23 +185,41 @@ test.describe('Dashboard', () => {
         });
       });
 
+      // Mock the Server-Sent Events stream with completed infrastructure steps and two VM phases
+      const provisioning = {
+        status: 'awaiting_registration',
+        currentStep: 'await_registration',
+        steps: [
+          { name: 'validate', status: 'completed', startedAt: '2025-01-01T10:00:00.000Z', completedAt: '2025-01-01T10:00:00.000Z' },
+          { name: 'create_volume', status: 'completed', startedAt: '2025-01-01T10:00:00.000Z', completedAt: '2025-01-01T10:00:03.000Z' },
+          { name: 'create_server', status: 'completed', startedAt: '2025-01-01T10:00:03.000Z', completedAt: '2025-01-01T10:00:15.000Z' },
+          { name: 'configure_dns', status: 'completed', startedAt: '2025-01-01T10:00:15.000Z', completedAt: '2025-01-01T10:00:16.000Z' },
+          { name: 'await_registration', status: 'running', startedAt: '2025-01-01T10:00:16.000Z' },
+        ],
+        phases: [
+          { name: 'docker_installed', reportedAt: '2025-01-01T10:01:05.000Z', durationMs: 50000 },
+          { name: 'images_pulled', reportedAt: '2025-01-01T10:02:35.000Z', durationMs: 90000 },
+        ],
+      };
+
+      await page.route('**/api/vm/provision/events', async (route) => {
+        await route.fulfill({
+          status: 200,
+          contentType: 'text/event-stream',
+          body: `event: status\ndata: ${JSON.stringify({ vmStatus: 'provisioning', provisioning })}\n\n`,
+        });
+      });
+
       await page.goto('/dashboard');
 
-      // Wait for provisioning UI to appear
       await expect(page.locator('text=Setting Up Your Environment')).toBeVisible();
 
-      // Wait for at least 3 status calls (initial + 2 polls)
-      await page.waitForTimeout(7000);
-
-      // Verify we got multiple calls
-      expect(statusCalls.length).toBeGreaterThanOrEqual(3);
+      // Reported phases are shown with how long they took
+      await expect(page.locator('li.step-primary', { hasText: 'Installing Docker' })).toContainText('50s');
+      await expect(page.locator('li.step-primary', { hasText: 'Downloading services' })).toContainText('1m 30s');
 
-      // Verify polling interval is approximately 3 seconds
-      if (statusCalls.length >= 2) {
-        const timeDiff = statusCalls[1] - statusCalls[0];
-        expect(timeDiff).toBeGreaterThan(2500); // Allow some variance
-        expect(timeDiff).toBeLessThan(3500);
-      }
+      // Phases not reported yet are not marked as done
+      await expect(page.locator('li.step', { hasText: 'Issuing TLS certificate' })).not.toHaveClass(/step-primary/);
     });
 
     test('should display error state when provisioning fails', async ({ page }) => {
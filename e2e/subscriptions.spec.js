@@ -0,0 +1,61 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const config = require('@/config').default;
+const { getPlanChangeSelection } = require('@/libs/subscriptions');
+
+/**
+ * Plan Change Tests
+ * Checks the VM resizes a plan change queues (libs/subscriptions.js), without a server
+ */
+
+const PRO_PRICE_ID = config.stripe.plans[0].priceId;
+const BUSINESS_PRICE_ID = 'price_e2e_business';
+
+test.describe('Plan changes', () => {
+  test.beforeAll(() => {
+    config.stripe.plans.push({
+      priceId: BUSINESS_PRICE_ID,
+      name: 'Alfred Business',
+      price: 99,
+      vm: {
+        serverTypes: {
+          hetzner: [
+            { id: 'cx23', label: '2 vCPU · 4 GB RAM' },
+            { id: 'cx33', label: '4 vCPU · 8 GB RAM', default: true },
+            { id: 'cx43', label: '8 vCPU · 16 GB RAM' },
+          ],
+        },
+        volumeSizes: [30, 50, 100],
+        defaultVolumeSize: 50,
+      },
+    });
+  });
+
+  test.afterAll(() => {
+    config.stripe.plans = config.stripe.plans.filter((p) => p.priceId !== BUSINESS_PRICE_ID);
+  });
+
+  test('an upgrade resizes the VM to the new plan\'s default size and volume', () => {
+    const instance = { vmProvider: 'hetzner', vmSize: 'cx23', vmVolumeSize: 30 };
+
+    expect(getPlanChangeSelection(instance, PRO_PRICE_ID, BUSINESS_PRICE_ID)).toEqual({ size: 'cx33', volumeSize: 50 });
+  });
+
+  test('an upgrade keeps a bigger size and volume the new plan allows', () => {
+    const instance = { vmProvider: 'hetzner', vmSize: 'cx43', vmVolumeSize: 100 };
+
+    expect(getPlanChangeSelection(instance, PRO_PRICE_ID, BUSINESS_PRICE_ID)).toBeNull();
+  });
+
+  test('an upgrade only grows what is smaller than the new plan\'s defaults', () => {
+    const instance = { vmProvider: 'hetzner', vmSize: 'cx43', vmVolumeSize: 30 };
+
+    expect(getPlanChangeSelection(instance, PRO_PRICE_ID, BUSINESS_PRICE_ID)).toEqual({ size: 'cx43', volumeSize: 50 });
+  });
+
+  test('a downgrade keeps a VM the new plan allows', () => {
+    const instance = { vmProvider: 'hetzner', vmSize: 'cx33', vmVolumeSize: 50 };
+
+    expect(getPlanChangeSelection(instance, BUSINESS_PRICE_ID, PRO_PRICE_ID)).toBeNull();
+  });
+});
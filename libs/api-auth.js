@@ -1,39 +1,347 @@
+/**
+ * API Keys
+ *
+ * Users create named API keys (see models/ApiKey.js) for programmatic access with
+ * Authorization: Bearer alf_... A key acts as its user, with their role in their organization,
+ * and is further limited to:
+ * - its scopes (API_KEY_SCOPES): each API route asks for the scope it needs
+ * - its IP allowlist, if it has one
+ * - its expiration date, if it has one
+ *
+ * Keys are shown once when created; only their SHA-256 hash is stored.
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
 import connectMongo from "./mongoose";
 import User from "@/models/User";
-import crypto from "crypto";
+import ApiKey from "@/models/ApiKey";
+
+export const API_KEY_SCOPES = [
+  "skills:read",
+  "skills:write",
+  "skills:execute",
+  "executions:read",
+  "connections:read",
+  "connections:write",
+  "usage:read",
+  "vm:read",
+];
+
+const API_KEY_PREFIX = "alf_";
+const MAX_API_KEYS_PER_USER = 25;
+
+// Don't write lastUsedAt on every request of a busy key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashApiKey(apiKey) {
+  return crypto.createHash("sha256").update(apiKey).digest("hex");
+}
+
+function generateApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(16).toString("hex")}`;
+}
 
-export async function validateApiKey(apiKey) {
-  if (!apiKey || !apiKey.startsWith("alf_")) {
+/**
+ * Get the IP address a request comes from
+ *
+ * @param {Request} req - Incoming request
+ * @returns {string|null} First X-Forwarded-For address (set by the platform), or X-Real-IP
+ */
+export function getClientIp(req) {
+  const forwarded = req.headers.get("x-forwarded-for");
+  return forwarded?.split(",")[0].trim() || req.headers.get("x-real-ip") || null;
+}
+
+function ipv4ToNumber(ip) {
+  const parts = ip.split(".").map(Number);
+  if (parts.length !== 4 || parts.some((p) => !Number.isInteger(p) || p < 0 || p > 255)) {
     return null;
   }
+  return parts.reduce((n, p) => n * 256 + p, 0);
+}
+
+/**
+ * Check whether an allowlist entry is an IP address or an IPv4 CIDR range
+ *
+ * @param {string} entry - e.g. '203.0.113.7', '203.0.113.0/24' or '2001:db8::1'
+ * @returns {boolean}
+ */
+export function isValidIpEntry(entry) {
+  const [ip, bits, ...rest] = entry.split("/");
+  if (rest.length) return false;
+
+  if (bits !== undefined) {
+    return ipv4ToNumber(ip) !== null && /^\d+$/.test(bits) && Number(bits) <= 32;
+  }
+
+  return ipv4ToNumber(ip) !== null || (ip.includes(":") && /^[0-9a-f:.]+$/i.test(ip));
+}
+
+/**
+ * Check whether an IP address is on an allowlist
+ *
+ * @param {string|null} ip - Client IP address
+ * @param {Array<string>} allowedIps - IP addresses or IPv4 CIDR ranges
+ * @returns {boolean}
+ */
+export function isIpAllowed(ip, allowedIps) {
+  if (!allowedIps?.length) return true;
+  if (!ip) return false;
 
+  const address = ip.replace(/^::ffff:/, "");
+
+  return allowedIps.some((entry) => {
+    const [range, bits] = entry.split("/");
+    if (bits === undefined) {
+      return range.toLowerCase() === address.toLowerCase();
+    }
+
+    const ipNumber = ipv4ToNumber(address);
+    const rangeNumber = ipv4ToNumber(range);
+    if (ipNumber === null || rangeNumber === null) return false;
+
+    const blockSize = 2 ** (32 - Number(bits));
+    return Math.floor(ipNumber / blockSize) === Math.floor(rangeNumber / blockSize);
+  });
+}
+
+/**
+ * Find the key for an API key string
+ * Users from before named keys had one key on their User document; it becomes their Quick Start key
+ * with every scope the first time it is used.
+ *
+ * @param {string} apiKey - API key (alf_...)
+ * @returns {Promise<Object|null>} ApiKey document
+ */
+async function findApiKey(apiKey) {
   await connectMongo();
 
-  // Hash the API key for comparison
-  const hash = crypto.createHash("sha256").update(apiKey).digest("hex");
+  const keyHash = hashApiKey(apiKey);
 
-  const user = await User.findOne({ apiKeyHash: hash });
+  const key = await ApiKey.findOne({ keyHash });
+  if (key) {
+    return key;
+  }
 
+  const user = await User.findOneAndUpdate(
+    { apiKeyHash: keyHash },
+    { $unset: { apiKeyHash: 1, apiKey: 1, apiKeyCreatedAt: 1 } }
+  );
   if (!user) {
     return null;
   }
 
-  return user;
+  return ApiKey.create({
+    userId: user._id,
+    name: "Quick Start key",
+    keyHash,
+    lastFour: apiKey.slice(-4),
+    scopes: API_KEY_SCOPES,
+    quickstart: true,
+  });
 }
 
-export async function withApiAuth(req, handler) {
+/**
+ * Authenticate a request made with an API key
+ *
+ * @param {Request} req - Incoming request with Authorization: Bearer alf_...
+ * @param {string} scope - Scope the request needs (see API_KEY_SCOPES)
+ * @returns {Promise<Object>} { user, apiKey } on success, { error, status } otherwise
+ *
+ * @example
+ * const result = await authenticateApiKey(req, "skills:execute");
+ * if (result.error) {
+ *   return NextResponse.json({ error: result.error }, { status: result.status });
+ * }
+ */
+export async function authenticateApiKey(req, scope) {
   const authHeader = req.headers.get("authorization");
 
-  if (!authHeader?.startsWith("Bearer alf_")) {
+  if (!authHeader?.startsWith(`Bearer ${API_KEY_PREFIX}`)) {
     return { error: "Invalid or missing API key", status: 401 };
   }
 
-  const apiKey = authHeader.slice(7); // Remove "Bearer "
-  const user = await validateApiKey(apiKey);
+  const apiKey = await findApiKey(authHeader.slice(7)); // Remove "Bearer "
+  if (!apiKey) {
+    return { error: "Invalid API key", status: 401 };
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return { error: "API key has expired", status: 401 };
+  }
 
+  const ip = getClientIp(req);
+  if (!isIpAllowed(ip, apiKey.allowedIps)) {
+    return { error: "API key is not allowed from this IP address", status: 403 };
+  }
+
+  if (scope && !apiKey.scopes.includes(scope)) {
+    return { error: `API key is missing the ${scope} scope`, status: 403 };
+  }
+
+  const user = await User.findById(apiKey.userId);
   if (!user) {
     return { error: "Invalid API key", status: 401 };
   }
 
-  return handler(req, user);
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS || apiKey.lastUsedIp !== ip) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } });
+  }
+
+  return { user, apiKey };
+}
+
+/**
+ * Run a route handler for a request authenticated with an API key
+ *
+ * @param {Request} req - Incoming request
+ * @param {Function} handler - (req, user, apiKey) => Response
+ * @param {Object} options
+ * @param {string} options.scope - Scope the request needs (see API_KEY_SCOPES)
+ * @returns {Promise<Object>} The handler's result, or { error, status }
+ */
+export async function withApiAuth(req, handler, { scope } = {}) {
+  const result = await authenticateApiKey(req, scope);
+
+  if (result.error) {
+    return result;
+  }
+
+  return handler(req, result.user, result.apiKey);
+}
+
+/**
+ * Create an API key for a user
+ *
+ * @param {Object} user - User document
+ * @param {Object} options
+ * @param {string} options.name - Name to tell the key apart
+ * @param {Array<string>} options.scopes - Scopes (see API_KEY_SCOPES)
+ * @param {number} options.expiresInDays - Days until the key expires (never, if unset)
+ * @param {Array<string>} options.allowedIps - IP addresses or IPv4 CIDR ranges (any, if empty)
+ * @param {boolean} options.quickstart - Replace the user's Quick Start key with this one
+ * @returns {Promise<Object>} { success, apiKey, key } where key is the only copy of the key,
+ *   or { success: false, error }
+ */
+export async function createApiKey(user, { name, scopes, expiresInDays, allowedIps = [], quickstart = false } = {}) {
+  name = typeof name === "string" ? name.trim() : "";
+  if (!name || name.length > 80) {
+    return { success: false, error: "Name is required (80 characters at most)" };
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((s) => !API_KEY_SCOPES.includes(s))) {
+    return { success: false, error: `Scopes must be one or more of: ${API_KEY_SCOPES.join(", ")}` };
+  }
+
+  if (expiresInDays !== undefined && expiresInDays !== null && !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+    return { success: false, error: "expiresInDays must be a positive whole number of days" };
+  }
+
+  allowedIps = Array.isArray(allowedIps) ? allowedIps.map((ip) => String(ip).trim()).filter(Boolean) : [];
+  const invalidIp = allowedIps.find((ip) => !isValidIpEntry(ip));
+  if (invalidIp) {
+    return { success: false, error: `Invalid IP address or range: ${invalidIp}` };
+  }
+
+  await connectMongo();
+
+  if (quickstart) {
+    await ApiKey.deleteMany({ userId: user._id, quickstart: true });
+  } else if ((await ApiKey.countDocuments({ userId: user._id })) >= MAX_API_KEYS_PER_USER) {
+    return { success: false, error: `You can have up to ${MAX_API_KEYS_PER_USER} API keys. Revoke one first.` };
+  }
+
+  const key = generateApiKey();
+
+  const apiKey = await ApiKey.create({
+    userId: user._id,
+    name,
+    keyHash: hashApiKey(key),
+    lastFour: key.slice(-4),
+    scopes: [...new Set(scopes)],
+    allowedIps,
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined,
+    quickstart,
+  });
+
+  return { success: true, apiKey, key };
+}
+
+/**
+ * List a user's API keys, newest first
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>} ApiKey documents
+ */
+export async function listApiKeys(userId) {
+  await connectMongo();
+
+  return ApiKey.find({ userId }).sort({ createdAt: -1 });
+}
+
+/**
+ * Get a user's Quick Start key
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} ApiKey document
+ */
+export async function getQuickstartApiKey(userId) {
+  await connectMongo();
+
+  return ApiKey.findOne({ userId, quickstart: true });
+}
+
+/**
+ * Revoke one of a user's API keys; requests with it fail right away
+ *
+ * @param {string} userId - The user ID
+ * @param {string} keyId - ApiKey ID
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+export async function revokeApiKey(userId, keyId) {
+  if (!mongoose.isValidObjectId(keyId)) {
+    return { success: false, error: "API key not found" };
+  }
+
+  await connectMongo();
+
+  const { deletedCount } = await ApiKey.deleteOne({ _id: keyId, userId });
+  if (!deletedCount) {
+    return { success: false, error: "API key not found" };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Mask an API key for display
+ *
+ * @param {Object} apiKey - ApiKey document
+ * @returns {string} e.g. 'alf_************************abcd'
+ */
+export function maskApiKey(apiKey) {
+  return `${API_KEY_PREFIX}${"*".repeat(24)}${apiKey.lastFour || ""}`;
+}
+
+/**
+ * Summarize an API key for API responses
+ *
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Object} Public key fields
+ */
+export function toApiKeySummary(apiKey) {
+  return {
+    id: apiKey._id.toString(),
+    name: apiKey.name,
+    maskedKey: maskApiKey(apiKey),
+    scopes: apiKey.scopes,
+    allowedIps: apiKey.allowedIps,
+    expiresAt: apiKey.expiresAt || null,
+    expired: !!apiKey.expiresAt && apiKey.expiresAt <= new Date(),
+    lastUsedAt: apiKey.lastUsedAt || null,
+    lastUsedIp: apiKey.lastUsedIp || null,
+    quickstart: apiKey.quickstart,
+    createdAt: apiKey.createdAt,
+  };
 }
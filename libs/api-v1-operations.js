@@ -0,0 +1,222 @@
+/**
+ * Public API operations
+ *
+ * Every operation of the public API (/api/v1), as its route passes it to withApiV1: the scope and role
+ * it requires, whether it works on the instance's VM, and the schemas of its query parameters and body,
+ * which withApiV1 checks before running the route. The OpenAPI document (libs/openapi.js) is built from
+ * these definitions, so it describes exactly what the routes accept.
+ *
+ * An operation:
+ * - method, path: as in the OpenAPI document (path relative to /api/v1, with {id} for the route's [id])
+ * - tag, summary, description: for the API reference
+ * - scope, role, requireVm: see withApiV1. instance: false marks organization-wide operations, which
+ *   don't use an instance at all (the VM status uses one without requiring a ready VM)
+ * - params: descriptions of the path parameters
+ * - query: { name: JSON Schema } of the query parameters; body: { schema, required? } of the JSON body
+ * - response: { status, schema, list } where schema names one of the schemas of libs/openapi.js
+ * - errors: error codes the operation may answer besides the ones withApiV1 and the VM may answer
+ */
+
+import { SKILL_SCHEMA } from "@/packages/sdk/src/skill-file.js";
+import { PAGE_QUERY } from "./api-v1";
+import { USAGE_INTERVALS } from "./usage";
+
+export const EXECUTION_STATUSES = ["running", "completed", "failed"];
+
+export const CONNECTION_INPUT_SCHEMA = {
+  type: "object",
+  required: ["name", "type", "config"],
+  properties: {
+    name: { type: "string", minLength: 1 },
+    type: { type: "string", minLength: 1, description: "e.g. stdio or http" },
+    config: {
+      type: "object",
+      description: "How to reach the MCP server: { command, args, env } for stdio, { url, headers } for http",
+    },
+  },
+};
+
+// Any field of a skill; the route checks the skill they make once they are applied
+const SKILL_CHANGES_SCHEMA = { ...SKILL_SCHEMA, required: [] };
+
+const EXECUTE_SKILL_SCHEMA = {
+  type: "object",
+  properties: { input: { type: "object", description: "Input for the skill" } },
+};
+
+export const API_V1_OPERATIONS = {
+  listSkills: {
+    method: "GET",
+    path: "/skills",
+    tag: "Skills",
+    summary: "List skills",
+    scope: "skills:read",
+    role: "viewer",
+    query: PAGE_QUERY,
+    response: { status: 200, schema: "Skill", list: true },
+  },
+  createSkill: {
+    method: "POST",
+    path: "/skills",
+    tag: "Skills",
+    summary: "Create a skill",
+    scope: "skills:write",
+    role: "editor",
+    body: { schema: SKILL_SCHEMA },
+    response: { status: 201, schema: "Skill" },
+  },
+  getSkill: {
+    method: "GET",
+    path: "/skills/{id}",
+    tag: "Skills",
+    summary: "Get a skill",
+    scope: "skills:read",
+    role: "viewer",
+    params: { id: "Skill ID" },
+    response: { status: 200, schema: "Skill" },
+  },
+  updateSkill: {
+    method: "PATCH",
+    path: "/skills/{id}",
+    tag: "Skills",
+    summary: "Update a skill",
+    description: "Changes only the fields sent. The resulting skill must still be valid.",
+    scope: "skills:write",
+    role: "editor",
+    params: { id: "Skill ID" },
+    body: { schema: SKILL_CHANGES_SCHEMA },
+    response: { status: 200, schema: "Skill" },
+  },
+  deleteSkill: {
+    method: "DELETE",
+    path: "/skills/{id}",
+    tag: "Skills",
+    summary: "Delete a skill",
+    scope: "skills:write",
+    role: "editor",
+    params: { id: "Skill ID" },
+    response: { status: 200, schema: "Deleted" },
+  },
+  executeSkill: {
+    method: "POST",
+    path: "/skills/{id}/execute",
+    tag: "Skills",
+    summary: "Run a skill",
+    description:
+      "Starts the skill and answers right away. Follow the execution with GET /executions/{id}. " +
+      "Answers 429 usage_limit_exceeded, with Retry-After, once a usage limit of the plan is reached.",
+    scope: "skills:execute",
+    role: "editor",
+    params: { id: "Skill ID" },
+    body: { schema: EXECUTE_SKILL_SCHEMA, required: false },
+    response: { status: 202, schema: "ExecutionStarted" },
+    errors: ["usage_limit_exceeded"],
+  },
+  listExecutions: {
+    method: "GET",
+    path: "/executions",
+    tag: "Executions",
+    summary: "List executions",
+    description: "Newest first.",
+    scope: "executions:read",
+    role: "viewer",
+    query: {
+      ...PAGE_QUERY,
+      status: { type: "string", enum: EXECUTION_STATUSES },
+      skillId: { type: "string", description: "Only the executions of this skill" },
+    },
+    response: { status: 200, schema: "Execution", list: true },
+  },
+  getExecution: {
+    method: "GET",
+    path: "/executions/{id}",
+    tag: "Executions",
+    summary: "Get an execution",
+    description: "With its steps, output and token usage.",
+    scope: "executions:read",
+    role: "viewer",
+    params: { id: "Execution ID" },
+    response: { status: 200, schema: "Execution" },
+  },
+  listConnections: {
+    method: "GET",
+    path: "/connections",
+    tag: "Connections",
+    summary: "List connections",
+    scope: "connections:read",
+    role: "viewer",
+    query: PAGE_QUERY,
+    response: { status: 200, schema: "Connection", list: true },
+  },
+  createConnection: {
+    method: "POST",
+    path: "/connections",
+    tag: "Connections",
+    summary: "Add a connection",
+    scope: "connections:write",
+    role: "editor",
+    body: { schema: CONNECTION_INPUT_SCHEMA },
+    response: { status: 201, schema: "Connection" },
+  },
+  getConnection: {
+    method: "GET",
+    path: "/connections/{id}",
+    tag: "Connections",
+    summary: "Get a connection",
+    scope: "connections:read",
+    role: "viewer",
+    params: { id: "Connection ID" },
+    response: { status: 200, schema: "Connection" },
+  },
+  deleteConnection: {
+    method: "DELETE",
+    path: "/connections/{id}",
+    tag: "Connections",
+    summary: "Remove a connection",
+    scope: "connections:write",
+    role: "editor",
+    params: { id: "Connection ID" },
+    response: { status: 200, schema: "Deleted" },
+  },
+  getVmStatus: {
+    method: "GET",
+    path: "/vm",
+    tag: "VM",
+    summary: "Get the VM's status",
+    description: "Answers whether or not the VM is ready. A ready VM is health checked.",
+    scope: "vm:read",
+    role: "viewer",
+    requireVm: false,
+    response: { status: 200, schema: "VmStatus" },
+    errors: ["not_found"],
+  },
+  getUsage: {
+    method: "GET",
+    path: "/usage",
+    tag: "Usage",
+    summary: "Get this month's usage",
+    description: "Of the whole organization, against the quotas of its plan.",
+    scope: "usage:read",
+    role: "viewer",
+    requireVm: false,
+    instance: false,
+    response: { status: 200, schema: "UsageSummary" },
+  },
+  getUsageMetrics: {
+    method: "GET",
+    path: "/usage/metrics",
+    tag: "Usage",
+    summary: "Get usage over time",
+    description: "Of the whole organization, by day or by week (weeks start on Monday). Ranges are up to a year.",
+    scope: "usage:read",
+    role: "viewer",
+    requireVm: false,
+    instance: false,
+    query: {
+      from: { type: "string", format: "date", description: "YYYY-MM-DD (default: 30 days ago)" },
+      to: { type: "string", format: "date", description: "YYYY-MM-DD (default: today)" },
+      interval: { type: "string", enum: USAGE_INTERVALS, default: "day" },
+    },
+    response: { status: 200, schema: "UsageMetrics" },
+  },
+};
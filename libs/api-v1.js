@@ -0,0 +1,335 @@
+/**
+ * Public API (/api/v1)
+ *
+ * Versioned REST API for CI and internal tools, authenticated with an API key (see libs/api-auth.js).
+ * Every /api/v1 route goes through withApiV1, so they all behave the same:
+ * - Success: { data } with the route's status, plus { pagination: { nextCursor, hasMore } } on lists
+ * - Error: { error: { code, message, details? } } (see API_ERROR_CODES)
+ * - Lists take ?limit= (1 to MAX_PAGE_LIMIT) and ?cursor= (the nextCursor of the previous page)
+ * - Query parameters and bodies are checked against the route's operation (see libs/api-v1-operations.js)
+ *   before the route runs, and answer 400 invalid_request when they don't match
+ * - Each key is rate limited by its plan (api.rateLimit in config.js); every response has
+ *   X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset, and 429s have Retry-After
+ *
+ * A key acts with its user's role in their organization on the instance picked with the
+ * X-Alfred-Instance header or ?instanceId= (the production instance by default).
+ */
+
+import { NextResponse } from "next/server";
+import { authenticateApiKey } from "./api-auth";
+import { consumeRateLimit, getRateLimitHeaders } from "./rate-limit";
+import { getMembership, hasRole } from "./organizations";
+import { getRequestInstance } from "./instances";
+import { getPlan } from "./vm-plans";
+import { checkSchema } from "@/packages/sdk/src/json-schema.js";
+
+export const API_ERROR_CODES = {
+  invalid_request: 400,
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  rate_limited: 429,
+  usage_limit_exceeded: 429,
+  internal_error: 500,
+  vm_error: 502,
+  vm_unavailable: 503,
+  vm_timeout: 504,
+};
+
+export const DEFAULT_PAGE_LIMIT = 25;
+export const MAX_PAGE_LIMIT = 100;
+
+// Query parameters of every list (see getPageParams)
+export const PAGE_QUERY = {
+  limit: {
+    type: "integer",
+    minimum: 1,
+    maximum: MAX_PAGE_LIMIT,
+    default: DEFAULT_PAGE_LIMIT,
+    description: "Items per page",
+  },
+  cursor: { type: "string", description: "nextCursor of the previous page" },
+};
+
+// Used when a plan in config.js has no api.rateLimit
+const DEFAULT_RATE_LIMIT = { requests: 60, windowSeconds: 60 };
+
+/**
+ * Build an error response
+ *
+ * @param {string} code - Error code (see API_ERROR_CODES)
+ * @param {string} message - What went wrong, for people
+ * @param {Object} options
+ * @param {number} options.status - HTTP status (default: the code's)
+ * @param {Object} options.details - Extra fields for the client, e.g. the usage limit reached
+ * @param {Object} options.headers - Response headers
+ * @returns {NextResponse}
+ *
+ * @example
+ * return apiError("not_found", "Skill not found");
+ */
+export function apiError(code, message, { status, details, headers } = {}) {
+  const error = { code, message };
+  if (details) {
+    error.details = details;
+  }
+
+  return NextResponse.json({ error }, { status: status || API_ERROR_CODES[code] || 500, headers });
+}
+
+/**
+ * Build a success response
+ *
+ * @param {*} data - Response data
+ * @param {Object} options
+ * @param {number} options.status - HTTP status (default: 200)
+ * @param {Object} options.pagination - { nextCursor, hasMore } for lists
+ * @param {Object} options.headers - Response headers
+ * @returns {NextResponse}
+ */
+export function apiResponse(data, { status = 200, pagination, headers } = {}) {
+  const body = { data };
+  if (pagination) {
+    body.pagination = pagination;
+  }
+
+  return NextResponse.json(body, { status, headers });
+}
+
+/**
+ * Encode a list position as an opaque cursor
+ *
+ * @param {Object} position - e.g. { offset: 50 }
+ * @returns {string} base64url cursor
+ */
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+/**
+ * Decode a cursor made by encodeCursor
+ *
+ * @param {string} cursor - base64url cursor
+ * @returns {Object|null} The position, or null if the cursor is invalid
+ */
+export function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return position && typeof position === "object" ? position : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the page of a list request
+ *
+ * @param {Object} query - Query parameters checked against PAGE_QUERY (the query withApiV1 passes to handlers)
+ * @returns {Object} { limit, position } where position is the decoded cursor ({} on the first page),
+ *   or { error } if the cursor is invalid
+ */
+export function getPageParams({ limit, cursor }) {
+  const position = cursor ? decodeCursor(cursor) : {};
+  if (!position) {
+    return { error: "Invalid cursor" };
+  }
+
+  return { limit, position };
+}
+
+/**
+ * Cut one page out of a complete list (for VM resources listed all at once, like skills)
+ *
+ * @param {Array} items - Every item
+ * @param {Object} page - Result of getPageParams
+ * @returns {Object} { data, pagination }
+ */
+export function paginate(items, { limit, position }) {
+  const offset = Number.isInteger(position.offset) && position.offset > 0 ? position.offset : 0;
+  const data = items.slice(offset, offset + limit);
+  const hasMore = offset + limit < items.length;
+
+  return {
+    data,
+    pagination: {
+      nextCursor: hasMore ? encodeCursor({ offset: offset + limit }) : null,
+      hasMore,
+    },
+  };
+}
+
+/**
+ * Check a path parameter (like a skill ID) before it goes into a path on the VM
+ * encodeURIComponent leaves "." and "..", which would move the request off the resource the API key's
+ * scope was checked for (app/api/proxy/vm rejects them for the same reason).
+ *
+ * @param {string} id - Path parameter of the route
+ * @returns {boolean} Whether the ID can name a resource
+ */
+export function isValidResourceId(id) {
+  return typeof id === "string" && id.trim() !== "" && id !== "." && id !== "..";
+}
+
+/**
+ * Turn a failed sendToVm result into an error response
+ * The VM's client errors (e.g. an unknown skill) are passed on; anything else is the VM's fault.
+ *
+ * @param {Object} result - Failed sendToVm result { error, statusCode, vmUrl }
+ * @param {string} notFoundMessage - Message when the VM answers 404 (e.g. 'Skill not found')
+ * @returns {NextResponse}
+ */
+export function vmErrorResponse(result, notFoundMessage = "Not found") {
+  const message = typeof result.error === "string" ? result.error : "The VM rejected the request";
+
+  if (result.statusCode === 404) {
+    return apiError("not_found", notFoundMessage);
+  }
+
+  // The VM may have acted on a request it didn't answer in time, so clients mustn't resend it blindly
+  if (result.statusCode === 408) {
+    return apiError("vm_timeout", message);
+  }
+
+  // Only a 503 from sendToVm itself (no vmUrl: the request wasn't sent) means nothing happened;
+  // the VM's own 503s fall through to vm_error
+  if (result.statusCode === 503 && !result.vmUrl) {
+    return apiError("vm_unavailable", message);
+  }
+
+  if (result.statusCode >= 400 && result.statusCode < 500) {
+    return apiError("invalid_request", message, { status: result.statusCode });
+  }
+
+  return apiError("vm_error", message);
+}
+
+/**
+ * Authenticate, authorize and rate limit a /api/v1 request, check its query and body, then run its handler
+ *
+ * @param {Request} req - Incoming request
+ * @param {Object} operation - The route's operation (see API_V1_OPERATIONS in libs/api-v1-operations.js)
+ * @param {string} operation.scope - API key scope the request needs (see API_KEY_SCOPES)
+ * @param {string} operation.role - Least privileged organization role allowed (see ORGANIZATION_ROLES)
+ * @param {boolean} operation.requireVm - Work on the selected instance and answer 503 vm_unavailable unless its VM
+ *   is ready (default: true). Organization-wide routes, like usage, set it to false and get no instance
+ * @param {Object} operation.query - { name: JSON Schema } of the query parameters the route reads
+ * @param {Object} operation.body - { schema, required } of the JSON body (required: false takes an empty body as {})
+ * @param {Function} handler - ({ user, apiKey, organization, role, instance, query, body }) => NextResponse, where
+ *   query holds the checked query parameters (numbers for integers, defaults for missing ones) and body the body
+ * @returns {Promise<NextResponse>} The handler's response or an error, with the rate limit headers
+ *
+ * @example
+ * export async function POST(req) {
+ *   return withApiV1(req, API_V1_OPERATIONS.createSkill, async ({ instance, body }) => {
+ *     const result = await sendToVm(instance, "/api/skills", "POST", body, { action: "skills.create" });
+ *     return result.success ? apiResponse(result.data, { status: 201 }) : vmErrorResponse(result);
+ *   });
+ * }
+ */
+export async function withApiV1(req, operation, handler) {
+  try {
+    const auth = await authenticateApiKey(req, operation.scope);
+    if (auth.error) {
+      return apiError(auth.status === 403 ? "forbidden" : "unauthorized", auth.error, { status: auth.status });
+    }
+
+    const membership = await getMembership(auth.user._id);
+    if (!membership) {
+      return apiError("unauthorized", "Invalid API key");
+    }
+
+    const { organization } = membership;
+    const { requests, windowSeconds } = getPlan(organization.priceId).api?.rateLimit || DEFAULT_RATE_LIMIT;
+    const rateLimit = await consumeRateLimit(`api-key:${auth.apiKey._id}`, { limit: requests, windowSeconds });
+    const headers = getRateLimitHeaders(rateLimit);
+
+    if (!rateLimit.allowed) {
+      return apiError("rate_limited", `Rate limit of ${requests} requests per ${windowSeconds} seconds reached`, {
+        headers,
+      });
+    }
+
+    const response = await authorizeAndRun(req, { ...auth, ...membership }, operation, handler);
+    for (const [name, value] of Object.entries(headers)) {
+      response.headers.set(name, value);
+    }
+
+    return response;
+  } catch (error) {
+    console.error(`[API v1] ${req.method} ${new URL(req.url).pathname} failed:`, error);
+    return apiError("internal_error", "Something went wrong. Please try again.");
+  }
+}
+
+// Read the query parameters of an operation: integers as numbers, defaults for the missing ones
+function readQuery(req, schemas = {}) {
+  const { searchParams } = new URL(req.url);
+  const query = {};
+  const problems = [];
+
+  for (const [name, schema] of Object.entries(schemas)) {
+    const text = searchParams.get(name);
+    if (text === null || text === "") {
+      query[name] = schema.default;
+      continue;
+    }
+
+    query[name] = schema.type === "integer" && /^-?\d+$/.test(text) ? Number(text) : text;
+    problems.push(...checkSchema(query[name], schema, name));
+  }
+
+  return { query, problems };
+}
+
+// Read the JSON body of an operation
+async function readBody(req, { schema, required = true }) {
+  const text = await req.text();
+  if (!text.trim()) {
+    return required ? { problems: ["A JSON body is required"] } : { body: {}, problems: [] };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return { problems: ["The body isn't valid JSON"] };
+  }
+
+  return { body, problems: checkSchema(body, schema, "body") };
+}
+
+// Check the role, the query and body, and the instance's VM once the request is counted against the rate limit
+async function authorizeAndRun(req, context, { role = "viewer", requireVm = true, query: querySchemas, body: bodySpec }, handler) {
+  if (!hasRole(context.role, role)) {
+    return apiError("forbidden", `This requires the ${role} role or above (your role: ${context.role})`);
+  }
+
+  const { query, problems } = readQuery(req, querySchemas);
+  const { body, problems: bodyProblems = [] } = bodySpec ? await readBody(req, bodySpec) : {};
+  problems.push(...bodyProblems);
+  if (problems.length) {
+    return apiError("invalid_request", problems.join("; "), { details: { problems } });
+  }
+
+  let instance = null;
+  if (requireVm) {
+    instance = await getRequestInstance(req, context.organization._id);
+    if (!instance) {
+      return apiError("not_found", "Instance not found");
+    }
+
+    if (!instance.vmSubdomain || instance.vmStatus !== "ready") {
+      return apiError("vm_unavailable", instance.vmSubdomain ? `VM is not ready (status: ${instance.vmStatus})` : "VM not provisioned");
+    }
+  }
+
+  return handler({
+    user: context.user,
+    apiKey: context.apiKey,
+    organization: context.organization,
+    role: context.role,
+    instance,
+    query,
+    body,
+  });
+}
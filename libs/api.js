@@ -9,6 +9,38 @@ const apiClient = axios.create({
   baseURL: "/api",
 });
 
+// The instance (VM) selected in the dashboard, sent as X-Alfred-Instance with every request.
+// Without one the API acts on the organization's production instance (see libs/instances.js)
+const SELECTED_INSTANCE_KEY = "alfred:selectedInstanceId";
+
+export function getSelectedInstanceId() {
+  if (typeof window === "undefined") return null;
+  return window.localStorage.getItem(SELECTED_INSTANCE_KEY);
+}
+
+export function setSelectedInstanceId(instanceId) {
+  if (instanceId) {
+    window.localStorage.setItem(SELECTED_INSTANCE_KEY, instanceId);
+  } else {
+    window.localStorage.removeItem(SELECTED_INSTANCE_KEY);
+  }
+}
+
+// Add the selected instance to a URL, for requests that can't set headers (fetch calls, EventSource)
+export function withInstance(url) {
+  const instanceId = getSelectedInstanceId();
+  if (!instanceId) return url;
+  return `${url}${url.includes("?") ? "&" : "?"}instanceId=${encodeURIComponent(instanceId)}`;
+}
+
+apiClient.interceptors.request.use(function (request) {
+  const instanceId = getSelectedInstanceId();
+  if (instanceId) {
+    request.headers["X-Alfred-Instance"] = instanceId;
+  }
+  return request;
+});
+
 apiClient.interceptors.response.use(
   function (response) {
     return response.data;
@@ -22,8 +54,8 @@ apiClient.interceptors.response.use(
       // automatically redirect to /dashboard page after login
       return signIn(undefined, { callbackUrl: config.auth.callbackUrl });
     } else if (error.response?.status === 403) {
-      // User not authorized, must subscribe/purchase/pick a plan
-      message = "Pick a plan to use this feature";
+      // User not authorized: their role doesn't allow it (the error says which one does), or they must subscribe/purchase/pick a plan
+      message = error.response.data?.error || "Pick a plan to use this feature";
     } else {
       message =
         error?.response?.data?.error || error.message || error.toString();
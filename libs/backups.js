@@ -0,0 +1,441 @@
+/**
+ * VM Backups
+ *
+ * Scheduled snapshots of every ready VM, pruned according to the `vm.backups` policy of the
+ * customer's plan in config.js, and restores of a snapshot to a new VM.
+ *
+ * Restore flow:
+ * 1. restoreBackup() creates a server from the snapshot with generateRestoreCloudInit() and stores
+ *    it in instance.vmRestore; the current VM keeps serving traffic meanwhile
+ * 2. The new VM calls /api/vm/register with the restore auth secret
+ * 3. completeRestore() points the DNS record at the new VM, moves the data volume over and
+ *    deletes the old server
+ * Restores that never register are cancelled by the backups cron after RESTORE_TIMEOUT_MINUTES.
+ */
+
+import bcrypt from "bcryptjs";
+import connectMongo from "./mongoose";
+import Organization from "@/models/Organization";
+import Instance from "@/models/Instance";
+import Backup from "@/models/Backup";
+import { getProvider } from "./vm-providers";
+import { getPlan, resolveVmSelection } from "./vm-plans";
+import { generateAuthSecret } from "./provisioning";
+import { generateRestoreCloudInit } from "./cloudinit";
+import { getDnsRecord, updateDnsRecord } from "./cloudflare";
+
+const RESTORE_TIMEOUT_MINUTES = 30;
+
+/**
+ * Get the backup policy of a plan
+ * @param {string} priceId - Stripe price ID
+ * @returns {Object} { intervalHours, retain }
+ */
+export function getBackupPolicy(priceId) {
+  const { vm = {} } = getPlan(priceId);
+  return {
+    intervalHours: vm.backups?.intervalHours || 24,
+    retain: vm.backups?.retain || 7,
+  };
+}
+
+/**
+ * Snapshot an instance's VM
+ *
+ * @param {Object} instance - Instance document with a VM
+ * @param {string} trigger - 'scheduled' or 'manual'
+ * @returns {Promise<Object>} The Backup document
+ */
+async function createBackupForInstance(instance, trigger) {
+  const provider = getProvider(instance.vmProvider || "hetzner");
+
+  const snapshot = await provider.createSnapshot(instance.vmHetznerId, {
+    name: `alfred-${instance.vmSubdomain}-backup-${Date.now()}`,
+    labels: {
+      service: "alfred",
+      subdomain: instance.vmSubdomain,
+      organization_id: instance.organizationId.toString(),
+      instance_id: instance._id.toString(),
+      backup: trigger,
+    },
+  });
+
+  const backup = await Backup.create({
+    organizationId: instance.organizationId,
+    instanceId: instance._id,
+    subdomain: instance.vmSubdomain,
+    provider: provider.name,
+    serverId: instance.vmHetznerId,
+    snapshotId: snapshot.id,
+    trigger,
+  });
+
+  console.log(`Backup ${backup._id} (snapshot ${snapshot.id}) requested for instance ${instance._id}`);
+
+  return backup;
+}
+
+/**
+ * Check whether a backup that is being created has become available
+ * @param {Object} backup - Backup document
+ * @returns {Promise<Object>} The updated backup
+ */
+async function refreshBackup(backup) {
+  if (backup.status !== "creating") {
+    return backup;
+  }
+
+  const snapshot = await getProvider(backup.provider).getSnapshot(backup.snapshotId);
+
+  if (!snapshot) {
+    backup.status = "failed";
+    backup.error = "Snapshot not found";
+  } else if (snapshot.status === "available") {
+    backup.status = "available";
+    backup.imageId = snapshot.imageId;
+    backup.availableAt = new Date();
+  } else {
+    return backup;
+  }
+
+  await backup.save();
+  return backup;
+}
+
+/**
+ * Delete a backup's snapshot at the provider
+ * @param {Object} backup - Backup document
+ */
+async function deleteBackup(backup) {
+  await getProvider(backup.provider).deleteSnapshot(backup.snapshotId);
+  backup.status = "deleted";
+  backup.deletedAt = new Date();
+  await backup.save();
+  console.log(`Backup ${backup._id} (snapshot ${backup.snapshotId}) deleted`);
+}
+
+/**
+ * List an instance's backups, newest first
+ * Backups still being created are checked with the provider first.
+ *
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<Array<Object>>} Backups that are creating or available
+ */
+export async function listBackups(instanceId) {
+  await connectMongo();
+
+  const backups = await Backup.find({ instanceId, status: { $in: ["creating", "available"] } })
+    .sort({ createdAt: -1 });
+
+  return Promise.all(backups.map(refreshBackup));
+}
+
+/**
+ * Take a backup of an instance's VM right away
+ *
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<Object>} Result with the backup
+ */
+export async function createBackup(instanceId) {
+  try {
+    await connectMongo();
+
+    const instance = await Instance.findById(instanceId);
+    if (!instance) {
+      throw new Error(`Instance not found: ${instanceId}`);
+    }
+
+    if (instance.vmStatus !== "ready" || !instance.vmHetznerId) {
+      return { success: false, invalid: true, error: "VM must be ready to back up" };
+    }
+
+    const inProgress = await Backup.exists({ instanceId: instance._id, status: "creating" });
+    if (inProgress) {
+      return { success: false, invalid: true, error: "A backup is already being created" };
+    }
+
+    const backup = await createBackupForInstance(instance, "manual");
+
+    return { success: true, backup };
+  } catch (error) {
+    console.error(`Failed to back up VM for instance ${instanceId}:`, error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Restore a backup to a new VM
+ * The new server boots from the snapshot next to the current one and takes over once it registers.
+ *
+ * @param {string} instanceId - The instance ID
+ * @param {string} backupId - Backup to restore
+ * @returns {Promise<Object>} Restore result
+ */
+export async function restoreBackup(instanceId, backupId) {
+  try {
+    await connectMongo();
+
+    const instance = await Instance.findById(instanceId);
+    if (!instance) {
+      throw new Error(`Instance not found: ${instanceId}`);
+    }
+
+    if (!["ready", "error"].includes(instance.vmStatus) || !instance.vmSubdomain) {
+      return { success: false, invalid: true, error: `VM can't be restored (status: ${instance.vmStatus})` };
+    }
+
+    if (instance.vmRestore?.serverId) {
+      return { success: false, invalid: true, error: "A restore is already in progress" };
+    }
+
+    const backup = await Backup.findOne({ _id: backupId, instanceId: instance._id });
+    if (!backup) {
+      return { success: false, notFound: true, error: "Backup not found" };
+    }
+
+    await refreshBackup(backup);
+    if (backup.status !== "available") {
+      return { success: false, invalid: true, error: `Backup is not available (status: ${backup.status})` };
+    }
+
+    const provider = getProvider(backup.provider);
+    const organization = await Organization.findById(instance.organizationId).select("priceId");
+    const { region, size } = resolveVmSelection(organization?.priceId, {
+      provider: provider.name,
+      region: instance.vmRegion || provider.defaultRegion,
+      size: instance.vmSize,
+    });
+    const authSecret = generateAuthSecret();
+
+    const server = await provider.createServer({
+      name: `alfred-${instance.vmSubdomain}-restore-${Date.now()}`,
+      size,
+      region,
+      image: backup.imageId,
+      userData: generateRestoreCloudInit(instance.vmSubdomain, authSecret),
+      labels: { service: "alfred", subdomain: instance.vmSubdomain },
+    });
+
+    instance.vmRestore = {
+      backupId: backup._id,
+      serverId: server.id,
+      authSecretHash: await bcrypt.hash(authSecret, 10),
+      startedAt: new Date(),
+    };
+    await instance.save();
+
+    console.log(`Restoring backup ${backup._id} for instance ${instanceId} to server ${server.id}`);
+
+    return { success: true, serverId: server.id, backupId: backup._id.toString() };
+  } catch (error) {
+    console.error(`Failed to restore backup ${backupId} for instance ${instanceId}:`, error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Check whether a registering VM is the one being restored for this instance
+ * @param {Object} instance - Instance document
+ * @param {string} authSecret - Secret the VM registered with
+ * @returns {Promise<boolean>}
+ */
+export async function isRestoreRegistration(instance, authSecret) {
+  if (!instance.vmRestore?.serverId || !instance.vmRestore.authSecretHash) {
+    return false;
+  }
+  return bcrypt.compare(authSecret, instance.vmRestore.authSecretHash);
+}
+
+/**
+ * Swap a restored VM in for the instance's current one
+ * Called by /api/vm/register once the restored VM is up.
+ *
+ * @param {Object} instance - Instance document with vmRestore set
+ * @param {string} publicKey - Public key the restored VM registered with
+ * @returns {Promise<Object>} Result with the new server and IP
+ */
+export async function completeRestore(instance, publicKey) {
+  const provider = getProvider(instance.vmProvider || "hetzner");
+  const { serverId } = instance.vmRestore;
+
+  const server = await provider.getServer(serverId);
+  if (!server?.ipAddress) {
+    throw new Error(`Restored server ${serverId} has no IP address`);
+  }
+
+  // Point the subdomain at the restored VM
+  const dnsResult = await getDnsRecord(instance.vmSubdomain);
+  if (!dnsResult.success) {
+    throw new Error(`Failed to find DNS record: ${dnsResult.error}`);
+  }
+  const updateResult = await updateDnsRecord(dnsResult.record.id, { ip: server.ipAddress });
+  if (!updateResult.success) {
+    throw new Error(`Failed to update DNS record: ${updateResult.error}`);
+  }
+
+  const oldServerId = instance.vmHetznerId;
+
+  instance.vmHetznerId = serverId;
+  instance.vmIp = server.ipAddress;
+  instance.vmAuthSecretHash = instance.vmRestore.authSecretHash;
+  // A rotation of the replaced VM must not swap its hash in afterwards
+  instance.vmAuthSecretRotation = undefined;
+  instance.vmPublicKey = publicKey || null;
+  instance.vmStatus = "ready";
+  instance.vmRestore = undefined;
+  await instance.save();
+
+  console.log(`Restored VM ${serverId} now serves ${instance.vmSubdomain}`);
+
+  // Deleting the old server detaches the data volume so it can follow the new one
+  if (oldServerId && oldServerId !== serverId) {
+    await provider.deleteServer(oldServerId);
+    console.log(`Old server ${oldServerId} deleted`);
+  }
+
+  if (instance.vmVolumeId) {
+    await moveDataVolume(provider, instance.vmVolumeId, serverId);
+  }
+
+  return { success: true, serverId, ipAddress: server.ipAddress };
+}
+
+/**
+ * Attach the data volume to the restored server once the old server released it
+ * Failing to move it is logged, not fatal: the volume is kept and can be attached later.
+ */
+async function moveDataVolume(provider, volumeId, serverId) {
+  try {
+    for (let i = 0; i < 15; i++) {
+      const volume = await provider.getVolume(volumeId);
+      if (!volume || volume.serverId === serverId) {
+        return;
+      }
+      if (!volume.serverId) {
+        await provider.attachVolume(volumeId, serverId);
+        console.log(`Volume ${volumeId} attached to server ${serverId}`);
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+    console.warn(`Volume ${volumeId} is still attached to the old server, not moved to ${serverId}`);
+  } catch (error) {
+    console.error(`Failed to move volume ${volumeId} to server ${serverId}:`, error);
+  }
+}
+
+/**
+ * Cancel a restore whose VM never registered
+ * @param {Object} instance - Instance document with vmRestore set
+ */
+async function cancelRestore(instance) {
+  const provider = getProvider(instance.vmProvider || "hetzner");
+  await provider.deleteServer(instance.vmRestore.serverId);
+  console.warn(`Restore to server ${instance.vmRestore.serverId} for instance ${instance._id} timed out and was cancelled`);
+  instance.vmRestore = undefined;
+  await instance.save();
+}
+
+/**
+ * Take, check and prune backups for every VM
+ * - Backups still being created are checked with the provider
+ * - Ready VMs get a new snapshot once their plan's interval has passed
+ * - Available backups beyond the plan's retention are deleted, and all backups of
+ *   deprovisioned VMs (those keep the snapshot taken while deprovisioning) and deleted instances
+ * - Restores that never registered are cancelled
+ *
+ * @returns {Promise<Object>} Summary of the run
+ */
+export async function runScheduledBackups() {
+  await connectMongo();
+
+  const results = {
+    created: 0,
+    available: 0,
+    deleted: 0,
+    restoresCancelled: 0,
+    failed: 0,
+    details: [],
+  };
+
+  const record = (detail) => {
+    results.details.push(detail);
+    if (detail.error) results.failed++;
+  };
+
+  for (const backup of await Backup.find({ status: "creating" })) {
+    try {
+      await refreshBackup(backup);
+      if (backup.status === "available") results.available++;
+    } catch (error) {
+      record({ backupId: backup._id.toString(), action: "refresh", error: error.message });
+    }
+  }
+
+  const restoreCutoff = new Date(Date.now() - RESTORE_TIMEOUT_MINUTES * 60 * 1000);
+  for (const instance of await Instance.find({ "vmRestore.startedAt": { $lte: restoreCutoff } })) {
+    try {
+      await cancelRestore(instance);
+      results.restoresCancelled++;
+      record({ instanceId: instance._id.toString(), action: "cancel_restore" });
+    } catch (error) {
+      record({ instanceId: instance._id.toString(), action: "cancel_restore", error: error.message });
+    }
+  }
+
+  const instances = await Instance.find({ vmStatus: "ready", vmHetznerId: { $ne: null }, deletedAt: null });
+  const owners = await Organization.find({ _id: { $in: instances.map((i) => i.organizationId) } }).select("priceId");
+
+  for (const instance of instances) {
+    const instanceId = instance._id.toString();
+    const owner = owners.find((o) => o._id.equals(instance.organizationId));
+    const policy = getBackupPolicy(owner?.priceId);
+
+    try {
+      // Don't snapshot a VM that is about to be replaced
+      if (instance.vmRestore?.serverId) {
+        continue;
+      }
+
+      const latest = await Backup.findOne({ instanceId: instance._id, status: { $in: ["creating", "available"] } })
+        .sort({ createdAt: -1 });
+
+      if (!latest || Date.now() - latest.createdAt > policy.intervalHours * 60 * 60 * 1000) {
+        await createBackupForInstance(instance, "scheduled");
+        results.created++;
+        record({ instanceId, action: "backup" });
+      }
+
+      const expired = await Backup.find({ instanceId: instance._id, status: "available" })
+        .sort({ createdAt: -1 })
+        .skip(policy.retain);
+
+      for (const backup of expired) {
+        await deleteBackup(backup);
+        results.deleted++;
+      }
+    } catch (error) {
+      console.error(`Scheduled backup failed for instance ${instanceId}:`, error);
+      record({ instanceId, action: "backup", error: error.message });
+    }
+  }
+
+  // Instances that were deleted are gone from the collection, so their backups go too
+  const liveInstanceIds = await Instance.find({ vmStatus: { $ne: "deprovisioned" } }).distinct("_id");
+  for (const backup of await Backup.find({ instanceId: { $exists: true, $nin: liveInstanceIds }, status: "available" })) {
+    try {
+      await deleteBackup(backup);
+      results.deleted++;
+    } catch (error) {
+      record({ backupId: backup._id.toString(), action: "delete", error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -12,6 +12,9 @@ const CLOUDFLARE_API_TOKEN = process.env.CLOUDFLARE_API_TOKEN;
 const CLOUDFLARE_ZONE_ID = process.env.CLOUDFLARE_ZONE_ID;
 const BASE_DOMAIN = "alfredos.site";
 
+// Comment on the A records Alfred creates for VMs; the reconciler (libs/reconcile.js) only ever deletes records with it
+export const VM_DNS_RECORD_COMMENT = "alfred-vm";
+
 /**
  * Make an authenticated request to the Cloudflare API
  * @param {string} endpoint - API endpoint (e.g., '/zones/xxx/dns_records')
@@ -298,8 +301,10 @@ export async function updateDnsRecord(recordId, updates) {
       proxied: updates.proxied !== undefined ? updates.proxied : currentRecord.proxied,
     };
 
-    if (updates.comment !== undefined) {
-      requestData.comment = updates.comment;
+    // PUT replaces the whole record, so the comment is sent even when it doesn't change
+    const comment = updates.comment !== undefined ? updates.comment : currentRecord.comment;
+    if (comment) {
+      requestData.comment = comment;
     }
 
     const response = await cloudflareRequest(
@@ -336,6 +341,8 @@ export async function updateDnsRecord(recordId, updates) {
  * @param {object} filters - Filter options
  * @param {string} filters.type - Record type (e.g., 'A', 'CNAME')
  * @param {string} filters.name - Record name
+ * @param {number} filters.page - Page to fetch (see meta.total_pages)
+ * @param {number} filters.perPage - Records per page (Cloudflare default: 100)
  * @returns {Promise<object>} - List of DNS records
  *
  * @example
@@ -352,6 +359,12 @@ export async function listDnsRecords(filters = {}) {
     if (filters.name) {
       params.append("name", filters.name);
     }
+    if (filters.page) {
+      params.append("page", String(filters.page));
+    }
+    if (filters.perPage) {
+      params.append("per_page", String(filters.perPage));
+    }
 
     const endpoint = `/zones/${zoneId}/dns_records${params.toString() ? `?${params.toString()}` : ""}`;
     const response = await cloudflareRequest(endpoint, "GET");
@@ -367,6 +380,7 @@ export async function listDnsRecords(filters = {}) {
         ttl: record.ttl,
         createdOn: record.created_on,
         modifiedOn: record.modified_on,
+        comment: record.comment,
       })),
       meta: response.result_info,
     };
@@ -19,6 +19,7 @@ write_files:
     permissions: '0600'
     content: |
       VM_AUTH_SECRET=${authSecret}
+      ALFRED_JWKS_URL=https://alfred.rocks/api/vm/jwks/${subdomain}
       VM_ENCRYPTION_SECRET=PLACEHOLDER_ENCRYPTION
       LIBRECHAT_JWT_SECRET=PLACEHOLDER_JWT
       CREDS_KEY=PLACEHOLDER_CREDS_KEY
@@ -225,6 +226,7 @@ write_files:
       # Rewrite .env with real secrets
       cat > /opt/alfred/.env << ENVFILE
       VM_AUTH_SECRET=$VM_AUTH_SECRET
+      ALFRED_JWKS_URL=https://alfred.rocks/api/vm/jwks/${subdomain}
       VM_ENCRYPTION_SECRET=$VM_ENCRYPTION_SECRET
       LIBRECHAT_JWT_SECRET=$LIBRECHAT_JWT_SECRET
       JWT_SECRET=$LIBRECHAT_JWT_SECRET
@@ -236,21 +238,61 @@ write_files:
 
       echo "Secrets generated and saved to .env"
 
+      # Report a setup checkpoint to the SaaS platform (never fails the setup)
+      report_phase() {
+        curl -s -o /dev/null -X POST https://alfred.rocks/api/vm/progress \\
+          -H "Content-Type: application/json" \\
+          -d "{\\"subdomain\\": \\"${subdomain}\\", \\"authSecret\\": \\"$VM_AUTH_SECRET\\", \\"phase\\": \\"$1\\", \\"message\\": \\"$2\\"}" || true
+      }
+
+      trap 'report_phase setup_failed "setup.sh failed at line $LINENO"' ERR
+
+      # Docker is installed by cloud-init before this script runs
+      report_phase docker_installed
+
       # Create log directory for Caddy
       mkdir -p /var/log/caddy
 
+      # Pull images first so the download time is reported separately
+      echo "Pulling Docker images..."
+      docker-compose pull
+      report_phase images_pulled
+
       # Start Docker services
       echo "Starting Docker services..."
       docker-compose up -d
 
-      # Wait for services to be healthy
-      echo "Waiting for services to start (60 seconds)..."
-      sleep 60
+      # Wait for services with a healthcheck to be healthy (up to 5 minutes)
+      echo "Waiting for services to become healthy..."
+      PENDING=1
+      for i in $(seq 1 60); do
+        PENDING=$(docker ps --filter "name=alfred-" --format "{{.Status}}" | grep -c -e "health: starting" -e "unhealthy" || true)
+        if [ "$PENDING" = "0" ]; then
+          break
+        fi
+        sleep 5
+      done
+
+      if [ "$PENDING" = "0" ]; then
+        report_phase containers_healthy
+      else
+        report_phase containers_unhealthy "$PENDING containers still not healthy after 5 minutes"
+      fi
 
       # Show service status
       echo "Service status:"
       docker-compose ps
 
+      # Wait for Caddy to obtain the TLS certificate (up to 5 minutes)
+      echo "Waiting for TLS certificate..."
+      for i in $(seq 1 60); do
+        if curl -sf -o /dev/null https://${fullDomain}/health; then
+          report_phase tls_issued
+          break
+        fi
+        sleep 5
+      done
+
       # Register with SaaS platform
       echo "Registering VM with SaaS platform..."
       REGISTER_RESPONSE=$(curl -s -w "\\n%{http_code}" -X POST https://alfred.rocks/api/vm/register \\
@@ -278,3 +320,52 @@ runcmd:
   - /opt/alfred/setup.sh
 `;
 }
+
+/**
+ * Cloud-init for a VM created from a backup snapshot
+ * The snapshot already contains the Docker setup and data, so this only swaps in the new
+ * auth secret, restarts the services and registers. The other secrets in .env are kept:
+ * they encrypt credentials stored in the restored databases.
+ */
+export function generateRestoreCloudInit(subdomain, authSecret) {
+  return `#cloud-config
+write_files:
+  - path: /opt/alfred/restore.sh
+    permissions: '0755'
+    content: |
+      #!/bin/bash
+      set -e
+
+      cd /opt/alfred
+
+      echo "=== Alfred VM Restore Starting ==="
+
+      sed -i "s|^VM_AUTH_SECRET=.*|VM_AUTH_SECRET=${authSecret}|" /opt/alfred/.env
+      VM_AUTH_SECRET=$(grep VM_AUTH_SECRET /opt/alfred/.env | cut -d= -f2-)
+
+      # Recreate the containers so they pick up the new auth secret
+      echo "Starting Docker services..."
+      docker-compose up -d --force-recreate
+
+      echo "Waiting for services to become healthy..."
+      for i in $(seq 1 60); do
+        PENDING=$(docker ps --filter "name=alfred-" --format "{{.Status}}" | grep -c -e "health: starting" -e "unhealthy" || true)
+        if [ "$PENDING" = "0" ]; then
+          break
+        fi
+        sleep 5
+      done
+
+      # Registering swaps the DNS record over to this VM
+      echo "Registering restored VM with SaaS platform..."
+      curl -s -X POST https://alfred.rocks/api/vm/register \\
+        -H "Content-Type: application/json" \\
+        -d "{\\"subdomain\\": \\"${subdomain}\\", \\"authSecret\\": \\"$VM_AUTH_SECRET\\"}"
+
+      echo "=== Alfred VM Restore Complete ==="
+
+runcmd:
+  - systemctl start docker
+  - /opt/alfred/restore.sh
+`;
+}
@@ -0,0 +1,610 @@
+/**
+ * DigitalOcean API Integration
+ *
+ * Provides functions to manage DigitalOcean droplets, volumes and snapshots for the Alfred platform.
+ * Used by the DigitalOcean backend in libs/vm-providers.js to place US customers close to them.
+ *
+ * API Documentation: https://docs.digitalocean.com/reference/api/api-reference/
+ */
+
+const DIGITALOCEAN_API_BASE = "https://api.digitalocean.com/v2";
+const DIGITALOCEAN_API_TOKEN = process.env.DIGITALOCEAN_API_TOKEN;
+
+/**
+ * Make an authenticated request to the DigitalOcean API
+ * @param {string} endpoint - API endpoint (e.g., '/droplets')
+ * @param {string} method - HTTP method
+ * @param {object} data - Request body data
+ * @returns {Promise<object>} - API response
+ */
+async function digitaloceanRequest(endpoint, method = "GET", data = null) {
+  if (!DIGITALOCEAN_API_TOKEN) {
+    throw new Error("DIGITALOCEAN_API_TOKEN environment variable is not set");
+  }
+
+  const url = `${DIGITALOCEAN_API_BASE}${endpoint}`;
+  const options = {
+    method,
+    headers: {
+      "Authorization": `Bearer ${DIGITALOCEAN_API_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+  };
+
+  if (data && (method === "POST" || method === "PUT")) {
+    options.body = JSON.stringify(data);
+  }
+
+  try {
+    const response = await fetch(url, options);
+    // DELETE endpoints answer with 204 and no body
+    const responseData = response.status === 204 ? {} : await response.json();
+
+    if (!response.ok) {
+      const error = new Error(
+        `DigitalOcean API error (${response.status}): ${responseData.message || JSON.stringify(responseData)}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    return responseData;
+  } catch (error) {
+    console.error("DigitalOcean API request failed:", error);
+    throw error;
+  }
+}
+
+/**
+ * Map a droplet API object to the fields Alfred uses
+ * @param {object} droplet - Droplet from the API
+ * @returns {object} - Droplet details
+ */
+function formatDroplet(droplet) {
+  return {
+    id: droplet.id,
+    name: droplet.name,
+    status: droplet.status,
+    publicIpv4: droplet.networks?.v4?.find((n) => n.type === "public")?.ip_address,
+    publicIpv6: droplet.networks?.v6?.find((n) => n.type === "public")?.ip_address,
+    size: droplet.size_slug,
+    region: droplet.region?.slug,
+    volumeIds: droplet.volume_ids || [],
+    tags: droplet.tags,
+    created: droplet.created_at,
+  };
+}
+
+/**
+ * Map a volume API object to the fields Alfred uses
+ * @param {object} volume - Volume from the API
+ * @returns {object} - Volume details
+ */
+function formatVolume(volume) {
+  return {
+    id: volume.id,
+    name: volume.name,
+    size: volume.size_gigabytes,
+    region: volume.region?.slug,
+    dropletIds: volume.droplet_ids || [],
+    tags: volume.tags,
+    created: volume.created_at,
+  };
+}
+
+/**
+ * Create a new droplet
+ *
+ * @param {string} name - Droplet name (e.g., 'alfred-cozy-peanut')
+ * @param {string} userData - Cloud-init script for droplet initialization
+ * @param {object} options - Additional droplet options
+ * @param {string} options.region - Region slug (default: 'nyc3')
+ * @param {string} options.size - Size slug (default: 's-2vcpu-4gb' - 2 vCPU, 4GB RAM)
+ * @param {string|number} options.image - OS image slug or snapshot ID to restore from (default: 'ubuntu-24-04-x64')
+ * @param {string[]} options.volumes - IDs of volumes to attach
+ * @param {string[]} options.tags - Tags for the droplet
+ * @returns {Promise<object>} - Created droplet details
+ *
+ * @example
+ * const { droplet } = await createDroplet('alfred-cozy-peanut', cloudInitScript, {
+ *   region: 'sfo3',
+ *   tags: ['alfred', 'subdomain:cozy-peanut']
+ * });
+ */
+export async function createDroplet(name, userData, options = {}) {
+  try {
+    const {
+      region = "nyc3",
+      size = "s-2vcpu-4gb",
+      image = "ubuntu-24-04-x64",
+      volumes = [],
+      tags = [],
+    } = options;
+
+    if (!name) {
+      throw new Error("Droplet name is required");
+    }
+
+    const requestData = {
+      name,
+      region,
+      size,
+      image,
+      ipv6: true,
+      monitoring: true,
+      tags: [...new Set([...tags, "managed_by:alfred"])],
+    };
+
+    if (userData) {
+      requestData.user_data = userData;
+    }
+
+    if (volumes.length > 0) {
+      requestData.volumes = volumes;
+    }
+
+    const response = await digitaloceanRequest("/droplets", "POST", requestData);
+
+    return {
+      success: true,
+      droplet: formatDroplet(response.droplet),
+    };
+  } catch (error) {
+    console.error("Failed to create DigitalOcean droplet:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get a droplet by ID
+ *
+ * @param {number|string} dropletId - Droplet ID
+ * @returns {Promise<object>} - Droplet details
+ */
+export async function getDroplet(dropletId) {
+  try {
+    if (!dropletId) {
+      throw new Error("Droplet ID is required");
+    }
+
+    const response = await digitaloceanRequest(`/droplets/${dropletId}`, "GET");
+
+    return {
+      success: true,
+      droplet: formatDroplet(response.droplet),
+    };
+  } catch (error) {
+    console.error("Failed to get DigitalOcean droplet:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * List droplets (optionally filtered by tag)
+ *
+ * @param {object} filters - Filter options
+ * @param {string} filters.tag - Tag name (e.g., 'managed_by:alfred')
+ * @param {number} filters.page - Page of 200 droplets (default: 1); links.pages.next is set while there are more
+ * @returns {Promise<object>} - List of droplets
+ */
+export async function listDroplets(filters = {}) {
+  try {
+    const params = new URLSearchParams({ per_page: "200" });
+
+    if (filters.tag) {
+      params.append("tag_name", filters.tag);
+    }
+
+    if (filters.page) {
+      params.append("page", String(filters.page));
+    }
+
+    const response = await digitaloceanRequest(`/droplets?${params.toString()}`, "GET");
+
+    return {
+      success: true,
+      droplets: response.droplets.map(formatDroplet),
+      meta: response.meta,
+      links: response.links,
+    };
+  } catch (error) {
+    console.error("Failed to list DigitalOcean droplets:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Delete a droplet
+ * Attached volumes are detached, not deleted.
+ *
+ * @param {number|string} dropletId - Droplet ID to delete
+ * @returns {Promise<object>} - Deletion result
+ */
+export async function deleteDroplet(dropletId) {
+  try {
+    if (!dropletId) {
+      throw new Error("Droplet ID is required");
+    }
+
+    await digitaloceanRequest(`/droplets/${dropletId}`, "DELETE");
+
+    return {
+      success: true,
+      dropletId,
+    };
+  } catch (error) {
+    console.error("Failed to delete DigitalOcean droplet:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Run an action on a droplet (power_on, power_off, reboot, snapshot, resize, ...)
+ *
+ * @param {number|string} dropletId - Droplet ID
+ * @param {string} type - Action type
+ * @param {object} params - Extra action parameters (e.g., { name } for snapshots)
+ * @returns {Promise<object>} - Action result
+ *
+ * @example
+ * await dropletAction(12345678, 'snapshot', { name: 'alfred-cozy-peanut-1700000000' });
+ */
+export async function dropletAction(dropletId, type, params = {}) {
+  try {
+    if (!dropletId) {
+      throw new Error("Droplet ID is required");
+    }
+
+    const response = await digitaloceanRequest(
+      `/droplets/${dropletId}/actions`,
+      "POST",
+      { type, ...params }
+    );
+
+    return {
+      success: true,
+      action: {
+        id: response.action.id,
+        status: response.action.status,
+        type: response.action.type,
+      },
+    };
+  } catch (error) {
+    console.error(`Failed to run DigitalOcean droplet action ${type}:`, error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Create a block storage volume
+ *
+ * @param {string} name - Volume name (lowercase letters, numbers and hyphens)
+ * @param {number} size - Size in GB
+ * @param {object} options - Additional volume options
+ * @param {string} options.region - Region slug, must match the droplet's (default: 'nyc3')
+ * @param {string[]} options.tags - Tags for the volume
+ * @returns {Promise<object>} - Created volume details
+ */
+export async function createVolume(name, size, options = {}) {
+  try {
+    const { region = "nyc3", tags = [] } = options;
+
+    if (!name) {
+      throw new Error("Volume name is required");
+    }
+
+    const response = await digitaloceanRequest("/volumes", "POST", {
+      name,
+      size_gigabytes: size,
+      region,
+      filesystem_type: "ext4",
+      tags: [...new Set([...tags, "managed_by:alfred"])],
+    });
+
+    return {
+      success: true,
+      volume: formatVolume(response.volume),
+    };
+  } catch (error) {
+    console.error("Failed to create DigitalOcean volume:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get a volume by ID
+ *
+ * @param {string} volumeId - Volume ID
+ * @returns {Promise<object>} - Volume details, including the droplets it is attached to
+ */
+export async function getVolume(volumeId) {
+  try {
+    if (!volumeId) {
+      throw new Error("Volume ID is required");
+    }
+
+    const response = await digitaloceanRequest(`/volumes/${volumeId}`, "GET");
+
+    return {
+      success: true,
+      volume: formatVolume(response.volume),
+    };
+  } catch (error) {
+    console.error("Failed to get DigitalOcean volume:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * List volumes (optionally filtered by name)
+ *
+ * @param {object} filters - Filter options
+ * @param {string} filters.name - Exact volume name
+ * @param {number} filters.page - Page of 200 volumes (default: 1); links.pages.next is set while there are more
+ * @returns {Promise<object>} - List of volumes
+ */
+export async function listVolumes(filters = {}) {
+  try {
+    const params = new URLSearchParams({ per_page: "200" });
+
+    if (filters.name) {
+      params.append("name", filters.name);
+    }
+
+    if (filters.page) {
+      params.append("page", String(filters.page));
+    }
+
+    const response = await digitaloceanRequest(`/volumes?${params.toString()}`, "GET");
+
+    return {
+      success: true,
+      volumes: response.volumes.map(formatVolume),
+      meta: response.meta,
+      links: response.links,
+    };
+  } catch (error) {
+    console.error("Failed to list DigitalOcean volumes:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Attach a volume to a droplet
+ *
+ * @param {string} volumeId - Volume ID
+ * @param {number|string} dropletId - Droplet ID (must be in the same region)
+ * @returns {Promise<object>} - Action result
+ */
+export async function attachVolume(volumeId, dropletId) {
+  try {
+    if (!volumeId || !dropletId) {
+      throw new Error("Volume ID and droplet ID are required");
+    }
+
+    const response = await digitaloceanRequest(`/volumes/${volumeId}/actions`, "POST", {
+      type: "attach",
+      droplet_id: Number(dropletId),
+    });
+
+    return {
+      success: true,
+      action: {
+        id: response.action.id,
+        status: response.action.status,
+        type: response.action.type,
+      },
+    };
+  } catch (error) {
+    console.error("Failed to attach DigitalOcean volume:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Detach a volume from a droplet
+ *
+ * @param {string} volumeId - Volume ID
+ * @param {number|string} dropletId - Droplet ID the volume is attached to
+ * @returns {Promise<object>} - Action result
+ */
+export async function detachVolume(volumeId, dropletId) {
+  try {
+    if (!volumeId || !dropletId) {
+      throw new Error("Volume ID and droplet ID are required");
+    }
+
+    const response = await digitaloceanRequest(`/volumes/${volumeId}/actions`, "POST", {
+      type: "detach",
+      droplet_id: Number(dropletId),
+    });
+
+    return {
+      success: true,
+      action: {
+        id: response.action.id,
+        status: response.action.status,
+        type: response.action.type,
+      },
+    };
+  } catch (error) {
+    console.error("Failed to detach DigitalOcean volume:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Grow a volume
+ * Volumes can only grow; the filesystem on it has to be grown separately.
+ *
+ * @param {string} volumeId - Volume ID
+ * @param {number} size - New size in GB
+ * @param {string} region - Region slug the volume lives in
+ * @returns {Promise<object>} - Action result
+ */
+export async function resizeVolume(volumeId, size, region) {
+  try {
+    if (!volumeId || !size) {
+      throw new Error("Volume ID and size are required");
+    }
+
+    const response = await digitaloceanRequest(`/volumes/${volumeId}/actions`, "POST", {
+      type: "resize",
+      size_gigabytes: size,
+      region,
+    });
+
+    return {
+      success: true,
+      action: {
+        id: response.action.id,
+        status: response.action.status,
+        type: response.action.type,
+      },
+    };
+  } catch (error) {
+    console.error("Failed to resize DigitalOcean volume:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Delete a volume
+ * The volume must be detached first; deleting the droplet it is attached to detaches it.
+ *
+ * @param {string} volumeId - Volume ID to delete
+ * @returns {Promise<object>} - Deletion result
+ */
+export async function deleteVolume(volumeId) {
+  try {
+    if (!volumeId) {
+      throw new Error("Volume ID is required");
+    }
+
+    await digitaloceanRequest(`/volumes/${volumeId}`, "DELETE");
+
+    return {
+      success: true,
+      volumeId,
+    };
+  } catch (error) {
+    console.error("Failed to delete DigitalOcean volume:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Find a droplet snapshot by name
+ * Droplet snapshot actions don't return the snapshot ID, so snapshots are looked up by
+ * the unique name they were created with.
+ *
+ * @param {string} name - Snapshot name
+ * @returns {Promise<object>} - Snapshot details, or success: false with notFound while it is still being created
+ */
+export async function findSnapshotByName(name) {
+  try {
+    if (!name) {
+      throw new Error("Snapshot name is required");
+    }
+
+    const response = await digitaloceanRequest("/snapshots?resource_type=droplet&per_page=200", "GET");
+    const snapshot = response.snapshots.find((s) => s.name === name);
+
+    if (!snapshot) {
+      return {
+        success: false,
+        notFound: true,
+        error: "Snapshot not found",
+      };
+    }
+
+    return {
+      success: true,
+      snapshot: {
+        id: snapshot.id,
+        name: snapshot.name,
+        regions: snapshot.regions,
+        sizeGigabytes: snapshot.size_gigabytes,
+        created: snapshot.created_at,
+      },
+    };
+  } catch (error) {
+    console.error("Failed to find DigitalOcean snapshot:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Delete a snapshot
+ *
+ * @param {number|string} snapshotId - Snapshot (image) ID to delete
+ * @returns {Promise<object>} - Deletion result
+ */
+export async function deleteSnapshot(snapshotId) {
+  try {
+    if (!snapshotId) {
+      throw new Error("Snapshot ID is required");
+    }
+
+    await digitaloceanRequest(`/snapshots/${snapshotId}`, "DELETE");
+
+    return {
+      success: true,
+      snapshotId,
+    };
+  } catch (error) {
+    console.error("Failed to delete DigitalOcean snapshot:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
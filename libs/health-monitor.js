@@ -1,7 +1,7 @@
 /**
  * VM Health Monitoring Service
  *
- * Provides health monitoring capabilities for user VMs, including:
+ * Provides health monitoring capabilities for instance VMs, including:
  * - Individual VM health checks
  * - Batch health checks for all VMs with status='ready'
  * - Consecutive failure tracking
@@ -13,7 +13,7 @@
  */
 
 import { checkVmHealth as checkSingleVmHealth } from "./vm-communication";
-import User from "@/models/User";
+import Instance from "@/models/Instance";
 import connectMongo from "./mongoose";
 
 const VM_HEALTH_CHECK_TIMEOUT = parseInt(process.env.VM_HEALTH_CHECK_TIMEOUT || "10000");
@@ -21,108 +21,108 @@ const VM_HEALTH_MAX_FAILURES = parseInt(process.env.VM_HEALTH_MAX_FAILURES || "3
 
 /**
  * In-memory store for consecutive failure counts
- * Structure: { userId: { count: number, lastCheck: Date } }
+ * Structure: { instanceId: { count: number, lastCheck: Date } }
  * This will reset on server restart, which is acceptable for this use case
  */
 const failureTracker = new Map();
 
 /**
- * Get consecutive failure count for a user
- * @param {string} userId - User ID
+ * Get consecutive failure count for an instance
+ * @param {string} instanceId - Instance ID
  * @returns {number} Consecutive failure count
  */
-function getFailureCount(userId) {
-  const tracker = failureTracker.get(userId);
+function getFailureCount(instanceId) {
+  const tracker = failureTracker.get(instanceId);
   return tracker ? tracker.count : 0;
 }
 
 /**
- * Increment failure count for a user
- * @param {string} userId - User ID
+ * Increment failure count for an instance
+ * @param {string} instanceId - Instance ID
  * @returns {number} New failure count
  */
-function incrementFailureCount(userId) {
-  const tracker = failureTracker.get(userId) || { count: 0, lastCheck: null };
+function incrementFailureCount(instanceId) {
+  const tracker = failureTracker.get(instanceId) || { count: 0, lastCheck: null };
   tracker.count += 1;
   tracker.lastCheck = new Date();
-  failureTracker.set(userId, tracker);
+  failureTracker.set(instanceId, tracker);
   return tracker.count;
 }
 
 /**
- * Reset failure count for a user
- * @param {string} userId - User ID
+ * Reset failure count for an instance
+ * @param {string} instanceId - Instance ID
  */
-function resetFailureCount(userId) {
-  failureTracker.delete(userId);
+function resetFailureCount(instanceId) {
+  failureTracker.delete(instanceId);
 }
 
 /**
- * Check VM health for a specific user
+ * Check VM health for a specific instance
  *
  * This function:
  * 1. Checks the VM's health endpoint
  * 2. Tracks consecutive failures
- * 3. Updates user's vmStatus to 'error' after MAX_FAILURES consecutive failures
+ * 3. Updates the instance's vmStatus to 'error' after MAX_FAILURES consecutive failures
  * 4. Resets failure count on successful check
  *
- * @param {object|string} user - User object or user ID
+ * @param {object|string} instance - Instance object or instance ID
  * @returns {Promise<object>} Health check result with failure tracking
  *
  * @example
- * const result = await checkVmHealth(userId);
+ * const result = await checkVmHealth(instanceId);
  * if (result.healthy) {
  *   console.log('VM is healthy');
  * } else {
  *   console.log(`VM check failed. Consecutive failures: ${result.consecutiveFailures}`);
  * }
  */
-export async function checkVmHealth(user) {
+export async function checkVmHealth(instance) {
   try {
-    const userId = typeof user === "string" ? user : user._id?.toString() || user.id;
+    const instanceId = typeof instance === "string" ? instance : instance._id?.toString() || instance.id;
 
-    if (!userId) {
-      throw new Error("Valid user object or user ID is required");
+    if (!instanceId) {
+      throw new Error("Valid instance object or instance ID is required");
     }
 
     await connectMongo();
-    const userDoc = await User.findById(userId);
+    const instanceDoc = await Instance.findById(instanceId);
 
-    if (!userDoc) {
+    if (!instanceDoc) {
       return {
         success: false,
         healthy: false,
-        error: "User not found",
-        userId,
+        error: "Instance not found",
+        instanceId,
       };
     }
 
     // Only check VMs with status 'ready'
-    if (userDoc.vmStatus !== "ready") {
+    if (instanceDoc.vmStatus !== "ready") {
       return {
         success: false,
         healthy: false,
-        error: `VM status is '${userDoc.vmStatus}', not 'ready'`,
-        userId,
-        vmStatus: userDoc.vmStatus,
+        error: `VM status is '${instanceDoc.vmStatus}', not 'ready'`,
+        instanceId,
+        vmStatus: instanceDoc.vmStatus,
         skipped: true,
       };
     }
 
     // Perform health check with timeout
-    const healthResult = await checkSingleVmHealth(userId);
+    const healthResult = await checkSingleVmHealth(instanceId);
 
-    const consecutiveFailures = getFailureCount(userId);
+    const consecutiveFailures = getFailureCount(instanceId);
 
     if (healthResult.healthy) {
       // Health check succeeded - reset failure count
-      resetFailureCount(userId);
+      resetFailureCount(instanceId);
 
       return {
         success: true,
         healthy: true,
-        userId,
-        vmSubdomain: userDoc.vmSubdomain,
+        instanceId,
+        vmSubdomain: instanceDoc.vmSubdomain,
         vmUrl: healthResult.vmUrl,
         ping: healthResult.ping,
         consecutiveFailures: 0,
@@ -130,31 +130,31 @@ export async function checkVmHealth(user) {
       };
     } else {
       // Health check failed - increment failure count
-      const newFailureCount = incrementFailureCount(userId);
+      const newFailureCount = incrementFailureCount(instanceId);
 
       console.warn(
-        `VM health check failed for user ${userId} (${userDoc.vmSubdomain}). ` +
+        `VM health check failed for instance ${instanceId} (${instanceDoc.vmSubdomain}). ` +
         `Consecutive failures: ${newFailureCount}/${VM_HEALTH_MAX_FAILURES}`
       );
 
       // Check if we've reached the failure threshold
       if (newFailureCount >= VM_HEALTH_MAX_FAILURES) {
         console.error(
-          `VM for user ${userId} has failed ${newFailureCount} consecutive health checks. ` +
+          `VM for instance ${instanceId} has failed ${newFailureCount} consecutive health checks. ` +
           `Marking as 'error'.`
         );
 
         // Update VM status to 'error'
-        await updateVmStatus(userId, "error");
+        await updateVmStatus(instanceId, "error");
 
         // Reset failure count after marking as error
-        resetFailureCount(userId);
+        resetFailureCount(instanceId);
 
         return {
           success: false,
           healthy: false,
-          userId,
-          vmSubdomain: userDoc.vmSubdomain,
+          instanceId,
+          vmSubdomain: instanceDoc.vmSubdomain,
           vmStatus: "error",
           consecutiveFailures: newFailureCount,
           statusUpdated: true,
@@ -166,9 +166,9 @@ export async function checkVmHealth(user) {
       return {
         success: false,
         healthy: false,
-        userId,
-        vmSubdomain: userDoc.vmSubdomain,
-        vmStatus: userDoc.vmStatus,
+        instanceId,
+        vmSubdomain: instanceDoc.vmSubdomain,
+        vmStatus: instanceDoc.vmStatus,
         consecutiveFailures: newFailureCount,
         statusUpdated: false,
         error: healthResult.error || "VM health check failed",
@@ -181,25 +181,25 @@ export async function checkVmHealth(user) {
       success: false,
       healthy: false,
       error: error.message,
-      userId: typeof user === "string" ? user : user?._id?.toString() || user?.id,
+      instanceId: typeof instance === "string" ? instance : instance?._id?.toString() || instance?.id,
     };
   }
 }
 
 /**
- * Update VM status for a user
+ * Update VM status for an instance
  *
- * @param {string} userId - User ID
- * @param {string} status - New status ('pending', 'provisioning', 'ready', 'error', 'deprovisioned')
+ * @param {string} instanceId - Instance ID
+ * @param {string} status - New status ('pending', 'provisioning', 'ready', 'resizing', 'error', 'deprovisioned')
  * @returns {Promise<object>} Update result
  *
  * @example
- * await updateVmStatus(userId, 'error');
+ * await updateVmStatus(instanceId, 'error');
  */
-export async function updateVmStatus(userId, status) {
+export async function updateVmStatus(instanceId, status) {
   try {
-    if (!userId) {
-      throw new Error("userId is required");
+    if (!instanceId) {
+      throw new Error("instanceId is required");
     }
 
     if (!status) {
@@ -207,15 +207,15 @@ export async function updateVmStatus(userId, status) {
     }
 
     // Validate status
-    const validStatuses = ["pending", "provisioning", "ready", "error", "deprovisioned"];
+    const validStatuses = ["pending", "provisioning", "ready", "resizing", "error", "deprovisioned"];
     if (!validStatuses.includes(status)) {
       throw new Error(`Invalid status: ${status}. Must be one of: ${validStatuses.join(", ")}`);
     }
 
     await connectMongo();
 
-    const result = await User.findByIdAndUpdate(
-      userId,
+    const result = await Instance.findByIdAndUpdate(
+      instanceId,
       { vmStatus: status },
       { new: true }
     );
@@ -223,15 +223,15 @@ export async function updateVmStatus(userId, status) {
     if (!result) {
       return {
         success: false,
-        error: "User not found",
+        error: "Instance not found",
       };
     }
 
-    console.log(`Updated VM status for user ${userId}: ${status}`);
+    console.log(`Updated VM status for instance ${instanceId}: ${status}`);
 
     return {
       success: true,
-      userId,
+      instanceId,
       vmStatus: status,
       vmSubdomain: result.vmSubdomain,
     };
@@ -248,7 +248,7 @@ export async function updateVmStatus(userId, status) {
  * Check health of all VMs with status='ready'
  *
  * This function:
- * 1. Queries all users with vmStatus='ready'
+ * 1. Queries all instances with vmStatus='ready'
  * 2. Checks each VM's health sequentially (to avoid overwhelming VMs)
  * 3. Returns a summary of results
  *
@@ -272,14 +272,14 @@ export async function checkAllVms() {
   try {
     await connectMongo();
 
-    // Find all users with VMs in 'ready' state
-    const users = await User.find({ vmStatus: "ready" }).select(
-      "_id vmSubdomain vmStatus vmIp"
+    // Find all instances with VMs in 'ready' state
+    const instances = await Instance.find({ vmStatus: "ready" }).select(
+      "_id organizationId vmSubdomain vmStatus vmIp"
     );
 
-    results.total = users.length;
+    results.total = instances.length;
 
-    if (users.length === 0) {
+    if (instances.length === 0) {
       console.log("No VMs with status='ready' found");
       return {
         ...results,
@@ -288,12 +288,12 @@ export async function checkAllVms() {
       };
     }
 
-    console.log(`Starting health checks for ${users.length} VMs...`);
+    console.log(`Starting health checks for ${instances.length} VMs...`);
 
     // Check each VM sequentially to avoid overwhelming the VMs
-    for (const user of users) {
+    for (const instance of instances) {
       try {
-        const checkResult = await checkVmHealth(user._id.toString());
+        const checkResult = await checkVmHealth(instance._id.toString());
 
         // Track results
         if (checkResult.healthy) {
@@ -307,8 +307,9 @@ export async function checkAllVms() {
 
         // Add to detailed results
         results.checks.push({
-          userId: user._id.toString(),
-          vmSubdomain: user.vmSubdomain,
+          instanceId: instance._id.toString(),
+          organizationId: instance.organizationId.toString(),
+          vmSubdomain: instance.vmSubdomain,
           healthy: checkResult.healthy,
           consecutiveFailures: checkResult.consecutiveFailures,
           statusUpdated: checkResult.statusUpdated,
@@ -318,11 +319,12 @@ export async function checkAllVms() {
         // Small delay between checks to avoid overwhelming the system
         await new Promise((resolve) => setTimeout(resolve, 100));
       } catch (error) {
-        console.error(`Failed to check VM for user ${user._id}:`, error);
+        console.error(`Failed to check VM for instance ${instance._id}:`, error);
         results.errors++;
         results.checks.push({
-          userId: user._id.toString(),
-          vmSubdomain: user.vmSubdomain,
+          instanceId: instance._id.toString(),
+          organizationId: instance.organizationId.toString(),
+          vmSubdomain: instance.vmSubdomain,
           healthy: false,
           error: error.message,
         });
@@ -360,9 +362,9 @@ export async function checkAllVms() {
  */
 export function getFailureStats() {
   const stats = [];
-  for (const [userId, tracker] of failureTracker.entries()) {
+  for (const [instanceId, tracker] of failureTracker.entries()) {
     stats.push({
-      userId,
+      instanceId,
       consecutiveFailures: tracker.count,
       lastCheck: tracker.lastCheck,
     });
@@ -377,6 +379,6 @@ export function getFailureStats() {
 export function clearFailureTracking() {
   const count = failureTracker.size;
   failureTracker.clear();
-  console.log(`Cleared failure tracking for ${count} users`);
+  console.log(`Cleared failure tracking for ${count} instances`);
   return { cleared: count };
 }
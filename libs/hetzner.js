@@ -1,14 +1,15 @@
 /**
  * Hetzner Cloud API Integration
  *
- * Provides functions to manage Hetzner Cloud servers for the Alfred platform.
- * Each user gets their own dedicated VM (CX22 instance) with Ubuntu 24.04.
+ * Provides functions to manage Hetzner Cloud servers, volumes and snapshots for the Alfred platform.
+ * Each user gets their own dedicated VM with Ubuntu 24.04 and an attached data volume.
+ * Used by the Hetzner backend in libs/vm-providers.js.
  *
  * API Documentation: https://docs.hetzner.cloud/
  */
 
 const HETZNER_API_BASE = "https://api.hetzner.cloud/v1";
-const HETZNER_API_KEY = process.env.HETZNER_API_KEY;
+const HETZNER_API_KEY = process.env.HETZNER_API_KEY || process.env.HETZNER_API_TOKEN;
 
 /**
  * Make an authenticated request to the Hetzner Cloud API
@@ -37,12 +38,15 @@ async function hetznerRequest(endpoint, method = "GET", data = null) {
 
   try {
     const response = await fetch(url, options);
-    const responseData = await response.json();
+    // Some DELETE endpoints (e.g. volumes) answer with 204 and no body
+    const responseData = response.status === 204 ? {} : await response.json();
 
     if (!response.ok) {
-      throw new Error(
+      const error = new Error(
         `Hetzner API error (${response.status}): ${responseData.error?.message || JSON.stringify(responseData)}`
       );
+      error.status = response.status;
+      throw error;
     }
 
     return responseData;
@@ -60,8 +64,9 @@ async function hetznerRequest(endpoint, method = "GET", data = null) {
  * @param {object} options - Additional server options
  * @param {string} options.location - Server location (default: 'nbg1' - Nuremberg, Germany)
  * @param {string} options.serverType - Server type (default: 'cx22' - 2 vCPU, 4GB RAM)
- * @param {string} options.image - OS image (default: 'ubuntu-24.04')
+ * @param {string} options.image - OS image name or snapshot ID to restore from (default: 'ubuntu-24.04')
  * @param {string[]} options.sshKeys - Array of SSH key names or IDs
+ * @param {Array<number|string>} options.volumes - IDs of volumes to attach
  * @param {object} options.labels - Key-value labels for the server
  * @returns {Promise<object>} - Created server details including id, ip, and status
  *
@@ -77,6 +82,7 @@ export async function createServer(name, userData, options = {}) {
       serverType = "cx22",
       image = "ubuntu-24.04",
       sshKeys = [],
+      volumes = [],
       labels = {},
     } = options;
 
@@ -90,10 +96,13 @@ export async function createServer(name, userData, options = {}) {
       image,
       location,
       start_after_create: true,
+      public_net: {
+        enable_ipv4: true,
+        enable_ipv6: true,
+      },
       labels: {
         ...labels,
         managed_by: "alfred",
-        created_at: new Date().toISOString(),
       },
     };
 
@@ -107,6 +116,11 @@ export async function createServer(name, userData, options = {}) {
       requestData.ssh_keys = sshKeys;
     }
 
+    // Attach volumes if provided
+    if (volumes.length > 0) {
+      requestData.volumes = volumes.map(Number);
+    }
+
     const response = await hetznerRequest("/servers", "POST", requestData);
 
     return {
@@ -115,8 +129,8 @@ export async function createServer(name, userData, options = {}) {
         id: response.server.id,
         name: response.server.name,
         status: response.server.status,
-        publicIpv4: response.server.public_net.ipv4.ip,
-        publicIpv6: response.server.public_net.ipv6.ip,
+        publicIpv4: response.server.public_net.ipv4?.ip,
+        publicIpv6: response.server.public_net.ipv6?.ip,
         serverType: response.server.server_type.name,
         datacenter: response.server.datacenter.name,
         location: response.server.datacenter.location.name,
@@ -166,6 +180,7 @@ export async function deleteServer(serverId) {
     console.error("Failed to delete Hetzner server:", error);
     return {
       success: false,
+      notFound: error.status === 404,
       error: error.message,
     };
   }
@@ -195,8 +210,8 @@ export async function getServerStatus(serverId) {
         id: response.server.id,
         name: response.server.name,
         status: response.server.status,
-        publicIpv4: response.server.public_net.ipv4.ip,
-        publicIpv6: response.server.public_net.ipv6.ip,
+        publicIpv4: response.server.public_net.ipv4?.ip,
+        publicIpv6: response.server.public_net.ipv6?.ip,
         serverType: response.server.server_type.name,
         datacenter: response.server.datacenter.name,
         location: response.server.datacenter.location.name,
@@ -214,6 +229,7 @@ export async function getServerStatus(serverId) {
     console.error("Failed to get Hetzner server status:", error);
     return {
       success: false,
+      notFound: error.status === 404,
       error: error.message,
     };
   }
@@ -224,6 +240,7 @@ export async function getServerStatus(serverId) {
  *
  * @param {object} filters - Filter options
  * @param {string} filters.labelSelector - Label selector (e.g., 'managed_by=alfred')
+ * @param {number} filters.page - Page to fetch (50 servers per page, see meta.pagination.next_page)
  * @returns {Promise<object>} - List of servers
  *
  * @example
@@ -238,6 +255,11 @@ export async function listServers(filters = {}) {
       params.append("label_selector", filters.labelSelector);
     }
 
+    if (filters.page) {
+      params.append("page", String(filters.page));
+      params.append("per_page", "50");
+    }
+
     if (params.toString()) {
       endpoint += `?${params.toString()}`;
     }
@@ -250,7 +272,7 @@ export async function listServers(filters = {}) {
         id: server.id,
         name: server.name,
         status: server.status,
-        publicIpv4: server.public_net.ipv4.ip,
+        publicIpv4: server.public_net.ipv4?.ip,
         serverType: server.server_type.name,
         datacenter: server.datacenter.name,
         created: server.created,
@@ -335,6 +357,48 @@ export async function powerOffServer(serverId) {
   }
 }
 
+/**
+ * Change the server type of a powered-off server
+ * The server must be off. Keeping the disk size (upgradeDisk: false) allows downgrading again later.
+ *
+ * @param {number|string} serverId - Server ID
+ * @param {string} serverType - New server type (e.g., 'cx33')
+ * @param {object} options - Additional options
+ * @param {boolean} options.upgradeDisk - Grow the root disk to the new type's size (default: false)
+ * @returns {Promise<object>} - Action result
+ */
+export async function changeServerType(serverId, serverType, options = {}) {
+  try {
+    const { upgradeDisk = false } = options;
+
+    if (!serverId || !serverType) {
+      throw new Error("Server ID and server type are required");
+    }
+
+    const response = await hetznerRequest(
+      `/servers/${serverId}/actions/change_type`,
+      "POST",
+      { server_type: serverType, upgrade_disk: upgradeDisk }
+    );
+
+    return {
+      success: true,
+      action: {
+        id: response.action.id,
+        status: response.action.status,
+        command: response.action.command,
+      },
+    };
+  } catch (error) {
+    console.error("Failed to change Hetzner server type:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
 /**
  * Reboot a server
  *
@@ -368,3 +432,411 @@ export async function rebootServer(serverId) {
     };
   }
 }
+
+/**
+ * Create a snapshot image of a server's disk
+ *
+ * @param {number|string} serverId - Server ID
+ * @param {object} options - Snapshot options
+ * @param {string} options.description - Human readable description of the snapshot
+ * @param {object} options.labels - Key-value labels for the image
+ * @returns {Promise<object>} - Created image and action details
+ *
+ * @example
+ * const snapshot = await createServerSnapshot(12345678, {
+ *   description: 'alfred-cozy-peanut before deprovisioning',
+ *   labels: { subdomain: 'cozy-peanut' }
+ * });
+ */
+export async function createServerSnapshot(serverId, options = {}) {
+  try {
+    if (!serverId) {
+      throw new Error("Server ID is required");
+    }
+
+    const { description = "", labels = {} } = options;
+
+    const response = await hetznerRequest(
+      `/servers/${serverId}/actions/create_image`,
+      "POST",
+      {
+        type: "snapshot",
+        description,
+        labels: {
+          ...labels,
+          managed_by: "alfred",
+        },
+      }
+    );
+
+    return {
+      success: true,
+      image: {
+        id: response.image.id,
+        status: response.image.status,
+        description: response.image.description,
+        created: response.image.created,
+      },
+      action: {
+        id: response.action.id,
+        status: response.action.status,
+        command: response.action.command,
+      },
+    };
+  } catch (error) {
+    console.error("Failed to create Hetzner server snapshot:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get an image (snapshot or backup) by ID
+ *
+ * @param {number|string} imageId - Image ID
+ * @returns {Promise<object>} - Image details
+ *
+ * @example
+ * const { image } = await getImage(98765);
+ * console.log(image.status); // 'creating', 'available'
+ */
+export async function getImage(imageId) {
+  try {
+    if (!imageId) {
+      throw new Error("Image ID is required");
+    }
+
+    const response = await hetznerRequest(`/images/${imageId}`, "GET");
+
+    return {
+      success: true,
+      image: {
+        id: response.image.id,
+        type: response.image.type,
+        status: response.image.status,
+        description: response.image.description,
+        imageSize: response.image.image_size,
+        created: response.image.created,
+        labels: response.image.labels,
+      },
+    };
+  } catch (error) {
+    console.error("Failed to get Hetzner image:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Delete an image (snapshot or backup)
+ *
+ * @param {number|string} imageId - Image ID to delete
+ * @returns {Promise<object>} - Deletion result
+ */
+export async function deleteImage(imageId) {
+  try {
+    if (!imageId) {
+      throw new Error("Image ID is required");
+    }
+
+    await hetznerRequest(`/images/${imageId}`, "DELETE");
+
+    return {
+      success: true,
+      imageId,
+    };
+  } catch (error) {
+    console.error("Failed to delete Hetzner image:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Create a volume
+ *
+ * @param {string} name - Volume name (e.g., 'alfred-cozy-peanut-data')
+ * @param {number} size - Size in GB
+ * @param {object} options - Additional volume options
+ * @param {string} options.location - Volume location, must match the server's (default: 'nbg1')
+ * @param {string} options.format - Filesystem to format the volume with (default: 'ext4')
+ * @param {object} options.labels - Key-value labels for the volume
+ * @returns {Promise<object>} - Created volume details
+ *
+ * @example
+ * const { volume } = await createVolume('alfred-cozy-peanut-data', 30, { location: 'hel1' });
+ */
+export async function createVolume(name, size, options = {}) {
+  try {
+    const { location = "nbg1", format = "ext4", labels = {} } = options;
+
+    if (!name) {
+      throw new Error("Volume name is required");
+    }
+
+    const response = await hetznerRequest("/volumes", "POST", {
+      name,
+      size,
+      location,
+      format,
+      labels: {
+        ...labels,
+        managed_by: "alfred",
+      },
+    });
+
+    return {
+      success: true,
+      volume: {
+        id: response.volume.id,
+        name: response.volume.name,
+        size: response.volume.size,
+        status: response.volume.status,
+        location: response.volume.location?.name,
+      },
+    };
+  } catch (error) {
+    console.error("Failed to create Hetzner volume:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Attach a volume to a server
+ *
+ * @param {number|string} volumeId - Volume ID
+ * @param {number|string} serverId - Server ID (must be in the same location)
+ * @returns {Promise<object>} - Action result
+ */
+export async function attachVolume(volumeId, serverId) {
+  try {
+    if (!volumeId || !serverId) {
+      throw new Error("Volume ID and server ID are required");
+    }
+
+    const response = await hetznerRequest(
+      `/volumes/${volumeId}/actions/attach`,
+      "POST",
+      { server: Number(serverId), automount: false }
+    );
+
+    return {
+      success: true,
+      action: {
+        id: response.action.id,
+        status: response.action.status,
+        command: response.action.command,
+      },
+    };
+  } catch (error) {
+    console.error("Failed to attach Hetzner volume:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Detach a volume from its server
+ *
+ * @param {number|string} volumeId - Volume ID
+ * @returns {Promise<object>} - Action result
+ */
+export async function detachVolume(volumeId) {
+  try {
+    if (!volumeId) {
+      throw new Error("Volume ID is required");
+    }
+
+    const response = await hetznerRequest(`/volumes/${volumeId}/actions/detach`, "POST", {});
+
+    return {
+      success: true,
+      action: {
+        id: response.action.id,
+        status: response.action.status,
+        command: response.action.command,
+      },
+    };
+  } catch (error) {
+    console.error("Failed to detach Hetzner volume:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Get a volume by ID
+ *
+ * @param {number|string} volumeId - Volume ID
+ * @returns {Promise<object>} - Volume details, including the server it is attached to
+ */
+export async function getVolume(volumeId) {
+  try {
+    if (!volumeId) {
+      throw new Error("Volume ID is required");
+    }
+
+    const response = await hetznerRequest(`/volumes/${volumeId}`, "GET");
+
+    return {
+      success: true,
+      volume: {
+        id: response.volume.id,
+        name: response.volume.name,
+        size: response.volume.size,
+        server: response.volume.server,
+        status: response.volume.status,
+        location: response.volume.location?.name,
+        created: response.volume.created,
+        labels: response.volume.labels,
+      },
+    };
+  } catch (error) {
+    console.error("Failed to get Hetzner volume:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * List volumes (optionally filtered by name or label)
+ *
+ * @param {object} filters - Filter options
+ * @param {string} filters.name - Exact volume name (e.g., 'alfred-cozy-peanut-data')
+ * @param {string} filters.labelSelector - Label selector (e.g., 'service=alfred')
+ * @param {number} filters.page - Page to fetch (50 volumes per page, see meta.pagination.next_page)
+ * @returns {Promise<object>} - List of volumes
+ *
+ * @example
+ * const { volumes } = await listVolumes({ name: 'alfred-cozy-peanut-data' });
+ */
+export async function listVolumes(filters = {}) {
+  try {
+    let endpoint = "/volumes";
+    const params = new URLSearchParams();
+
+    if (filters.name) {
+      params.append("name", filters.name);
+    }
+
+    if (filters.labelSelector) {
+      params.append("label_selector", filters.labelSelector);
+    }
+
+    if (filters.page) {
+      params.append("page", String(filters.page));
+      params.append("per_page", "50");
+    }
+
+    if (params.toString()) {
+      endpoint += `?${params.toString()}`;
+    }
+
+    const response = await hetznerRequest(endpoint, "GET");
+
+    return {
+      success: true,
+      volumes: response.volumes.map(volume => ({
+        id: volume.id,
+        name: volume.name,
+        size: volume.size,
+        server: volume.server,
+        status: volume.status,
+        location: volume.location?.name,
+        created: volume.created,
+        labels: volume.labels,
+      })),
+      meta: response.meta,
+    };
+  } catch (error) {
+    console.error("Failed to list Hetzner volumes:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Grow a volume
+ * Volumes can only grow; the filesystem on it has to be grown separately.
+ *
+ * @param {number|string} volumeId - Volume ID
+ * @param {number} size - New size in GB
+ * @returns {Promise<object>} - Action result
+ */
+export async function resizeVolume(volumeId, size) {
+  try {
+    if (!volumeId || !size) {
+      throw new Error("Volume ID and size are required");
+    }
+
+    const response = await hetznerRequest(`/volumes/${volumeId}/actions/resize`, "POST", { size });
+
+    return {
+      success: true,
+      action: {
+        id: response.action.id,
+        status: response.action.status,
+        command: response.action.command,
+      },
+    };
+  } catch (error) {
+    console.error("Failed to resize Hetzner volume:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Delete a volume
+ * The volume must be detached first; deleting the server it is attached to detaches it.
+ *
+ * @param {number|string} volumeId - Volume ID to delete
+ * @returns {Promise<object>} - Deletion result
+ */
+export async function deleteVolume(volumeId) {
+  try {
+    if (!volumeId) {
+      throw new Error("Volume ID is required");
+    }
+
+    await hetznerRequest(`/volumes/${volumeId}`, "DELETE");
+
+    return {
+      success: true,
+      volumeId,
+    };
+  } catch (error) {
+    console.error("Failed to delete Hetzner volume:", error);
+    return {
+      success: false,
+      notFound: error.status === 404,
+      error: error.message,
+    };
+  }
+}
@@ -0,0 +1,268 @@
+/**
+ * Alfred Instances
+ *
+ * An organization can run several Alfred instances (VMs), e.g. a staging VM next to production
+ * (see models/Instance.js). Requests pick the instance they act on with the X-Alfred-Instance header
+ * or the instanceId query parameter. Requests without one act on the organization's production instance,
+ * so clients written when each account had a single VM keep working.
+ */
+
+import mongoose from "mongoose";
+import connectMongo from "./mongoose";
+import Instance from "@/models/Instance";
+import User from "@/models/User";
+import ProvisioningJob from "@/models/ProvisioningJob";
+import Backup from "@/models/Backup";
+import { getPlan } from "./vm-plans";
+
+export const INSTANCE_HEADER = "x-alfred-instance";
+export const INSTANCE_QUERY_PARAM = "instanceId";
+
+export const INSTANCE_ENVIRONMENTS = ["production", "staging"];
+
+// vmStatus values during which the VM is being changed and the instance can't be deleted
+const BUSY_STATUSES = ["provisioning", "resizing"];
+
+// VM fields that lived on the User document before instances (moved by migrateLegacyVmFields)
+const LEGACY_VM_FIELDS = [
+  "vmSubdomain", "vmIp", "vmStatus", "vmHetznerId", "vmProvider", "vmRegion", "vmSize", "vmVolumeSize",
+  "vmResizeTo", "vmVolumeId", "vmAuthSecretHash", "vmAuthSecretRotation", "vmAuthSecretRotatedAt",
+  "vmSigningKeyId", "vmSigningPrivateKey", "vmSigningPublicJwk", "vmPublicKey", "vmProvisionedAt",
+  "vmDeprovisionAt", "vmSnapshotId", "vmRestore",
+];
+
+/**
+ * Get the instance ID a request asks for
+ *
+ * @param {Request} req - Incoming request
+ * @returns {string|null} Instance ID from the X-Alfred-Instance header or instanceId query parameter
+ */
+export function getRequestedInstanceId(req) {
+  return req.headers.get(INSTANCE_HEADER) || new URL(req.url).searchParams.get(INSTANCE_QUERY_PARAM) || null;
+}
+
+/**
+ * Find one of an organization's instances
+ *
+ * @param {string} organizationId - The organization ID
+ * @param {string|null} instanceId - Instance ID (default: the production instance, or the oldest one)
+ * @returns {Promise<Object|null>} Instance document, or null if the organization has no such instance
+ *
+ * @example
+ * const instance = await findOrganizationInstance(organization._id, req.headers.get("x-alfred-instance"));
+ */
+export async function findOrganizationInstance(organizationId, instanceId = null) {
+  await connectMongo();
+
+  if (instanceId) {
+    if (!mongoose.isValidObjectId(instanceId)) {
+      return null;
+    }
+    return Instance.findOne({ _id: instanceId, organizationId, deletedAt: null });
+  }
+
+  return (
+    (await Instance.findOne({ organizationId, environment: "production", deletedAt: null }).sort({ createdAt: 1 })) ||
+    Instance.findOne({ organizationId, deletedAt: null }).sort({ createdAt: 1 })
+  );
+}
+
+/**
+ * Find the instance a request acts on
+ *
+ * @param {Request} req - Incoming request
+ * @param {string} organizationId - The authenticated user's organization ID
+ * @returns {Promise<Object|null>} Instance document, or null if the organization has no such instance
+ *
+ * @example
+ * const instance = await getRequestInstance(req, organization._id);
+ * if (!instance) {
+ *   return NextResponse.json({ error: "Instance not found" }, { status: 404 });
+ * }
+ */
+export function getRequestInstance(req, organizationId) {
+  return findOrganizationInstance(organizationId, getRequestedInstanceId(req));
+}
+
+/**
+ * List an organization's instances, production first
+ *
+ * @param {string} organizationId - The organization ID
+ * @returns {Promise<Array<Object>>} Instance documents
+ */
+export async function listOrganizationInstances(organizationId) {
+  await connectMongo();
+
+  const instances = await Instance.find({ organizationId, deletedAt: null }).sort({ createdAt: 1 });
+  return instances.sort((a, b) => INSTANCE_ENVIRONMENTS.indexOf(a.environment) - INSTANCE_ENVIRONMENTS.indexOf(b.environment));
+}
+
+/**
+ * Get an organization's production instance, creating it if it has none yet (e.g. on first checkout)
+ *
+ * @param {string} organizationId - The organization ID
+ * @returns {Promise<Object>} Instance document
+ */
+export async function getOrCreateProductionInstance(organizationId) {
+  await connectMongo();
+
+  return Instance.findOneAndUpdate(
+    { organizationId, environment: "production", deletedAt: null },
+    { $setOnInsert: { name: "Production" } },
+    { upsert: true, new: true, sort: { createdAt: 1 } }
+  );
+}
+
+/**
+ * Get the number of instances a plan allows
+ *
+ * @param {string} priceId - Stripe price ID of the plan
+ * @returns {number} Maximum number of instances (vm.maxInstances in config.js, default: 1)
+ */
+export function getMaxInstances(priceId) {
+  return getPlan(priceId).vm?.maxInstances || 1;
+}
+
+/**
+ * Create an instance for an organization
+ * Its VM is provisioned separately (POST /api/vm/provision with the new instance selected).
+ *
+ * @param {Object} organization - Organization document
+ * @param {Object} options
+ * @param {string} options.name - Display name (default: the environment's name)
+ * @param {string} options.environment - 'production' or 'staging' (default: 'staging')
+ * @returns {Promise<Object>} { success, instance } or { success: false, error }
+ */
+export async function createInstance(organization, { name, environment = "staging" } = {}) {
+  if (!INSTANCE_ENVIRONMENTS.includes(environment)) {
+    return { success: false, error: `Environment must be one of: ${INSTANCE_ENVIRONMENTS.join(", ")}` };
+  }
+
+  const instances = await listOrganizationInstances(organization._id);
+
+  const maxInstances = getMaxInstances(organization.priceId);
+  if (instances.length >= maxInstances) {
+    return { success: false, error: `Your plan includes up to ${maxInstances} instance${maxInstances === 1 ? "" : "s"}` };
+  }
+
+  if (environment === "production" && instances.some((i) => i.environment === "production")) {
+    return { success: false, error: "This organization already has a production instance" };
+  }
+
+  const instance = await Instance.create({
+    organizationId: organization._id,
+    name: name?.trim() || (environment === "production" ? "Production" : "Staging"),
+    environment,
+  });
+
+  return { success: true, instance };
+}
+
+/**
+ * Delete one of an organization's instances
+ * An instance without a VM is removed right away. Otherwise it is marked deleted and the caller
+ * should start deprovisionVM, which destroys the VM without a snapshot and then removes the instance
+ * (the deprovision cron finishes the job if that call doesn't).
+ *
+ * @param {Object} instance - Instance document
+ * @returns {Promise<Object>} { success, removed } or { success: false, error }
+ */
+export async function deleteInstance(instance) {
+  if (instance.environment === "production") {
+    return { success: false, error: "The production instance can't be deleted. Cancel your subscription instead." };
+  }
+
+  if (BUSY_STATUSES.includes(instance.vmStatus)) {
+    return { success: false, error: `Wait for the VM to finish ${instance.vmStatus} before deleting it` };
+  }
+
+  if (!instance.vmSubdomain && !instance.vmHetznerId && !instance.vmVolumeId) {
+    await Instance.deleteOne({ _id: instance._id });
+    return { success: true, removed: true };
+  }
+
+  instance.deletedAt = new Date();
+  instance.vmDeprovisionAt = new Date();
+  await instance.save();
+
+  return { success: true, removed: false };
+}
+
+/**
+ * Summarize an instance for API responses
+ *
+ * @param {Object} instance - Instance document
+ * @returns {Object} Public instance fields
+ */
+export function toInstanceSummary(instance) {
+  return {
+    id: instance._id.toString(),
+    name: instance.name || (instance.environment === "production" ? "Production" : "Staging"),
+    environment: instance.environment,
+    vmStatus: instance.vmStatus || "pending",
+    vmSubdomain: instance.vmSubdomain || null,
+    vmRegion: instance.vmRegion || null,
+    vmSize: instance.vmSize || null,
+    vmVolumeSize: instance.vmVolumeSize || null,
+    vmProvisionedAt: instance.vmProvisionedAt || null,
+    vmDeprovisionAt: instance.vmDeprovisionAt || null,
+    createdAt: instance.createdAt,
+  };
+}
+
+/**
+ * Move the VM fields of users from before instances into the production instance of their personal organization
+ * The User schema no longer has these fields, so they are read from and removed on the raw collection.
+ * Provisioning jobs and backups of those VMs get the new instance's ID. Run after migrateOrganizations
+ * (libs/organizations.js), which gives those users a personal organization with their ID. Safe to run again.
+ *
+ * @returns {Promise<Object>} { total, migrated, failed, details }
+ */
+export async function migrateLegacyVmFields() {
+  await connectMongo();
+
+  const users = await User.collection
+    .find({ $or: LEGACY_VM_FIELDS.map((field) => ({ [field]: { $exists: true } })) })
+    .toArray();
+
+  const results = {
+    total: users.length,
+    migrated: 0,
+    failed: 0,
+    details: [],
+  };
+
+  for (const user of users) {
+    try {
+      const fields = Object.fromEntries(
+        LEGACY_VM_FIELDS.filter((field) => user[field] !== undefined && user[field] !== null).map((field) => [field, user[field]])
+      );
+
+      // Personal organizations have their owner's ID
+      const instance = await getOrCreateProductionInstance(user._id);
+
+      // Don't overwrite a VM the production instance got since (e.g. after a new checkout)
+      if (!instance.vmSubdomain && !instance.vmHetznerId) {
+        instance.set(fields);
+        await instance.save();
+      }
+
+      await ProvisioningJob.updateMany({ organizationId: user._id, instanceId: null }, { $set: { instanceId: instance._id } });
+      await Backup.updateMany({ organizationId: user._id, instanceId: null }, { $set: { instanceId: instance._id } });
+
+      await User.collection.updateOne(
+        { _id: user._id },
+        { $unset: Object.fromEntries(LEGACY_VM_FIELDS.map((field) => [field, ""])) }
+      );
+
+      results.migrated++;
+      results.details.push({ userId: user._id.toString(), instanceId: instance._id.toString(), success: true });
+    } catch (error) {
+      console.error(`Failed to migrate VM of user ${user._id}:`, error.message);
+      results.failed++;
+      results.details.push({ userId: user._id.toString(), success: false, error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,247 @@
+/**
+ * Background Job Queue
+ *
+ * Mongo-backed queue (see models/Job.js) for work that outlasts a request, like provisioning a VM.
+ * Jobs are drained by /api/cron/jobs every minute, and right after they are queued by the
+ * route that queued them (with `after`), so they usually start within a second.
+ *
+ * - Locking: a worker claims a job atomically; the lock expires after JOB_LOCK_TIMEOUT_MS so a job
+ *   whose function was killed is picked up again.
+ * - Deduplication: jobs queued with a dedupeKey (e.g. one provisioning per instance) can't be queued twice
+ *   while one is queued or running; queueing again returns the existing job.
+ * - Retries: a failed attempt is retried with exponential backoff until maxAttempts is reached.
+ *
+ * Handlers must be safe to run again after a partial attempt (provisioning resumes its
+ * ProvisioningJob from the failed step).
+ */
+
+import crypto from "crypto";
+import connectMongo from "./mongoose";
+import Job from "@/models/Job";
+import Organization from "@/models/Organization";
+import Instance from "@/models/Instance";
+import { provisionVM, resizeVM } from "./provisioning";
+
+// Longer than the drainer's maxDuration, so a lock only expires once its function is gone
+const JOB_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const JOB_RETRY_BASE_MS = 60 * 1000;
+const JOB_RETRY_MAX_MS = 30 * 60 * 1000;
+
+const JOB_HANDLERS = {
+  // Payload: { instanceId }
+  provision_vm: async ({ instanceId }) => {
+    const instance = await Instance.findById(instanceId).select("organizationId deletedAt");
+    if (!instance || instance.deletedAt) {
+      return { skipped: true, reason: "Instance was deleted" };
+    }
+
+    const organization = await Organization.findById(instance.organizationId).select("hasAccess");
+    if (!organization?.hasAccess) {
+      return { skipped: true, reason: "Organization has no access" };
+    }
+
+    const result = await provisionVM(instanceId);
+
+    if (result.alreadyProvisioned) {
+      return { skipped: true, reason: "Instance already has a VM", subdomain: result.subdomain };
+    }
+    if (!result.success) {
+      throw new Error(result.error || "Provisioning failed");
+    }
+
+    return { subdomain: result.subdomain, provisioningJobId: result.jobId };
+  },
+
+  // Payload: { instanceId, size, volumeSize }
+  resize_vm: async ({ instanceId, size, volumeSize }) => {
+    const instance = await Instance.findById(instanceId).select("vmStatus vmHetznerId deletedAt");
+    if (!instance || instance.deletedAt || !instance.vmHetznerId) {
+      return { skipped: true, reason: "Instance has no VM" };
+    }
+
+    // A previous attempt started the resize: continue it instead of starting over
+    const result = await resizeVM(instanceId, instance.vmStatus === "resizing" ? null : { size, volumeSize });
+
+    if (result.pending) {
+      throw new Error(`Resize still in progress (${result.step})`);
+    }
+    // The plan doesn't allow the size any more, or the volume is already larger: retrying won't help
+    if (result.invalid && instance.vmStatus === "ready") {
+      return { skipped: true, reason: result.error };
+    }
+    if (!result.success) {
+      throw new Error(result.error || "Resize failed");
+    }
+
+    return { size: result.size, volumeSize: result.volumeSize };
+  },
+};
+
+/**
+ * Queue a job
+ *
+ * @param {string} type - Job type (a key of JOB_HANDLERS)
+ * @param {Object} payload - Handler arguments
+ * @param {Object} options
+ * @param {string} options.organizationId - Organization the job is for
+ * @param {string} options.dedupeKey - Key that may only be queued once at a time
+ * @param {number} options.maxAttempts - Attempts before the job fails for good (default: 5)
+ * @returns {Promise<Object>} { job, existing } where existing is true if a job with the same
+ *   dedupeKey was already queued or running (a queued one is moved up to run now)
+ *
+ * @example
+ * const { job } = await enqueueJob("provision_vm", { instanceId }, { organizationId, dedupeKey: `provision_vm:${instanceId}` });
+ */
+export async function enqueueJob(type, payload, { organizationId, dedupeKey, maxAttempts } = {}) {
+  if (!JOB_HANDLERS[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  await connectMongo();
+
+  try {
+    const job = await Job.create({ type, payload, organizationId, dedupeKey, maxAttempts });
+    return { job, existing: false };
+  } catch (error) {
+    if (error.code !== 11000 || !dedupeKey) {
+      throw error;
+    }
+
+    // Queued again (e.g. the customer clicked retry): don't wait for the backoff
+    const job = await Job.findOneAndUpdate(
+      { dedupeKey, status: "queued" },
+      { $set: { runAt: new Date() } },
+      { new: true }
+    ) || await Job.findOne({ dedupeKey });
+
+    return { job, existing: true };
+  }
+}
+
+/**
+ * Queue provisioning of an instance's VM (or the resume of its failed provisioning)
+ *
+ * @param {Object} instance - Instance document
+ * @returns {Promise<Object>} { job, existing }
+ */
+export function enqueueProvisioning(instance) {
+  const id = instance._id.toString();
+  return enqueueJob("provision_vm", { instanceId: id }, { organizationId: instance.organizationId, dedupeKey: `provision_vm:${id}` });
+}
+
+/**
+ * Queue a resize of an instance's VM (e.g. after a plan change)
+ *
+ * @param {Object} instance - Instance document
+ * @param {Object} selection - { size, volumeSize }
+ * @returns {Promise<Object>} { job, existing }
+ */
+export function enqueueResize(instance, { size, volumeSize }) {
+  const id = instance._id.toString();
+  return enqueueJob(
+    "resize_vm",
+    { instanceId: id, size, volumeSize },
+    // Resizes can take several attempts to finish (each waits for the provider up to RESIZE_WAIT_MS)
+    { organizationId: instance.organizationId, dedupeKey: `resize_vm:${id}`, maxAttempts: 10 }
+  );
+}
+
+/**
+ * Claim the next job that is due, or one whose worker died
+ *
+ * @param {string} workerId - ID of the claiming worker
+ * @returns {Promise<Object|null>} The claimed job
+ */
+async function claimNextJob(workerId) {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        { status: "running", lockedAt: { $lt: new Date(now.getTime() - JOB_LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: "running", lockedBy: workerId, lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Run one claimed job and record its outcome
+ *
+ * @param {Object} job - Job document claimed by workerId
+ * @param {string} workerId - ID of the worker holding the lock
+ * @returns {Promise<Object>} { jobId, type, status, error? }
+ */
+async function runJob(job, workerId) {
+  const lock = { _id: job._id, lockedBy: workerId };
+
+  try {
+    const handler = JOB_HANDLERS[job.type];
+    if (!handler) {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+
+    const result = await handler(job.payload);
+
+    await Job.updateOne(lock, {
+      $set: { status: "completed", result, completedAt: new Date(), lastError: null },
+      $unset: { dedupeKey: 1, lockedBy: 1, lockedAt: 1 },
+    });
+
+    return { jobId: job._id.toString(), type: job.type, status: "completed" };
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) attempt ${job.attempts} failed:`, error.message);
+
+    if (job.attempts >= job.maxAttempts) {
+      await Job.updateOne(lock, {
+        $set: { status: "failed", lastError: error.message },
+        $unset: { dedupeKey: 1, lockedBy: 1, lockedAt: 1 },
+      });
+      return { jobId: job._id.toString(), type: job.type, status: "failed", error: error.message };
+    }
+
+    const delay = Math.min(JOB_RETRY_BASE_MS * 2 ** (job.attempts - 1), JOB_RETRY_MAX_MS);
+    await Job.updateOne(lock, {
+      $set: { status: "queued", runAt: new Date(Date.now() + delay), lastError: error.message },
+      $unset: { lockedBy: 1, lockedAt: 1 },
+    });
+
+    return { jobId: job._id.toString(), type: job.type, status: "retrying", error: error.message };
+  }
+}
+
+/**
+ * Run due jobs one after another until none is left or the time budget is spent
+ * A job that is started always runs to completion, so keep the budget well under the caller's maxDuration.
+ *
+ * @param {Object} options
+ * @param {number} options.timeBudgetMs - Stop claiming new jobs after this long (default: 4 minutes)
+ * @returns {Promise<Object>} Summary of the run
+ */
+export async function runJobs({ timeBudgetMs = 4 * 60 * 1000 } = {}) {
+  await connectMongo();
+
+  const workerId = crypto.randomUUID();
+  const deadline = Date.now() + timeBudgetMs;
+
+  const results = {
+    processed: 0,
+    completed: 0,
+    retrying: 0,
+    failed: 0,
+    details: [],
+  };
+
+  let job;
+  while (Date.now() < deadline && (job = await claimNextJob(workerId))) {
+    const result = await runJob(job, workerId);
+
+    results.processed++;
+    results[result.status]++;
+    results.details.push(result);
+  }
+
+  return results;
+}
@@ -0,0 +1,478 @@
+/**
+ * OpenAPI
+ *
+ * Describes the public API (/api/v1, see libs/api-v1.js) as an OpenAPI 3.1 document, served at
+ * /api/v1/openapi.json and rendered at /docs/api.
+ *
+ * The operations come from API_V1_OPERATIONS (libs/api-v1-operations.js), the definitions the routes pass to
+ * withApiV1: their scope and role, parameters and body schemas are the ones the routes check requests against.
+ * This adds the response schemas and examples, and what every operation shares: API key authentication, the
+ * instance header, rate limit headers and the errors of withApiV1 and of the VM.
+ */
+
+import { API_ERROR_CODES } from "./api-v1";
+import { API_V1_OPERATIONS, CONNECTION_INPUT_SCHEMA, EXECUTION_STATUSES } from "./api-v1-operations";
+import { API_KEY_SCOPES } from "./api-auth";
+import { SKILL_SCHEMA, SKILL_TRIGGER_TYPES } from "@/packages/sdk/src/skill-file.js";
+import { USAGE_INTERVALS } from "./usage";
+import { INSTANCE_ENVIRONMENTS } from "./instances";
+import config from "@/config";
+
+export const OPENAPI_PATH = "/api/v1/openapi.json";
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const SKILL_EXAMPLE = {
+  id: "daily-report",
+  name: "Daily report",
+  description: "Summarize yesterday's sales and post them to Slack",
+  trigger_type: "schedule",
+  trigger_config: { cron: "0 8 * * 1-5" },
+  steps: [
+    {
+      id: "step-1",
+      prompt: "Get yesterday's orders from NocoDB and total them by product",
+      guidance: "Ignore refunded orders",
+      allowedTools: ["nocodb"],
+    },
+    { id: "step-2", prompt: "Post the totals to #sales on Slack" },
+  ],
+  connections: ["slack"],
+  is_active: true,
+};
+
+const EXECUTION_EXAMPLE = {
+  id: "exec_8f2c1a",
+  skillId: "daily-report",
+  skillName: "Daily report",
+  status: "completed",
+  triggerType: "manual",
+  input: { date: "2026-10-18" },
+  output: "Posted the totals for 14 products to #sales.",
+  tokens: { input: 5120, output: 830 },
+  duration: 18400,
+  createdAt: "2026-10-19T08:00:02.000Z",
+};
+
+const CONNECTION_EXAMPLE = {
+  id: "slack",
+  name: "Slack",
+  type: "http",
+  status: "connected",
+  toolsCount: 12,
+  url: "https://mcp.example.com/slack",
+};
+
+export const OPENAPI_SCHEMAS = {
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: {
+        type: "object",
+        required: ["code", "message"],
+        properties: {
+          code: { type: "string", enum: Object.keys(API_ERROR_CODES) },
+          message: { type: "string" },
+          details: { type: "object", description: "Extra fields for some codes, e.g. the limit of usage_limit_exceeded" },
+        },
+      },
+    },
+  },
+  Pagination: {
+    type: "object",
+    required: ["nextCursor", "hasMore"],
+    properties: {
+      nextCursor: { type: ["string", "null"], description: "Pass as ?cursor= to get the next page" },
+      hasMore: { type: "boolean" },
+    },
+  },
+  SkillInput: SKILL_SCHEMA,
+  Skill: {
+    ...SKILL_SCHEMA,
+    required: ["id", ...SKILL_SCHEMA.required],
+    additionalProperties: true,
+    description: "A skill, with the fields the VM keeps about it (e.g. run counts)",
+  },
+  Execution: {
+    type: "object",
+    required: ["id", "status"],
+    properties: {
+      id: { type: "string" },
+      skillId: { type: "string" },
+      skillName: { type: "string" },
+      status: { type: "string", enum: EXECUTION_STATUSES },
+      triggerType: { type: "string", enum: SKILL_TRIGGER_TYPES },
+      input: { type: "object" },
+      output: {},
+      error: { type: "string" },
+      steps: { type: "array", items: { type: "object" } },
+      tokens: { type: "object", properties: { input: { type: "integer" }, output: { type: "integer" } } },
+      duration: { type: "integer", description: "Milliseconds" },
+      createdAt: { type: "string", format: "date-time" },
+    },
+  },
+  ExecutionStarted: {
+    type: "object",
+    required: ["executionId", "status"],
+    properties: {
+      executionId: { type: "string" },
+      status: { type: "string", enum: EXECUTION_STATUSES },
+    },
+  },
+  ConnectionInput: CONNECTION_INPUT_SCHEMA,
+  Connection: {
+    type: "object",
+    required: ["id", "name", "type"],
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      type: { type: "string" },
+      status: { type: "string" },
+      toolsCount: { type: "integer" },
+      url: { type: "string" },
+    },
+  },
+  Usage: {
+    type: "object",
+    properties: {
+      executions: { type: "integer" },
+      successes: { type: "integer" },
+      failures: { type: "integer" },
+      tokens: { type: "integer" },
+      durationMs: { type: "integer" },
+    },
+  },
+  UsageSummary: {
+    type: "object",
+    required: ["period", "usage", "quotas"],
+    properties: {
+      period: { type: "string", description: "Month as YYYY-MM" },
+      usage: ref("Usage"),
+      quotas: {
+        type: "object",
+        description: "Included in the plan per month",
+        properties: { executions: { type: "integer" }, tokens: { type: "integer" } },
+      },
+      metered: {
+        type: ["object", "null"],
+        description: "Overage billed beyond the quota, if the plan has any",
+        properties: {
+          metric: { type: "string" },
+          included: { type: "integer" },
+          overage: { type: "integer" },
+          unitPrice: { type: "number" },
+          estimatedCost: { type: "number" },
+        },
+      },
+    },
+  },
+  UsageMetrics: {
+    type: "object",
+    required: ["from", "to", "interval", "series", "totals"],
+    properties: {
+      from: { type: "string", format: "date" },
+      to: { type: "string", format: "date" },
+      interval: { type: "string", enum: USAGE_INTERVALS },
+      series: {
+        type: "array",
+        items: {
+          allOf: [
+            ref("Usage"),
+            { type: "object", properties: { date: { type: "string", format: "date", description: "First day of the bucket" } } },
+          ],
+        },
+      },
+      totals: ref("Usage"),
+    },
+  },
+  VmStatus: {
+    type: "object",
+    required: ["id", "environment", "vmStatus", "health"],
+    properties: {
+      id: { type: "string", description: "Instance ID" },
+      name: { type: "string" },
+      environment: { type: "string", enum: INSTANCE_ENVIRONMENTS },
+      vmStatus: { type: "string", description: "e.g. pending, provisioning, ready or failed" },
+      vmSubdomain: { type: ["string", "null"] },
+      vmRegion: { type: ["string", "null"] },
+      vmSize: { type: ["string", "null"] },
+      vmVolumeSize: { type: ["integer", "null"], description: "GB" },
+      vmProvisionedAt: { type: ["string", "null"], format: "date-time" },
+      vmDeprovisionAt: { type: ["string", "null"], format: "date-time" },
+      createdAt: { type: "string", format: "date-time" },
+      health: {
+        type: ["object", "null"],
+        description: "Health check of a ready VM",
+        properties: {
+          status: { type: "string", enum: ["healthy", "unhealthy", "timeout", "error"] },
+          responseTime: { type: ["integer", "null"], description: "Milliseconds" },
+          checkedAt: { type: "string", format: "date-time" },
+        },
+      },
+    },
+  },
+  Deleted: {
+    type: "object",
+    required: ["id", "deleted"],
+    properties: { id: { type: "string" }, deleted: { type: "boolean", const: true } },
+  },
+};
+
+// Examples of the request body and response data of each operation, by operationId
+const EXAMPLES = {
+  listSkills: { response: [SKILL_EXAMPLE] },
+  createSkill: { request: { ...SKILL_EXAMPLE, id: undefined }, response: SKILL_EXAMPLE },
+  getSkill: { response: SKILL_EXAMPLE },
+  updateSkill: {
+    request: { trigger_config: { cron: "0 7 * * 1-5" } },
+    response: { ...SKILL_EXAMPLE, trigger_config: { cron: "0 7 * * 1-5" } },
+  },
+  deleteSkill: { response: { id: "daily-report", deleted: true } },
+  executeSkill: { request: { input: { date: "2026-10-18" } }, response: { executionId: "exec_8f2c1a", status: "running" } },
+  listExecutions: { response: [EXECUTION_EXAMPLE] },
+  getExecution: { response: EXECUTION_EXAMPLE },
+  listConnections: { response: [CONNECTION_EXAMPLE] },
+  createConnection: {
+    request: { name: "Slack", type: "http", config: { url: "https://mcp.example.com/slack" } },
+    response: CONNECTION_EXAMPLE,
+  },
+  getConnection: { response: CONNECTION_EXAMPLE },
+  deleteConnection: { response: { id: "slack", deleted: true } },
+  getVmStatus: {
+    response: {
+      id: "6710f3b2c9e77a0012ab34cd",
+      name: "Production",
+      environment: "production",
+      vmStatus: "ready",
+      vmSubdomain: "cozy-peanut",
+      vmRegion: "hel1",
+      vmSize: "cx32",
+      vmVolumeSize: 40,
+      vmProvisionedAt: "2026-09-02T10:14:00.000Z",
+      vmDeprovisionAt: null,
+      createdAt: "2026-09-02T10:05:00.000Z",
+      health: { status: "healthy", responseTime: 84, checkedAt: "2026-10-19T08:00:00.000Z" },
+    },
+  },
+  getUsage: {
+    response: {
+      period: "2026-10",
+      usage: { executions: 412, tokens: 1830000, durationMs: 5120000, successes: 405, failures: 7 },
+      quotas: { executions: 1000, tokens: 5000000 },
+      metered: null,
+    },
+  },
+  getUsageMetrics: {
+    response: {
+      from: "2026-10-18",
+      to: "2026-10-19",
+      interval: "day",
+      series: [
+        { date: "2026-10-18", executions: 21, successes: 20, failures: 1, durationMs: 260000, tokens: 91000 },
+        { date: "2026-10-19", executions: 9, successes: 9, failures: 0, durationMs: 118000, tokens: 40000 },
+      ],
+      totals: { executions: 30, successes: 29, failures: 1, durationMs: 378000, tokens: 131000 },
+    },
+  },
+};
+
+// Every operation may answer these (from withApiV1); the ones working on the instance's VM the VM errors too
+const SHARED_ERRORS = ["unauthorized", "forbidden", "rate_limited", "internal_error"];
+const VM_ERRORS = ["vm_error", "vm_unavailable", "vm_timeout"];
+
+const ERROR_DESCRIPTIONS = {
+  invalid_request: "The request is invalid",
+  unauthorized: "The API key is missing, unknown or expired",
+  forbidden: "The API key lacks the scope, its user lacks the role, or the IP address isn't allowed",
+  not_found: "Not found",
+  rate_limited: "Too many requests with this API key",
+  usage_limit_exceeded: "A usage limit of the plan is reached",
+  internal_error: "Something went wrong on our side",
+  vm_error: "The instance's VM failed to answer the request",
+  vm_unavailable: "The instance's VM isn't provisioned or ready; the request wasn't sent to it",
+  vm_timeout: "The instance's VM didn't answer in time; it may still have acted on the request",
+};
+
+const RATE_LIMIT_HEADERS = {
+  "X-RateLimit-Limit": { description: "Requests allowed per window", schema: { type: "integer" } },
+  "X-RateLimit-Remaining": { description: "Requests left in the window", schema: { type: "integer" } },
+  "X-RateLimit-Reset": { description: "When the window resets (Unix seconds)", schema: { type: "integer" } },
+};
+
+// Operations use the schemas above by name, or share them as objects (like SKILL_SCHEMA)
+const SCHEMA_NAMES = new Map(Object.entries(OPENAPI_SCHEMAS).map(([name, schema]) => [schema, name]));
+
+const schemaOrRef = (schema) => {
+  if (typeof schema === "string") return ref(schema);
+  return SCHEMA_NAMES.has(schema) ? ref(SCHEMA_NAMES.get(schema)) : schema;
+};
+
+// The errors withApiV1 and the VM may answer for an operation, then the operation's own
+function getErrorCodes(operation) {
+  const usesVm = operation.requireVm !== false;
+  const codes = [
+    // Invalid queries and bodies, and the VM's client errors
+    ...(operation.query || operation.body || usesVm ? ["invalid_request"] : []),
+    // An unknown instance, or an unknown resource on the VM
+    ...(usesVm ? ["not_found"] : []),
+    ...(operation.errors || []),
+    ...SHARED_ERRORS,
+    ...(usesVm ? VM_ERRORS : []),
+  ];
+  return [...new Set(codes)];
+}
+
+function buildParameters(operation) {
+  const pathParameters = Object.entries(operation.params || {}).map(([name, description]) => ({
+    name,
+    in: "path",
+    required: true,
+    description,
+    schema: { type: "string" },
+  }));
+
+  const queryParameters = Object.entries(operation.query || {}).map(([name, { description, ...schema }]) => ({
+    name,
+    in: "query",
+    ...(description && { description }),
+    schema,
+  }));
+
+  return [
+    ...(operation.instance === false ? [] : [{ $ref: "#/components/parameters/Instance" }]),
+    ...pathParameters,
+    ...queryParameters,
+  ];
+}
+
+function buildResponses(operationId, operation) {
+  const { status, schema, list } = operation.response;
+  const example = EXAMPLES[operationId]?.response;
+
+  const dataSchema = list ? { type: "array", items: schemaOrRef(schema) } : schemaOrRef(schema);
+  const properties = { data: dataSchema };
+  if (list) {
+    properties.pagination = ref("Pagination");
+  }
+
+  const responses = {
+    [status]: {
+      description: operation.summary,
+      headers: RATE_LIMIT_HEADERS,
+      content: {
+        "application/json": {
+          schema: { type: "object", required: Object.keys(properties), properties },
+          example: list ? { data: example, pagination: { nextCursor: null, hasMore: false } } : { data: example },
+        },
+      },
+    },
+  };
+
+  // Group the error codes by status (e.g. rate_limited and usage_limit_exceeded are both 429)
+  for (const code of getErrorCodes(operation)) {
+    const errorStatus = API_ERROR_CODES[code];
+    const response = (responses[errorStatus] ||= {
+      description: "",
+      content: { "application/json": { schema: ref("Error"), examples: {} } },
+    });
+
+    response.description = [response.description, ERROR_DESCRIPTIONS[code]].filter(Boolean).join(". ");
+    response.content["application/json"].examples[code] = {
+      value: { error: { code, message: ERROR_DESCRIPTIONS[code] } },
+    };
+    if (errorStatus === 429) {
+      response.headers = {
+        ...RATE_LIMIT_HEADERS,
+        "Retry-After": { description: "Seconds to wait before retrying", schema: { type: "integer" } },
+      };
+    }
+  }
+
+  return responses;
+}
+
+function buildOperation(operationId, operation) {
+  const role = operation.role || "viewer";
+  const document = {
+    operationId,
+    tags: [operation.tag],
+    summary: operation.summary,
+    description: [operation.description, `Requires the \`${operation.scope}\` scope and the ${role} role or above.`]
+      .filter(Boolean)
+      .join("\n\n"),
+    security: [{ apiKey: [] }],
+    parameters: buildParameters(operation),
+    responses: buildResponses(operationId, operation),
+    "x-scope": operation.scope,
+    "x-role": role,
+  };
+
+  if (operation.body) {
+    document.requestBody = {
+      required: operation.body.required !== false,
+      content: {
+        "application/json": {
+          schema: schemaOrRef(operation.body.schema),
+          example: EXAMPLES[operationId]?.request,
+        },
+      },
+    };
+  }
+
+  return document;
+}
+
+/**
+ * Build the OpenAPI 3.1 document of the public API
+ *
+ * @returns {Object} OpenAPI document
+ *
+ * @example
+ * const document = buildOpenApiDocument();
+ * document.paths["/skills"].get.operationId; // 'listSkills'
+ */
+export function buildOpenApiDocument() {
+  const paths = {};
+  for (const [operationId, operation] of Object.entries(API_V1_OPERATIONS)) {
+    paths[operation.path] ||= {};
+    paths[operation.path][operation.method.toLowerCase()] = buildOperation(operationId, operation);
+  }
+
+  const tags = [...new Set(Object.values(API_V1_OPERATIONS).map((operation) => operation.tag))];
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Alfred API",
+      version: "1.0.0",
+      description:
+        "Manage and run the skills, executions and connections of your Alfred instances, and follow your usage. " +
+        "Authenticate with an API key from the dashboard (Authorization: Bearer alf_...). " +
+        "Successful responses wrap their result in `data`; errors are `{ error: { code, message } }`. " +
+        "Lists are paginated with `limit` and `cursor`.",
+    },
+    servers: [{ url: `https://${config.domainName}/api/v1` }],
+    tags: tags.map((name) => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: {
+          type: "http",
+          scheme: "bearer",
+          description: `API key (alf_...). Scopes: ${API_KEY_SCOPES.join(", ")}`,
+        },
+      },
+      parameters: {
+        Instance: {
+          name: "X-Alfred-Instance",
+          in: "header",
+          required: false,
+          description: "ID of the instance to use (the production instance, if unset). ?instanceId= works too",
+          schema: { type: "string" },
+        },
+      },
+      schemas: OPENAPI_SCHEMAS,
+    },
+  };
+}
@@ -0,0 +1,499 @@
+/**
+ * Organizations and Roles
+ *
+ * Teams share an Alfred subscription and its VMs through an organization (see models/Organization.js).
+ * Every user belongs to exactly one (User.organizationId). Users who haven't joined a team get a personal
+ * organization with their own ID the first time they need one, so data from before organizations keeps pointing
+ * at the right place.
+ *
+ * Members have one of these roles, each allowed everything the roles before it are:
+ * - viewer: see skills, executions, connections, VM status and usage
+ * - editor: run, create, change and delete skills and connections
+ * - admin: VM configuration, instances, provisioning, resizing and backups, members and invitations
+ * - owner: billing. Every organization has exactly one owner
+ *
+ * People are invited by email. The invitation link holds a random token (only its hash is stored) and
+ * expires after INVITATION_EXPIRY_DAYS.
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import connectMongo from "./mongoose";
+import Organization from "@/models/Organization";
+import User from "@/models/User";
+import Instance from "@/models/Instance";
+import ProvisioningJob from "@/models/ProvisioningJob";
+import Backup from "@/models/Backup";
+import ExecutionMetric from "@/models/ExecutionMetric";
+import UsageReport from "@/models/UsageReport";
+import Job from "@/models/Job";
+import { getVmScope } from "./vm-communication";
+import { sendEmail } from "./resend";
+import config from "@/config";
+
+export const ORGANIZATION_ROLES = ["viewer", "editor", "admin", "owner"];
+
+// Roles an invitation or role change can give; ownership isn't handed out this way
+export const ASSIGNABLE_ROLES = ["viewer", "editor", "admin"];
+
+const INVITATION_EXPIRY_DAYS = 7;
+
+// Resources on the VM only admins may change, e.g. the Anthropic API key in config
+const ADMIN_VM_RESOURCES = ["config"];
+
+// Billing fields that lived on the User document before organizations (moved by migrateOrganizations)
+const LEGACY_BILLING_FIELDS = [
+  "customerId", "priceId", "hasAccess", "subscriptionCancelAt", "paymentFailedAt", "paymentGraceEndsAt",
+  "usageLimitWarnings",
+];
+
+// Models whose userId pointed at the paying user before organizations, and now at their organization
+const LEGACY_ACCOUNT_MODELS = [Instance, ProvisioningJob, Backup, ExecutionMetric, UsageReport, Job];
+
+/**
+ * Check whether a role is allowed what a minimum role is
+ *
+ * @param {string} role - The member's role
+ * @param {string} minimumRole - Least privileged role allowed
+ * @returns {boolean}
+ *
+ * @example
+ * hasRole("admin", "editor"); // true
+ */
+export function hasRole(role, minimumRole) {
+  return ORGANIZATION_ROLES.indexOf(role) >= ORGANIZATION_ROLES.indexOf(minimumRole);
+}
+
+/**
+ * Get the role a request to a VM through the proxy needs
+ * Reading needs viewer, changing anything needs editor, and changing the VM's configuration needs admin.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - API path on the VM (e.g., '/api/skills/abc/execute')
+ * @returns {string} Minimum role
+ */
+export function getVmRequestRole(method, path) {
+  const [resource, access] = getVmScope(method, path).split(":");
+
+  if (access === "read") {
+    return "viewer";
+  }
+
+  return ADMIN_VM_RESOURCES.includes(resource) ? "admin" : "editor";
+}
+
+function hashInvitationToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Get the organization a user belongs to, creating their personal organization if they have none
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Organization document
+ */
+export async function getUserOrganization(user) {
+  await connectMongo();
+
+  if (user.organizationId) {
+    const organization = await Organization.findById(user.organizationId);
+    if (organization?.members.some((m) => m.userId.equals(user._id))) {
+      return organization;
+    }
+  }
+
+  const name = user.name ? `${user.name}'s team` : "My team";
+  let organization;
+
+  try {
+    organization = await Organization.findOneAndUpdate(
+      { _id: user._id, "members.userId": user._id },
+      { $setOnInsert: { name, members: [{ userId: user._id, role: "owner" }] } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // An organization with the user's ID exists without them (it was handed on), so start a new one
+    if (error.code !== 11000) {
+      throw error;
+    }
+    organization = await Organization.create({ name, members: [{ userId: user._id, role: "owner" }] });
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { organizationId: organization._id } });
+  user.organizationId = organization._id;
+
+  return organization;
+}
+
+/**
+ * Get a user, their organization and their role in it
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} { user, organization, role }, or null if the user doesn't exist
+ */
+export async function getMembership(userId) {
+  await connectMongo();
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return null;
+  }
+
+  const organization = await getUserOrganization(user);
+  const { role } = organization.members.find((m) => m.userId.equals(user._id));
+
+  return { user, organization, role };
+}
+
+/**
+ * Check that a user's role in their organization allows an action
+ *
+ * @param {string} userId - The authenticated user's ID
+ * @param {string} minimumRole - Least privileged role allowed (see ORGANIZATION_ROLES)
+ * @returns {Promise<Object>} { user, organization, role } on success, { error, status } otherwise
+ *
+ * @example
+ * const membership = await authorizeMember(session.user.id, "editor");
+ * if (membership.error) {
+ *   return NextResponse.json({ error: membership.error }, { status: membership.status });
+ * }
+ */
+export async function authorizeMember(userId, minimumRole) {
+  const membership = await getMembership(userId);
+
+  if (!membership) {
+    return { error: "User not found", status: 404 };
+  }
+
+  if (!hasRole(membership.role, minimumRole)) {
+    return { error: `This requires the ${minimumRole} role or above (your role: ${membership.role})`, status: 403 };
+  }
+
+  return membership;
+}
+
+/**
+ * List an organization's members and pending invitations
+ *
+ * @param {Object} organization - Organization document
+ * @returns {Promise<Object>} { members, invitations }
+ */
+export async function listMembers(organization) {
+  const users = await User.find({ _id: { $in: organization.members.map((m) => m.userId) } }).select("name email image");
+
+  const members = organization.members.map((member) => {
+    const user = users.find((u) => u._id.equals(member.userId));
+    return {
+      userId: member.userId.toString(),
+      name: user?.name || null,
+      email: user?.email || null,
+      image: user?.image || null,
+      role: member.role,
+      joinedAt: member.joinedAt,
+    };
+  });
+
+  const invitations = organization.invitations
+    .filter((invitation) => invitation.expiresAt > new Date())
+    .map((invitation) => ({
+      id: invitation._id.toString(),
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt,
+    }));
+
+  return { members, invitations };
+}
+
+/**
+ * Invite someone to an organization by email
+ * Inviting an email again replaces its pending invitation (and the link sent before stops working).
+ *
+ * @param {Object} organization - Organization document
+ * @param {Object} membership - The inviting member: { user, role }
+ * @param {Object} options
+ * @param {string} options.email - Email to invite
+ * @param {string} options.role - Role the invitee gets (see ASSIGNABLE_ROLES)
+ * @returns {Promise<Object>} { success, invitation, emailSent } or { success: false, error }
+ */
+export async function inviteMember(organization, { user, role: inviterRole }, { email, role }) {
+  email = email?.trim().toLowerCase();
+
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return { success: false, error: "A valid email is required" };
+  }
+
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    return { success: false, error: `Role must be one of: ${ASSIGNABLE_ROLES.join(", ")}` };
+  }
+
+  if (!hasRole(inviterRole, role)) {
+    return { success: false, error: "You can't invite someone with a role above your own" };
+  }
+
+  const existingUser = await User.findOne({ email }).select("_id");
+  if (existingUser && organization.members.some((m) => m.userId.equals(existingUser._id))) {
+    return { success: false, error: `${email} is already a member` };
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+
+  organization.invitations = organization.invitations.filter((i) => i.email !== email && i.expiresAt > new Date());
+  organization.invitations.push({
+    email,
+    role,
+    tokenHash: hashInvitationToken(token),
+    invitedBy: user._id,
+    expiresAt: new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
+  });
+  await organization.save();
+
+  const invitation = organization.invitations[organization.invitations.length - 1];
+  let emailSent = true;
+
+  try {
+    await sendEmail({
+      to: email,
+      subject: `${user.name || user.email} invited you to ${organization.name} on Alfred`,
+      text:
+        `${user.name || user.email} invited you to join ${organization.name} on Alfred as ${role === "admin" ? "an" : "a"} ${role}.\n\n` +
+        `Accept the invitation within ${INVITATION_EXPIRY_DAYS} days: https://${config.domainName}/dashboard/invite/${token}`,
+    });
+  } catch (error) {
+    console.error(`Failed to send invitation to ${email}:`, error.message);
+    emailSent = false;
+  }
+
+  return { success: true, invitation, emailSent };
+}
+
+/**
+ * Revoke a pending invitation
+ *
+ * @param {Object} organization - Organization document
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+export async function revokeInvitation(organization, invitationId) {
+  const invitation = mongoose.isValidObjectId(invitationId) && organization.invitations.id(invitationId);
+
+  if (!invitation) {
+    return { success: false, error: "Invitation not found" };
+  }
+
+  invitation.deleteOne();
+  await organization.save();
+
+  return { success: true };
+}
+
+/**
+ * Join the organization an invitation is for
+ * The user leaves their current organization, which is only allowed while it is just them without a
+ * subscription or VM (e.g. the personal organization they got on sign-up); it is deleted.
+ *
+ * @param {Object} user - User document of the invitee
+ * @param {string} token - Token from the invitation link
+ * @returns {Promise<Object>} { success, organization } or { success: false, error }
+ */
+export async function acceptInvitation(user, token) {
+  await connectMongo();
+
+  const organization = token ? await Organization.findOne({ "invitations.tokenHash": hashInvitationToken(token) }) : null;
+  const invitation = organization?.invitations.find((i) => i.tokenHash === hashInvitationToken(token));
+
+  if (!invitation || invitation.expiresAt <= new Date()) {
+    return { success: false, error: "This invitation is invalid or has expired" };
+  }
+
+  // Invitation emails are stored lowercased; accounts created by the auth adapter may keep capitals
+  if (invitation.email !== user.email?.trim().toLowerCase()) {
+    return { success: false, error: `This invitation is for ${invitation.email}. Sign in with that email to accept it.` };
+  }
+
+  if (!organization.members.some((m) => m.userId.equals(user._id))) {
+    const current = user.organizationId ? await Organization.findById(user.organizationId) : null;
+
+    if (current && !current._id.equals(organization._id)) {
+      const hasVm = await Instance.exists({
+        organizationId: current._id,
+        $or: [{ vmHetznerId: { $ne: null } }, { vmSnapshotId: { $ne: null } }],
+      });
+
+      if (current.members.length > 1 || current.hasAccess || hasVm) {
+        return {
+          success: false,
+          error: `Leave ${current.name} before joining ${organization.name}. If you own it, cancel its subscription and remove its other members first.`,
+        };
+      }
+
+      await Instance.deleteMany({ organizationId: current._id });
+      await Organization.deleteOne({ _id: current._id });
+    }
+
+    organization.members.push({ userId: user._id, role: invitation.role });
+  }
+
+  invitation.deleteOne();
+  await organization.save();
+
+  await User.updateOne({ _id: user._id }, { $set: { organizationId: organization._id } });
+
+  console.log(`User ${user._id} joined organization ${organization._id} as ${invitation.role}`);
+
+  return { success: true, organization };
+}
+
+/**
+ * Change a member's role
+ *
+ * @param {Object} organization - Organization document
+ * @param {string} actorRole - Role of the member making the change
+ * @param {string} userId - ID of the member to change
+ * @param {string} role - New role (see ASSIGNABLE_ROLES)
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+export async function updateMemberRole(organization, actorRole, userId, role) {
+  const member = organization.members.find((m) => m.userId.toString() === userId);
+
+  if (!member) {
+    return { success: false, error: "Member not found" };
+  }
+
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    return { success: false, error: `Role must be one of: ${ASSIGNABLE_ROLES.join(", ")}` };
+  }
+
+  if (member.role === "owner") {
+    return { success: false, error: "The owner's role can't be changed" };
+  }
+
+  if (!hasRole(actorRole, member.role) || !hasRole(actorRole, role)) {
+    return { success: false, error: "You can't change the role of someone above you or give a role above your own" };
+  }
+
+  member.role = role;
+  await organization.save();
+
+  return { success: true };
+}
+
+/**
+ * Remove a member from an organization (or let a member leave)
+ * The removed user gets a personal organization again the next time they sign in.
+ *
+ * @param {Object} organization - Organization document
+ * @param {string} actorRole - Role of the member doing the removal
+ * @param {string} userId - ID of the member to remove
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+export async function removeMember(organization, actorRole, userId) {
+  const member = organization.members.find((m) => m.userId.toString() === userId);
+
+  if (!member) {
+    return { success: false, error: "Member not found" };
+  }
+
+  if (member.role === "owner") {
+    return { success: false, error: "The owner can't leave or be removed from the organization" };
+  }
+
+  if (!hasRole(actorRole, member.role)) {
+    return { success: false, error: "You can't remove someone with a role above your own" };
+  }
+
+  organization.members = organization.members.filter((m) => !m.userId.equals(member.userId));
+  await organization.save();
+
+  await User.updateOne({ _id: member.userId, organizationId: organization._id }, { $unset: { organizationId: 1 } });
+
+  return { success: true };
+}
+
+/**
+ * Summarize an organization for API responses
+ *
+ * @param {Object} organization - Organization document
+ * @param {string} role - The requesting member's role
+ * @returns {Object} Public organization fields
+ */
+export function toOrganizationSummary(organization, role) {
+  return {
+    id: organization._id.toString(),
+    name: organization.name,
+    role,
+    memberCount: organization.members.length,
+  };
+}
+
+/**
+ * Give every user from before organizations a personal organization with their ID, holding their billing
+ * fields, and point their instances, backups, jobs and usage at it
+ * Fields the schemas no longer have are read, renamed and removed on the raw collections. Safe to run again.
+ *
+ * @returns {Promise<Object>} { renamed, total, migrated, failed, details }
+ */
+export async function migrateOrganizations() {
+  await connectMongo();
+
+  // Personal organizations have their owner's ID, so renaming userId keeps every reference valid.
+  // Indexes on userId are dropped first: unique ones would reject the renamed documents.
+  const renamed = {};
+  for (const Model of LEGACY_ACCOUNT_MODELS) {
+    const indexes = await Model.collection.indexes().catch(() => []);
+    for (const index of indexes.filter((i) => "userId" in i.key)) {
+      await Model.collection.dropIndex(index.name);
+    }
+
+    const { modifiedCount } = await Model.collection.updateMany(
+      { userId: { $exists: true }, organizationId: { $exists: false } },
+      { $rename: { userId: "organizationId" } }
+    );
+    renamed[Model.modelName] = modifiedCount;
+
+    await Model.createIndexes();
+  }
+
+  const users = await User.collection.find({ organizationId: { $exists: false } }).toArray();
+
+  const results = {
+    renamed,
+    total: users.length,
+    migrated: 0,
+    failed: 0,
+    details: [],
+  };
+
+  for (const raw of users) {
+    try {
+      const organization = await getUserOrganization(User.hydrate(raw));
+
+      // Don't overwrite billing the organization got since (e.g. after a new checkout)
+      if (!organization.customerId) {
+        organization.set(
+          Object.fromEntries(
+            LEGACY_BILLING_FIELDS.filter((field) => raw[field] !== undefined && raw[field] !== null).map((field) => [field, raw[field]])
+          )
+        );
+        if (raw.customerId) {
+          organization.billingEmail = raw.email;
+        }
+        await organization.save();
+      }
+
+      await User.collection.updateOne(
+        { _id: raw._id },
+        { $unset: Object.fromEntries(LEGACY_BILLING_FIELDS.map((field) => [field, ""])) }
+      );
+
+      results.migrated++;
+      results.details.push({ userId: raw._id.toString(), organizationId: organization._id.toString(), success: true });
+    } catch (error) {
+      console.error(`Failed to migrate user ${raw._id} to an organization:`, error.message);
+      results.failed++;
+      results.details.push({ userId: raw._id.toString(), success: false, error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -4,10 +4,31 @@
  */
 
 import { generateCloudInit } from "./cloudinit";
+import { generateVmSigningKey } from "./vm-keys";
 import crypto from "crypto";
 import bcrypt from "bcryptjs";
 import connectMongo from "./mongoose";
-import User from "@/models/User";
+import Organization from "@/models/Organization";
+import Instance from "@/models/Instance";
+import ProvisioningJob from "@/models/ProvisioningJob";
+import { getProvider, DEFAULT_VM_PROVIDER } from "./vm-providers";
+import { resolveVmSelection } from "./vm-plans";
+import { deleteDnsRecordBySubdomain, VM_DNS_RECORD_COMMENT } from "./cloudflare";
+
+const VM_DEPROVISION_GRACE_DAYS = parseInt(process.env.VM_DEPROVISION_GRACE_DAYS || "7");
+
+// How long a resize request waits for provider actions before handing back a pending result
+const RESIZE_WAIT_MS = 45000;
+const RESIZE_POLL_INTERVAL_MS = 3000;
+
+// Ordered provisioning steps recorded on each ProvisioningJob
+const PROVISIONING_STEPS = ["validate", "create_volume", "create_server", "configure_dns", "await_registration"];
+
+// Checkpoints the VM's setup.sh reports while booting, in order
+export const VM_SETUP_PHASES = ["docker_installed", "images_pulled", "containers_healthy", "tls_issued"];
+// Phases the VM reports instead when setup goes wrong: containers_unhealthy replaces containers_healthy
+// (setup carries on, the VM may still register), setup_failed ends it
+export const VM_SETUP_FAILURE_PHASES = ["containers_unhealthy", "setup_failed"];
 
 /**
  * Generate a secure auth secret for VM authentication
@@ -42,104 +63,139 @@ function generateRandomSubdomain() {
 
 /**
  * Provision a new VM
- * Accepts either a userId string OR an options object for backwards compatibility
+ * Accepts either an instanceId string OR an options object for backwards compatibility
  *
- * @param {string|Object} userIdOrOptions - Either userId string or options object
- * @param {string} userIdOrOptions.subdomain - The subdomain for the VM (when using options)
- * @param {string} userIdOrOptions.userId - The user ID requesting the VM (when using options)
- * @param {string} userIdOrOptions.provider - Cloud provider (when using options)
- * @param {string} userIdOrOptions.region - Region for VM deployment (when using options)
- * @param {string} userIdOrOptions.size - VM size/type (when using options)
+ * @param {string|Object} instanceIdOrOptions - Either instanceId string or options object
+ * @param {string} instanceIdOrOptions.subdomain - The subdomain for the VM (when using options)
+ * @param {string} instanceIdOrOptions.organizationId - The organization the VM is for (when using options)
+ * @param {string} instanceIdOrOptions.instanceId - The instance the VM is for (when using options)
+ * @param {string} instanceIdOrOptions.provider - Cloud provider (when using options)
+ * @param {string} instanceIdOrOptions.region - Region for VM deployment (when using options)
+ * @param {string} instanceIdOrOptions.size - VM size/type (when using options)
  * @returns {Promise<Object>} Provisioning result
  */
-export async function provisionVM(userIdOrOptions) {
-  // Handle string userId parameter (simple signature)
-  if (typeof userIdOrOptions === 'string') {
-    return await provisionVMForUser(userIdOrOptions);
+export async function provisionVM(instanceIdOrOptions) {
+  // Handle string instanceId parameter (simple signature)
+  if (typeof instanceIdOrOptions === 'string') {
+    return await provisionVMForInstance(instanceIdOrOptions);
   }
 
   // Handle options object parameter (detailed signature)
-  return await provisionVMWithOptions(userIdOrOptions);
+  return await provisionVMWithOptions(instanceIdOrOptions);
 }
 
 /**
- * Simplified provisioning function that accepts just a userId
- * @param {string} userId - The user ID
+ * Simplified provisioning function that accepts just an instanceId
+ * Resumes the instance's last failed provisioning job if there is one, otherwise starts a new one.
+ * @param {string} instanceId - The instance ID
  * @returns {Promise<Object>} Provisioning result
  */
-async function provisionVMForUser(userId) {
+async function provisionVMForInstance(instanceId) {
   try {
     await connectMongo();
 
-    // Load user from database
-    const user = await User.findById(userId);
-    if (!user) {
-      throw new Error(`User not found: ${userId}`);
+    // Load the instance and the plan of the organization it belongs to
+    const instance = await Instance.findById(instanceId);
+    if (!instance) {
+      throw new Error(`Instance not found: ${instanceId}`);
+    }
+    if (instance.deletedAt) {
+      throw new Error(`Instance ${instanceId} was deleted`);
+    }
+    const organization = await Organization.findById(instance.organizationId).select("priceId");
+    if (!organization) {
+      throw new Error(`Organization not found: ${instance.organizationId}`);
     }
 
-    // Check if user already has a VM
-    if (user.vmSubdomain) {
-      console.log(`User ${userId} already has VM: ${user.vmSubdomain}`);
+    // Resume a failed run for the same subdomain so already created resources are reused.
+    // Runs are serialized by the job queue (libs/jobs.js), so a job still marked running
+    // belongs to a run whose function was killed and is resumed too.
+    const failedJob = instance.vmSubdomain
+      ? await ProvisioningJob.findOne({ instanceId: instance._id, status: { $in: ["failed", "running"] }, subdomain: instance.vmSubdomain })
+        .sort({ createdAt: -1 })
+      : null;
+
+    if (failedJob) {
+      console.log(`Resuming provisioning job ${failedJob._id} for instance ${instanceId} at step ${failedJob.steps.find((s) => s.status !== "completed")?.name}`);
+    } else if (instance.vmSubdomain && instance.vmStatus !== "error") {
+      // Check if the instance already has a VM
+      console.log(`Instance ${instanceId} already has VM: ${instance.vmSubdomain}`);
       return {
         success: false,
-        error: 'User already has a provisioned VM',
-        subdomain: user.vmSubdomain
+        error: 'Instance already has a provisioned VM',
+        alreadyProvisioned: true,
+        subdomain: instance.vmSubdomain
       };
     }
 
     // Generate a unique subdomain
-    const subdomain = generateRandomSubdomain();
-
-    // Generate auth secret and hash it
-    const authSecret = generateAuthSecret();
-    const authSecretHash = await bcrypt.hash(authSecret, 10);
-
-    // Update user status to provisioning and store expected auth secret hash
-    user.vmStatus = 'provisioning';
-    user.vmSubdomain = subdomain;
-    user.vmAuthSecretHash = authSecretHash; // Store hash so we can verify when VM registers
-    await user.save();
+    const subdomain = failedJob ? failedJob.subdomain : generateRandomSubdomain();
+
+    // A new auth secret is only needed while the server (whose cloud-init embeds it) doesn't exist yet
+    const needsAuthSecret = !failedJob?.resources?.serverId;
+    const authSecret = needsAuthSecret ? generateAuthSecret() : null;
+
+    // Update instance status to provisioning and store expected auth secret hash
+    instance.vmStatus = 'provisioning';
+    instance.vmSubdomain = subdomain;
+    if (needsAuthSecret) {
+      instance.vmAuthSecretHash = await bcrypt.hash(authSecret, 10); // Store hash so we can verify when VM registers
+
+      // The VM fetches the public half from the JWKS endpoint named in its cloud-init
+      const signingKey = generateVmSigningKey();
+      instance.vmSigningKeyId = signingKey.kid;
+      instance.vmSigningPrivateKey = signingKey.privateKey;
+      instance.vmSigningPublicJwk = signingKey.publicJwk;
+    }
+    await instance.save();
 
-    console.log(`Starting VM provisioning for user ${userId} with subdomain ${subdomain}`);
+    console.log(`Starting VM provisioning for instance ${instanceId} with subdomain ${subdomain}`);
 
-    // Call main provisioning function
+    // Call main provisioning function with the options picked at checkout or on the dashboard
+    // (a resumed job keeps its own provider, region and size)
+    const selection = resolveVmSelection(organization.priceId, {
+      provider: instance.vmProvider,
+      region: instance.vmRegion,
+      size: instance.vmSize,
+      volumeSize: instance.vmVolumeSize,
+    });
     const result = await provisionVMWithOptions({
       subdomain,
-      userId: userId.toString(),
+      organizationId: instance.organizationId.toString(),
+      instanceId: instance._id.toString(),
       authSecret, // Pass the pre-generated auth secret
-      provider: 'hetzner',
-      region: 'hel1',      // Helsinki
-      size: 'cx23',        // 2 vCPU, 4GB RAM
-      volumeSize: 30,      // 30GB attached volume
+      ...selection,
+      job: failedJob,
     });
 
-    // Update user with provisioning results
+    // Update instance with provisioning results
     // Note: vmStatus stays as 'provisioning' until the VM calls /api/vm/register
     if (result.success) {
-      user.vmIp = result.ipAddress;
-      user.vmHetznerId = result.vmId;
-      await user.save();
-      console.log(`VM created for user ${userId}, waiting for VM to register itself`);
+      instance.vmIp = result.ipAddress;
+      instance.vmHetznerId = result.vmId;
+      instance.vmVolumeId = result.volumeId;
+      instance.vmProvider = result.provider;
+      instance.vmRegion = result.region;
+      instance.vmSize = result.size;
+      instance.vmVolumeSize = result.volumeSize;
+      await instance.save();
+      console.log(`VM created for instance ${instanceId}, waiting for VM to register itself`);
     } else {
-      user.vmStatus = 'error';
-      await user.save();
-      console.error(`VM provisioning failed for user ${userId}:`, result.error);
+      instance.vmStatus = 'error';
+      await instance.save();
+      console.error(`VM provisioning failed for instance ${instanceId}:`, result.error);
     }
 
     return result;
   } catch (error) {
-    console.error(`Failed to provision VM for user ${userId}:`, error);
+    console.error(`Failed to provision VM for instance ${instanceId}:`, error);
 
-    // Try to update user status to error
+    // Try to update instance status to error
     try {
       await connectMongo();
-      const user = await User.findById(userId);
-      if (user) {
-        user.vmStatus = 'error';
-        await user.save();
-      }
+      await Instance.updateOne({ _id: instanceId, deletedAt: null }, { $set: { vmStatus: 'error' } });
     } catch (dbError) {
-      console.error('Failed to update user status:', dbError);
+      console.error('Failed to update instance status:', dbError);
     }
 
     return {
@@ -151,102 +207,220 @@ async function provisionVMForUser(userId) {
 
 /**
  * Provision a new VM with the specified configuration
+ * Every step is recorded on a ProvisioningJob document. Steps that already completed
+ * on a resumed job are skipped and their resources reused.
+ *
  * @param {Object} options - Provisioning options
  * @param {string} options.subdomain - The subdomain for the VM
- * @param {string} options.userId - The user ID requesting the VM
+ * @param {string} options.organizationId - The organization the VM is for
+ * @param {string} options.instanceId - The instance the VM is for
  * @param {string} options.authSecret - Pre-generated auth secret for the VM
- * @param {string} options.provider - Cloud provider (e.g., 'hetzner', 'aws', 'gcp')
+ * @param {string} options.provider - Cloud provider (see libs/vm-providers.js, e.g. 'hetzner', 'digitalocean')
  * @param {string} options.region - Region for VM deployment
  * @param {string} options.size - VM size/type
  * @param {number} options.volumeSize - Size of attached volume in GB
+ * @param {Object} options.job - Failed ProvisioningJob to resume (default: a new job is created)
  * @returns {Promise<Object>} Provisioning result
  */
 async function provisionVMWithOptions({
   subdomain,
-  userId,
+  organizationId,
+  instanceId,
   authSecret,
-  provider = "hetzner",
-  region = "hel1",
-  size = "cx23",
+  provider = DEFAULT_VM_PROVIDER,
+  region,
+  size,
   volumeSize = 30,
+  job = null,
 }) {
-  // Use provided auth secret or generate a new one
-  const vmAuthSecret = authSecret || generateAuthSecret();
+  await connectMongo();
+
+  const provisioningJob = job || await ProvisioningJob.create({
+    organizationId,
+    instanceId,
+    subdomain,
+    provider,
+    region: region || getProvider(provider).defaultRegion,
+    size: size || getProvider(provider).defaultSize,
+    volumeSize,
+    steps: PROVISIONING_STEPS.map((name) => ({ name })),
+  });
 
-  // Generate cloud-init configuration
-  const cloudInitConfig = generateCloudInit(subdomain, vmAuthSecret);
+  provisioningJob.status = "running";
+  provisioningJob.error = null;
+  provisioningJob.runs += 1;
+  await provisioningJob.save();
+
+  const { resources } = provisioningJob;
+  const settings = {
+    provider: provisioningJob.provider,
+    region: provisioningJob.region,
+    size: provisioningJob.size,
+    volumeSize: provisioningJob.volumeSize,
+  };
+  const labels = { service: "alfred", subdomain };
 
-  // Provisioning steps (VM will register itself when ready via /api/vm/register)
-  const provisioningSteps = [
-    { step: "validate", status: "pending" },
-    { step: "create_vm", status: "pending" },
-    { step: "configure_dns", status: "pending" },
-  ];
+  // Use provided auth secret or generate a new one
+  const vmAuthSecret = authSecret || (resources.serverId ? null : generateAuthSecret());
 
-  try {
+  const stepHandlers = {
     // Step 1: Validate inputs
-    provisioningSteps[0].status = "running";
-    validateProvisioningInputs({ subdomain, userId, provider, region, size });
-    provisioningSteps[0].status = "completed";
-
-    // Step 2: Create VM with cloud provider
-    provisioningSteps[1].status = "running";
-    const vmResult = await createVM({
-      provider,
-      region,
-      size,
-      cloudInitConfig,
-      subdomain,
-      volumeSize,
-    });
-    provisioningSteps[1].status = "completed";
+    validate: async () => {
+      validateProvisioningInputs({ subdomain, organizationId, ...settings });
+    },
 
-    // Step 3: Configure DNS
-    provisioningSteps[2].status = "running";
-    await configureDNS({
-      subdomain,
-      ipAddress: vmResult.ipAddress,
-    });
-    provisioningSteps[2].status = "completed";
+    // Step 2: Create the data volume
+    create_volume: async () => {
+      console.log(`Creating ${settings.volumeSize}GB volume on ${settings.provider} in ${settings.region}...`);
+      const volume = await getProvider(settings.provider).createVolume({
+        name: `alfred-${subdomain}-data`,
+        sizeGb: settings.volumeSize,
+        region: settings.region,
+        labels,
+      });
+      resources.volumeId = volume.id;
+      console.log(`Volume created: ${volume.id}`);
+    },
 
-    // Note: We return success here. The VM will call /api/vm/register when it's
-    // fully booted and services are running. This avoids Vercel function timeout.
+    // Step 3: Create the server with the volume attached
+    create_server: async () => {
+      if (!resources.serverId) {
+        console.log(`Creating VM on ${settings.provider} in ${settings.region} with size ${settings.size}, volume ${resources.volumeId}`);
+        const server = await getProvider(settings.provider).createServer({
+          name: `alfred-${subdomain}`,
+          size: settings.size,
+          region: settings.region,
+          userData: generateCloudInit(subdomain, vmAuthSecret),
+          volumeIds: [resources.volumeId],
+          labels,
+        });
+        resources.serverId = server.id;
+        resources.ipAddress = server.ipAddress;
+        resources.ipv6Address = server.ipv6Address;
+        // Persist the server ID before polling for its IP so a resume doesn't create a second server
+        await provisioningJob.save();
+        console.log(`VM created: ${server.id}`);
+      }
 
-    return {
-      success: true,
-      vmId: vmResult.vmId,
-      ipAddress: vmResult.ipAddress,
-      subdomain,
-      authSecret: vmAuthSecret,
-      provisioningSteps,
-    };
-  } catch (error) {
-    const failedStep = provisioningSteps.find((s) => s.status === "running");
-    if (failedStep) {
-      failedStep.status = "failed";
-      failedStep.error = error.message;
+      if (!resources.ipAddress) {
+        const addresses = await waitForServerIp(settings.provider, resources.serverId);
+        resources.ipAddress = addresses.ipAddress;
+        resources.ipv6Address = addresses.ipv6Address;
+      }
+    },
+
+    // Step 4: Configure DNS
+    configure_dns: async () => {
+      const record = await configureDNS({
+        subdomain,
+        ipAddress: resources.ipAddress,
+      });
+      resources.dnsRecordId = record.id;
+    },
+
+    // Step 5: The VM calls /api/vm/register when it's fully booted and services are running.
+    // This step stays running until then (see completeProvisioningJob). This avoids Vercel function timeout.
+    await_registration: async () => {
+      provisioningJob.status = "awaiting_registration";
+    },
+  };
+
+  for (const step of provisioningJob.steps) {
+    if (step.status === "completed") {
+      continue;
     }
 
-    return {
-      success: false,
-      error: error.message,
-      provisioningSteps,
-    };
+    step.status = "running";
+    step.startedAt = new Date();
+    step.completedAt = null;
+    step.error = null;
+    step.attempts += 1;
+    await provisioningJob.save();
+
+    try {
+      await stepHandlers[step.name]();
+    } catch (error) {
+      step.status = "failed";
+      step.error = error.message;
+      provisioningJob.status = "failed";
+      provisioningJob.error = error.message;
+      await provisioningJob.save();
+
+      return {
+        success: false,
+        error: error.message,
+        jobId: provisioningJob._id.toString(),
+        provisioningSteps: provisioningJob.steps,
+      };
+    }
+
+    if (step.name !== "await_registration") {
+      step.status = "completed";
+      step.completedAt = new Date();
+    }
+    await provisioningJob.save();
   }
+
+  return {
+    success: true,
+    jobId: provisioningJob._id.toString(),
+    provider: settings.provider,
+    region: settings.region,
+    size: settings.size,
+    volumeSize: settings.volumeSize,
+    vmId: resources.serverId,
+    volumeId: resources.volumeId,
+    ipAddress: resources.ipAddress,
+    subdomain,
+    authSecret: vmAuthSecret,
+    provisioningSteps: provisioningJob.steps,
+  };
+}
+
+/**
+ * Mark the instance's provisioning job as completed
+ * Called from /api/vm/register once the VM has booted and authenticated itself.
+ *
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<Object|null>} The completed job, or null if none was waiting
+ */
+export async function completeProvisioningJob(instanceId) {
+  await connectMongo();
+
+  const job = await ProvisioningJob.findOne({ instanceId, status: "awaiting_registration" })
+    .sort({ createdAt: -1 });
+
+  if (!job) {
+    return null;
+  }
+
+  const step = job.steps.find((s) => s.name === "await_registration");
+  step.status = "completed";
+  step.completedAt = new Date();
+  job.status = "completed";
+  job.completedAt = new Date();
+  await job.save();
+
+  return job;
 }
 
 /**
  * Validate provisioning inputs
  */
-function validateProvisioningInputs({ subdomain, userId, provider, region, size }) {
+function validateProvisioningInputs({ subdomain, organizationId, provider, region, size }) {
   if (!subdomain || typeof subdomain !== "string") {
     throw new Error("Invalid subdomain");
   }
-  if (!userId) {
-    throw new Error("User ID is required");
+  if (!organizationId) {
+    throw new Error("Organization ID is required");
+  }
+  // Throws for providers without a backend in libs/vm-providers.js
+  const providerBackend = getProvider(provider);
+  if (!providerBackend.regions[region]) {
+    throw new Error(`Unsupported region for ${provider}: ${region}`);
   }
-  if (!["hetzner", "aws", "gcp", "digitalocean"].includes(provider)) {
-    throw new Error(`Unsupported provider: ${provider}`);
+  if (!size) {
+    throw new Error("VM size is required");
   }
   // Subdomain validation (alphanumeric and hyphens only)
   if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(subdomain)) {
@@ -255,122 +429,31 @@ function validateProvisioningInputs({ subdomain, userId, provider, region, size
 }
 
 /**
- * Create VM with cloud provider
- * @returns {Promise<Object>} VM creation result with vmId and ipAddress
+ * Wait for a server to have an IP (may take a few seconds)
+ * @returns {Promise<Object>} IPv4 and IPv6 addresses
  */
-async function createVM({ provider, region, size, cloudInitConfig, subdomain, volumeSize = 30 }) {
-  console.log(`Creating VM on ${provider} in ${region} with size ${size}, volume ${volumeSize}GB`);
-
-  if (provider !== "hetzner") {
-    throw new Error(`Provider ${provider} not yet implemented`);
-  }
-
-  const HETZNER_API_TOKEN = process.env.HETZNER_API_TOKEN;
-  if (!HETZNER_API_TOKEN) {
-    throw new Error("HETZNER_API_TOKEN environment variable is required");
-  }
-
-  // Step 1: Create volume first
-  console.log(`Creating ${volumeSize}GB volume in ${region}...`);
-  const volumeResponse = await fetch("https://api.hetzner.cloud/v1/volumes", {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${HETZNER_API_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      name: `alfred-${subdomain}-data`,
-      size: volumeSize,
-      location: region,
-      format: "ext4",
-      labels: {
-        service: "alfred",
-        subdomain: subdomain,
-      },
-    }),
-  });
-
-  if (!volumeResponse.ok) {
-    const error = await volumeResponse.json();
-    throw new Error(`Hetzner Volume API error: ${error.error?.message || volumeResponse.statusText}`);
-  }
-
-  const volumeData = await volumeResponse.json();
-  const volumeId = volumeData.volume.id;
-  console.log(`Volume created: ${volumeId}`);
-
-  // Step 2: Create VM via Hetzner Cloud API with IPv4, IPv6, and attached volume
-  const response = await fetch("https://api.hetzner.cloud/v1/servers", {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${HETZNER_API_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      name: `alfred-${subdomain}`,
-      server_type: size,
-      location: region,
-      image: "ubuntu-24.04",
-      user_data: cloudInitConfig,
-      volumes: [volumeId],
-      public_net: {
-        enable_ipv4: true,
-        enable_ipv6: true,
-      },
-      labels: {
-        service: "alfred",
-        subdomain: subdomain,
-      },
-    }),
-  });
-
-  if (!response.ok) {
-    const error = await response.json();
-    // If server creation fails, try to delete the volume we just created
-    console.log(`Server creation failed, cleaning up volume ${volumeId}...`);
-    try {
-      await fetch(`https://api.hetzner.cloud/v1/volumes/${volumeId}`, {
-        method: "DELETE",
-        headers: { "Authorization": `Bearer ${HETZNER_API_TOKEN}` },
-      });
-    } catch (cleanupError) {
-      console.error(`Failed to cleanup volume: ${cleanupError.message}`);
-    }
-    throw new Error(`Hetzner API error: ${error.error?.message || response.statusText}`);
-  }
-
-  const data = await response.json();
-  const server = data.server;
-
-  // Wait for server to have an IP (may take a few seconds)
-  let ipAddress = server.public_net?.ipv4?.ip;
-  let ipv6Address = server.public_net?.ipv6?.ip;
-  if (!ipAddress) {
-    // Poll for IP address
-    for (let i = 0; i < 30; i++) {
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      const statusResponse = await fetch(`https://api.hetzner.cloud/v1/servers/${server.id}`, {
-        headers: { "Authorization": `Bearer ${HETZNER_API_TOKEN}` },
-      });
-      const statusData = await statusResponse.json();
-      ipAddress = statusData.server?.public_net?.ipv4?.ip;
-      ipv6Address = statusData.server?.public_net?.ipv6?.ip;
-      if (ipAddress) break;
-    }
+async function waitForServerIp(providerName, serverId) {
+  const provider = getProvider(providerName);
+
+  let ipAddress;
+  let ipv6Address;
+
+  // Poll for IP address
+  for (let i = 0; i < 30; i++) {
+    const server = await provider.getServer(serverId);
+    ipAddress = server?.ipAddress;
+    ipv6Address = server?.ipv6Address;
+    if (ipAddress) break;
+    await new Promise(resolve => setTimeout(resolve, 2000));
   }
 
   if (!ipAddress) {
     throw new Error("Failed to obtain IP address for VM");
   }
 
-  console.log(`VM created: ${server.id} with IPv4 ${ipAddress}, IPv6 ${ipv6Address || 'pending'}, volume ${volumeId}`);
+  console.log(`VM ${serverId} has IPv4 ${ipAddress}, IPv6 ${ipv6Address || 'pending'}`);
 
-  return {
-    vmId: server.id.toString(),
-    ipAddress,
-    ipv6Address,
-    volumeId: volumeId.toString(),
-  };
+  return { ipAddress, ipv6Address };
 }
 
 /**
@@ -403,6 +486,7 @@ async function configureDNS({ subdomain, ipAddress }) {
         name: subdomain,
         content: ipAddress,
         ttl: 60,
+        comment: VM_DNS_RECORD_COMMENT,
         proxied: false, // Direct connection for WebSocket support
       }),
     }
@@ -460,6 +544,7 @@ async function updateDNSRecord({ subdomain, ipAddress }) {
         name: subdomain,
         content: ipAddress,
         ttl: 60,
+        comment: VM_DNS_RECORD_COMMENT,
         proxied: false,
       }),
     }
@@ -556,30 +641,507 @@ async function verifyServices(ipAddress) {
 }
 
 /**
- * Deprovision/destroy a VM
+ * Resize an instance's VM in place
+ *
+ * Resize pipeline:
+ * 1. Grow the data volume (works while the server is running)
+ * 2. Power off the server
+ * 3. Change the server type, keeping the root disk size so the Docker volumes on it are untouched
+ * 4. Power the server back on
+ *
+ * The target is stored in instance.vmResizeTo and vmStatus is 'resizing' until it is reached.
+ * Provider actions can outlast a request, so after RESIZE_WAIT_MS this returns `pending: true`
+ * and calling it again without a selection continues where it left off.
+ *
+ * @param {string} instanceId - The instance ID
+ * @param {Object|null} selection - New { size, volumeSize } (omit to continue a pending resize)
+ * @returns {Promise<Object>} Resize result
  */
-export async function deprovisionVM({ vmId, provider }) {
-  console.log(`Deprovisioning VM ${vmId} on ${provider}`);
+export async function resizeVM(instanceId, selection = null) {
+  try {
+    await connectMongo();
 
-  // In production, this would:
-  // 1. Stop all services
-  // 2. Backup data if needed
-  // 3. Remove DNS records
-  // 4. Destroy VM instance
+    const instance = await Instance.findById(instanceId);
+    if (!instance) {
+      throw new Error(`Instance not found: ${instanceId}`);
+    }
+
+    if (selection) {
+      if (instance.vmStatus !== "ready") {
+        return { success: false, invalid: true, error: `VM must be ready to resize (status: ${instance.vmStatus})` };
+      }
+
+      const provider = getProvider(instance.vmProvider || "hetzner");
+      let target;
+      try {
+        const organization = await Organization.findById(instance.organizationId).select("priceId");
+        target = resolveVmSelection(organization?.priceId, {
+          provider: provider.name,
+          region: instance.vmRegion || provider.defaultRegion,
+          size: selection.size || instance.vmSize,
+          volumeSize: selection.volumeSize || instance.vmVolumeSize,
+        });
+      } catch (error) {
+        return { success: false, invalid: true, error: error.message };
+      }
+
+      const volume = instance.vmVolumeId ? await provider.getVolume(instance.vmVolumeId) : null;
+      if (volume && target.volumeSize < volume.sizeGb) {
+        return { success: false, invalid: true, error: `Volumes can only grow (current size: ${volume.sizeGb}GB)` };
+      }
 
-  return { success: true, vmId };
+      instance.vmResizeTo = { size: target.size, volumeSize: target.volumeSize, requestedAt: new Date() };
+      instance.vmStatus = "resizing";
+      await instance.save();
+      console.log(`Resizing VM ${instance.vmHetznerId} for instance ${instanceId} to ${target.size} with a ${target.volumeSize}GB volume`);
+    } else if (instance.vmStatus !== "resizing") {
+      return { success: false, invalid: true, error: "No resize in progress" };
+    }
+
+    const deadline = Date.now() + RESIZE_WAIT_MS;
+    let step;
+    while ((step = await advanceResize(instance)) !== "done") {
+      if (Date.now() >= deadline) {
+        return { success: false, pending: true, step };
+      }
+      await new Promise(resolve => setTimeout(resolve, RESIZE_POLL_INTERVAL_MS));
+    }
+
+    const { size, volumeSize } = instance.vmResizeTo;
+    instance.vmSize = size;
+    instance.vmVolumeSize = volumeSize;
+    instance.vmResizeTo = undefined;
+    instance.vmStatus = "ready";
+    await instance.save();
+
+    console.log(`VM resized for instance ${instanceId}`);
+
+    return { success: true, size, volumeSize };
+  } catch (error) {
+    console.error(`Failed to resize VM for instance ${instanceId}:`, error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
 }
 
 /**
- * Get provisioning status for a VM
+ * Request the next provider action of a resize, or report what it is waiting for
+ * Each action is requested once (tracked in vmResizeTo.step); later calls only check its outcome.
+ *
+ * @param {Object} instance - Instance document with vmResizeTo set
+ * @returns {Promise<string>} Step being waited for, or 'done'
  */
-export async function getProvisioningStatus(vmId) {
-  // In production, this would query the database or cloud provider
-  // for the current provisioning status
+async function advanceResize(instance) {
+  const provider = getProvider(instance.vmProvider || "hetzner");
+  const { size, volumeSize, step } = instance.vmResizeTo;
+
+  const requestStep = async (name, action) => {
+    if (step !== name) {
+      await action();
+      instance.vmResizeTo.step = name;
+      await instance.save();
+    }
+    return name;
+  };
+
+  if (instance.vmVolumeId) {
+    const volume = await provider.getVolume(instance.vmVolumeId);
+    if (volume && volume.sizeGb < volumeSize) {
+      return requestStep("resize_volume", () => provider.resizeVolume(volume.id, volumeSize));
+    }
+  }
+
+  const server = await provider.getServer(instance.vmHetznerId);
+  if (!server) {
+    throw new Error(`Server ${instance.vmHetznerId} not found`);
+  }
+
+  if (server.size !== size) {
+    // The server reports other states (e.g. 'migrating') while its type is being changed
+    if (step === "change_type") {
+      return step;
+    }
+    if (server.status !== "off") {
+      return requestStep("power_off", () => provider.powerOff(server.id));
+    }
+    return requestStep("change_type", () => provider.resizeServer(server.id, size));
+  }
+
+  if (server.status !== "running") {
+    return requestStep("power_on", () => provider.powerOn(server.id));
+  }
+
+  return "done";
+}
+
+/**
+ * Schedule an instance's VM for destruction after the grace period
+ * The deprovision cron picks it up once the date has passed. Does not save the instance document.
+ *
+ * @param {Object} instance - Instance document
+ * @param {number} graceDays - Days to keep the VM around (default: VM_DEPROVISION_GRACE_DAYS)
+ * @returns {Date|null} Scheduled deprovisioning date, or null if the instance has no VM
+ */
+export function scheduleDeprovision(instance, graceDays = VM_DEPROVISION_GRACE_DAYS) {
+  if (!instance.vmSubdomain && !instance.vmHetznerId) {
+    return null;
+  }
+
+  // Keep an already scheduled date so repeated webhooks don't push it back
+  if (!instance.vmDeprovisionAt) {
+    instance.vmDeprovisionAt = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+  }
+
+  return instance.vmDeprovisionAt;
+}
+
+/**
+ * Schedule the VMs of all of an organization's instances for destruction after the grace period
+ * Called when the subscription ends or access is suspended.
+ *
+ * @param {string} organizationId - The organization ID
+ * @param {number} graceDays - Days to keep the VMs around (default: VM_DEPROVISION_GRACE_DAYS)
+ * @returns {Promise<Array<Object>>} { instanceId, vmDeprovisionAt } for each instance with a VM
+ */
+export async function scheduleOrganizationDeprovision(organizationId, graceDays = VM_DEPROVISION_GRACE_DAYS) {
+  await connectMongo();
+
+  const instances = await Instance.find({ organizationId, deletedAt: null });
+  const scheduled = [];
+
+  for (const instance of instances) {
+    const vmDeprovisionAt = scheduleDeprovision(instance, graceDays);
+    if (vmDeprovisionAt) {
+      await instance.save();
+      scheduled.push({ instanceId: instance._id.toString(), vmDeprovisionAt });
+    }
+  }
+
+  return scheduled;
+}
+
+/**
+ * Cancel the scheduled destruction of an organization's VMs (e.g. it subscribed again)
+ * Deleted instances stay scheduled.
+ *
+ * @param {string} organizationId - The organization ID
+ * @returns {Promise<void>}
+ */
+export async function cancelOrganizationDeprovision(organizationId) {
+  await connectMongo();
+
+  await Instance.updateMany(
+    { organizationId, deletedAt: null, vmDeprovisionAt: { $ne: null } },
+    { $set: { vmDeprovisionAt: null } }
+  );
+}
+
+/**
+ * Deprovision/destroy an instance's VM
+ *
+ * Teardown pipeline:
+ * 1. Snapshot the server (the Docker volumes holding Postgres, Mongo and NocoDB data
+ *    live on it; Hetzner Cloud has no volume snapshots). Runs against the instance's vmProvider.
+ *    Each server gets its own snapshot, replacing the one of the instance's previous VM.
+ * 2. Wait for the snapshot to become available, then delete the snapshot it replaced
+ * 3. Delete the server
+ * 4. Delete the alfred-<subdomain>-data volume once it is detached
+ * 5. Remove the Cloudflare A record
+ * 6. Clear the VM fields on the instance, or remove the instance if the customer deleted it
+ *
+ * Every step is idempotent and the state is kept on the instance document, so a call that
+ * returns `pending: true` (snapshot still being created, volume still attached) is simply
+ * retried by the next deprovision cron run.
+ *
+ * @param {string} instanceId - The instance ID
+ * @param {Object} options - Additional options
+ * @param {boolean} options.skipSnapshot - Destroy without taking a snapshot first (default: false)
+ * @returns {Promise<Object>} Deprovisioning result
+ */
+export async function deprovisionVM(instanceId, options = {}) {
+  try {
+    await connectMongo();
+
+    const instance = await Instance.findById(instanceId);
+    if (!instance) {
+      throw new Error(`Instance not found: ${instanceId}`);
+    }
+
+    const { vmSubdomain: subdomain, vmHetznerId: serverId } = instance;
+    console.log(`Deprovisioning VM ${serverId || "(none)"} (${subdomain || "no subdomain"}) for instance ${instanceId}`);
+
+    const provider = getProvider(instance.vmProvider || "hetzner");
+
+    // Deleted instances are gone for good, so there is nothing to keep a snapshot for
+    const skipSnapshot = options.skipSnapshot || Boolean(instance.deletedAt);
+
+    // Step 1-3: Snapshot, then delete the server
+    if (serverId) {
+      const server = await provider.getServer(serverId);
+
+      if (server) {
+        // The snapshot of an earlier VM (the customer came back and left again) doesn't hold this server's data
+        if (!skipSnapshot && instance.vmSnapshotServerId !== String(serverId)) {
+          const snapshot = await provider.createSnapshot(serverId, {
+            name: `alfred-${subdomain}-${Date.now()}`,
+            labels: {
+              service: "alfred",
+              subdomain: subdomain,
+              organization_id: instance.organizationId.toString(),
+              instance_id: instance._id.toString(),
+            },
+          });
+
+          if (instance.vmSnapshotId) {
+            instance.vmSupersededSnapshotId = instance.vmSnapshotId;
+          }
+          instance.vmSnapshotId = snapshot.id;
+          instance.vmSnapshotServerId = String(serverId);
+          await instance.save();
+          console.log(`Snapshot ${instance.vmSnapshotId} requested for server ${serverId}`);
+        }
+
+        if (!skipSnapshot) {
+          const snapshot = await provider.getSnapshot(instance.vmSnapshotId);
+          if (!snapshot) {
+            // Take a new one on the next run
+            const missingSnapshotId = instance.vmSnapshotId;
+            instance.vmSnapshotServerId = null;
+            await instance.save();
+            throw new Error(`Snapshot ${missingSnapshotId} not found`);
+          }
+
+          if (snapshot.status !== "available") {
+            return {
+              success: false,
+              pending: true,
+              step: "snapshot",
+              message: `Snapshot ${instance.vmSnapshotId} is ${snapshot.status}`,
+            };
+          }
+        }
+
+        if (instance.vmSupersededSnapshotId) {
+          await provider.deleteSnapshot(instance.vmSupersededSnapshotId);
+          console.log(`Snapshot ${instance.vmSupersededSnapshotId} replaced by ${instance.vmSnapshotId} and deleted`);
+          instance.vmSupersededSnapshotId = null;
+          await instance.save();
+        }
+
+        await provider.deleteServer(serverId);
+        console.log(`Server ${serverId} deleted`);
+      }
+    }
+
+    // Step 4: Delete the data volume (looked up by name for VMs provisioned before vmVolumeId existed)
+    const volume = instance.vmVolumeId
+      ? await provider.getVolume(instance.vmVolumeId)
+      : subdomain && await provider.findVolumeByName(`alfred-${subdomain}-data`);
+
+    if (volume) {
+      // Server deletion detaches the volume asynchronously
+      if (volume.serverId) {
+        return {
+          success: false,
+          pending: true,
+          step: "delete_volume",
+          message: `Volume ${volume.id} is still attached to server ${volume.serverId}`,
+        };
+      }
+
+      await provider.deleteVolume(volume.id);
+      console.log(`Volume ${volume.id} deleted`);
+    }
+
+    // Step 5: Remove DNS record (a missing record is fine)
+    if (subdomain) {
+      const dnsResult = await deleteDnsRecordBySubdomain(subdomain);
+      if (!dnsResult.success && dnsResult.error !== "DNS record not found") {
+        throw new Error(`Failed to delete DNS record: ${dnsResult.error}`);
+      }
+    }
+
+    if (instance.deletedAt) {
+      // Snapshots of earlier VMs aren't needed once the instance is gone
+      for (const snapshotId of [instance.vmSnapshotId, instance.vmSupersededSnapshotId].filter(Boolean)) {
+        await provider.deleteSnapshot(snapshotId);
+        console.log(`Snapshot ${snapshotId} deleted`);
+      }
+
+      await Instance.deleteOne({ _id: instance._id });
+      console.log(`VM deprovisioned and instance ${instanceId} removed`);
+
+      return {
+        success: true,
+        instanceId: instanceId.toString(),
+        organizationId: instance.organizationId.toString(),
+        subdomain,
+        removed: true,
+      };
+    }
+
+    // Step 6: Clear VM fields (vmSnapshotId and vmSnapshotServerId are kept for restores)
+    instance.vmStatus = "deprovisioned";
+    instance.vmSubdomain = null;
+    instance.vmIp = null;
+    instance.vmHetznerId = null;
+    instance.vmVolumeId = null;
+    instance.vmAuthSecretHash = null;
+    instance.vmAuthSecretRotation = undefined;
+    instance.vmSigningKeyId = null;
+    instance.vmSigningPrivateKey = null;
+    instance.vmSigningPublicJwk = null;
+    instance.vmPublicKey = null;
+    instance.vmProvisionedAt = null;
+    instance.vmDeprovisionAt = null;
+    await instance.save();
+
+    console.log(`VM deprovisioned for instance ${instanceId}`);
+
+    return {
+      success: true,
+      instanceId: instanceId.toString(),
+      organizationId: instance.organizationId.toString(),
+      subdomain,
+      snapshotId: instance.vmSnapshotId || null,
+    };
+  } catch (error) {
+    console.error(`Failed to deprovision VM for instance ${instanceId}:`, error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Deprovision every VM whose grace period has ended
+ * Instances of organizations that got their access back in the meantime are skipped, deleted instances never are.
+ *
+ * @returns {Promise<Object>} Summary of the run
+ */
+export async function deprovisionExpiredVMs() {
+  await connectMongo();
+
+  const due = await Instance.find({ vmDeprovisionAt: { $lte: new Date() } }).select("_id organizationId deletedAt");
+  const organizationsWithAccess = await Organization.find({
+    _id: { $in: due.map((instance) => instance.organizationId) },
+    hasAccess: true,
+  }).distinct("_id");
+  const instances = due.filter(
+    (instance) => instance.deletedAt || !organizationsWithAccess.some((id) => id.equals(instance.organizationId))
+  );
+
+  const results = {
+    total: instances.length,
+    deprovisioned: 0,
+    pending: 0,
+    failed: 0,
+    details: [],
+  };
+
+  for (const instance of instances) {
+    const result = await deprovisionVM(instance._id.toString());
+
+    if (result.success) {
+      results.deprovisioned++;
+    } else if (result.pending) {
+      results.pending++;
+    } else {
+      results.failed++;
+    }
+
+    results.details.push({ instanceId: instance._id.toString(), organizationId: instance.organizationId.toString(), ...result });
+  }
+
+  return results;
+}
+
+/**
+ * Get provisioning status for an instance's latest provisioning job
+ *
+ * @param {string} instanceId - The instance ID
+ * @returns {Promise<Object>} Job status with per-step progress
+ */
+export async function getProvisioningStatus(instanceId) {
+  await connectMongo();
+
+  const job = await ProvisioningJob.findOne({ instanceId }).sort({ createdAt: -1 });
+
+  if (!job) {
+    return {
+      status: "unknown",
+      steps: [],
+    };
+  }
 
   return {
-    vmId,
-    status: "unknown",
-    steps: [],
+    jobId: job._id.toString(),
+    status: job.status,
+    currentStep: job.steps.find((s) => s.status !== "completed")?.name || null,
+    error: job.error || null,
+    runs: job.runs,
+    steps: job.steps.map((s) => ({
+      name: s.name,
+      status: s.status,
+      startedAt: s.startedAt || null,
+      completedAt: s.completedAt || null,
+      error: s.error || null,
+    })),
+    phases: getPhaseTimings(job),
+    createdAt: job.createdAt,
+    completedAt: job.completedAt || null,
   };
 }
+
+/**
+ * Compute how long each reported setup phase took
+ * The first phase is measured from the moment the server was created.
+ *
+ * @param {Object} job - ProvisioningJob document
+ * @returns {Array<Object>} Phases with durationMs
+ */
+function getPhaseTimings(job) {
+  let previous = job.steps.find((s) => s.name === "create_server")?.completedAt;
+
+  return job.phases.map((phase) => {
+    const durationMs = previous ? phase.reportedAt - previous : null;
+    previous = phase.reportedAt;
+
+    return {
+      name: phase.name,
+      reportedAt: phase.reportedAt,
+      durationMs,
+      message: phase.message || null,
+    };
+  });
+}
+
+/**
+ * Record a setup phase reported by the VM
+ * Called from /api/vm/progress. Re-reported phases are ignored so curl retries are harmless.
+ *
+ * @param {string} instanceId - The instance ID
+ * @param {string} subdomain - The VM subdomain
+ * @param {string} phase - Phase name (one of VM_SETUP_PHASES or VM_SETUP_FAILURE_PHASES)
+ * @param {string} message - Optional message (e.g. the failing command)
+ * @returns {Promise<Object|null>} The updated job, or null if no job exists for this VM
+ */
+export async function recordSetupPhase(instanceId, subdomain, phase, message) {
+  await connectMongo();
+
+  const job = await ProvisioningJob.findOne({ instanceId, subdomain }).sort({ createdAt: -1 });
+
+  if (!job) {
+    return null;
+  }
+
+  if (!job.phases.some((p) => p.name === phase)) {
+    job.phases.push({ name: phase, reportedAt: new Date(), message });
+    await job.save();
+  }
+
+  return job;
+}
@@ -0,0 +1,67 @@
+/**
+ * Rate Limiting
+ *
+ * Fixed-window request counters kept in Mongo (see models/RateLimit.js), so the limit holds
+ * across serverless functions. Used by the public API (libs/api-v1.js) per API key.
+ */
+
+import connectMongo from "./mongoose";
+import RateLimit from "@/models/RateLimit";
+
+/**
+ * Count a request against a rate limit
+ *
+ * @param {string} key - Who is limited (e.g. 'api-key:<id>')
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowSeconds - Window length in seconds
+ * @returns {Promise<Object>} { allowed, limit, remaining, resetAt }
+ *
+ * @example
+ * const rateLimit = await consumeRateLimit(`api-key:${apiKey._id}`, { limit: 120, windowSeconds: 60 });
+ * if (!rateLimit.allowed) {
+ *   // 429 with Retry-After until rateLimit.resetAt
+ * }
+ */
+export async function consumeRateLimit(key, { limit, windowSeconds }) {
+  await connectMongo();
+
+  const windowMs = windowSeconds * 1000;
+  const windowStart = new Date(Math.floor(Date.now() / windowMs) * windowMs);
+  const resetAt = new Date(windowStart.getTime() + windowMs);
+
+  const counter = await RateLimit.findOneAndUpdate(
+    { key, windowStart },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+    { upsert: true, new: true }
+  );
+
+  return {
+    allowed: counter.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - counter.count),
+    resetAt,
+  };
+}
+
+/**
+ * Get the rate limit headers for a response
+ *
+ * @param {Object} rateLimit - Result of consumeRateLimit
+ * @returns {Object} X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset (Unix seconds),
+ *   plus Retry-After (seconds) when the limit is reached
+ */
+export function getRateLimitHeaders(rateLimit) {
+  const reset = Math.ceil(rateLimit.resetAt.getTime() / 1000);
+  const headers = {
+    "X-RateLimit-Limit": String(rateLimit.limit),
+    "X-RateLimit-Remaining": String(rateLimit.remaining),
+    "X-RateLimit-Reset": String(reset),
+  };
+
+  if (!rateLimit.allowed) {
+    headers["Retry-After"] = String(Math.max(1, reset - Math.floor(Date.now() / 1000)));
+  }
+
+  return headers;
+}
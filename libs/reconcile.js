@@ -0,0 +1,230 @@
+/**
+ * Orphaned Cloud Resource Reconciler
+ *
+ * Provisioning that fails halfway (volume created but server creation failed, server created but
+ * DNS failed, ...) leaves cloud resources behind that no instance references. The reconciler lists every
+ * Alfred server and volume (service=alfred label) at each provider in use plus the A records Alfred created
+ * in the Cloudflare zone (VM_DNS_RECORD_COMMENT), and diffs them against the instances and the provisioning
+ * jobs that may still be resumed. Other records in the zone, including VM records created before the comment
+ * existed, are never touched.
+ *
+ * Orphans are only reported unless deletion is enabled, so the first runs can be reviewed as a dry run.
+ *
+ * Environment Variables:
+ * - RECONCILE_DELETE_ORPHANS: Set to 'true' to delete orphans instead of only reporting them
+ * - RECONCILE_MIN_AGE_MINUTES: Ignore resources younger than this, they may belong to a run in progress (default: 60)
+ */
+
+import connectMongo from "./mongoose";
+import Instance from "@/models/Instance";
+import ProvisioningJob from "@/models/ProvisioningJob";
+import { getProvider, DEFAULT_VM_PROVIDER } from "./vm-providers";
+import { listDnsRecords, deleteDnsRecord, VM_DNS_RECORD_COMMENT } from "./cloudflare";
+
+export const RECONCILE_DELETE_ORPHANS = process.env.RECONCILE_DELETE_ORPHANS === "true";
+const RECONCILE_MIN_AGE_MINUTES = parseInt(process.env.RECONCILE_MIN_AGE_MINUTES || "60");
+
+// Subdomains handed out by generateRandomSubdomain() (e.g., 'cozy-peanut'), checked on top of the record's comment
+const VM_SUBDOMAIN_PATTERN = /^[a-z]+-[a-z]+$/;
+
+/**
+ * Collect the servers, volumes and subdomains that belong to an instance or a resumable provisioning job
+ * Server and volume IDs are keyed as '<provider>:<id>' since IDs are only unique per provider.
+ *
+ * @returns {Promise<Object>} { servers, volumes, subdomains } sets
+ */
+async function getKnownResources() {
+  const instances = await Instance.find({
+    $or: [
+      { vmHetznerId: { $ne: null } },
+      { vmVolumeId: { $ne: null } },
+      { vmSubdomain: { $ne: null } },
+    ],
+  }).select("vmHetznerId vmVolumeId vmSubdomain vmProvider vmRestore");
+
+  const known = {
+    servers: new Set(),
+    volumes: new Set(),
+    subdomains: new Set(),
+  };
+
+  for (const instance of instances) {
+    const provider = instance.vmProvider || "hetzner";
+    if (instance.vmHetznerId) known.servers.add(`${provider}:${instance.vmHetznerId}`);
+    if (instance.vmVolumeId) known.volumes.add(`${provider}:${instance.vmVolumeId}`);
+    if (instance.vmSubdomain) known.subdomains.add(instance.vmSubdomain);
+    // Server being restored from a backup
+    if (instance.vmRestore?.serverId) known.servers.add(`${provider}:${instance.vmRestore.serverId}`);
+  }
+
+  // Running jobs and failed jobs that can still be resumed hold resources the instance doesn't reference yet
+  const jobs = await ProvisioningJob.find({
+    status: { $in: ["running", "awaiting_registration", "failed"] },
+  }).select("status subdomain provider resources");
+
+  for (const job of jobs) {
+    if (job.status === "failed" && !known.subdomains.has(job.subdomain)) {
+      continue;
+    }
+    if (job.resources?.serverId) known.servers.add(`${job.provider}:${job.resources.serverId}`);
+    if (job.resources?.volumeId) known.volumes.add(`${job.provider}:${job.resources.volumeId}`);
+  }
+
+  return known;
+}
+
+/**
+ * List every A record in the Cloudflare zone
+ * @returns {Promise<Array<Object>>} DNS records
+ */
+async function listAllARecords() {
+  const records = [];
+
+  for (let page = 1; ; page++) {
+    const result = await listDnsRecords({ type: "A", page, perPage: 1000 });
+    if (!result.success) {
+      throw new Error(`Failed to list DNS records: ${result.error}`);
+    }
+    records.push(...result.records);
+    if (page >= (result.meta?.total_pages || 1)) {
+      return records;
+    }
+  }
+}
+
+/**
+ * Find cloud resources that no instance or resumable provisioning job references
+ *
+ * @param {Object} options - Additional options
+ * @param {number} options.minAgeMinutes - Skip resources younger than this (default: RECONCILE_MIN_AGE_MINUTES)
+ * @returns {Promise<Array<Object>>} Orphans: { type: 'server' | 'volume' | 'dns', provider, id, name, subdomain, createdAt, serverId }
+ */
+export async function findOrphanedResources({ minAgeMinutes = RECONCILE_MIN_AGE_MINUTES } = {}) {
+  await connectMongo();
+
+  const known = await getKnownResources();
+  const cutoff = new Date(Date.now() - minAgeMinutes * 60 * 1000);
+  const orphans = [];
+
+  const providerNames = new Set([DEFAULT_VM_PROVIDER, ...(await Instance.distinct("vmProvider")).filter(Boolean)]);
+
+  for (const providerName of providerNames) {
+    const provider = getProvider(providerName);
+
+    for (const server of await provider.listServers()) {
+      if (server.createdAt > cutoff || known.servers.has(`${providerName}:${server.id}`)) {
+        continue;
+      }
+      orphans.push({
+        type: "server",
+        provider: providerName,
+        id: server.id,
+        name: server.name,
+        subdomain: server.labels?.subdomain || null,
+        createdAt: server.createdAt,
+      });
+    }
+
+    for (const volume of await provider.listVolumes()) {
+      const subdomain = volume.labels?.subdomain || null;
+      // Volumes of VMs provisioned before vmVolumeId existed are only known by name
+      const ownedByName = [...known.subdomains].some((s) => volume.name === `alfred-${s}-data`);
+      const attachedToKnownServer = volume.serverId && known.servers.has(`${providerName}:${volume.serverId}`);
+
+      if (volume.createdAt > cutoff || known.volumes.has(`${providerName}:${volume.id}`) || ownedByName || attachedToKnownServer) {
+        continue;
+      }
+      orphans.push({
+        type: "volume",
+        provider: providerName,
+        id: volume.id,
+        name: volume.name,
+        subdomain,
+        createdAt: volume.createdAt,
+        serverId: volume.serverId,
+      });
+    }
+  }
+
+  for (const record of await listAllARecords()) {
+    const [subdomain, ...domain] = record.name.split(".");
+    if (record.comment !== VM_DNS_RECORD_COMMENT || domain.length !== 2 || !VM_SUBDOMAIN_PATTERN.test(subdomain)) {
+      continue;
+    }
+    if (new Date(record.createdOn) > cutoff || known.subdomains.has(subdomain)) {
+      continue;
+    }
+    orphans.push({
+      type: "dns",
+      provider: "cloudflare",
+      id: record.id,
+      name: record.name,
+      subdomain,
+      createdAt: new Date(record.createdOn),
+      content: record.content,
+    });
+  }
+
+  return orphans;
+}
+
+/**
+ * Report orphaned resources and, unless this is a dry run, delete them
+ * Servers are deleted first; a volume still attached to one is reported as pending and
+ * deleted by a later run once the provider has detached it.
+ *
+ * @param {Object} options - Additional options
+ * @param {boolean} options.dryRun - Only report (default: true unless RECONCILE_DELETE_ORPHANS is set)
+ * @returns {Promise<Object>} Summary of the run
+ */
+export async function reconcileOrphanedResources({ dryRun = !RECONCILE_DELETE_ORPHANS } = {}) {
+  const orphans = await findOrphanedResources();
+
+  const results = {
+    dryRun,
+    total: orphans.length,
+    deleted: 0,
+    pending: 0,
+    failed: 0,
+    orphans: [],
+  };
+
+  const order = { server: 0, dns: 1, volume: 2 };
+  orphans.sort((a, b) => order[a.type] - order[b.type]);
+
+  for (const orphan of orphans) {
+    if (dryRun) {
+      console.log(`[dry run] Orphaned ${orphan.type} ${orphan.name} (${orphan.provider} ${orphan.id})`);
+      results.orphans.push({ ...orphan, action: "reported" });
+      continue;
+    }
+
+    try {
+      if (orphan.type === "server") {
+        await getProvider(orphan.provider).deleteServer(orphan.id);
+      } else if (orphan.type === "volume") {
+        if (orphan.serverId) {
+          results.pending++;
+          results.orphans.push({ ...orphan, action: "pending", message: `Still attached to server ${orphan.serverId}` });
+          continue;
+        }
+        await getProvider(orphan.provider).deleteVolume(orphan.id);
+      } else {
+        const deleteResult = await deleteDnsRecord(orphan.id);
+        if (!deleteResult.success) {
+          throw new Error(deleteResult.error);
+        }
+      }
+
+      console.log(`Deleted orphaned ${orphan.type} ${orphan.name} (${orphan.provider} ${orphan.id})`);
+      results.deleted++;
+      results.orphans.push({ ...orphan, action: "deleted" });
+    } catch (error) {
+      console.error(`Failed to delete orphaned ${orphan.type} ${orphan.name}:`, error);
+      results.failed++;
+      results.orphans.push({ ...orphan, action: "failed", error: error.message });
+    }
+  }
+
+  return results;
+}
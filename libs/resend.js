@@ -1,11 +1,17 @@
 import { Resend } from "resend";
 import config from "@/config";
 
-if (!process.env.RESEND_API_KEY) {
-  throw new Error("RESEND_API_KEY is not set");
-}
+// Created on first use: without RESEND_API_KEY the app still runs, only sending emails fails
+let resend = null;
 
-const resend = new Resend(process.env.RESEND_API_KEY);
+function getResend() {
+  if (!process.env.RESEND_API_KEY) {
+    console.warn("RESEND_API_KEY is not set, email not sent");
+    throw new Error("RESEND_API_KEY is not set");
+  }
+  resend ??= new Resend(process.env.RESEND_API_KEY);
+  return resend;
+}
 
 /**
  * Sends an email using the provided parameters.
@@ -18,9 +24,10 @@ const resend = new Resend(process.env.RESEND_API_KEY);
  * @param {string} params.html - The HTML content of the email.
  * @param {string} [params.replyTo] - The email address to set as the "Reply-To" address.
  * @returns {Promise<Object>} A Promise that resolves with the email sending result data.
+ * @throws {Error} If sending fails, or RESEND_API_KEY is not set
  */
 export const sendEmail = async ({ to, subject, text, html, replyTo }) => {
-  const { data, error } = await resend.emails.send({
+  const { data, error } = await getResend().emails.send({
     from: config.resend.fromAdmin,
     to,
     subject,
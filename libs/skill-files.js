@@ -0,0 +1,102 @@
+/**
+ * Skill Files
+ *
+ * Skills are exported and imported as YAML or JSON files, for backups, reviews in a repository
+ * and moving skills between instances. A file holds one skill, or a bundle of skills.
+ *
+ * The format and its checks live in the SDK (packages/sdk/src/skill-file.js), which the CLI uses too, so
+ * the dashboard's import, the schema served at /api/v1/schemas/skill-file.json and `alfred skills push`
+ * agree on what a valid file is. This adds reading and writing files for the dashboard.
+ */
+
+import yaml from "js-yaml";
+import {
+  SKILL_FILE_VERSION,
+  SKILL_FILE_SCHEMA,
+  SKILL_STEP_SCHEMA,
+  checkSkillFile,
+} from "@/packages/sdk/src/skill-file.js";
+
+export { SKILL_FILE_VERSION, SKILL_FILE_SCHEMA };
+
+export const SKILL_FILE_FORMATS = ["yaml", "json"];
+
+/**
+ * Keep the fields of a skill from a VM that belong in a file, in file order
+ *
+ * @param {Object} skill - Skill as the VM returns it (with run counts, dates...)
+ * @returns {Object} Skill without the VM's own fields or its ID
+ */
+export function toSkillFileSkill(skill) {
+  const pick = (object, fields) =>
+    Object.fromEntries(
+      fields.filter((field) => object[field] !== undefined && object[field] !== null).map((field) => [field, object[field]])
+    );
+
+  const file = pick(skill, ["name", "description", "trigger_type", "trigger_config", "steps", "connections", "is_active"]);
+  if (Array.isArray(file.steps)) {
+    file.steps = file.steps.map((step) => pick(step, Object.keys(SKILL_STEP_SCHEMA.properties)));
+  }
+  return file;
+}
+
+/**
+ * Write skills as a skill file
+ *
+ * @param {Array<Object>|Object} skills - Skills from a VM: a list makes a bundle, one skill a single-skill file
+ * @param {string} format - 'yaml' or 'json'
+ * @param {Object} [instance] - Instance the skills come from, noted in bundles
+ * @returns {string} File contents
+ */
+export function serializeSkillFile(skills, format, instance) {
+  const schemaUrl = SKILL_FILE_SCHEMA.$id;
+
+  const contents = Array.isArray(skills)
+    ? {
+        version: SKILL_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        ...(instance && { instance: { name: instance.name, environment: instance.environment } }),
+        skills: skills.map(toSkillFileSkill),
+      }
+    : { version: SKILL_FILE_VERSION, ...toSkillFileSkill(skills) };
+
+  if (format === "json") {
+    return `${JSON.stringify({ $schema: schemaUrl, ...contents }, null, 2)}\n`;
+  }
+
+  // The comment lets editors with the YAML language server complete and check the file
+  return `# yaml-language-server: $schema=${schemaUrl}\n${yaml.dump(contents, { lineWidth: 100, noRefs: true })}`;
+}
+
+/**
+ * Read a skill file and check it against the schema
+ *
+ * @param {string} text - File contents, YAML or JSON (JSON is read as YAML)
+ * @returns {Object} { success: true, skills } or { success: false, error, details? }
+ *
+ * @example
+ * const file = parseSkillFile(content);
+ * if (!file.success) {
+ *   return NextResponse.json({ error: file.error, details: file.details }, { status: 400 });
+ * }
+ */
+export function parseSkillFile(text) {
+  if (typeof text !== "string" || !text.trim()) {
+    return { success: false, error: "The file is empty" };
+  }
+
+  let contents;
+  try {
+    // The core schema keeps values such as exportedAt as strings instead of making dates of them
+    contents = yaml.load(text, { schema: yaml.CORE_SCHEMA });
+  } catch (e) {
+    return { success: false, error: `The file isn't valid YAML or JSON: ${e.reason || e.message}` };
+  }
+
+  const file = checkSkillFile(contents);
+  if (file.error) {
+    return { success: false, error: file.error, details: file.details };
+  }
+
+  return { success: true, skills: file.skills.map(toSkillFileSkill) };
+}
@@ -0,0 +1,53 @@
+/**
+ * Skills
+ *
+ * Skills live on the instance's VM; Alfred Core only checks their definition before
+ * sending it there (from the dashboard proxy and the public API).
+ */
+
+import { SKILL_TRIGGER_TYPES } from "@/packages/sdk/src/skill-file.js";
+
+// Shared with skill files, the SDK and the CLI
+export { SKILL_TRIGGER_TYPES };
+
+/**
+ * Check a skill definition before it is created or updated on a VM
+ *
+ * @param {Object} skill - { name, description, trigger_type, trigger_config?, steps: [{ id, prompt }] }
+ * @returns {string|null} What is wrong with the definition, or null if it is valid
+ *
+ * @example
+ * const error = validateSkill(body);
+ * if (error) {
+ *   return NextResponse.json({ error }, { status: 400 });
+ * }
+ */
+export function validateSkill(skill) {
+  if (!skill?.name || !skill.description || !skill.trigger_type || !skill.steps) {
+    return "Missing required fields: name, description, trigger_type, steps";
+  }
+
+  if (!SKILL_TRIGGER_TYPES.includes(skill.trigger_type)) {
+    return "Invalid trigger_type. Must be: manual, schedule, or webhook";
+  }
+
+  if (!Array.isArray(skill.steps) || skill.steps.length === 0) {
+    return "Steps must be a non-empty array";
+  }
+
+  for (let i = 0; i < skill.steps.length; i++) {
+    const step = skill.steps[i];
+    if (!step?.id || !step.prompt) {
+      return `Step ${i + 1} is missing required fields: id, prompt`;
+    }
+  }
+
+  // Basic cron validation (just check it's not empty)
+  if (skill.trigger_type === "schedule" && skill.trigger_config?.cron) {
+    if (typeof skill.trigger_config.cron !== "string" || !skill.trigger_config.cron.trim()) {
+      return "schedule trigger requires valid trigger_config.cron";
+    }
+  }
+
+  return null;
+}
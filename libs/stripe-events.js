@@ -0,0 +1,310 @@
+/**
+ * Stripe Webhook Events
+ *
+ * Handles the events Stripe sends to /api/webhook/stripe, recording each one in the StripeEvent
+ * ledger so that a redelivered event is only processed once. An event is claimed before its
+ * handler runs; if the handler throws, the event is marked failed and the webhook answers with
+ * a 500 so Stripe retries it. Failed events can also be replayed from the ledger
+ * (see /api/admin/stripe-events).
+ *
+ * An event stuck in processing (e.g. the function timed out) can be claimed again after
+ * STALE_PROCESSING_MS.
+ */
+
+import Stripe from "stripe";
+import connectMongo from "./mongoose";
+import configFile from "@/config";
+import User from "@/models/User";
+import Organization from "@/models/Organization";
+import StripeEvent from "@/models/StripeEvent";
+import { findCheckoutSession } from "./stripe";
+import { scheduleOrganizationDeprovision, cancelOrganizationDeprovision } from "./provisioning";
+import { getOrCreateProductionInstance } from "./instances";
+import { getUserOrganization } from "./organizations";
+import { enqueueProvisioning } from "./jobs";
+import {
+  applySubscriptionUpdate,
+  startDunning,
+  endDunning,
+  sendCheckoutReminder,
+} from "./subscriptions";
+
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+/**
+ * Claim an event for processing
+ *
+ * @param {Object} event - Stripe event
+ * @returns {Promise<Object|null>} The ledger entry, or null if the event was already processed
+ *   or is being processed by another delivery
+ */
+async function claimStripeEvent(event) {
+  const now = new Date();
+
+  try {
+    return await StripeEvent.findOneAndUpdate(
+      {
+        eventId: event.id,
+        $or: [
+          { status: "failed" },
+          { status: "processing", lastAttemptAt: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+        ],
+      },
+      {
+        $set: { type: event.type, payload: event, status: "processing", lastAttemptAt: now, error: null },
+        $inc: { attempts: 1 },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The upsert conflicts with the existing entry when it isn't claimable
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Process a verified Stripe event once
+ *
+ * @param {Object} event - Stripe event, as verified by stripe.webhooks.constructEvent
+ * @returns {Promise<Object>} { status } where status is 'processed', 'duplicate' (already processed),
+ *   'in_progress' (claimed by another delivery) or 'failed' (with error)
+ */
+export async function processStripeEvent(event) {
+  await connectMongo();
+
+  const entry = await claimStripeEvent(event);
+
+  if (!entry) {
+    const existing = await StripeEvent.findOne({ eventId: event.id }).select("status");
+    return { status: existing?.status === "processed" ? "duplicate" : "in_progress" };
+  }
+
+  try {
+    await handleStripeEvent(event);
+  } catch (error) {
+    console.error(`Stripe event ${event.id} (${event.type}) failed: ${error.message}`);
+    await StripeEvent.updateOne({ _id: entry._id }, { $set: { status: "failed", error: error.message } });
+    return { status: "failed", error: error.message };
+  }
+
+  await StripeEvent.updateOne({ _id: entry._id }, { $set: { status: "processed", processedAt: new Date() } });
+
+  return { status: "processed" };
+}
+
+/**
+ * Replay a failed event from the ledger
+ *
+ * @param {string} eventId - Stripe event ID
+ * @returns {Promise<Object>} { success, eventId, status, error? }
+ */
+export async function replayStripeEvent(eventId) {
+  await connectMongo();
+
+  const entry = await StripeEvent.findOne({ eventId });
+
+  if (!entry?.payload) {
+    return { success: false, eventId, error: "Event not found" };
+  }
+
+  if (entry.status !== "failed") {
+    return { success: false, eventId, error: `Only failed events can be replayed (status: ${entry.status})` };
+  }
+
+  const result = await processStripeEvent(entry.payload);
+
+  return { success: result.status === "processed", eventId, ...result };
+}
+
+/**
+ * Run the handler for an event
+ * Throws to mark the event failed and have Stripe retry it.
+ *
+ * @param {Object} event - Stripe event
+ */
+async function handleStripeEvent(event) {
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  const data = event.data;
+
+  switch (event.type) {
+    case "checkout.session.completed": {
+      // First payment is successful and a subscription is created (if mode was set to "subscription" in ButtonCheckout)
+      // ✅ Grant access to the product
+
+      const session = await findCheckoutSession(data.object.id);
+
+      // Let Stripe retry if the session couldn't be fetched
+      if (!session) {
+        throw new Error(`Checkout session ${data.object.id} could not be retrieved`);
+      }
+
+      const customerId = session?.customer;
+      const priceId = session?.line_items?.data[0]?.price.id;
+      const organizationId = data.object.client_reference_id;
+      const plan = configFile.stripe.plans.find((p) => p.priceId === priceId);
+
+      if (!plan) break;
+
+      const customer = await stripe.customers.retrieve(customerId);
+
+      let organization;
+
+      // Get the organization, or the organization of the user (created if needed). organizationId is normally passed in the
+      // checkout session (clientReferenceID) to identify the organization when we get the webhook event
+      if (organizationId) {
+        organization = await Organization.findById(organizationId);
+      } else if (customer.email) {
+        let user = await User.findOne({ email: customer.email });
+
+        if (!user) {
+          user = await User.create({
+            email: customer.email,
+            name: customer.name,
+          });
+
+          await user.save();
+        }
+
+        organization = await getUserOrganization(user);
+      }
+
+      if (!organization) {
+        console.error("No organization found");
+        throw new Error("No organization found");
+      }
+
+      // Update organization data + Grant its members access to your product. It's a boolean in the database, but could be a number of credits, etc...
+      organization.priceId = priceId;
+      organization.customerId = customerId;
+      organization.billingEmail = customer.email || organization.billingEmail;
+      organization.hasAccess = true;
+      organization.subscriptionCancelAt = null;
+      await organization.save();
+
+      // Resubscribed during the grace period: keep the existing VMs
+      await cancelOrganizationDeprovision(organization._id);
+
+      // VM options picked at checkout apply to the next VM the production instance gets
+      const instance = await getOrCreateProductionInstance(organization._id);
+      const vmOptions = session?.metadata || {};
+      if (vmOptions.vmRegion && !instance.vmHetznerId) {
+        instance.vmProvider = vmOptions.vmProvider;
+        instance.vmRegion = vmOptions.vmRegion;
+        instance.vmSize = vmOptions.vmSize;
+        instance.vmVolumeSize = Number(vmOptions.vmVolumeSize) || undefined;
+        await instance.save();
+      }
+
+      // Queue VM provisioning (see libs/jobs.js), unless a VM is already being set up or running
+      if (!["provisioning", "ready", "resizing"].includes(instance.vmStatus)) {
+        await enqueueProvisioning(instance);
+      }
+
+      // Extra: send email with user link, product page, etc...
+      // try {
+      //   await sendEmail({to: ...});
+      // } catch (e) {
+      //   console.error("Email issue:" + e?.message);
+      // }
+
+      break;
+    }
+
+    case "checkout.session.expired": {
+      // User didn't complete the transaction
+      // 📧 Remind them to finish subscribing
+      const result = await sendCheckoutReminder(data.object);
+      if (!result.success) {
+        console.error(`Checkout reminder failed for session ${data.object.id}: ${result.error}`);
+      }
+      break;
+    }
+
+    case "customer.subscription.updated": {
+      // The customer might have changed the plan (higher or lower plan, cancel soon etc...)
+      // 🔄 Update the plan (resizing the VM if the new plan doesn't allow its size) and the "cancels on" date
+      // Stripe still lets us know when the subscription is canceled for good in the "customer.subscription.deleted" event
+      const result = await applySubscriptionUpdate(data.object);
+      if (!result.success) {
+        console.error(result.error);
+      }
+      break;
+    }
+
+    case "customer.subscription.deleted": {
+      // The customer subscription stopped
+      // ❌ Revoke access to the product
+      // The customer might have changed the plan (higher or lower plan, cancel soon etc...)
+      const subscription = await stripe.subscriptions.retrieve(
+        data.object.id
+      );
+      const organization = await Organization.findOne({ customerId: subscription.customer });
+
+      if (!organization) {
+        console.error(`No organization found for customer ${subscription.customer}`);
+        break;
+      }
+
+      // Revoke access to your product
+      organization.hasAccess = false;
+      organization.subscriptionCancelAt = null;
+      endDunning(organization);
+      await organization.save();
+
+      // Schedule the VMs for destruction once the grace period is over (see /api/cron/deprovision)
+      const scheduled = await scheduleOrganizationDeprovision(organization._id);
+      for (const { instanceId, vmDeprovisionAt } of scheduled) {
+        console.log(`VM of instance ${instanceId} for organization ${organization._id} scheduled for deprovisioning at ${vmDeprovisionAt.toISOString()}`);
+      }
+
+      break;
+    }
+
+    case "invoice.paid": {
+      // Customer just paid an invoice (for instance, a recurring payment for a subscription)
+      // ✅ Grant access to the product
+      const priceIds = data.object.lines.data.map((line) => line.price?.id);
+      const customerId = data.object.customer;
+
+      const organization = await Organization.findOne({ customerId });
+
+      if (!organization) {
+        console.error(`No organization found for customer ${customerId}`);
+        break;
+      }
+
+      // Make sure the invoice is for the same plan (priceId) the organization subscribed to
+      if (!priceIds.includes(organization.priceId)) break;
+
+      // Grant access to your product. It's a boolean in the database, but could be a number of credits, etc...
+      organization.hasAccess = true;
+      // Paid after a failed payment: end the dunning period and keep the VMs if access was already suspended
+      const wasInDunning = endDunning(organization);
+      await organization.save();
+      if (wasInDunning) {
+        await cancelOrganizationDeprovision(organization._id);
+      }
+
+      break;
+    }
+
+    case "invoice.payment_failed": {
+      // A payment failed (for instance the customer does not have a valid payment method)
+      // ⏳ Wait for the customer to pay (more friendly):
+      //      - Stripe retries the payment (Smart Retries) and we email the customer after each failed attempt
+      //      - Access is revoked once the grace period ends (see /api/cron/dunning)
+      //      - We will receive a "customer.subscription.deleted" when all retries were made and the subscription has expired
+      const result = await startDunning(data.object);
+      if (!result.success) {
+        console.error(result.error);
+      }
+      break;
+    }
+
+    default:
+    // Unhandled event type
+  }
+}
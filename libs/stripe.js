@@ -9,6 +9,8 @@ export const createCheckout = async ({
   couponId,
   clientReferenceId,
   user,
+  metadata = {},
+  meteredPriceId,
 }) => {
   const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -33,11 +35,14 @@ export const createCheckout = async ({
     mode,
     allow_promotion_codes: true,
     client_reference_id: clientReferenceId,
+    metadata,
     line_items: [
       {
         price: priceId,
         quantity: 1,
       },
+      // Metered prices are billed on reported usage, so they take no quantity
+      ...(meteredPriceId ? [{ price: meteredPriceId }] : []),
     ],
     discounts: couponId
       ? [
@@ -86,3 +91,19 @@ export const findCheckoutSession = async (sessionId) => {
     return null;
   }
 };
+
+// This is used to report metered usage (e.g. executions over the plan's quota) to a Stripe billing meter.
+// Stripe ignores a second event with the same identifier, so a retried report isn't billed twice.
+export const reportMeterEvent = async ({ eventName, customerId, value, identifier, timestamp }) => {
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+  return stripe.billing.meterEvents.create({
+    event_name: eventName,
+    payload: {
+      stripe_customer_id: customerId,
+      value: String(value),
+    },
+    identifier,
+    timestamp: Math.floor(timestamp.getTime() / 1000),
+  });
+};
@@ -0,0 +1,289 @@
+/**
+ * Subscription Lifecycle
+ *
+ * Keeps organizations in sync with their Stripe subscription beyond checkout and cancellation
+ * (see app/api/webhook/stripe): plan changes, scheduled cancellations, failed payments and
+ * abandoned checkouts.
+ *
+ * Failed payments start a dunning period: the customer keeps access while Stripe retries the
+ * payment, and is emailed after each failed attempt. If the invoice is still unpaid once
+ * PAYMENT_GRACE_DAYS have passed, access is revoked and the VMs scheduled for deprovisioning
+ * (see /api/cron/dunning). Paying the invoice ends the dunning period.
+ *
+ * Environment Variables:
+ * - PAYMENT_GRACE_DAYS: Days a customer keeps access after a failed payment (default: 7)
+ */
+
+import connectMongo from "./mongoose";
+import Organization from "@/models/Organization";
+import User from "@/models/User";
+import Instance from "@/models/Instance";
+import { getPlan, getVmOptions } from "./vm-plans";
+import { DEFAULT_VM_PROVIDER } from "./vm-providers";
+import { scheduleOrganizationDeprovision } from "./provisioning";
+import { enqueueResize } from "./jobs";
+import { sendEmail } from "./resend";
+import config from "@/config";
+
+const PAYMENT_GRACE_DAYS = parseInt(process.env.PAYMENT_GRACE_DAYS || "7");
+
+/**
+ * Find the plan price of a subscription
+ * Subscriptions also hold the metered price for overage (see `usage` in config.js), which isn't a plan.
+ *
+ * @param {Object} subscription - Stripe subscription
+ * @returns {string|null} Price ID of the plan, or null if no item matches a plan in config.js
+ */
+export function getSubscriptionPriceId(subscription) {
+  const item = subscription.items?.data?.find((i) =>
+    config.stripe.plans.some((p) => p.priceId === i.price?.id)
+  );
+  return item?.price.id || null;
+}
+
+/**
+ * Work out the VM size an instance needs after its organization moved to another plan
+ * An upgrade (a more expensive plan) grows the VM to the new plan's default size and volume, keeping a bigger
+ * size or volume the new plan allows. Otherwise the VM is kept as is when the new plan allows it, or moves
+ * to the new plan's default size. Volumes move to the smallest allowed size that isn't smaller than the
+ * current one (volumes can't shrink).
+ *
+ * @param {Object} instance - Instance document
+ * @param {string} previousPriceId - Price ID of the plan before the change
+ * @param {string} priceId - Price ID of the new plan
+ * @returns {Object|null} { size, volumeSize } to resize to, or null if no resize is needed
+ */
+export function getPlanChangeSelection(instance, previousPriceId, priceId) {
+  const options = getVmOptions(priceId, instance.vmProvider || DEFAULT_VM_PROVIDER);
+  const upgrade = getPlan(priceId).price > getPlan(previousPriceId).price;
+
+  // Server types are listed from the smallest (see `vm` in config.js)
+  const sizeIndex = options.serverTypes.findIndex((t) => t.id === instance.vmSize);
+  const defaultIndex = options.serverTypes.findIndex((t) => t.id === options.defaultSize);
+  const keepSize = !instance.vmSize || (upgrade ? sizeIndex >= defaultIndex : sizeIndex !== -1);
+  const size = keepSize ? instance.vmSize : options.defaultSize;
+
+  let volumeSize = instance.vmVolumeSize;
+  if (volumeSize && (upgrade || !options.volumeSizes.includes(volumeSize))) {
+    const smallest = upgrade ? Math.max(volumeSize, options.defaultVolumeSize) : volumeSize;
+    volumeSize = options.volumeSizes.find((s) => s >= smallest) ?? volumeSize;
+  }
+
+  if (size === instance.vmSize && volumeSize === instance.vmVolumeSize) {
+    return null;
+  }
+
+  return { size, volumeSize };
+}
+
+/**
+ * Sync an organization with an updated subscription
+ * Handles plan changes (queueing a resize_vm job for VMs an upgrade grows or the new plan doesn't allow), cancellations
+ * scheduled for the end of the period, and a subscription becoming active again after a failed payment.
+ *
+ * @param {Object} subscription - Stripe subscription from customer.subscription.updated
+ * @returns {Promise<Object>} { success, planChanged, resizes } or { success: false, error }
+ */
+export async function applySubscriptionUpdate(subscription) {
+  await connectMongo();
+
+  const organization = await Organization.findOne({ customerId: subscription.customer });
+  if (!organization) {
+    return { success: false, error: `No organization found for customer ${subscription.customer}` };
+  }
+
+  const priceId = getSubscriptionPriceId(subscription);
+  const planChanged = !!priceId && priceId !== organization.priceId;
+  const resizes = [];
+
+  if (planChanged) {
+    const previousPriceId = organization.priceId;
+    console.log(`Organization ${organization._id} changed plan from ${previousPriceId} to ${priceId}`);
+    organization.priceId = priceId;
+
+    const instances = await Instance.find({ organizationId: organization._id, deletedAt: null, vmHetznerId: { $ne: null } });
+    for (const instance of instances) {
+      const resize = getPlanChangeSelection(instance, previousPriceId, priceId);
+      if (resize) {
+        resizes.push({ instance, ...resize });
+      }
+    }
+  }
+
+  // Set when the customer cancels at the end of the period, cleared if they resume the subscription
+  organization.subscriptionCancelAt = subscription.cancel_at ? new Date(subscription.cancel_at * 1000) : null;
+
+  if (subscription.status === "active") {
+    endDunning(organization);
+  }
+
+  await organization.save();
+
+  // Resizes are queued (and retried) as jobs; resizeVM validates against the new plan, so they're queued once priceId is saved
+  for (const { instance, ...resize } of resizes) {
+    await enqueueResize(instance, resize);
+  }
+
+  return {
+    success: true,
+    planChanged,
+    resizes: resizes.map(({ instance, ...resize }) => ({ instanceId: instance._id.toString(), ...resize })),
+  };
+}
+
+/**
+ * Start (or continue) the dunning period after a failed invoice payment
+ * Access is kept until the grace period ends; the customer is emailed after each failed attempt.
+ *
+ * @param {Object} invoice - Stripe invoice from invoice.payment_failed
+ * @returns {Promise<Object>} { success, graceEndsAt } or { success: false, error }
+ */
+export async function startDunning(invoice) {
+  await connectMongo();
+
+  const organization = await Organization.findOne({ customerId: invoice.customer });
+  if (!organization) {
+    return { success: false, error: `No organization found for customer ${invoice.customer}` };
+  }
+
+  // Keep the dates of the first failure so retries don't extend the grace period
+  if (!organization.paymentFailedAt) {
+    organization.paymentFailedAt = new Date();
+    organization.paymentGraceEndsAt = new Date(Date.now() + PAYMENT_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await organization.save();
+    console.log(`Payment failed for organization ${organization._id}, access kept until ${organization.paymentGraceEndsAt.toISOString()}`);
+  }
+
+  const dashboardUrl = `https://${config.domainName}/dashboard`;
+  const attempt = invoice.attempt_count ? ` (attempt ${invoice.attempt_count})` : "";
+
+  try {
+    await sendEmail({
+      to: invoice.customer_email || organization.billingEmail,
+      subject: "Your Alfred payment failed",
+      text:
+        `We couldn't charge your card for your Alfred subscription${attempt}.\n\n` +
+        `Please update your payment method before ${organization.paymentGraceEndsAt.toUTCString()} to keep your VMs running. ` +
+        `After that, your access is suspended and your VMs are scheduled for deletion.\n\n` +
+        `Update your billing details from your dashboard (Account > Billing): ${dashboardUrl}`,
+    });
+  } catch (error) {
+    console.error(`Failed to send payment failure email to organization ${organization._id}:`, error.message);
+  }
+
+  return { success: true, graceEndsAt: organization.paymentGraceEndsAt };
+}
+
+/**
+ * End an organization's dunning period
+ * Does not save the organization document.
+ *
+ * @param {Object} organization - Organization document
+ * @returns {boolean} Whether the organization was in a dunning period
+ */
+export function endDunning(organization) {
+  if (!organization.paymentFailedAt && !organization.paymentGraceEndsAt) {
+    return false;
+  }
+
+  organization.paymentFailedAt = null;
+  organization.paymentGraceEndsAt = null;
+  return true;
+}
+
+/**
+ * Revoke access for every organization whose payment grace period has ended
+ * Their VMs are scheduled for deprovisioning like after a cancellation, so paying within
+ * VM_DEPROVISION_GRACE_DAYS still gets it back.
+ *
+ * @returns {Promise<Object>} Summary of the run
+ */
+export async function suspendOverdueAccounts() {
+  await connectMongo();
+
+  const organizations = await Organization.find({
+    paymentGraceEndsAt: { $lte: new Date() },
+    hasAccess: true,
+  });
+
+  const results = {
+    total: organizations.length,
+    suspended: 0,
+    failed: 0,
+    details: [],
+  };
+
+  for (const organization of organizations) {
+    try {
+      organization.hasAccess = false;
+      await organization.save();
+      const [scheduled] = await scheduleOrganizationDeprovision(organization._id);
+      const deprovisionAt = scheduled?.vmDeprovisionAt || null;
+
+      console.log(`Suspended organization ${organization._id} after unpaid invoice`);
+      results.suspended++;
+      results.details.push({ organizationId: organization._id.toString(), success: true, deprovisionAt });
+
+      try {
+        await sendEmail({
+          to: organization.billingEmail,
+          subject: "Your Alfred subscription is suspended",
+          text:
+            `We still couldn't collect the payment for your Alfred subscription, so your access is suspended.\n\n` +
+            (deprovisionAt
+              ? `Your VMs will be deleted on ${deprovisionAt.toUTCString()}. Pay the outstanding invoice before then to keep them.\n\n`
+              : "") +
+            `Update your billing details from your dashboard: https://${config.domainName}/dashboard`,
+        });
+      } catch (error) {
+        console.error(`Failed to send suspension email to organization ${organization._id}:`, error.message);
+      }
+    } catch (error) {
+      console.error(`Failed to suspend organization ${organization._id}:`, error);
+      results.failed++;
+      results.details.push({ organizationId: organization._id.toString(), success: false, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Remind a customer who left checkout without paying
+ * Skipped for customers whose organization has access (e.g. they completed another checkout since).
+ *
+ * @param {Object} session - Stripe checkout session from checkout.session.expired
+ * @returns {Promise<Object>} { success, sent }
+ */
+export async function sendCheckoutReminder(session) {
+  const email = session.customer_details?.email || session.customer_email;
+  if (!email) {
+    return { success: true, sent: false };
+  }
+
+  await connectMongo();
+
+  // The reference is the organization the checkout was for (see /api/stripe/create-checkout)
+  const user = session.client_reference_id ? null : await User.findOne({ email: email.toLowerCase() });
+  const organization = session.client_reference_id
+    ? await Organization.findById(session.client_reference_id)
+    : user?.organizationId && await Organization.findById(user.organizationId);
+
+  if (organization?.hasAccess) {
+    return { success: true, sent: false };
+  }
+
+  try {
+    await sendEmail({
+      to: email,
+      subject: "Finish setting up Alfred",
+      text:
+        `You started subscribing to Alfred but didn't complete the checkout.\n\n` +
+        `Your dedicated VM is a few clicks away: https://${config.domainName}/#pricing`,
+    });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  return { success: true, sent: true };
+}
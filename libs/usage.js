@@ -0,0 +1,529 @@
+/**
+ * Usage Metering
+ *
+ * Sums the daily ExecutionMetric documents VMs report (app/api/billing/report) per calendar month,
+ * compares them with the plan's quotas (`usage` in config.js) and reports the overage of the metered
+ * metric to Stripe. Reports are cumulative: each run sends only what was added since the last one
+ * (tracked in UsageReport), so a missed or repeated run never bills usage twice. Runs are hourly, well inside
+ * the 24 hours during which Stripe dedups a meter event's identifier, which a crashed run relies on.
+ *
+ * Usage periods are calendar months in UTC, which VMs also use to date their reports.
+ *
+ * Plan limits (`usage.limits`) are checked before each skill execution. They rely on the metrics
+ * VMs have reported so far, so usage since a VM's last report isn't counted yet.
+ *
+ * Environment Variables:
+ * - USAGE_LATE_REPORT_DAYS: Days into a month during which the previous month is still reported,
+ *   to pick up VM reports for its last day (default: 2)
+ */
+
+import mongoose from "mongoose";
+import connectMongo from "./mongoose";
+import Organization from "@/models/Organization";
+import ExecutionMetric from "@/models/ExecutionMetric";
+import UsageReport from "@/models/UsageReport";
+import { getPlan } from "./vm-plans";
+import { reportMeterEvent } from "./stripe";
+import { sendEmail } from "./resend";
+import config from "@/config";
+
+const USAGE_LATE_REPORT_DAYS = parseInt(process.env.USAGE_LATE_REPORT_DAYS || "2");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Stripe dedups meter event identifiers for 24 hours; a pending event older than this is never resent,
+// since Stripe may take it as new and bill it again
+const PENDING_RESEND_HOURS = 20;
+// Date ranges for the usage charts and exports
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+export const USAGE_INTERVALS = ["day", "week"];
+
+const LIMIT_LABELS = {
+  executionsPerDay: { name: "daily execution limit", unit: "executions" },
+  tokensPerMonth: { name: "monthly token limit", unit: "tokens" },
+};
+
+/**
+ * Get the usage period (calendar month) a date falls in
+ * @param {Date} date - Date (default: now)
+ * @returns {string} Period as YYYY-MM
+ */
+export function getUsagePeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Get the month before a period
+ * @param {string} period - Period as YYYY-MM
+ * @returns {string} Previous period as YYYY-MM
+ */
+function getPreviousPeriod(period) {
+  const [year, month] = period.split("-").map(Number);
+  return getUsagePeriod(new Date(Date.UTC(year, month - 2, 1)));
+}
+
+/**
+ * Sum an organization's execution metrics for a period
+ *
+ * @param {string} organizationId - MongoDB organization ID
+ * @param {string} period - Period as YYYY-MM (default: current month)
+ * @returns {Promise<Object>} { executions, tokens, durationMs, successes, failures }
+ */
+export async function getPeriodUsage(organizationId, period = getUsagePeriod()) {
+  await connectMongo();
+
+  const [totals] = await ExecutionMetric.aggregate([
+    { $match: { organizationId: new mongoose.Types.ObjectId(String(organizationId)), date: { $regex: `^${period}-` } } },
+    {
+      $group: {
+        _id: null,
+        executions: { $sum: "$executionCount" },
+        tokens: { $sum: "$totalTokens" },
+        durationMs: { $sum: "$totalDurationMs" },
+        successes: { $sum: "$successCount" },
+        failures: { $sum: "$failureCount" },
+      },
+    },
+  ]);
+
+  return {
+    executions: totals?.executions || 0,
+    tokens: totals?.tokens || 0,
+    durationMs: totals?.durationMs || 0,
+    successes: totals?.successes || 0,
+    failures: totals?.failures || 0,
+  };
+}
+
+/**
+ * Get an organization's month-to-date usage against its plan's quotas
+ *
+ * @param {Object} organization - Organization document
+ * @returns {Promise<Object>} { period, usage, quotas, metered }
+ *
+ * @example
+ * const summary = await getUsageSummary(organization);
+ * // summary.metered → { metric: 'executions', included: 1000, overage: 42, unitPrice: 0.02, estimatedCost: 0.84 }
+ */
+export async function getUsageSummary(organization) {
+  const period = getUsagePeriod();
+  const usage = await getPeriodUsage(organization._id, period);
+  const { quotas = {}, metered } = getPlan(organization.priceId).usage || {};
+
+  let meteredSummary = null;
+  if (metered?.priceId) {
+    const included = quotas[metered.metric] || 0;
+    const overage = Math.max(0, usage[metered.metric] - included);
+    meteredSummary = {
+      metric: metered.metric,
+      included,
+      overage,
+      unitPrice: metered.unitPrice,
+      estimatedCost: Math.round(overage * metered.unitPrice * 100) / 100,
+    };
+  }
+
+  return { period, usage, quotas, metered: meteredSummary };
+}
+
+/**
+ * Format a date as YYYY-MM-DD (UTC)
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a YYYY-MM-DD date, rejecting impossible dates like 2024-02-31
+ * @param {string} value - Date string
+ * @returns {Date|null} Midnight UTC of the date, or null if invalid
+ */
+function parseDateString(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && toDateString(date) === value ? date : null;
+}
+
+/**
+ * Validate a date range and interval for the usage charts and exports
+ * Defaults to the last 30 days, by day.
+ *
+ * @param {Object} params - { from, to, interval } as passed in the query string
+ * @returns {Object} { from, to, interval } with dates as YYYY-MM-DD
+ * @throws {Error} If a date is invalid, the range is reversed or longer than a year, or the interval unknown
+ */
+export function resolveUsageRange({ from, to, interval } = {}) {
+  const toDate = to ? parseDateString(to) : parseDateString(toDateString(new Date()));
+  if (!toDate) {
+    throw new Error("Invalid 'to' date. Must be YYYY-MM-DD");
+  }
+
+  const fromDate = from ? parseDateString(from) : new Date(toDate.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (!fromDate) {
+    throw new Error("Invalid 'from' date. Must be YYYY-MM-DD");
+  }
+
+  if (fromDate > toDate) {
+    throw new Error("'from' must not be after 'to'");
+  }
+
+  if ((toDate - fromDate) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw new Error(`Date range can't be longer than ${MAX_RANGE_DAYS} days`);
+  }
+
+  const resolvedInterval = interval || "day";
+  if (!USAGE_INTERVALS.includes(resolvedInterval)) {
+    throw new Error(`Invalid interval. Must be one of: ${USAGE_INTERVALS.join(", ")}`);
+  }
+
+  return { from: toDateString(fromDate), to: toDateString(toDate), interval: resolvedInterval };
+}
+
+/**
+ * Add the derived success rate to a usage bucket
+ * @param {Object} bucket - { executions, successes, ... }
+ * @returns {Object} Bucket with successRate (0-1, or null without executions)
+ */
+function withSuccessRate(bucket) {
+  return {
+    ...bucket,
+    successRate: bucket.executions > 0 ? bucket.successes / bucket.executions : null,
+  };
+}
+
+/**
+ * Get an organization's usage for each day of a range, including days without executions
+ *
+ * @param {string} organizationId - MongoDB organization ID
+ * @param {Object} range - { from, to } as returned by resolveUsageRange
+ * @returns {Promise<Array<Object>>} [{ date, executions, successes, failures, successRate, durationMs, tokens }]
+ */
+export async function getDailyUsage(organizationId, { from, to }) {
+  await connectMongo();
+
+  const metrics = await ExecutionMetric.find({ organizationId, date: { $gte: from, $lte: to } }).lean();
+  const byDate = new Map(metrics.map((m) => [m.date, m]));
+
+  const days = [];
+  for (let day = parseDateString(from); day <= parseDateString(to); day = new Date(day.getTime() + DAY_MS)) {
+    const date = toDateString(day);
+    const metric = byDate.get(date);
+    days.push(withSuccessRate({
+      date,
+      executions: metric?.executionCount || 0,
+      successes: metric?.successCount || 0,
+      failures: metric?.failureCount || 0,
+      durationMs: metric?.totalDurationMs || 0,
+      tokens: metric?.totalTokens || 0,
+    }));
+  }
+
+  return days;
+}
+
+/**
+ * Get an organization's usage over a range, by day or by week (weeks start on Monday)
+ *
+ * @param {string} organizationId - MongoDB organization ID
+ * @param {Object} range - { from, to, interval } as returned by resolveUsageRange
+ * @returns {Promise<Object>} { series: [{ date, ... }], totals } where date is the first day of the bucket
+ *
+ * @example
+ * const { series, totals } = await getUsageSeries(organization._id, resolveUsageRange({ interval: 'week' }));
+ */
+export async function getUsageSeries(organizationId, range) {
+  const days = await getDailyUsage(organizationId, range);
+
+  const buckets = new Map();
+  for (const day of days) {
+    let key = day.date;
+    if (range.interval === "week") {
+      const date = parseDateString(day.date);
+      const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+      key = toDateString(monday);
+    }
+
+    const bucket = buckets.get(key) || { date: key, executions: 0, successes: 0, failures: 0, durationMs: 0, tokens: 0 };
+    bucket.executions += day.executions;
+    bucket.successes += day.successes;
+    bucket.failures += day.failures;
+    bucket.durationMs += day.durationMs;
+    bucket.tokens += day.tokens;
+    buckets.set(key, bucket);
+  }
+
+  const totals = days.reduce((sum, day) => ({
+    executions: sum.executions + day.executions,
+    successes: sum.successes + day.successes,
+    failures: sum.failures + day.failures,
+    durationMs: sum.durationMs + day.durationMs,
+    tokens: sum.tokens + day.tokens,
+  }), { executions: 0, successes: 0, failures: 0, durationMs: 0, tokens: 0 });
+
+  return {
+    series: [...buckets.values()].map(withSuccessRate),
+    totals: withSuccessRate(totals),
+  };
+}
+
+/**
+ * Email an organization's billing contact that it is close to a usage limit, once per limit and window
+ *
+ * @param {Object} organization - Organization document
+ * @param {Object} check - { limit, window, used, max, resetsAt }
+ */
+async function sendSoftLimitWarning(organization, check) {
+  if (!organization.billingEmail) {
+    return;
+  }
+
+  // Claim the warning first so concurrent executions send a single email
+  const claim = await Organization.updateOne(
+    { _id: organization._id, [`usageLimitWarnings.${check.limit}`]: { $ne: check.window } },
+    { $set: { [`usageLimitWarnings.${check.limit}`]: check.window } }
+  );
+
+  if (claim.modifiedCount === 0) {
+    return;
+  }
+
+  const { name, unit } = LIMIT_LABELS[check.limit];
+  const usageUrl = `https://${config.domainName}/dashboard/usage`;
+
+  await sendEmail({
+    to: organization.billingEmail,
+    subject: `You've used ${Math.round((check.used / check.max) * 100)}% of your ${name}`,
+    text:
+      `You've used ${check.used.toLocaleString()} of ${check.max.toLocaleString()} ${unit} allowed by your plan's ${name}.\n\n` +
+      `Once the limit is reached, skills won't run until it resets on ${check.resetsAt.toUTCString()}.\n\n` +
+      `See your usage: ${usageUrl}`,
+  });
+}
+
+/**
+ * Check an organization's usage against its plan's limits before running a skill
+ * Sends a warning email when a limit is close (see softLimitRatio in config.js).
+ *
+ * @param {Object} organization - Organization document
+ * @returns {Promise<Object>} { allowed: true } or { allowed: false, retryAfter, error } where error is
+ *   the 429 body: { error, code: 'usage_limit_exceeded', limit, used, max, resetsAt }
+ *
+ * @example
+ * const check = await checkUsageLimits(organization);
+ * if (!check.allowed) {
+ *   return NextResponse.json(check.error, { status: 429, headers: { "Retry-After": String(check.retryAfter) } });
+ * }
+ */
+export async function checkUsageLimits(organization) {
+  const { limits } = getPlan(organization.priceId).usage || {};
+  if (!limits) {
+    return { allowed: true };
+  }
+
+  await connectMongo();
+
+  const now = new Date();
+  const today = toDateString(now);
+  const period = getUsagePeriod(now);
+
+  const [todayMetric, monthUsage] = await Promise.all([
+    ExecutionMetric.findOne({ organizationId: organization._id, date: today }).lean(),
+    getPeriodUsage(organization._id, period),
+  ]);
+
+  const checks = [
+    {
+      limit: "executionsPerDay",
+      window: today,
+      used: todayMetric?.executionCount || 0,
+      max: limits.executionsPerDay,
+      resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)),
+    },
+    {
+      limit: "tokensPerMonth",
+      window: period,
+      used: monthUsage.tokens,
+      max: limits.tokensPerMonth,
+      resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+    },
+  ].filter((check) => check.max);
+
+  const exceeded = checks.find((check) => check.used >= check.max);
+  if (exceeded) {
+    return {
+      allowed: false,
+      retryAfter: Math.ceil((exceeded.resetsAt - now) / 1000),
+      error: {
+        error: `You've reached your plan's ${LIMIT_LABELS[exceeded.limit].name}`,
+        code: "usage_limit_exceeded",
+        limit: exceeded.limit,
+        used: exceeded.used,
+        max: exceeded.max,
+        resetsAt: exceeded.resetsAt.toISOString(),
+      },
+    };
+  }
+
+  const softLimitRatio = limits.softLimitRatio ?? 0.8;
+  for (const check of checks) {
+    if (check.used >= check.max * softLimitRatio) {
+      try {
+        await sendSoftLimitWarning(organization, check);
+      } catch (error) {
+        console.error(`Failed to send ${check.limit} warning to organization ${organization._id}:`, error);
+      }
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Send a saved meter event to Stripe
+ * Stripe keeps identifiers unique for at least 24 hours; an event it already has is rejected as a
+ * duplicate, which means an earlier attempt went through.
+ *
+ * @param {Object} organization - Organization document
+ * @param {Object} metered - The plan's metered usage config
+ * @param {Object} pending - { identifier, quantity, timestamp } (see UsageReport.pending)
+ */
+async function sendPendingMeterEvent(organization, metered, pending) {
+  try {
+    await reportMeterEvent({
+      eventName: metered.meterEventName,
+      customerId: organization.customerId,
+      value: pending.quantity,
+      identifier: pending.identifier,
+      timestamp: pending.timestamp,
+    });
+  } catch (error) {
+    if (error.type === "StripeInvalidRequestError" && /identifier/i.test(error.message) && /exist|duplicate|already/i.test(error.message)) {
+      console.log(`Meter event ${pending.identifier} was already sent`);
+      return;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Report an organization's overage for a period to Stripe, if it grew since the last report
+ *
+ * @param {Object} organization - Organization document
+ * @param {string} period - Period as YYYY-MM
+ * @param {Date} now - Time of the run
+ * @returns {Promise<Object>} { reported, overage, quantity }
+ */
+async function reportOrganizationOverage(organization, period, now) {
+  const { quotas = {}, metered } = getPlan(organization.priceId).usage || {};
+  if (!metered?.priceId) {
+    return { reported: false };
+  }
+
+  const usage = await getPeriodUsage(organization._id, period);
+  const overage = Math.max(0, usage[metered.metric] - (quotas[metered.metric] || 0));
+
+  const filter = { organizationId: organization._id, period, metric: metered.metric };
+  let report = await UsageReport.findOne(filter);
+
+  if (report?.pending?.identifier) {
+    const { pending } = report;
+    const savedAt = pending.savedAt || report.updatedAt;
+    if (now - savedAt < PENDING_RESEND_HOURS * 60 * 60 * 1000) {
+      await sendPendingMeterEvent(organization, metered, pending);
+    } else {
+      // Counted as sent: billing it twice is worse than missing it, and the log lets someone check in Stripe
+      console.error(
+        `Meter event ${pending.identifier} has been pending since ${savedAt.toISOString()}, too long to resend ` +
+        "safely: check in Stripe whether it was received"
+      );
+    }
+    report = await UsageReport.findOneAndUpdate(
+      filter,
+      { $set: { reportedQuantity: pending.reportedQuantity, lastReportedAt: now }, $unset: { pending: 1 } },
+      { new: true }
+    );
+  }
+
+  const reportedQuantity = report?.reportedQuantity || 0;
+  const quantity = overage - reportedQuantity;
+
+  if (quantity <= 0) {
+    return { reported: false, overage };
+  }
+
+  // Usage of a finished month is dated to its last second so it lands in that month's invoice
+  const [year, month] = period.split("-").map(Number);
+  const periodEnd = new Date(Date.UTC(year, month, 1) - 1000);
+
+  // Saved before Stripe is called, so a run that crashes before committing it resends this exact event
+  // (same identifier and value) instead of billing the same usage again under a new identifier
+  const pending = {
+    identifier: `${organization._id}-${period}-${metered.metric}-from-${reportedQuantity}`,
+    quantity,
+    reportedQuantity: overage,
+    timestamp: periodEnd < now ? periodEnd : now,
+    savedAt: now,
+  };
+  await UsageReport.updateOne(filter, { $set: { pending } }, { upsert: true });
+
+  await sendPendingMeterEvent(organization, metered, pending);
+
+  await UsageReport.updateOne(
+    filter,
+    { $set: { reportedQuantity: overage, lastReportedAt: now }, $unset: { pending: 1 } }
+  );
+
+  return { reported: true, overage, quantity };
+}
+
+/**
+ * Report every customer's overage for the current month (and the previous one early in the month)
+ *
+ * @returns {Promise<Object>} Summary of the run
+ */
+export async function reportMeteredUsage() {
+  await connectMongo();
+
+  const now = new Date();
+  const currentPeriod = getUsagePeriod(now);
+  const periods = now.getUTCDate() <= USAGE_LATE_REPORT_DAYS
+    ? [getPreviousPeriod(currentPeriod), currentPeriod]
+    : [currentPeriod];
+
+  const results = {
+    periods,
+    checked: 0,
+    reported: 0,
+    failed: 0,
+    details: [],
+  };
+
+  for (const period of periods) {
+    const organizationIds = await ExecutionMetric.distinct("organizationId", { date: { $regex: `^${period}-` } });
+    const organizations = await Organization.find({ _id: { $in: organizationIds }, customerId: { $ne: null } })
+      .select("_id customerId priceId");
+
+    for (const organization of organizations) {
+      results.checked++;
+      const organizationId = organization._id.toString();
+
+      try {
+        const result = await reportOrganizationOverage(organization, period, now);
+        if (result.reported) {
+          results.reported++;
+          results.details.push({ organizationId, period, overage: result.overage, quantity: result.quantity });
+        }
+      } catch (error) {
+        console.error(`Failed to report usage for organization ${organizationId} (${period}):`, error);
+        results.failed++;
+        results.details.push({ organizationId, period, error: error.message });
+      }
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,105 @@
+/**
+ * VM Request Authentication
+ *
+ * Authenticates requests a VM makes to Alfred Core (e.g., billing reports) as coming from one
+ * specific VM, so the instance and organization they concern are derived from the VM and never taken from the payload.
+ *
+ * A VM authenticates in one of two ways:
+ * - Authorization: Bearer <JWT> signed with the private half of the public key it registered
+ *   (vmPublicKey). Claims: vm (its subdomain), digest (hex SHA-256 of the raw request body), so a
+ *   token can't be reused with a different body, and exp at most VM_TOKEN_MAX_LIFETIME_SECONDS ahead,
+ *   so a captured token can't be replayed for long.
+ * - X-VM-Subdomain + X-VM-Auth-Secret headers, checked against the stored auth secret hash,
+ *   for VMs that haven't registered a public key.
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import bcrypt from "bcryptjs";
+import connectMongo from "./mongoose";
+import Organization from "@/models/Organization";
+import Instance from "@/models/Instance";
+import { verifyVmResponse } from "./vm-communication";
+
+// Longest a VM token may stay valid, with some room for clock drift between the VM and Alfred Core
+const VM_TOKEN_MAX_LIFETIME_SECONDS = 5 * 60;
+
+/**
+ * Authenticate a request from a VM
+ *
+ * @param {Request} req - Incoming request
+ * @param {string} rawBody - Raw request body, as read with req.text()
+ * @returns {Promise<Object>} { organization, instance } on success, { error, status } otherwise
+ *
+ * @example
+ * const rawBody = await req.text();
+ * const { organization, instance, error, status } = await authenticateVmRequest(req, rawBody);
+ */
+export async function authenticateVmRequest(req, rawBody) {
+  const authHeader = req.headers.get("authorization");
+  const bearer = authHeader?.startsWith("Bearer ") ? authHeader.slice(7) : null;
+
+  await connectMongo();
+
+  if (bearer) {
+    const subdomain = jwt.decode(bearer)?.vm;
+    const instance = subdomain ? await Instance.findOne({ vmSubdomain: subdomain }) : null;
+
+    if (!instance?.vmPublicKey) {
+      return { error: "Unauthorized", status: 401 };
+    }
+
+    let claims;
+    try {
+      claims = await verifyVmResponse(bearer, { publicKey: instance.vmPublicKey });
+    } catch (error) {
+      console.warn(`Rejected VM token for ${subdomain}: ${error.message}`);
+      return { error: "Unauthorized", status: 401 };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== "number" || claims.exp - now > VM_TOKEN_MAX_LIFETIME_SECONDS) {
+      console.warn(`VM token for ${subdomain} has no expiry, or one too far ahead`);
+      return { error: "Unauthorized", status: 401 };
+    }
+
+    const digest = crypto.createHash("sha256").update(rawBody).digest("hex");
+    if (claims.digest !== digest) {
+      console.warn(`VM token for ${subdomain} does not match the request body`);
+      return { error: "Unauthorized", status: 401 };
+    }
+
+    return withOwner(instance);
+  }
+
+  const subdomain = req.headers.get("x-vm-subdomain");
+  const authSecret = req.headers.get("x-vm-auth-secret");
+
+  if (!subdomain || !authSecret) {
+    return { error: "Unauthorized", status: 401 };
+  }
+
+  const instance = await Instance.findOne({ vmSubdomain: subdomain });
+
+  if (!instance?.vmAuthSecretHash || !(await bcrypt.compare(authSecret, instance.vmAuthSecretHash))) {
+    return { error: "Unauthorized", status: 401 };
+  }
+
+  return withOwner(instance);
+}
+
+/**
+ * Load the organization an authenticated VM's instance belongs to
+ *
+ * @param {Object} instance - Instance document
+ * @returns {Promise<Object>} { organization, instance }, or { error, status } if the organization is gone
+ */
+async function withOwner(instance) {
+  const organization = await Organization.findById(instance.organizationId);
+
+  if (!organization) {
+    return { error: "Unauthorized", status: 401 };
+  }
+
+  return { organization, instance };
+}
@@ -2,16 +2,25 @@
  * VM Communication Service
  *
  * Provides secure communication between Alfred Core and user VMs using JWT-based authentication.
- * Each request to a VM is signed with a JWT token containing user identification and action details.
+ * Each request to a VM is signed with a JWT token identifying the organization the VM belongs to and the action.
+ * Every call Alfred Core makes to a VM goes through fetchVm/sendToVm, so VMs can reject unsigned traffic.
+ *
+ * Tokens carry a scope of the form '<resource>:<read|write>' (e.g., 'skills:read', 'config:write'),
+ * where the resource is the first path segment after /api. A VM only honours a token whose scope
+ * matches the request it accompanies, so a token issued to list skills can't be replayed to change config.
+ *
+ * Tokens are signed with the VM's own ES256 key (libs/vm-keys.js). VMs provisioned before per-VM keys
+ * still get HS256 tokens signed with the shared VM_JWT_SECRET.
  *
  * Environment Variables:
- * - VM_JWT_SECRET: Secret key for signing JWT tokens (required)
+ * - VM_JWT_SECRET: Shared secret for VMs without a per-VM key
  * - VM_COMMUNICATION_TIMEOUT: Request timeout in milliseconds (default: 10000)
  */
 
 import jwt from "jsonwebtoken";
-import User from "@/models/User";
+import Instance from "@/models/Instance";
 import connectMongo from "./mongoose";
+import { getVmSigningKey } from "./vm-keys";
 
 const VM_JWT_SECRET = process.env.VM_JWT_SECRET;
 const VM_COMMUNICATION_TIMEOUT = parseInt(process.env.VM_COMMUNICATION_TIMEOUT || "10000");
@@ -20,23 +29,25 @@ const VM_DOMAIN = process.env.VM_DOMAIN || "alfredos.site";
 /**
  * Sign a JWT token for VM communication
  *
- * @param {string} userId - MongoDB User ID
+ * @param {string} organizationId - ID of the organization the VM belongs to (the token's subject)
  * @param {string} vmSubdomain - VM subdomain (e.g., 'cozy-peanut')
  * @param {string} action - Action being performed (e.g., 'skills.list', 'skills.create', 'task.execute')
  * @param {object} options - Additional options
  * @param {number} options.expiresIn - Token expiration in seconds (default: 300 = 5 minutes)
+ * @param {string} options.scope - Scope the token is valid for (e.g., 'skills:read'), see getVmScope
+ * @param {object} options.signingKey - The VM's key from getVmSigningKey (default: HS256 with VM_JWT_SECRET)
  * @returns {Promise<string>} Signed JWT token
  *
  * @example
- * const token = await signVmRequest('user-123', 'cozy-peanut', 'skills.list');
+ * const token = await signVmRequest('org-123', 'cozy-peanut', 'skills.list', { scope: 'skills:read' });
  */
-export async function signVmRequest(userId, vmSubdomain, action, options = {}) {
-  if (!VM_JWT_SECRET) {
+export async function signVmRequest(organizationId, vmSubdomain, action, options = {}) {
+  if (!options.signingKey && !VM_JWT_SECRET) {
     throw new Error("VM_JWT_SECRET environment variable is not set");
   }
 
-  if (!userId) {
-    throw new Error("userId is required");
+  if (!organizationId) {
+    throw new Error("organizationId is required");
   }
 
   if (!vmSubdomain) {
@@ -50,17 +61,19 @@ export async function signVmRequest(userId, vmSubdomain, action, options = {}) {
   const expiresIn = options.expiresIn || 300; // Default 5 minutes
 
   const payload = {
-    sub: userId,
+    sub: organizationId,
     vm: vmSubdomain,
     action: action,
+    ...(options.scope && { scope: options.scope }),
     iat: Math.floor(Date.now() / 1000),
     exp: Math.floor(Date.now() / 1000) + expiresIn,
   };
 
   try {
-    const token = jwt.sign(payload, VM_JWT_SECRET, {
-      algorithm: "HS256",
-    });
+    const { signingKey } = options;
+    const token = signingKey
+      ? jwt.sign(payload, signingKey.privateKey, { algorithm: signingKey.algorithm, keyid: signingKey.kid })
+      : jwt.sign(payload, VM_JWT_SECRET, { algorithm: "HS256" });
 
     return token;
   } catch (error) {
@@ -72,20 +85,25 @@ export async function signVmRequest(userId, vmSubdomain, action, options = {}) {
 /**
  * Verify a JWT token from a VM response
  *
+ * VMs that registered a public key (vmPublicKey) sign with their own key; only VMs without one
+ * fall back to the shared VM_JWT_SECRET.
+ *
  * @param {string} token - JWT token to verify
+ * @param {object} options - Additional options
+ * @param {string} options.publicKey - The VM's registered PEM public key (instance.vmPublicKey)
  * @returns {Promise<object>} Decoded token payload
  * @throws {Error} If token is invalid or expired
  *
  * @example
  * try {
- *   const payload = await verifyVmResponse(token);
- *   console.log('User ID:', payload.sub);
+ *   const payload = await verifyVmResponse(token, { publicKey: instance.vmPublicKey });
+ *   console.log('Organization ID:', payload.sub);
  * } catch (error) {
  *   console.error('Invalid token:', error.message);
  * }
  */
-export async function verifyVmResponse(token) {
-  if (!VM_JWT_SECRET) {
+export async function verifyVmResponse(token, options = {}) {
+  if (!options.publicKey && !VM_JWT_SECRET) {
     throw new Error("VM_JWT_SECRET environment variable is not set");
   }
 
@@ -94,9 +112,9 @@ export async function verifyVmResponse(token) {
   }
 
   try {
-    const decoded = jwt.verify(token, VM_JWT_SECRET, {
-      algorithms: ["HS256"],
-    });
+    const decoded = options.publicKey
+      ? jwt.verify(token, options.publicKey, { algorithms: ["ES256", "RS256"] })
+      : jwt.verify(token, VM_JWT_SECRET, { algorithms: ["HS256"] });
 
     return decoded;
   } catch (error) {
@@ -196,124 +214,198 @@ export async function pingVm(vmUrl, options = {}) {
   }
 }
 
+// Resources only Alfred Core may call; the VM proxy refuses to forward requests to them
+const INTERNAL_VM_RESOURCES = ["auth-secret"];
+
+/**
+ * Derive the token scope for a request to a VM
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - API path on the VM (e.g., '/api/skills/abc/execute')
+ * @returns {string} Scope such as 'skills:read' or 'execute:write'
+ *
+ * @example
+ * getVmScope('GET', '/api/executions?page=2'); // 'executions:read'
+ */
+export function getVmScope(method, path) {
+  const resource = path.split("?")[0].replace(/^\/?(api\/)?/, "").split("/")[0] || "root";
+  const access = ["GET", "HEAD"].includes(method.toUpperCase()) ? "read" : "write";
+  return `${resource}:${access}`;
+}
+
+/**
+ * Check whether a VM path is reserved for Alfred Core (e.g., auth secret rotation)
+ *
+ * @param {string} path - API path on the VM
+ * @returns {boolean} True if users must not reach the path through the proxy
+ */
+export function isInternalVmPath(path) {
+  const [resource] = getVmScope("GET", path).split(":");
+  return INTERNAL_VM_RESOURCES.includes(resource);
+}
+
+/**
+ * Load an instance from a document or ID
+ *
+ * @param {object|string} instance - Instance document or ID
+ * @returns {Promise<object|null>} Instance document
+ */
+async function loadInstance(instance) {
+  if (typeof instance !== "string" && instance?.organizationId) {
+    return instance;
+  }
+
+  const instanceId = typeof instance === "string" ? instance : instance?._id || instance?.id;
+  if (!instanceId) {
+    throw new Error("Valid instance object or instance ID is required");
+  }
+
+  await connectMongo();
+  return Instance.findById(instanceId);
+}
+
+/**
+ * Send a signed request to an instance's VM and return the raw fetch Response
+ *
+ * Lower-level than sendToVm, for callers that pass the VM's response through unchanged (the VM proxy).
+ * The caller is responsible for checking that the VM is ready.
+ *
+ * @param {object} instance - Instance document with organizationId and vmSubdomain
+ * @param {string} path - API path on the VM (e.g., '/api/skills')
+ * @param {object} options - Additional options
+ * @param {string} options.method - HTTP method (default: 'GET')
+ * @param {object|string} options.body - Request body; objects are JSON stringified
+ * @param {string} options.action - Action name for JWT (default: derived from method and path)
+ * @param {string} options.scope - Token scope (default: derived from method and path, see getVmScope)
+ * @param {object} options.headers - Additional headers to send
+ * @param {number} options.timeout - Request timeout in milliseconds (default: VM_COMMUNICATION_TIMEOUT)
+ * @param {number} options.expiresIn - Token expiration in seconds (default: 300)
+ * @returns {Promise<Response>} VM response
+ * @throws {Error} AbortError if the VM doesn't answer within the timeout
+ *
+ * @example
+ * const response = await fetchVm(instance, '/api/executions?page=1');
+ */
+export async function fetchVm(instance, path, options = {}) {
+  const organizationId = String(instance.organizationId);
+  const method = (options.method || "GET").toUpperCase();
+
+  // Ensure path starts with /
+  if (!path.startsWith("/")) {
+    path = `/${path}`;
+  }
+
+  const token = await signVmRequest(organizationId, instance.vmSubdomain, options.action || `${method.toLowerCase()}:${path.split("?")[0]}`, {
+    expiresIn: options.expiresIn || 300,
+    scope: options.scope || getVmScope(method, path),
+    signingKey: getVmSigningKey(instance),
+  });
+
+  const timeout = options.timeout || VM_COMMUNICATION_TIMEOUT;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  const requestOptions = {
+    method,
+    signal: controller.signal,
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${token}`,
+      "User-Agent": "Alfred-Core/1.0",
+      "X-Alfred-Organization-Id": organizationId,
+      ...options.headers,
+    },
+  };
+
+  // Add body for POST, PUT, PATCH requests
+  if (options.body && ["POST", "PUT", "PATCH"].includes(method)) {
+    requestOptions.body = typeof options.body === "string" ? options.body : JSON.stringify(options.body);
+  }
+
+  try {
+    return await fetch(`https://${instance.vmSubdomain}.${VM_DOMAIN}${path}`, requestOptions);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
 /**
- * Send an authenticated request to a user's VM
+ * Send an authenticated request to an instance's VM
  *
  * This is the main helper function for VM communication. It:
- * 1. Looks up the user's VM subdomain
- * 2. Creates a signed JWT token
+ * 1. Looks up the instance's VM subdomain
+ * 2. Creates a signed JWT token scoped to the request
  * 3. Sends the request with proper authentication
  * 4. Handles timeouts and errors
  *
- * @param {object} user - User object or user ID string
+ * @param {object|string} instance - Instance document or instance ID
  * @param {string} path - API path on the VM (e.g., '/api/skills')
  * @param {string} method - HTTP method (GET, POST, PUT, DELETE, etc.)
  * @param {object} body - Request body (will be JSON stringified)
  * @param {object} options - Additional options
  * @param {number} options.timeout - Request timeout in milliseconds (default: VM_COMMUNICATION_TIMEOUT)
  * @param {string} options.action - Action name for JWT (default: derived from method and path)
+ * @param {string} options.scope - Token scope (default: derived from method and path, see getVmScope)
  * @param {object} options.headers - Additional headers to send
  * @returns {Promise<object>} Response data and metadata
  *
  * @example
  * // List skills
- * const result = await sendToVm(user, '/api/skills', 'GET');
+ * const result = await sendToVm(instance, '/api/skills', 'GET');
  * if (result.success) {
  *   console.log('Skills:', result.data);
  * }
  *
  * @example
  * // Create a skill
- * const result = await sendToVm(user, '/api/skills', 'POST', {
+ * const result = await sendToVm(instance, '/api/skills', 'POST', {
  *   name: 'Daily Report',
  *   description: 'Generate daily report',
  *   trigger_type: 'schedule',
  *   steps: [...]
  * });
  */
-export async function sendToVm(user, path, method = "GET", body = null, options = {}) {
+export async function sendToVm(instance, path, method = "GET", body = null, options = {}) {
   try {
-    // Extract user ID if user object is passed
-    const userId = typeof user === "string" ? user : user._id || user.id;
-
-    if (!userId) {
-      throw new Error("Valid user object or user ID is required");
-    }
-
     // Ensure path starts with /
     if (!path.startsWith("/")) {
       path = `/${path}`;
     }
 
-    // Connect to MongoDB and get user details
-    await connectMongo();
-    const userDoc = await User.findById(userId);
+    const instanceDoc = await loadInstance(instance);
 
-    if (!userDoc) {
+    if (!instanceDoc) {
       return {
         success: false,
-        error: "User not found",
+        error: "Instance not found",
         statusCode: 404,
       };
     }
 
-    // Check if user has a VM
-    if (!userDoc.vmSubdomain) {
+    // Check if the instance has a VM
+    if (!instanceDoc.vmSubdomain) {
       return {
         success: false,
-        error: "User has no VM provisioned",
+        error: "Instance has no VM provisioned",
         statusCode: 404,
       };
     }
 
     // Check VM status
-    if (userDoc.vmStatus !== "ready") {
+    if (instanceDoc.vmStatus !== "ready") {
       return {
         success: false,
-        error: `VM is not ready. Current status: ${userDoc.vmStatus}`,
+        error: `VM is not ready. Current status: ${instanceDoc.vmStatus}`,
         statusCode: 503,
       };
     }
 
-    const vmSubdomain = userDoc.vmSubdomain;
-    const vmUrl = `https://${vmSubdomain}.${VM_DOMAIN}`;
-
-    // Determine action for JWT
-    const action = options.action || `${method.toLowerCase()}:${path}`;
-
-    // Sign the request
-    const token = await signVmRequest(userId, vmSubdomain, action, {
-      expiresIn: options.expiresIn || 300,
-    });
-
-    // Prepare request options
     const timeout = options.timeout || VM_COMMUNICATION_TIMEOUT;
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    const requestOptions = {
-      method,
-      signal: controller.signal,
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${token}`,
-        "User-Agent": "Alfred-Core/1.0",
-        "X-Alfred-User-Id": userId,
-        ...options.headers,
-      },
-    };
-
-    // Add body for POST, PUT, PATCH requests
-    if (body && ["POST", "PUT", "PATCH"].includes(method.toUpperCase())) {
-      requestOptions.body = JSON.stringify(body);
-    }
-
-    const fullUrl = `${vmUrl}${path}`;
+    const fullUrl = `https://${instanceDoc.vmSubdomain}.${VM_DOMAIN}${path}`;
     const startTime = Date.now();
 
     try {
-      const response = await fetch(fullUrl, requestOptions);
-      clearTimeout(timeoutId);
+      const response = await fetchVm(instanceDoc, path, { ...options, method, body, timeout });
       const responseTime = Date.now() - startTime;
 
       // Parse response body
@@ -344,8 +436,6 @@ export async function sendToVm(user, path, method = "GET", body = null, options
         };
       }
     } catch (fetchError) {
-      clearTimeout(timeoutId);
-
       if (fetchError.name === "AbortError") {
         return {
           success: false,
@@ -368,31 +458,24 @@ export async function sendToVm(user, path, method = "GET", body = null, options
 }
 
 /**
- * Get the full VM URL for a user
+ * Get the full VM URL for an instance
  *
- * @param {object|string} user - User object or user ID
+ * @param {object|string} instance - Instance document or instance ID
  * @returns {Promise<string|null>} VM URL or null if no VM
  *
  * @example
- * const vmUrl = await getVmUrl(userId);
+ * const vmUrl = await getVmUrl(instanceId);
  * console.log(vmUrl); // 'https://cozy-peanut.alfredos.site'
  */
-export async function getVmUrl(user) {
+export async function getVmUrl(instance) {
   try {
-    const userId = typeof user === "string" ? user : user._id || user.id;
-
-    if (!userId) {
-      throw new Error("Valid user object or user ID is required");
-    }
+    const instanceDoc = await loadInstance(instance);
 
-    await connectMongo();
-    const userDoc = await User.findById(userId);
-
-    if (!userDoc || !userDoc.vmSubdomain) {
+    if (!instanceDoc || !instanceDoc.vmSubdomain) {
       return null;
     }
 
-    return `https://${userDoc.vmSubdomain}.${VM_DOMAIN}`;
+    return `https://${instanceDoc.vmSubdomain}.${VM_DOMAIN}`;
   } catch (error) {
     console.error("Error getting VM URL:", error);
     return null;
@@ -400,61 +483,54 @@ export async function getVmUrl(user) {
 }
 
 /**
- * Check if a user's VM is ready and healthy
+ * Check if an instance's VM is ready and healthy
  *
- * @param {object|string} user - User object or user ID
+ * @param {object|string} instance - Instance document or instance ID
  * @returns {Promise<object>} Health status
  *
  * @example
- * const status = await checkVmHealth(userId);
+ * const status = await checkVmHealth(instanceId);
  * if (status.ready) {
  *   console.log('VM is ready and healthy');
  * }
  */
-export async function checkVmHealth(user) {
+export async function checkVmHealth(instance) {
   try {
-    const userId = typeof user === "string" ? user : user._id || user.id;
-
-    if (!userId) {
-      throw new Error("Valid user object or user ID is required");
-    }
-
-    await connectMongo();
-    const userDoc = await User.findById(userId);
+    const instanceDoc = await loadInstance(instance);
 
-    if (!userDoc) {
+    if (!instanceDoc) {
       return {
         ready: false,
-        error: "User not found",
+        error: "Instance not found",
       };
     }
 
-    if (!userDoc.vmSubdomain) {
+    if (!instanceDoc.vmSubdomain) {
       return {
         ready: false,
         error: "No VM provisioned",
-        vmStatus: userDoc.vmStatus || "pending",
+        vmStatus: instanceDoc.vmStatus || "pending",
       };
     }
 
-    if (userDoc.vmStatus !== "ready") {
+    if (instanceDoc.vmStatus !== "ready") {
       return {
         ready: false,
         error: "VM is not ready",
-        vmStatus: userDoc.vmStatus,
-        vmSubdomain: userDoc.vmSubdomain,
+        vmStatus: instanceDoc.vmStatus,
+        vmSubdomain: instanceDoc.vmSubdomain,
       };
     }
 
     // Perform health check
-    const vmUrl = `https://${userDoc.vmSubdomain}.${VM_DOMAIN}`;
+    const vmUrl = `https://${instanceDoc.vmSubdomain}.${VM_DOMAIN}`;
     const pingResult = await pingVm(vmUrl);
 
     return {
       ready: pingResult.success,
       healthy: pingResult.success,
-      vmStatus: userDoc.vmStatus,
-      vmSubdomain: userDoc.vmSubdomain,
+      vmStatus: instanceDoc.vmStatus,
+      vmSubdomain: instanceDoc.vmSubdomain,
       vmUrl,
       ping: pingResult,
     };
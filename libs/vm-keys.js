@@ -0,0 +1,119 @@
+/**
+ * Per-VM Signing Keys
+ *
+ * Alfred Core signs requests to each VM with an ES256 key pair of its own, so a VM only trusts
+ * tokens meant for it and nothing a VM holds lets it mint tokens for another tenant.
+ * The public key is served as a JWKS at /api/vm/jwks/<subdomain>, which the VM fetches
+ * (ALFRED_JWKS_URL in its .env, see libs/cloudinit.js). The private key is stored on the instance,
+ * encrypted with AES-256-GCM.
+ *
+ * VMs provisioned before per-VM keys have none and keep receiving HS256 tokens signed with VM_JWT_SECRET.
+ *
+ * Environment Variables:
+ * - VM_KEY_ENCRYPTION_SECRET: Secret the stored private keys are encrypted with (required)
+ */
+
+import crypto from "crypto";
+import connectMongo from "./mongoose";
+import Instance from "@/models/Instance";
+
+const VM_KEY_ENCRYPTION_SECRET = process.env.VM_KEY_ENCRYPTION_SECRET;
+const VM_KEY_ALGORITHM = "ES256";
+
+/**
+ * Derive the AES key the private keys are encrypted with
+ * @returns {Buffer} 32-byte key
+ */
+function getEncryptionKey() {
+  if (!VM_KEY_ENCRYPTION_SECRET) {
+    throw new Error("VM_KEY_ENCRYPTION_SECRET environment variable is not set");
+  }
+  return crypto.createHash("sha256").update(VM_KEY_ENCRYPTION_SECRET).digest();
+}
+
+/**
+ * Encrypt a PEM private key for storage
+ * @param {string} pem - PKCS#8 PEM private key
+ * @returns {string} '<iv>.<tag>.<ciphertext>', base64 encoded
+ */
+function encryptPrivateKey(pem) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(pem, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString("base64")).join(".");
+}
+
+/**
+ * Decrypt a stored private key
+ * @param {string} encrypted - Value produced by encryptPrivateKey
+ * @returns {crypto.KeyObject} Private key
+ */
+function decryptPrivateKey(encrypted) {
+  const [iv, tag, ciphertext] = encrypted.split(".").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  const pem = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+  return crypto.createPrivateKey(pem);
+}
+
+/**
+ * Generate a signing key pair for a VM
+ *
+ * @returns {Object} { kid, privateKey (encrypted), publicJwk } to store on the instance as
+ *   vmSigningKeyId, vmSigningPrivateKey and vmSigningPublicJwk
+ *
+ * @example
+ * const key = generateVmSigningKey();
+ * instance.vmSigningKeyId = key.kid;
+ */
+export function generateVmSigningKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const kid = crypto.randomUUID();
+
+  return {
+    kid,
+    privateKey: encryptPrivateKey(privateKey.export({ format: "pem", type: "pkcs8" })),
+    publicJwk: {
+      ...publicKey.export({ format: "jwk" }),
+      kid,
+      alg: VM_KEY_ALGORITHM,
+      use: "sig",
+    },
+  };
+}
+
+/**
+ * Get the key Alfred Core signs a VM's requests with
+ *
+ * @param {Object} instance - Instance document
+ * @returns {Object|null} { kid, privateKey, algorithm }, or null for VMs without a per-VM key
+ */
+export function getVmSigningKey(instance) {
+  if (!instance?.vmSigningKeyId || !instance.vmSigningPrivateKey) {
+    return null;
+  }
+
+  return {
+    kid: instance.vmSigningKeyId,
+    privateKey: decryptPrivateKey(instance.vmSigningPrivateKey),
+    algorithm: VM_KEY_ALGORITHM,
+  };
+}
+
+/**
+ * Get the JWKS a VM verifies Alfred Core's tokens with
+ *
+ * @param {string} subdomain - VM subdomain
+ * @returns {Promise<Object|null>} { keys: [...] }, or null if the VM has no per-VM key
+ */
+export async function getVmJwks(subdomain) {
+  await connectMongo();
+
+  const instance = await Instance.findOne({ vmSubdomain: subdomain }).select("vmSigningPublicJwk");
+
+  if (!instance?.vmSigningPublicJwk) {
+    return null;
+  }
+
+  return { keys: [instance.vmSigningPublicJwk] };
+}
@@ -0,0 +1,83 @@
+/**
+ * VM Plan Options
+ *
+ * Resolves which regions, server types and volume sizes a customer may pick for their VM,
+ * based on the `vm` block of their plan in config.js and the provider's regions.
+ * Used by checkout, the provision route and the resize flow.
+ */
+
+import config from "@/config";
+import { getProvider, DEFAULT_VM_PROVIDER } from "./vm-providers";
+
+/**
+ * Find the plan for a Stripe price ID
+ * Users without a known price (e.g. test accounts) get the first plan.
+ *
+ * @param {string} priceId - Stripe price ID
+ * @returns {object} Plan from config.js
+ */
+export function getPlan(priceId) {
+  const { plans } = config.stripe;
+  return plans.find((p) => p.priceId === priceId) || plans[0];
+}
+
+/**
+ * Get the VM options a plan allows on a provider
+ *
+ * @param {string} priceId - Stripe price ID of the plan
+ * @param {string} providerName - Provider name (default: VM_PROVIDER)
+ * @returns {object} { provider, regions, serverTypes, volumeSizes, defaultRegion, defaultSize, defaultVolumeSize }
+ *
+ * @example
+ * const options = getVmOptions(organization.priceId);
+ * // options.regions → [{ id: 'hel1', label: 'Helsinki, Finland', area: 'eu' }, ...]
+ */
+export function getVmOptions(priceId, providerName = DEFAULT_VM_PROVIDER) {
+  const provider = getProvider(providerName);
+  const { vm = {} } = getPlan(priceId);
+
+  const serverTypes = vm.serverTypes?.[provider.name] || [{ id: provider.defaultSize, label: provider.defaultSize }];
+  const volumeSizes = vm.volumeSizes || [30];
+
+  return {
+    provider: provider.name,
+    regions: Object.entries(provider.regions).map(([id, region]) => ({ id, ...region })),
+    serverTypes,
+    volumeSizes,
+    defaultRegion: provider.defaultRegion,
+    defaultSize: (serverTypes.find((t) => t.default) || serverTypes[0]).id,
+    defaultVolumeSize: vm.defaultVolumeSize || volumeSizes[0],
+  };
+}
+
+/**
+ * Validate a customer's VM selection against their plan, filling in defaults
+ *
+ * @param {string} priceId - Stripe price ID of the plan
+ * @param {object} selection - Requested options (all optional)
+ * @param {string} selection.provider - Provider name
+ * @param {string} selection.region - Region
+ * @param {string} selection.size - Server type / size slug
+ * @param {number} selection.volumeSize - Volume size in GB
+ * @returns {object} { provider, region, size, volumeSize }
+ * @throws {Error} If an option isn't allowed by the plan
+ */
+export function resolveVmSelection(priceId, selection = {}) {
+  const options = getVmOptions(priceId, selection.provider || DEFAULT_VM_PROVIDER);
+
+  const region = selection.region || options.defaultRegion;
+  const size = selection.size || options.defaultSize;
+  const volumeSize = selection.volumeSize ? Number(selection.volumeSize) : options.defaultVolumeSize;
+
+  if (!options.regions.some((r) => r.id === region)) {
+    throw new Error(`Region ${region} is not available`);
+  }
+  if (!options.serverTypes.some((t) => t.id === size)) {
+    throw new Error(`VM size ${size} is not available on this plan`);
+  }
+  if (!options.volumeSizes.includes(volumeSize)) {
+    throw new Error(`Volume size ${volumeSize}GB is not available on this plan`);
+  }
+
+  return { provider: options.provider, region, size, volumeSize };
+}
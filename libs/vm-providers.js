@@ -0,0 +1,428 @@
+/**
+ * VM Provider Backends
+ *
+ * Every cloud provider Alfred can place a VM on implements the same interface, so the
+ * provisioning and deprovisioning pipelines in libs/provisioning.js don't care where a VM lives.
+ * The low-level API calls stay in libs/hetzner.js and libs/digitalocean.js; the backends here
+ * normalize their results and throw on failure.
+ *
+ * Provider interface:
+ * - name, label, regions, defaultRegion, defaultSize
+ * - createVolume({ name, sizeGb, region, labels }) → { id }
+ * - getVolume(volumeId) → { id, name, sizeGb, region, serverId } | null
+ * - findVolumeByName(name) → volume | null
+ * - attachVolume(volumeId, serverId) / detachVolume(volumeId, serverId)
+ * - deleteVolume(volumeId) (a missing volume is not an error)
+ * - resizeVolume(volumeId, sizeGb) (grow only)
+ * - createServer({ name, size, region, userData, volumeIds, labels, image }) → { id, ipAddress, ipv6Address }
+ *   (image: a snapshot's imageId to restore from, default: Ubuntu 24.04)
+ * - getServer(serverId) → { id, status: 'running' | 'off' | ..., ipAddress, ipv6Address, region, size } | null
+ * - deleteServer(serverId) (a missing server is not an error)
+ * - powerOn(serverId) / powerOff(serverId) / reboot(serverId)
+ * - resizeServer(serverId, size) (the server must be off; the root disk keeps its size)
+ * - createSnapshot(serverId, { name, labels }) → { id }
+ * - getSnapshot(snapshotId) → { id, imageId, status: 'creating' | 'available' } | null
+ * - deleteSnapshot(snapshotId) (a missing snapshot is not an error)
+ * - listServers() / listVolumes() → every Alfred resource (service=alfred) with
+ *   { id, name, createdAt, labels } (volumes also have serverId), used by the orphan reconciler
+ *
+ * Environment Variables:
+ * - VM_PROVIDER: Provider used for new VMs (default: 'hetzner')
+ */
+
+import * as hetzner from "./hetzner";
+import * as digitalocean from "./digitalocean";
+
+export const DEFAULT_VM_PROVIDER = process.env.VM_PROVIDER || "hetzner";
+
+/**
+ * Throw if a libs/hetzner.js or libs/digitalocean.js call failed
+ * @param {object} result - API helper result ({ success, error, notFound })
+ * @returns {object} The result when successful
+ */
+function unwrap(result) {
+  if (!result.success) {
+    const error = new Error(result.error);
+    error.notFound = !!result.notFound;
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * Return null instead of throwing when the resource doesn't exist
+ * @param {object} result - API helper result
+ * @param {function} map - Maps a successful result to the normalized object
+ * @returns {object|null}
+ */
+function unwrapOrNull(result, map) {
+  if (!result.success && result.notFound) {
+    return null;
+  }
+  return map(unwrap(result));
+}
+
+/**
+ * Convert key-value labels to DigitalOcean 'key:value' tags
+ * @param {object} labels - Key-value labels
+ * @returns {string[]} Tags
+ */
+function labelsToTags(labels = {}) {
+  return Object.entries(labels).map(([key, value]) => `${key}:${value}`);
+}
+
+/**
+ * Convert DigitalOcean 'key:value' tags back to labels
+ * @param {string[]} tags - Tags
+ * @returns {object} Key-value labels
+ */
+function tagsToLabels(tags = []) {
+  return Object.fromEntries(
+    tags.filter((tag) => tag.includes(":")).map((tag) => [tag.slice(0, tag.indexOf(":")), tag.slice(tag.indexOf(":") + 1)])
+  );
+}
+
+const hetznerProvider = {
+  name: "hetzner",
+  label: "Hetzner Cloud",
+  regions: {
+    hel1: { label: "Helsinki, Finland", area: "eu" },
+    fsn1: { label: "Falkenstein, Germany", area: "eu" },
+    nbg1: { label: "Nuremberg, Germany", area: "eu" },
+    ash: { label: "Ashburn, VA, USA", area: "us" },
+    hil: { label: "Hillsboro, OR, USA", area: "us" },
+  },
+  defaultRegion: "hel1",
+  defaultSize: "cx23",
+
+  async createVolume({ name, sizeGb, region, labels }) {
+    const { volume } = unwrap(await hetzner.createVolume(name, sizeGb, { location: region, labels }));
+    return { id: volume.id.toString() };
+  },
+
+  async getVolume(volumeId) {
+    return unwrapOrNull(await hetzner.getVolume(volumeId), ({ volume }) => ({
+      id: volume.id.toString(),
+      name: volume.name,
+      sizeGb: volume.size,
+      region: volume.location,
+      serverId: volume.server ? volume.server.toString() : null,
+    }));
+  },
+
+  async findVolumeByName(name) {
+    const { volumes } = unwrap(await hetzner.listVolumes({ name }));
+    return volumes[0] ? this.getVolume(volumes[0].id) : null;
+  },
+
+  async attachVolume(volumeId, serverId) {
+    unwrap(await hetzner.attachVolume(volumeId, serverId));
+  },
+
+  async detachVolume(volumeId) {
+    unwrap(await hetzner.detachVolume(volumeId));
+  },
+
+  async deleteVolume(volumeId) {
+    const result = await hetzner.deleteVolume(volumeId);
+    if (!result.notFound) unwrap(result);
+  },
+
+  async resizeVolume(volumeId, sizeGb) {
+    unwrap(await hetzner.resizeVolume(volumeId, sizeGb));
+  },
+
+  async createServer({ name, size, region, userData, volumeIds = [], labels, image }) {
+    const { server } = unwrap(await hetzner.createServer(name, userData, {
+      location: region,
+      serverType: size,
+      volumes: volumeIds,
+      labels,
+      ...(image && { image }),
+    }));
+    return {
+      id: server.id.toString(),
+      ipAddress: server.publicIpv4,
+      ipv6Address: server.publicIpv6,
+    };
+  },
+
+  async getServer(serverId) {
+    return unwrapOrNull(await hetzner.getServerStatus(serverId), ({ server }) => ({
+      id: server.id.toString(),
+      status: server.status,
+      ipAddress: server.publicIpv4,
+      ipv6Address: server.publicIpv6,
+      region: server.location,
+      size: server.serverType,
+    }));
+  },
+
+  async deleteServer(serverId) {
+    const result = await hetzner.deleteServer(serverId);
+    if (!result.notFound) unwrap(result);
+  },
+
+  async powerOn(serverId) {
+    unwrap(await hetzner.powerOnServer(serverId));
+  },
+
+  async powerOff(serverId) {
+    unwrap(await hetzner.powerOffServer(serverId));
+  },
+
+  async reboot(serverId) {
+    unwrap(await hetzner.rebootServer(serverId));
+  },
+
+  async resizeServer(serverId, size) {
+    unwrap(await hetzner.changeServerType(serverId, size, { upgradeDisk: false }));
+  },
+
+  async createSnapshot(serverId, { name, labels }) {
+    const { image } = unwrap(await hetzner.createServerSnapshot(serverId, { description: name, labels }));
+    return { id: image.id.toString() };
+  },
+
+  async getSnapshot(snapshotId) {
+    return unwrapOrNull(await hetzner.getImage(snapshotId), ({ image }) => ({
+      id: image.id.toString(),
+      imageId: image.id.toString(),
+      status: image.status === "available" ? "available" : "creating",
+    }));
+  },
+
+  async deleteSnapshot(snapshotId) {
+    const result = await hetzner.deleteImage(snapshotId);
+    if (!result.notFound) unwrap(result);
+  },
+
+  async listServers() {
+    const servers = [];
+    for (let page = 1; page; ) {
+      const result = unwrap(await hetzner.listServers({ labelSelector: "service=alfred", page }));
+      servers.push(...result.servers.map((server) => ({
+        id: server.id.toString(),
+        name: server.name,
+        createdAt: new Date(server.created),
+        labels: server.labels,
+      })));
+      page = result.meta?.pagination?.next_page;
+    }
+    return servers;
+  },
+
+  async listVolumes() {
+    const volumes = [];
+    for (let page = 1; page; ) {
+      const result = unwrap(await hetzner.listVolumes({ labelSelector: "service=alfred", page }));
+      volumes.push(...result.volumes.map((volume) => ({
+        id: volume.id.toString(),
+        name: volume.name,
+        createdAt: new Date(volume.created),
+        labels: volume.labels,
+        serverId: volume.server ? volume.server.toString() : null,
+      })));
+      page = result.meta?.pagination?.next_page;
+    }
+    return volumes;
+  },
+};
+
+const digitaloceanProvider = {
+  name: "digitalocean",
+  label: "DigitalOcean",
+  regions: {
+    nyc3: { label: "New York, USA", area: "us" },
+    sfo3: { label: "San Francisco, USA", area: "us" },
+    tor1: { label: "Toronto, Canada", area: "us" },
+    ams3: { label: "Amsterdam, Netherlands", area: "eu" },
+    fra1: { label: "Frankfurt, Germany", area: "eu" },
+    lon1: { label: "London, UK", area: "eu" },
+  },
+  defaultRegion: "nyc3",
+  defaultSize: "s-2vcpu-4gb",
+
+  async createVolume({ name, sizeGb, region, labels }) {
+    const { volume } = unwrap(await digitalocean.createVolume(name, sizeGb, {
+      region,
+      tags: labelsToTags(labels),
+    }));
+    return { id: volume.id };
+  },
+
+  async getVolume(volumeId) {
+    return unwrapOrNull(await digitalocean.getVolume(volumeId), ({ volume }) => ({
+      id: volume.id,
+      name: volume.name,
+      sizeGb: volume.size,
+      region: volume.region,
+      serverId: volume.dropletIds[0] ? volume.dropletIds[0].toString() : null,
+    }));
+  },
+
+  async findVolumeByName(name) {
+    const { volumes } = unwrap(await digitalocean.listVolumes({ name }));
+    return volumes[0] ? this.getVolume(volumes[0].id) : null;
+  },
+
+  async attachVolume(volumeId, serverId) {
+    unwrap(await digitalocean.attachVolume(volumeId, serverId));
+  },
+
+  async detachVolume(volumeId, serverId) {
+    unwrap(await digitalocean.detachVolume(volumeId, serverId));
+  },
+
+  async deleteVolume(volumeId) {
+    const result = await digitalocean.deleteVolume(volumeId);
+    if (!result.notFound) unwrap(result);
+  },
+
+  async resizeVolume(volumeId, sizeGb) {
+    const volume = await this.getVolume(volumeId);
+    unwrap(await digitalocean.resizeVolume(volumeId, sizeGb, volume?.region));
+  },
+
+  async createServer({ name, size, region, userData, volumeIds = [], labels, image }) {
+    const { droplet } = unwrap(await digitalocean.createDroplet(name, userData, {
+      region,
+      size,
+      volumes: volumeIds,
+      tags: labelsToTags(labels),
+      ...(image && { image: Number(image) }),
+    }));
+    return {
+      id: droplet.id.toString(),
+      ipAddress: droplet.publicIpv4,
+      ipv6Address: droplet.publicIpv6,
+    };
+  },
+
+  async getServer(serverId) {
+    return unwrapOrNull(await digitalocean.getDroplet(serverId), ({ droplet }) => ({
+      id: droplet.id.toString(),
+      // Report 'running' like Hetzner does
+      status: droplet.status === "active" ? "running" : droplet.status,
+      ipAddress: droplet.publicIpv4,
+      ipv6Address: droplet.publicIpv6,
+      region: droplet.region,
+      size: droplet.size,
+    }));
+  },
+
+  async deleteServer(serverId) {
+    const result = await digitalocean.deleteDroplet(serverId);
+    if (!result.notFound) unwrap(result);
+  },
+
+  async powerOn(serverId) {
+    unwrap(await digitalocean.dropletAction(serverId, "power_on"));
+  },
+
+  async powerOff(serverId) {
+    unwrap(await digitalocean.dropletAction(serverId, "power_off"));
+  },
+
+  async reboot(serverId) {
+    unwrap(await digitalocean.dropletAction(serverId, "reboot"));
+  },
+
+  async resizeServer(serverId, size) {
+    unwrap(await digitalocean.dropletAction(serverId, "resize", { size, disk: false }));
+  },
+
+  // Droplet snapshots are identified by their unique name until DigitalOcean assigns an image ID
+  async createSnapshot(serverId, { name }) {
+    unwrap(await digitalocean.dropletAction(serverId, "snapshot", { name }));
+    return { id: name };
+  },
+
+  async getSnapshot(snapshotId) {
+    const result = await digitalocean.findSnapshotByName(snapshotId);
+    if (!result.success && result.notFound) {
+      return { id: snapshotId, imageId: null, status: "creating" };
+    }
+    const { snapshot } = unwrap(result);
+    return { id: snapshotId, imageId: snapshot.id.toString(), status: "available" };
+  },
+
+  async deleteSnapshot(snapshotId) {
+    const snapshot = await this.getSnapshot(snapshotId);
+    if (!snapshot.imageId) return;
+    const result = await digitalocean.deleteSnapshot(snapshot.imageId);
+    if (!result.notFound) unwrap(result);
+  },
+
+  async listServers() {
+    const servers = [];
+    for (let page = 1; page; ) {
+      const result = unwrap(await digitalocean.listDroplets({ tag: "service:alfred", page }));
+      servers.push(...result.droplets.map((droplet) => ({
+        id: droplet.id.toString(),
+        name: droplet.name,
+        createdAt: new Date(droplet.created),
+        labels: tagsToLabels(droplet.tags),
+      })));
+      page = result.links?.pages?.next ? page + 1 : null;
+    }
+    return servers;
+  },
+
+  // The volumes endpoint can't filter by tag
+  async listVolumes() {
+    const volumes = [];
+    for (let page = 1; page; ) {
+      const result = unwrap(await digitalocean.listVolumes({ page }));
+      volumes.push(...result.volumes
+        .filter((volume) => volume.tags?.includes("service:alfred"))
+        .map((volume) => ({
+          id: volume.id,
+          name: volume.name,
+          createdAt: new Date(volume.created),
+          labels: tagsToLabels(volume.tags),
+          serverId: volume.dropletIds[0] ? volume.dropletIds[0].toString() : null,
+        })));
+      page = result.links?.pages?.next ? page + 1 : null;
+    }
+    return volumes;
+  },
+};
+
+const providers = {
+  hetzner: hetznerProvider,
+  digitalocean: digitaloceanProvider,
+};
+
+/**
+ * Get a provider backend by name
+ *
+ * @param {string} name - Provider name (default: VM_PROVIDER)
+ * @returns {object} Provider backend
+ * @throws {Error} If the provider is not supported
+ *
+ * @example
+ * const provider = getProvider('digitalocean');
+ * const server = await provider.getServer(user.vmHetznerId);
+ */
+export function getProvider(name = DEFAULT_VM_PROVIDER) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unsupported provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * List the supported providers and their regions
+ * @returns {Array<Object>} Providers with name, label, regions and defaults
+ */
+export function listProviders() {
+  return Object.values(providers).map(({ name, label, regions, defaultRegion, defaultSize }) => ({
+    name,
+    label,
+    regions,
+    defaultRegion,
+    defaultSize,
+  }));
+}
@@ -0,0 +1,154 @@
+/**
+ * VM Auth Secret Rotation
+ *
+ * Each VM is provisioned with an auth secret (VM_AUTH_SECRET in /opt/alfred/.env) whose bcrypt hash
+ * is stored on the instance. Rotation issues a new secret to the running VM over the JWT-signed channel
+ * (libs/vm-communication.js). The VM writes it to its .env and acknowledges with the secret's SHA-256
+ * fingerprint, and only then is the stored hash swapped for the new one.
+ *
+ * The swap is a single conditional update on the pending rotation, so two rotations of the same VM
+ * can't interleave and a rotation that loses the race never overwrites the winner's hash.
+ * When the VM doesn't acknowledge, the old hash is kept; rotating again re-keys the VM with a fresh
+ * secret over the signed channel, which doesn't depend on the auth secret.
+ *
+ * Environment Variables:
+ * - VM_SECRET_ROTATION_CONCURRENCY: VMs re-keyed in parallel by a bulk rotation (default: 5)
+ */
+
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import connectMongo from "./mongoose";
+import User from "@/models/User";
+import Instance from "@/models/Instance";
+import { sendToVm } from "./vm-communication";
+import { generateAuthSecret } from "./provisioning";
+
+const VM_SECRET_ROTATION_CONCURRENCY = parseInt(process.env.VM_SECRET_ROTATION_CONCURRENCY || "5");
+
+// Endpoint of the VM's agent that stores a new auth secret
+const VM_SECRET_ROTATION_PATH = "/api/auth-secret";
+
+// A rotation still pending after this long was interrupted and may be replaced by a new one
+const ROTATION_STALE_MINUTES = 5;
+
+/**
+ * SHA-256 fingerprint the VM returns to prove it stored the secret it was sent
+ * @param {string} authSecret - Auth secret
+ * @returns {string} Hex digest
+ */
+function fingerprintSecret(authSecret) {
+  return crypto.createHash("sha256").update(authSecret).digest("hex");
+}
+
+/**
+ * Issue a new auth secret to an instance's VM and swap the stored hash once the VM acknowledges it
+ *
+ * @param {string} instanceId - MongoDB instance ID
+ * @returns {Promise<Object>} { success, rotatedAt } or { success: false, error }
+ */
+export async function rotateVmAuthSecret(instanceId) {
+  await connectMongo();
+
+  const authSecret = generateAuthSecret();
+  const hash = await bcrypt.hash(authSecret, 10);
+  const stale = new Date(Date.now() - ROTATION_STALE_MINUTES * 60 * 1000);
+
+  // Claim the rotation; fails if the VM isn't ready or another rotation is running
+  const instance = await Instance.findOneAndUpdate(
+    {
+      _id: instanceId,
+      vmStatus: "ready",
+      $or: [
+        { "vmAuthSecretRotation.startedAt": null },
+        { "vmAuthSecretRotation.startedAt": { $lte: stale } },
+      ],
+    },
+    { $set: { vmAuthSecretRotation: { hash, startedAt: new Date() } } },
+    { new: true }
+  );
+
+  if (!instance) {
+    return { success: false, error: "VM is not ready or a secret rotation is already in progress" };
+  }
+
+  const result = await sendToVm(instance, VM_SECRET_ROTATION_PATH, "POST", { authSecret }, {
+    action: "auth_secret.rotate",
+    expiresIn: 60,
+  });
+
+  if (!result.success || result.data?.fingerprint !== fingerprintSecret(authSecret)) {
+    await Instance.updateOne(
+      { _id: instanceId, "vmAuthSecretRotation.hash": hash },
+      { $unset: { vmAuthSecretRotation: 1 } }
+    );
+
+    const error = result.success ? "VM acknowledged a different secret" : result.error;
+    console.error(`Auth secret rotation failed for VM ${instance.vmSubdomain}: ${error}`);
+    return { success: false, error };
+  }
+
+  const rotatedAt = new Date();
+  const swap = await Instance.updateOne(
+    { _id: instanceId, "vmAuthSecretRotation.hash": hash },
+    {
+      $set: { vmAuthSecretHash: hash, vmAuthSecretRotatedAt: rotatedAt },
+      $unset: { vmAuthSecretRotation: 1 },
+    }
+  );
+
+  if (swap.modifiedCount === 0) {
+    // A newer rotation took over after this one went stale; its secret is the one that counts
+    return { success: false, error: "Rotation was superseded by a newer one" };
+  }
+
+  console.log(`Rotated auth secret for VM ${instance.vmSubdomain}`);
+  return { success: true, rotatedAt };
+}
+
+/**
+ * Rotate the auth secret of every ready VM, e.g. after a suspected leak
+ *
+ * @param {Object} options - Additional options
+ * @param {Array<string>} options.emails - Only rotate the VMs of these users' organizations (default: all)
+ * @returns {Promise<Object>} Summary of the run
+ */
+export async function rotateAllVmAuthSecrets({ emails } = {}) {
+  await connectMongo();
+
+  const query = { vmStatus: "ready" };
+  if (emails?.length) {
+    query.organizationId = { $in: await User.find({ email: { $in: emails } }).distinct("organizationId") };
+  }
+
+  const instances = await Instance.find(query).select("_id organizationId vmSubdomain");
+
+  const results = {
+    total: instances.length,
+    rotated: 0,
+    failed: 0,
+    details: [],
+  };
+
+  for (let i = 0; i < instances.length; i += VM_SECRET_ROTATION_CONCURRENCY) {
+    const batch = instances.slice(i, i + VM_SECRET_ROTATION_CONCURRENCY);
+
+    await Promise.all(batch.map(async (instance) => {
+      const result = await rotateVmAuthSecret(instance._id).catch((error) => ({ success: false, error: error.message }));
+
+      if (result.success) {
+        results.rotated++;
+      } else {
+        results.failed++;
+      }
+      results.details.push({
+        organizationId: instance.organizationId.toString(),
+        instanceId: instance._id.toString(),
+        subdomain: instance.vmSubdomain,
+        success: result.success,
+        error: result.error,
+      });
+    }));
+  }
+
+  return results;
+}
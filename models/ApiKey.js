@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import toJSON from "./plugins/toJSON";
+
+// API KEY SCHEMA
+// Named keys for programmatic access (Authorization: Bearer alf_...), managed in libs/api-auth.js.
+// A key acts as its user, with that user's role in their organization, and only within its scopes.
+// The key itself is only shown once; its SHA-256 hash is stored.
+const apiKeySchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 80,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      private: true,
+    },
+    // Last characters of the key, to tell keys apart in the dashboard
+    lastFour: {
+      type: String,
+    },
+    // What the key may do (see API_KEY_SCOPES in libs/api-auth.js)
+    scopes: {
+      type: [String],
+      enum: [
+        "skills:read",
+        "skills:write",
+        "skills:execute",
+        "executions:read",
+        "connections:read",
+        "connections:write",
+        "usage:read",
+        "vm:read",
+      ],
+      default: [],
+    },
+    // IP addresses or IPv4 CIDR ranges the key may be used from (any, if empty)
+    allowedIps: {
+      type: [String],
+      default: [],
+    },
+    // The key stops working after this date (never, if unset)
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    // The key of the dashboard's Quick Start, replaced when it is regenerated there
+    quickstart: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+
+// add plugin that converts mongoose to json
+apiKeySchema.plugin(toJSON);
+
+export default mongoose.models.ApiKey || mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+import toJSON from "./plugins/toJSON";
+
+// BACKUP SCHEMA
+// One document per snapshot of an instance's VM, written by libs/backups.js.
+// The Docker volumes holding Postgres, Mongo and NocoDB data live on the server's disk,
+// so backups are server snapshots (Hetzner Cloud has no volume snapshots).
+const backupSchema = mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    // Instance the VM belongs to (see models/Instance.js)
+    instanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Instance",
+    },
+    subdomain: {
+      type: String,
+      trim: true,
+    },
+    provider: {
+      type: String,
+      default: "hetzner",
+    },
+    // Server the snapshot was taken of
+    serverId: {
+      type: String,
+    },
+    // Provider snapshot ID (the snapshot name on DigitalOcean, see libs/vm-providers.js)
+    snapshotId: {
+      type: String,
+      required: true,
+    },
+    // Image new servers are created from, known once the snapshot is available
+    imageId: {
+      type: String,
+    },
+    trigger: {
+      type: String,
+      enum: ["scheduled", "manual"],
+      default: "scheduled",
+    },
+    status: {
+      type: String,
+      enum: ["creating", "available", "failed", "deleted"],
+      default: "creating",
+      index: true,
+    },
+    availableAt: {
+      type: Date,
+    },
+    deletedAt: {
+      type: Date,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+backupSchema.index({ organizationId: 1, createdAt: -1 });
+backupSchema.index({ instanceId: 1, createdAt: -1 });
+
+// add plugin that converts mongoose to json
+backupSchema.plugin(toJSON);
+
+export default mongoose.models.Backup || mongoose.model("Backup", backupSchema);
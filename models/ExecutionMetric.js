@@ -3,12 +3,12 @@ import toJSON from "./plugins/toJSON";
 
 // EXECUTION METRIC SCHEMA
 // Used to store daily billing metrics reported by VMs
-// Tracks execution counts, durations, tokens, and success/failure rates per user per day
+// Tracks execution counts, durations, tokens, and success/failure rates per organization per day
 const executionMetricSchema = mongoose.Schema(
   {
-    userId: {
+    organizationId: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
+      ref: "Organization",
       required: true,
       index: true,
     },
@@ -53,6 +53,11 @@ const executionMetricSchema = mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Idempotency keys of the reports already counted, so a retried report isn't added twice
+    reportKeys: {
+      type: [String],
+      private: true,
+    },
   },
   {
     timestamps: true,
@@ -60,8 +65,8 @@ const executionMetricSchema = mongoose.Schema(
   }
 );
 
-// Compound index to ensure uniqueness per user per day
-executionMetricSchema.index({ userId: 1, date: 1 }, { unique: true });
+// Compound index to ensure uniqueness per organization per day
+executionMetricSchema.index({ organizationId: 1, date: 1 }, { unique: true });
 
 // Add plugin that converts mongoose to json
 executionMetricSchema.plugin(toJSON);
@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+import toJSON from "./plugins/toJSON";
+
+// INSTANCE SCHEMA
+// One Alfred VM of an organization. An organization has a production instance and, depending on its plan
+// (vm.maxInstances in config.js), more such as a staging VM to try skills on before production.
+// The VM fields keep the names they had when each account had a single VM on the User document.
+const instanceSchema = mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+    },
+    environment: {
+      type: String,
+      enum: ["production", "staging"],
+      default: "production",
+    },
+    vmSubdomain: {
+      type: String,
+      trim: true,
+    },
+    vmIp: {
+      type: String,
+      trim: true,
+    },
+    vmStatus: {
+      type: String,
+      enum: ['pending', 'provisioning', 'ready', 'resizing', 'error', 'deprovisioned'],
+      default: 'pending',
+    },
+    // Server ID at the VM's provider (the field predates multi-provider support)
+    vmHetznerId: {
+      type: String,
+    },
+    // Cloud provider and region the VM runs in (see libs/vm-providers.js)
+    vmProvider: {
+      type: String,
+    },
+    vmRegion: {
+      type: String,
+    },
+    // Server type and data volume size in GB. Picked at checkout or before setup, changed by resizing
+    vmSize: {
+      type: String,
+    },
+    vmVolumeSize: {
+      type: Number,
+    },
+    // Target of an in-progress resize (vmStatus is 'resizing' until it is reached)
+    vmResizeTo: {
+      size: String,
+      volumeSize: Number,
+      requestedAt: Date,
+      // Last provider action requested (resize_volume, power_off, change_type, power_on)
+      step: String,
+    },
+    // Provider ID of the attached data volume (alfred-<subdomain>-data)
+    vmVolumeId: {
+      type: String,
+    },
+    vmAuthSecretHash: {
+      type: String,
+    },
+    // Secret rotation in progress: the new secret's hash replaces vmAuthSecretHash once the VM acknowledges it
+    vmAuthSecretRotation: {
+      hash: String,
+      startedAt: Date,
+    },
+    vmAuthSecretRotatedAt: {
+      type: Date,
+    },
+    // Per-VM ES256 key Alfred Core signs requests to the VM with (see libs/vm-keys.js)
+    vmSigningKeyId: {
+      type: String,
+    },
+    // Encrypted PKCS#8 private key
+    vmSigningPrivateKey: {
+      type: String,
+      private: true,
+    },
+    // Public key served to the VM at /api/vm/jwks/<subdomain>
+    vmSigningPublicJwk: {
+      type: Object,
+    },
+    vmPublicKey: {
+      type: String,
+    },
+    vmProvisionedAt: {
+      type: Date,
+    },
+    // Set when the subscription ends or the instance is deleted. The VM is destroyed by the
+    // deprovision cron once this date has passed
+    vmDeprovisionAt: {
+      type: Date,
+    },
+    // Snapshot taken before the VM was destroyed, kept so the customer's data can be restored if they come back
+    vmSnapshotId: {
+      type: String,
+    },
+    // Server vmSnapshotId was taken from: a later VM of the instance gets its own snapshot when it is destroyed
+    vmSnapshotServerId: {
+      type: String,
+    },
+    // Earlier snapshot replaced by vmSnapshotId, deleted once the new one is available
+    vmSupersededSnapshotId: {
+      type: String,
+    },
+    // Restore from a backup in progress: a new server is booting from the snapshot and
+    // replaces the current one (DNS included) once it registers with the auth secret below
+    vmRestore: {
+      backupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Backup' },
+      serverId: String,
+      authSecretHash: String,
+      startedAt: Date,
+    },
+    // Deleted by the customer: the VM is destroyed without a snapshot and the instance removed
+    deletedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+instanceSchema.index({ vmSubdomain: 1 });
+
+// add plugin that converts mongoose to json
+instanceSchema.plugin(toJSON);
+
+export default mongoose.models.Instance || mongoose.model("Instance", instanceSchema);
@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+import toJSON from "./plugins/toJSON";
+
+// JOB SCHEMA
+// Background job queue drained by /api/cron/jobs (see libs/jobs.js).
+// Work that outlasts a request (e.g. provisioning a VM) is queued here instead of running
+// as a floating promise, so it survives the serverless function that triggered it.
+const jobSchema = mongoose.Schema(
+  {
+    // Handler to run (see JOB_HANDLERS in libs/jobs.js)
+    type: {
+      type: String,
+      required: true,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    payload: {
+      type: Object,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+    // Set while the job is queued or running so the same work can't be queued twice
+    // (e.g. provision_vm:<instanceId>). Unset once the job completes or fails for good.
+    dedupeKey: {
+      type: String,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    // When the job may run next (pushed back after a failed attempt)
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Worker holding the job while it runs; the lock expires after JOB_LOCK_TIMEOUT_MS
+    lockedBy: {
+      type: String,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    result: {
+      type: Object,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+// add plugin that converts mongoose to json
+jobSchema.plugin(toJSON);
+
+export default mongoose.models.Job || mongoose.model("Job", jobSchema);
@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+import toJSON from "./plugins/toJSON";
+
+// ORGANIZATION SCHEMA
+// A team sharing an Alfred subscription and its VMs (see libs/organizations.js). Every user belongs to one:
+// a user who signs up alone gets a personal organization with the user's ID, and can invite others to it.
+// Billing, instances and usage belong to the organization; members get a role that limits what they can do.
+const memberSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // owner, admin, editor or viewer (see ORGANIZATION_ROLES in libs/organizations.js)
+    role: {
+      type: String,
+      enum: ["owner", "admin", "editor", "viewer"],
+      required: true,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const invitationSchema = mongoose.Schema(
+  {
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["admin", "editor", "viewer"],
+      required: true,
+    },
+    // SHA-256 of the token in the invitation link; the token itself is only in the email
+    tokenHash: {
+      type: String,
+      required: true,
+      private: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const organizationSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 80,
+    },
+    members: {
+      type: [memberSchema],
+      default: [],
+    },
+    invitations: {
+      type: [invitationSchema],
+      default: [],
+    },
+    // Used in the Stripe webhook to identify the organization in Stripe and later create Customer Portal or prefill credit card details
+    customerId: {
+      type: String,
+      validate(value) {
+        return value.includes("cus_");
+      },
+    },
+    // Used in the Stripe webhook. should match a plan in config.js file.
+    priceId: {
+      type: String,
+      validate(value) {
+        return value.includes("price_");
+      },
+    },
+    // Used to determine if the organization has access to the product—it's turn on/off by the Stripe webhook
+    hasAccess: {
+      type: Boolean,
+      default: false,
+    },
+    // Where billing emails (failed payments, usage warnings) go: the email of the Stripe customer
+    billingEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      private: true,
+    },
+    // End of the current period when the customer canceled their subscription but it is still running
+    subscriptionCancelAt: {
+      type: Date,
+    },
+    // Dunning after a failed invoice payment: access is revoked once the grace period ends (see libs/subscriptions.js)
+    paymentFailedAt: {
+      type: Date,
+    },
+    paymentGraceEndsAt: {
+      type: Date,
+    },
+    // Usage limit windows (day or month) a soft-limit warning email was already sent for
+    usageLimitWarnings: {
+      executionsPerDay: String,
+      tokensPerMonth: String,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+organizationSchema.index({ "members.userId": 1 });
+organizationSchema.index({ customerId: 1 });
+organizationSchema.index({ "invitations.tokenHash": 1 });
+
+// add plugin that converts mongoose to json
+organizationSchema.plugin(toJSON);
+
+export default mongoose.models.Organization || mongoose.model("Organization", organizationSchema);
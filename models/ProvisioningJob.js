@@ -0,0 +1,129 @@
+import mongoose from "mongoose";
+import toJSON from "./plugins/toJSON";
+
+// PROVISIONING JOB SCHEMA
+// One document per VM provisioning run, written step by step by libs/provisioning.js
+// Keeps the IDs of every cloud resource created so a failed run can be resumed from
+// the failed step instead of creating a second volume/server
+const provisioningStepSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      enum: ["validate", "create_volume", "create_server", "configure_dns", "await_registration"],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "failed"],
+      default: "pending",
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    error: {
+      type: String,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Setup checkpoints reported by the VM's cloud-init setup.sh through /api/vm/progress
+const setupPhaseSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      enum: ["docker_installed", "images_pulled", "containers_healthy", "containers_unhealthy", "tls_issued", "setup_failed"],
+    },
+    reportedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+  },
+  { _id: false }
+);
+
+const provisioningJobSchema = mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+      index: true,
+    },
+    // Instance the VM belongs to (see models/Instance.js)
+    instanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Instance",
+    },
+    subdomain: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    provider: {
+      type: String,
+      default: "hetzner",
+    },
+    region: {
+      type: String,
+    },
+    size: {
+      type: String,
+    },
+    volumeSize: {
+      type: Number,
+    },
+    status: {
+      type: String,
+      enum: ["running", "awaiting_registration", "completed", "failed"],
+      default: "running",
+      index: true,
+    },
+    steps: [provisioningStepSchema],
+    phases: [setupPhaseSchema],
+    // Cloud resources created so far
+    resources: {
+      volumeId: { type: String },
+      serverId: { type: String },
+      ipAddress: { type: String },
+      ipv6Address: { type: String },
+      dnsRecordId: { type: String },
+    },
+    error: {
+      type: String,
+    },
+    // Number of times the job was run (1 + resumes)
+    runs: {
+      type: Number,
+      default: 0,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+provisioningJobSchema.index({ organizationId: 1, createdAt: -1 });
+provisioningJobSchema.index({ instanceId: 1, createdAt: -1 });
+
+// add plugin that converts mongoose to json
+provisioningJobSchema.plugin(toJSON);
+
+export default mongoose.models.ProvisioningJob || mongoose.model("ProvisioningJob", provisioningJobSchema);
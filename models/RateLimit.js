@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+import toJSON from "./plugins/toJSON";
+
+// RATE LIMIT SCHEMA
+// Request counters per client and fixed time window, written by libs/rate-limit.js.
+// Mongo removes a window's counter once it has expired.
+const rateLimitSchema = mongoose.Schema(
+  {
+    // Who is limited, e.g. api-key:<ApiKey ID>
+    key: {
+      type: String,
+      required: true,
+    },
+    windowStart: {
+      type: Date,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+  }
+);
+
+rateLimitSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// add plugin that converts mongoose to json
+rateLimitSchema.plugin(toJSON);
+
+export default mongoose.models.RateLimit || mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+import toJSON from "./plugins/toJSON";
+
+// STRIPE EVENT SCHEMA
+// Ledger of the webhook events received from Stripe, written by libs/stripe-events.js.
+// An event is only handled once it has been claimed here, so redelivered events aren't processed twice.
+const stripeEventSchema = mongoose.Schema(
+  {
+    // Stripe event ID (evt_...)
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "processed", "failed"],
+      default: "processing",
+    },
+    // Deliveries and replays that got to run the handler
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Last error, for failed events
+    error: {
+      type: String,
+    },
+    // Full event as received, so failed events can be replayed
+    payload: {
+      type: Object,
+    },
+    lastAttemptAt: {
+      type: Date,
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+stripeEventSchema.index({ status: 1, createdAt: -1 });
+
+// add plugin that converts mongoose to json
+stripeEventSchema.plugin(toJSON);
+
+export default mongoose.models.StripeEvent || mongoose.model("StripeEvent", stripeEventSchema);
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+import toJSON from "./plugins/toJSON";
+
+// USAGE REPORT SCHEMA
+// Overage already reported to Stripe for an organization, metric and calendar month, written by libs/usage.js.
+// Each hourly run only reports the difference between the current overage and reportedQuantity.
+const usageReportSchema = mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Calendar month (YYYY-MM)
+    period: {
+      type: String,
+      required: true,
+    },
+    metric: {
+      type: String,
+      required: true,
+    },
+    reportedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastReportedAt: {
+      type: Date,
+    },
+    // Meter event saved before it is sent to Stripe, cleared once reportedQuantity includes it.
+    // A run that crashes in between leaves it here, and the next run sends it again with the same identifier
+    // while Stripe still dedups it (see PENDING_RESEND_HOURS in libs/usage.js).
+    pending: {
+      identifier: { type: String },
+      quantity: { type: Number },
+      reportedQuantity: { type: Number },
+      timestamp: { type: Date },
+      savedAt: { type: Date },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+usageReportSchema.index({ organizationId: 1, period: 1, metric: 1 }, { unique: true });
+
+// add plugin that converts mongoose to json
+usageReportSchema.plugin(toJSON);
+
+export default mongoose.models.UsageReport || mongoose.model("UsageReport", usageReportSchema);
@@ -17,52 +17,14 @@ const userSchema = mongoose.Schema(
     image: {
       type: String,
     },
-    // Used in the Stripe webhook to identify the user in Stripe and later create Customer Portal or prefill user credit card details
-    customerId: {
-      type: String,
-      validate(value) {
-        return value.includes("cus_");
-      },
-    },
-    // Used in the Stripe webhook. should match a plan in config.js file.
-    priceId: {
-      type: String,
-      validate(value) {
-        return value.includes("price_");
-      },
-    },
-    // Used to determine if the user has access to the product—it's turn on/off by the Stripe webhook
-    hasAccess: {
-      type: Boolean,
-      default: false,
-    },
-    // VM provisioning fields
-    vmSubdomain: {
-      type: String,
-      trim: true,
-    },
-    vmIp: {
-      type: String,
-      trim: true,
-    },
-    vmStatus: {
-      type: String,
-      enum: ['pending', 'provisioning', 'ready', 'error'],
-      default: 'pending',
-    },
-    vmHetznerId: {
-      type: String,
-    },
-    vmAuthSecretHash: {
-      type: String,
-    },
-    vmPublicKey: {
-      type: String,
-    },
-    vmProvisionedAt: {
-      type: Date,
-    },
-    // API key for programmatic access
+    // Organization the user belongs to. Billing, VMs and usage belong to the organization (see models/Organization.js)
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      index: true,
+    },
+    // Single API key from before named API keys (see models/ApiKey.js). It becomes the user's
+    // Quick Start key the first time it is used (see libs/api-auth.js)
     apiKey: {
       type: String,
       private: true,
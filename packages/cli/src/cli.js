@@ -0,0 +1,521 @@
+/**
+ * alfred: command-line tool for the Alfred API, built on @alfred/sdk
+ *
+ * main() parses the arguments, runs one command and returns the exit code: 0 on success, 1 when the
+ * command failed (including a failed execution) and 2 for invalid usage. Streams, environment and the
+ * client are injectable so commands can run against the SDK's mock transport.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import readline from "node:readline/promises";
+import { Writable } from "node:stream";
+import { parseArgs } from "node:util";
+import { Alfred, AlfredError } from "@alfred/sdk";
+import { readConfig, writeConfig, deleteConfig, resolveSettings, DEFAULT_BASE_URL } from "./config.js";
+import {
+  readSkillFile,
+  writeSkillFile,
+  findSkillFiles,
+  validateSkillFile,
+  toSkillFile,
+  skillFileSlug,
+} from "./skill-files.js";
+
+const HELP = `Usage: alfred <command> [options]
+
+Commands:
+  login                        Store an API key (from --api-key, stdin or a prompt)
+  logout                       Remove the stored API key
+  skills list                  List skills
+  skills pull [id...]          Write skills to files (all of them, if no ID is given)
+  skills push [path...]        Create or update skills from files or directories (default: ./skills)
+  skills run <id>              Run a skill
+  executions tail <id>         Follow an execution until it has completed or failed
+  vm status                    Show the VM's status and health
+
+Options:
+  --instance <id>              Instance to use (default: production, or $ALFRED_INSTANCE)
+  --base-url <url>             API URL (default: ${DEFAULT_BASE_URL}, or $ALFRED_BASE_URL)
+  --json                       Print JSON instead of text
+  --dir <dir>                  skills pull: directory to write to (default: skills)
+  --format <yaml|json>         skills pull: format of new files (default: yaml)
+  --dry-run                    skills push: show what would change without changing it
+  --input <json>               skills run: input for the skill
+  --input-file <file>          skills run: input for the skill, from a YAML or JSON file
+  --wait                       skills run: follow the execution until it has finished
+  --interval <seconds>         Seconds between polls when following an execution (default: 2)
+  -h, --help                   Show this help
+  -v, --version                Show the version
+
+The API key comes from $ALFRED_API_KEY, or from \`alfred login\`.`;
+
+const OPTIONS = {
+  instance: { type: "string" },
+  "base-url": { type: "string" },
+  "api-key": { type: "string" },
+  json: { type: "boolean" },
+  dir: { type: "string" },
+  format: { type: "string" },
+  "dry-run": { type: "boolean" },
+  input: { type: "string" },
+  "input-file": { type: "string" },
+  wait: { type: "boolean" },
+  interval: { type: "string" },
+  help: { type: "boolean", short: "h" },
+  version: { type: "boolean", short: "v" },
+};
+
+// Thrown for invalid usage (exit code 2)
+class UsageError extends Error {}
+
+/**
+ * Run the CLI
+ *
+ * @param {Array<string>} argv - Arguments, without node and the script
+ * @param {Object} io
+ * @param {Writable} io.stdout
+ * @param {Writable} io.stderr
+ * @param {Readable} io.stdin
+ * @param {Object} io.env - Environment variables
+ * @param {Function} io.createClient - (settings) => Alfred client
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv, io = {}) {
+  const context = {
+    stdout: io.stdout || process.stdout,
+    stderr: io.stderr || process.stderr,
+    stdin: io.stdin || process.stdin,
+    env: io.env || process.env,
+    createClient: io.createClient || ((settings) => new Alfred(settings)),
+  };
+  const print = (line = "") => context.stdout.write(`${line}\n`);
+  const printError = (line) => context.stderr.write(`${line}\n`);
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    printError(`${error.message}\n\n${HELP}`);
+    return 2;
+  }
+
+  const { values: options, positionals } = parsed;
+
+  if (options.version) {
+    const { version } = JSON.parse(await fs.readFile(new URL("../package.json", import.meta.url), "utf8"));
+    print(version);
+    return 0;
+  }
+
+  const [group, subcommand, ...args] = positionals;
+  const command = COMMANDS[group]?.[subcommand] ? COMMANDS[group][subcommand] : COMMANDS[group]?.[""];
+
+  if (options.help) {
+    print(HELP);
+    return 0;
+  }
+
+  if (!command) {
+    printError(HELP);
+    return 2;
+  }
+
+  const commandArgs = COMMANDS[group][subcommand] ? args : positionals.slice(1);
+
+  try {
+    return (await command({ ...context, options, args: commandArgs, print, printError })) ?? 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      printError(`${error.message}\n\nRun \`alfred --help\` for usage.`);
+      return 2;
+    }
+
+    if (error instanceof AlfredError) {
+      printError(`Error: ${error.message}${error.code ? ` (${error.code})` : ""}`);
+      if (error.status === 401) {
+        printError("Check your API key, or run `alfred login` again.");
+      }
+      return 1;
+    }
+
+    printError(`Error: ${error.message}`);
+    return 1;
+  }
+}
+
+async function getClient(context) {
+  const settings = await resolveSettings(context.options, context.env);
+  if (!settings.apiKey) {
+    throw new Error("Not logged in. Run `alfred login`, or set ALFRED_API_KEY.");
+  }
+
+  return context.createClient(settings);
+}
+
+// Read an API key without showing it as it is typed
+async function promptSecret(question, { stdin, stdout }) {
+  stdout.write(question);
+  const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+  const rl = readline.createInterface({ input: stdin, output: muted, terminal: true });
+
+  try {
+    return (await rl.question("")).trim();
+  } finally {
+    rl.close();
+    stdout.write("\n");
+  }
+}
+
+async function readStdin(stdin) {
+  let text = "";
+  for await (const chunk of stdin) {
+    text += chunk;
+  }
+  return text.trim();
+}
+
+async function login(context) {
+  const { options, stdin, env, print } = context;
+
+  let apiKey = options["api-key"];
+  if (!apiKey) {
+    apiKey = stdin.isTTY
+      ? await promptSecret("API key (create one on the dashboard's API keys page): ", context)
+      : await readStdin(stdin);
+  }
+
+  if (!apiKey?.startsWith("alf_")) {
+    throw new UsageError("API keys start with alf_");
+  }
+
+  const config = await readConfig(env);
+  const baseUrl = options["base-url"] || config.baseUrl || DEFAULT_BASE_URL;
+
+  // Any answer but 401 means the key is valid: it may just not have the vm:read scope
+  try {
+    await context.createClient({ apiKey, baseUrl, instanceId: options.instance }).vm.status();
+  } catch (error) {
+    if (!(error instanceof AlfredError) || error.status === 401 || error.status === 0) {
+      throw error;
+    }
+  }
+
+  const configPath = await writeConfig({ ...config, apiKey, baseUrl }, env);
+  print(`Logged in. The API key is stored in ${configPath}`);
+}
+
+async function logout({ env, print }) {
+  const existed = await deleteConfig(env);
+  print(existed ? "Logged out." : "Not logged in.");
+}
+
+function printTable(print, rows, columns) {
+  const widths = columns.map(({ label, value }) => Math.max(label.length, ...rows.map((row) => String(value(row)).length)));
+  const line = (cells) => cells.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd();
+
+  print(line(columns.map((c) => c.label)));
+  for (const row of rows) {
+    print(line(columns.map((c) => c.value(row))));
+  }
+}
+
+async function listAll(iterator) {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
+}
+
+async function skillsList(context) {
+  const client = await getClient(context);
+  const skills = await listAll(client.skills.listAll());
+
+  if (context.options.json) {
+    context.print(JSON.stringify(skills, null, 2));
+    return;
+  }
+
+  if (skills.length === 0) {
+    context.print("No skills yet.");
+    return;
+  }
+
+  printTable(context.print, skills, [
+    { label: "ID", value: (s) => s.id },
+    { label: "NAME", value: (s) => s.name },
+    { label: "TRIGGER", value: (s) => (s.trigger_type === "schedule" ? `schedule (${s.trigger_config?.cron})` : s.trigger_type) },
+    { label: "ACTIVE", value: (s) => (s.is_active === false ? "no" : "yes") },
+  ]);
+}
+
+// Read the skill files of a directory, keyed by skill ID, so pulls overwrite the file a skill came from
+async function readSkillFilesById(dir) {
+  const byId = new Map();
+
+  let files = [];
+  try {
+    files = await findSkillFiles([dir]);
+  } catch (error) {
+    if (error.code === "ENOENT") return byId;
+    throw error;
+  }
+
+  for (const file of files) {
+    const skill = await readSkillFile(file).catch(() => null);
+    if (skill?.id) {
+      byId.set(String(skill.id), file);
+    }
+  }
+
+  return byId;
+}
+
+async function skillsPull(context) {
+  const { options, args, print } = context;
+  const dir = options.dir || "skills";
+  const format = options.format || "yaml";
+
+  if (!["yaml", "json"].includes(format)) {
+    throw new UsageError("--format must be yaml or json");
+  }
+
+  const client = await getClient(context);
+  const skills = args.length
+    ? await Promise.all(args.map((id) => client.skills.get(id)))
+    : await listAll(client.skills.listAll());
+
+  const existing = await readSkillFilesById(dir);
+  const taken = new Set(existing.values());
+
+  for (const skill of skills) {
+    let file = existing.get(String(skill.id));
+    if (!file) {
+      file = path.join(dir, `${skillFileSlug(skill)}.${format}`);
+      if (taken.has(file)) {
+        file = path.join(dir, `${skillFileSlug(skill)}-${skill.id}.${format}`);
+      }
+      taken.add(file);
+    }
+
+    await writeSkillFile(file, skill);
+    print(`Pulled ${skill.name} (${skill.id}) to ${file}`);
+  }
+
+  if (skills.length === 0) {
+    print("No skills to pull.");
+  }
+}
+
+// Stable JSON for comparing skills regardless of key order
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+async function skillsPush(context) {
+  const { options, args, print, printError } = context;
+  const dryRun = options["dry-run"];
+
+  const files = await findSkillFiles(args.length ? args : ["skills"]).catch((error) => {
+    throw error.code === "ENOENT" ? new UsageError(`${error.path} doesn't exist`) : error;
+  });
+  if (files.length === 0) {
+    throw new UsageError("No skill files (.yaml, .yml or .json) found");
+  }
+
+  const client = await getClient(context);
+  const remote = await listAll(client.skills.listAll());
+  let failures = 0;
+
+  for (const file of files) {
+    try {
+      const skill = await readSkillFile(file);
+      const problem = validateSkillFile(skill);
+      if (problem) {
+        throw new Error(problem);
+      }
+
+      // Match by ID, then by name, so files also push to another instance where the IDs differ
+      const { id, ...fields } = toSkillFile(skill);
+      const match =
+        (id && remote.find((s) => String(s.id) === String(id))) ||
+        remote.find((s) => s.name === fields.name);
+
+      if (!match) {
+        if (!dryRun) {
+          const created = await client.skills.create(fields);
+          remote.push(created);
+          print(`Created ${fields.name} (${created.id}) from ${file}`);
+        } else {
+          print(`Would create ${fields.name} from ${file}`);
+        }
+        continue;
+      }
+
+      const { id: remoteId, ...remoteFields } = toSkillFile(match);
+      if (canonical(remoteFields) === canonical(fields)) {
+        print(`Unchanged ${fields.name} (${remoteId})`);
+      } else if (dryRun) {
+        print(`Would update ${fields.name} (${remoteId}) from ${file}`);
+      } else {
+        await client.skills.update(remoteId, fields);
+        print(`Updated ${fields.name} (${remoteId}) from ${file}`);
+      }
+    } catch (error) {
+      failures++;
+      printError(`Failed to push ${file}: ${error.message}`);
+    }
+  }
+
+  return failures ? 1 : 0;
+}
+
+function getInterval(options) {
+  const seconds = options.interval === undefined ? 2 : Number(options.interval);
+  if (!(seconds > 0)) {
+    throw new UsageError("--interval must be a number of seconds");
+  }
+  return seconds * 1000;
+}
+
+// Print an execution's progress as it runs, then its output, and return the exit code
+async function followExecution(client, executionId, { options, print }) {
+  const seen = new Map();
+  let lastStatus;
+
+  const onPoll = (execution) => {
+    if (execution.status !== lastStatus) {
+      print(`Execution ${executionId}: ${execution.status}`);
+      lastStatus = execution.status;
+    }
+
+    (execution.steps || []).forEach((step, i) => {
+      const label = step.name || step.id || `step ${i + 1}`;
+      const status = step.status || "started";
+      if (seen.get(i) !== status) {
+        seen.set(i, status);
+        print(`  ${label}: ${status}`);
+      }
+    });
+  };
+
+  const execution = await client.executions.waitForCompletion(executionId, {
+    interval: getInterval(options),
+    timeout: Infinity,
+    onPoll,
+  });
+
+  if (options.json) {
+    print(JSON.stringify(execution, null, 2));
+  } else if (execution.status === "failed") {
+    print(`Error: ${execution.errorMessage || execution.error || "unknown"}`);
+  } else if (execution.output !== undefined && execution.output !== null) {
+    print(typeof execution.output === "string" ? execution.output : JSON.stringify(execution.output, null, 2));
+  }
+
+  return execution.status === "failed" ? 1 : 0;
+}
+
+async function readInput(options) {
+  if (options.input && options["input-file"]) {
+    throw new UsageError("Use --input or --input-file, not both");
+  }
+
+  let input;
+  if (options.input) {
+    try {
+      input = JSON.parse(options.input);
+    } catch {
+      throw new UsageError("--input must be JSON, e.g. --input '{\"date\":\"2026-10-18\"}'");
+    }
+  } else if (options["input-file"]) {
+    try {
+      input = await readSkillFile(options["input-file"]);
+    } catch (error) {
+      throw new Error(`Can't read ${options["input-file"]}: ${error.message}`);
+    }
+  }
+
+  if (input !== undefined && (typeof input !== "object" || input === null || Array.isArray(input))) {
+    throw new UsageError("The input must be an object");
+  }
+
+  return input;
+}
+
+async function skillsRun(context) {
+  const { options, args, print } = context;
+  const [skillId] = args;
+  if (!skillId) {
+    throw new UsageError("Which skill? alfred skills run <id>");
+  }
+
+  const input = await readInput(options);
+  const client = await getClient(context);
+  const started = await client.skills.execute(skillId, { input });
+
+  if (!options.wait) {
+    print(options.json ? JSON.stringify(started, null, 2) : `Started execution ${started.executionId} (${started.status})`);
+    return 0;
+  }
+
+  return followExecution(client, started.executionId, context);
+}
+
+async function executionsTail(context) {
+  const [executionId] = context.args;
+  if (!executionId) {
+    throw new UsageError("Which execution? alfred executions tail <id>");
+  }
+
+  const client = await getClient(context);
+  return followExecution(client, executionId, context);
+}
+
+async function vmStatus(context) {
+  const client = await getClient(context);
+  const vm = await client.vm.status();
+  const code = vm.vmStatus === "ready" && vm.health?.status === "healthy" ? 0 : 1;
+
+  if (context.options.json) {
+    context.print(JSON.stringify(vm, null, 2));
+    return code;
+  }
+
+  const health = vm.health
+    ? `${vm.health.status}${vm.health.responseTime !== null ? ` (${vm.health.responseTime} ms)` : ""}`
+    : "not checked (VM not ready)";
+
+  const rows = [
+    ["Instance", `${vm.name} (${vm.environment}, ${vm.id})`],
+    ["Status", vm.vmStatus],
+    ["Subdomain", vm.vmSubdomain || "-"],
+    ["Region", vm.vmRegion || "-"],
+    ["Size", vm.vmSize ? `${vm.vmSize}${vm.vmVolumeSize ? `, ${vm.vmVolumeSize} GB volume` : ""}` : "-"],
+    ["Health", health],
+  ];
+  for (const [label, value] of rows) {
+    context.print(`${`${label}:`.padEnd(11)}${value}`);
+  }
+
+  return code;
+}
+
+// Commands by group and subcommand; "" is a group's command without subcommand
+const COMMANDS = {
+  login: { "": login },
+  logout: { "": logout },
+  skills: { list: skillsList, pull: skillsPull, push: skillsPush, run: skillsRun },
+  executions: { tail: executionsTail },
+  vm: { status: vmStatus },
+};
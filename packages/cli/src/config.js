@@ -0,0 +1,93 @@
+/**
+ * Credentials
+ *
+ * `alfred login` stores the API key in ~/.config/alfred/config.json (or $XDG_CONFIG_HOME/alfred, or
+ * $ALFRED_CONFIG_DIR), readable only by the user. ALFRED_API_KEY, ALFRED_BASE_URL and ALFRED_INSTANCE
+ * override it, e.g. in CI where nobody logs in.
+ */
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+export const DEFAULT_BASE_URL = "https://alfred.rocks/api/v1";
+
+/**
+ * Get the path of the config file
+ *
+ * @param {Object} env - Environment variables
+ * @returns {string} Absolute path
+ */
+export function getConfigPath(env = process.env) {
+  const dir =
+    env.ALFRED_CONFIG_DIR ||
+    path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"), "alfred");
+  return path.join(dir, "config.json");
+}
+
+/**
+ * Read the stored config
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} { apiKey?, baseUrl? }, empty if nobody logged in
+ */
+export async function readConfig(env = process.env) {
+  try {
+    return JSON.parse(await fs.readFile(getConfigPath(env), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return {};
+    }
+    throw new Error(`Can't read ${getConfigPath(env)}: ${error.message}`);
+  }
+}
+
+/**
+ * Store the config, readable only by the user
+ *
+ * @param {Object} config - { apiKey, baseUrl }
+ * @param {Object} env - Environment variables
+ * @returns {Promise<string>} Path written
+ */
+export async function writeConfig(config, env = process.env) {
+  const configPath = getConfigPath(env);
+  await fs.mkdir(path.dirname(configPath), { recursive: true, mode: 0o700 });
+  await fs.writeFile(configPath, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+  await fs.chmod(configPath, 0o600);
+  return configPath;
+}
+
+/**
+ * Remove the stored config
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Promise<boolean>} Whether there was one
+ */
+export async function deleteConfig(env = process.env) {
+  try {
+    await fs.unlink(getConfigPath(env));
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Work out the API key, URL and instance to use: command-line options, then environment, then config
+ *
+ * @param {Object} options - Parsed command-line options { "base-url", instance }
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} { apiKey, baseUrl, instanceId }
+ */
+export async function resolveSettings(options, env = process.env) {
+  const config = await readConfig(env);
+
+  return {
+    apiKey: env.ALFRED_API_KEY || config.apiKey,
+    baseUrl: options["base-url"] || env.ALFRED_BASE_URL || config.baseUrl || DEFAULT_BASE_URL,
+    instanceId: options.instance || env.ALFRED_INSTANCE || undefined,
+  };
+}
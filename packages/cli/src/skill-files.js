@@ -0,0 +1,144 @@
+/**
+ * Skill files
+ *
+ * Skills are kept in YAML (.yaml, .yml) or JSON (.json) files with the fields of the API's skills:
+ * name, description, trigger_type, trigger_config, steps, connections and is_active, plus the id of the
+ * skill once it exists. Fields are always written in the same order so pulls make small diffs.
+ *
+ * This is the skill file format of the dashboard's import and export, and files are checked with the
+ * SDK's checkSkillFile, against the same schema as the dashboard's imports (SKILL_FILE_SCHEMA_URL), so
+ * files can go from one to the other. Files hold one skill each; the dashboard's bundles of skills can
+ * only be imported there.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import yaml from "js-yaml";
+import { SKILL_FILE_VERSION, SKILL_FILE_SCHEMA_URL, SKILL_SCHEMA, checkSkillFile } from "@alfred/sdk";
+
+export { SKILL_FILE_VERSION, SKILL_FILE_SCHEMA_URL };
+
+// The fields of a skill file after its version, in the order they are written
+export const SKILL_FILE_FIELDS = [
+  "id",
+  "name",
+  "description",
+  "trigger_type",
+  "trigger_config",
+  "steps",
+  "connections",
+  "is_active",
+];
+
+const STEP_FIELDS = Object.keys(SKILL_SCHEMA.properties.steps.items.properties);
+
+const SKILL_FILE_EXTENSIONS = [".yaml", ".yml", ".json"];
+
+const pick = (object, fields) =>
+  Object.fromEntries(fields.filter((field) => object[field] !== undefined && object[field] !== null).map((field) => [field, object[field]]));
+
+/**
+ * Keep the fields of a skill that belong in a file, in file order
+ *
+ * @param {Object} skill - Skill from the API
+ * @returns {Object} Skill file contents
+ */
+export function toSkillFile(skill) {
+  const file = pick(skill, SKILL_FILE_FIELDS);
+  if (Array.isArray(file.steps)) {
+    file.steps = file.steps.map((step) => pick(step, STEP_FIELDS));
+  }
+  return file;
+}
+
+/**
+ * Check a skill file's contents before pushing it (the API checks them again)
+ *
+ * @param {Object} skill - Parsed file
+ * @returns {string|null} What is wrong, or null
+ */
+export function validateSkillFile(skill) {
+  const file = checkSkillFile(skill);
+  if (file.error) {
+    return file.details ? `${file.error}:\n  ${file.details.join("\n  ")}` : file.error;
+  }
+
+  if (file.bundle) {
+    return "This is a bundle of skills: import it on the dashboard, or pull the skills into one file each";
+  }
+
+  return null;
+}
+
+/**
+ * Read a skill file
+ *
+ * @param {string} file - Path to a .yaml, .yml or .json file
+ * @returns {Promise<Object>} Parsed skill
+ * @throws {Error} If the file can't be read or parsed
+ */
+export async function readSkillFile(file) {
+  const text = await fs.readFile(file, "utf8");
+  // The core schema keeps values such as dates as strings, as they are in JSON
+  return path.extname(file) === ".json" ? JSON.parse(text) : yaml.load(text, { schema: yaml.CORE_SCHEMA });
+}
+
+/**
+ * Write a skill file
+ *
+ * @param {string} file - Path; the extension picks YAML or JSON
+ * @param {Object} skill - Skill (from the API or a file)
+ */
+export async function writeSkillFile(file, skill) {
+  const contents = { version: SKILL_FILE_VERSION, ...toSkillFile(skill) };
+  const text =
+    path.extname(file) === ".json"
+      ? `${JSON.stringify({ $schema: SKILL_FILE_SCHEMA_URL, ...contents }, null, 2)}\n`
+      : `# yaml-language-server: $schema=${SKILL_FILE_SCHEMA_URL}\n${yaml.dump(contents, { lineWidth: 100, noRefs: true })}`;
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, text);
+}
+
+/**
+ * Find the skill files among paths, looking inside directories (not recursively)
+ *
+ * @param {Array<string>} paths - Files or directories
+ * @returns {Promise<Array<string>>} Skill files, sorted
+ */
+export async function findSkillFiles(paths) {
+  const files = [];
+
+  for (const target of paths) {
+    const stat = await fs.stat(target);
+    if (stat.isDirectory()) {
+      const entries = await fs.readdir(target);
+      files.push(
+        ...entries
+          .filter((entry) => SKILL_FILE_EXTENSIONS.includes(path.extname(entry)))
+          .map((entry) => path.join(target, entry))
+          .sort()
+      );
+    } else {
+      files.push(target);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Make a file name from a skill's name
+ *
+ * @param {Object} skill - Skill
+ * @returns {string} e.g. 'daily-report'
+ */
+export function skillFileSlug(skill) {
+  const slug = String(skill.name || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  return slug || String(skill.id);
+}
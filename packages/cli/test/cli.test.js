@@ -0,0 +1,423 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { Alfred, createMockTransport } from "@alfred/sdk";
+import { main } from "../src/cli.js";
+import { readConfig, writeConfig, getConfigPath } from "../src/config.js";
+import { readSkillFile, writeSkillFile } from "../src/skill-files.js";
+
+const page = (data) => ({ body: { data, pagination: { nextCursor: null, hasMore: false } } });
+
+const SKILL = {
+  id: "daily-report",
+  name: "Daily report",
+  description: "Sums up yesterday's orders",
+  trigger_type: "schedule",
+  trigger_config: { cron: "0 8 * * *" },
+  steps: [{ id: "step-1", prompt: "List yesterday's orders" }],
+  is_active: true,
+};
+
+let tmp;
+let dirs = 0;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), "alfred-cli-"));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+const newDir = async () => {
+  const dir = path.join(tmp, String(++dirs));
+  await fs.mkdir(dir);
+  return dir;
+};
+
+/**
+ * Run the CLI against the SDK's mock transport
+ *
+ * @returns {Promise<Object>} { code, stdout, stderr, transport, settings } where settings are the ones the client
+ *   was created with
+ */
+async function run(argv, { routes = {}, env = {}, stdin = Readable.from([]) } = {}) {
+  const transport = createMockTransport(routes);
+  const settings = [];
+  let stdout = "";
+  let stderr = "";
+
+  const code = await main(argv, {
+    stdout: { write: (chunk) => (stdout += chunk) },
+    stderr: { write: (chunk) => (stderr += chunk) },
+    stdin,
+    env: { ALFRED_CONFIG_DIR: path.join(tmp, "no-config"), ALFRED_API_KEY: "alf_test", ...env },
+    createClient: (options) => {
+      settings.push(options);
+      return new Alfred({ ...options, transport, sleep: async () => {} });
+    },
+  });
+
+  return { code, stdout, stderr, transport, settings };
+}
+
+describe("arguments", () => {
+  test("print the help with exit code 2 without a command", async () => {
+    const { code, stderr } = await run([]);
+
+    assert.equal(code, 2);
+    assert.match(stderr, /Usage: alfred <command>/);
+  });
+
+  test("exit with code 2 on an unknown command", async () => {
+    assert.equal((await run(["skills", "rename"])).code, 2);
+    assert.equal((await run(["deploy"])).code, 2);
+  });
+
+  test("exit with code 2 on an unknown option", async () => {
+    const { code, stderr } = await run(["skills", "list", "--verbose"]);
+
+    assert.equal(code, 2);
+    assert.match(stderr, /Unknown option '--verbose'/);
+  });
+
+  test("print the help and the version", async () => {
+    const help = await run(["skills", "list", "--help"]);
+    const version = await run(["-v"]);
+    const { version: packageVersion } = JSON.parse(await fs.readFile(new URL("../package.json", import.meta.url), "utf8"));
+
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /skills push \[path\.\.\.\]/);
+    assert.equal(version.stdout, `${packageVersion}\n`);
+  });
+
+  test("exit with code 2 when a command misses its argument", async () => {
+    const runWithoutId = await run(["skills", "run"]);
+    const tailWithoutId = await run(["executions", "tail"]);
+
+    assert.equal(runWithoutId.code, 2);
+    assert.match(runWithoutId.stderr, /Which skill\?/);
+    assert.equal(tailWithoutId.code, 2);
+  });
+
+  test("exit with code 2 on invalid option values", async () => {
+    assert.match((await run(["skills", "run", "daily-report", "--input", "{date}"])).stderr, /--input must be JSON/);
+    assert.match((await run(["skills", "run", "daily-report", "--input", "[1]"])).stderr, /The input must be an object/);
+    assert.match((await run(["skills", "pull", "--format", "xml"])).stderr, /--format must be yaml or json/);
+    assert.equal((await run(["executions", "tail", "exec-1", "--interval", "soon"])).code, 2);
+  });
+});
+
+describe("settings", () => {
+  test("fail without an API key", async () => {
+    const { code, stderr } = await run(["skills", "list"], { env: { ALFRED_API_KEY: "" } });
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Not logged in/);
+  });
+
+  test("use the stored config, the environment over it and the options over both", async () => {
+    const env = { ALFRED_CONFIG_DIR: await newDir(), ALFRED_API_KEY: "" };
+    await writeConfig({ apiKey: "alf_stored", baseUrl: "https://stored.example.com/api/v1" }, env);
+    const routes = { "GET /skills": page([]) };
+
+    const stored = await run(["skills", "list"], { env, routes });
+    const fromEnv = await run(["skills", "list"], {
+      env: { ...env, ALFRED_API_KEY: "alf_env", ALFRED_BASE_URL: "https://env.example.com/api/v1", ALFRED_INSTANCE: "staging" },
+      routes,
+    });
+    const fromOptions = await run(["skills", "list", "--base-url", "http://localhost:3000/api/v1", "--instance", "dev"], {
+      env: { ...env, ALFRED_BASE_URL: "https://env.example.com/api/v1", ALFRED_INSTANCE: "staging" },
+      routes,
+    });
+
+    assert.deepEqual(stored.settings, [{ apiKey: "alf_stored", baseUrl: "https://stored.example.com/api/v1", instanceId: undefined }]);
+    assert.deepEqual(fromEnv.settings, [{ apiKey: "alf_env", baseUrl: "https://env.example.com/api/v1", instanceId: "staging" }]);
+    assert.deepEqual(fromOptions.settings, [{ apiKey: "alf_stored", baseUrl: "http://localhost:3000/api/v1", instanceId: "dev" }]);
+    assert.equal(fromOptions.transport.calls[0].headers["X-Alfred-Instance"], "dev");
+  });
+
+  test("explain a rejected API key with exit code 1", async () => {
+    const { code, stderr } = await run(["vm", "status"], {
+      routes: { "GET /vm": { status: 401, body: { error: { code: "unauthorized", message: "Invalid API key" } } } },
+    });
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Error: Invalid API key \(unauthorized\)\nCheck your API key, or run `alfred login` again\./);
+  });
+});
+
+describe("login and logout", () => {
+  test("store an API key from stdin, readable only by the user", async () => {
+    const env = { ALFRED_CONFIG_DIR: await newDir() };
+
+    // A key without the vm:read scope is still a valid key
+    const { code, stdout } = await run(["login"], {
+      env,
+      stdin: Readable.from(["alf_new\n"]),
+      routes: { "GET /vm": { status: 403, body: { error: { code: "forbidden", message: "Missing scope" } } } },
+    });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Logged in/);
+    assert.deepEqual(await readConfig(env), { apiKey: "alf_new", baseUrl: "https://alfred.rocks/api/v1" });
+    assert.equal((await fs.stat(getConfigPath(env))).mode & 0o777, 0o600);
+  });
+
+  test("refuse keys that don't look like API keys, or that the API rejects", async () => {
+    const env = { ALFRED_CONFIG_DIR: await newDir() };
+
+    const wrongFormat = await run(["login", "--api-key", "sk_live_123"], { env });
+    const rejected = await run(["login", "--api-key", "alf_revoked"], {
+      env,
+      routes: { "GET /vm": { status: 401, body: { error: { code: "unauthorized", message: "Invalid API key" } } } },
+    });
+
+    assert.equal(wrongFormat.code, 2);
+    assert.equal(rejected.code, 1);
+    assert.deepEqual(await readConfig(env), {});
+  });
+
+  test("logout removes the stored key", async () => {
+    const env = { ALFRED_CONFIG_DIR: await newDir() };
+    await writeConfig({ apiKey: "alf_stored" }, env);
+
+    assert.match((await run(["logout"], { env })).stdout, /Logged out\./);
+    assert.match((await run(["logout"], { env })).stdout, /Not logged in\./);
+    assert.deepEqual(await readConfig(env), {});
+  });
+});
+
+describe("skills push", () => {
+  const REMOTE = [
+    SKILL,
+    { ...SKILL, id: "weekly-report", name: "Weekly report", trigger_config: { cron: "0 8 * * 1" }, run_count: 4 },
+  ];
+
+  // Files for: the unchanged daily report, the weekly report with a new schedule, and a new skill
+  async function writeSkills() {
+    const dir = await newDir();
+    await writeSkillFile(path.join(dir, "daily-report.yaml"), { ...SKILL, run_count: 9 });
+    await writeSkillFile(path.join(dir, "weekly-report.yaml"), { ...REMOTE[1], trigger_config: { cron: "0 7 * * 1" } });
+    await writeSkillFile(path.join(dir, "stock-alert.json"), {
+      ...SKILL,
+      id: undefined,
+      name: "Stock alert",
+      trigger_type: "manual",
+      trigger_config: undefined,
+    });
+    return dir;
+  }
+
+  const routes = () => ({
+    "GET /skills": page(REMOTE),
+    "POST /skills": ({ body }) => ({ status: 201, body: { data: { ...body, id: "stock-alert" } } }),
+    "PATCH /skills/{id}": ({ params, body }) => ({ body: { data: { ...body, id: params.id } } }),
+  });
+
+  test("create new skills, update changed ones and leave the others alone", async () => {
+    const dir = await writeSkills();
+
+    const { code, stdout, transport } = await run(["skills", "push", dir], { routes: routes() });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Unchanged Daily report \(daily-report\)/);
+    assert.match(stdout, /Created Stock alert \(stock-alert\) from .*stock-alert\.json/);
+    assert.match(stdout, /Updated Weekly report \(weekly-report\) from .*weekly-report\.yaml/);
+
+    const writes = transport.calls.filter((call) => call.method !== "GET");
+    assert.deepEqual(
+      writes.map((call) => `${call.method} ${call.path}`),
+      ["POST /skills", "PATCH /skills/weekly-report"]
+    );
+    assert.equal(writes[0].body.name, "Stock alert");
+    assert.equal(writes[0].body.version, undefined);
+    assert.deepEqual(writes[1].body.trigger_config, { cron: "0 7 * * 1" });
+  });
+
+  test("with --dry-run, tell what would change without changing it", async () => {
+    const dir = await writeSkills();
+
+    const { code, stdout, transport } = await run(["skills", "push", dir, "--dry-run"], { routes: routes() });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Unchanged Daily report/);
+    assert.match(stdout, /Would create Stock alert from/);
+    assert.match(stdout, /Would update Weekly report \(weekly-report\) from/);
+    assert.deepEqual(
+      transport.calls.map((call) => call.method),
+      ["GET"]
+    );
+  });
+
+  test("match skills by name when the file's ID is from another instance", async () => {
+    const dir = await newDir();
+    await writeSkillFile(path.join(dir, "daily.yaml"), { ...SKILL, id: "other-instance-id", is_active: false });
+
+    const { stdout, transport } = await run(["skills", "push", dir], { routes: routes() });
+
+    assert.match(stdout, /Updated Daily report \(daily-report\)/);
+    assert.equal(transport.calls.at(-1).path, "/skills/daily-report");
+  });
+
+  test("push the valid files and fail with exit code 1 on the others", async () => {
+    const dir = await newDir();
+    await writeSkillFile(path.join(dir, "daily-report.yaml"), { ...SKILL, is_active: false });
+    await fs.writeFile(path.join(dir, "no-version.yaml"), "name: Broken\n");
+    await fs.writeFile(path.join(dir, "unknown-field.json"), JSON.stringify({ version: 1, ...SKILL, owner: "me" }));
+
+    const { code, stdout, stderr, transport } = await run(["skills", "push", dir], { routes: routes() });
+
+    assert.equal(code, 1);
+    assert.match(stdout, /Updated Daily report/);
+    assert.match(stderr, /Failed to push .*no-version\.yaml: The file has no version/);
+    assert.match(stderr, /Failed to push .*unknown-field\.json: The file doesn't match the skill file format:\n {2}\$\.owner isn't a known field/);
+    assert.equal(transport.calls.filter((call) => call.method === "PATCH").length, 1);
+  });
+
+  test("exit with code 2 when there is nothing to push", async () => {
+    const empty = await run(["skills", "push", await newDir()]);
+    const missing = await run(["skills", "push", path.join(tmp, "missing")]);
+
+    assert.equal(empty.code, 2);
+    assert.match(empty.stderr, /No skill files/);
+    assert.equal(missing.code, 2);
+    assert.match(missing.stderr, /missing doesn't exist/);
+  });
+});
+
+describe("skills pull", () => {
+  test("write each skill to a file named after it", async () => {
+    const dir = await newDir();
+    const routes = {
+      "GET /skills": page([SKILL, { ...SKILL, id: "daily-report-2" }, { ...SKILL, id: "alert", name: "Stock alert" }]),
+    };
+
+    const { code } = await run(["skills", "pull", "--dir", dir, "--format", "json"], { routes });
+
+    assert.equal(code, 0);
+    assert.deepEqual((await fs.readdir(dir)).sort(), ["daily-report-daily-report-2.json", "daily-report.json", "stock-alert.json"]);
+    assert.equal((await readSkillFile(path.join(dir, "stock-alert.json"))).id, "alert");
+  });
+
+  test("overwrite the file a skill was pulled to before, whatever its name", async () => {
+    const dir = await newDir();
+    await writeSkillFile(path.join(dir, "my-report.yml"), SKILL);
+
+    const { stdout } = await run(["skills", "pull", "daily-report", "--dir", dir], {
+      routes: { "GET /skills/{id}": { body: { data: { ...SKILL, description: "Changed on the dashboard" } } } },
+    });
+
+    assert.match(stdout, /Pulled Daily report \(daily-report\) to .*my-report\.yml/);
+    assert.deepEqual(await fs.readdir(dir), ["my-report.yml"]);
+    assert.equal((await readSkillFile(path.join(dir, "my-report.yml"))).description, "Changed on the dashboard");
+  });
+
+  test("write files that push as unchanged", async () => {
+    const dir = await newDir();
+    const routes = { "GET /skills": page([{ ...SKILL, run_count: 3, created_at: "2026-10-01" }]) };
+
+    await run(["skills", "pull", "--dir", dir], { routes });
+    const { stdout, transport } = await run(["skills", "push", dir], { routes });
+
+    assert.match(stdout, /Unchanged Daily report/);
+    assert.equal(transport.calls.length, 1);
+  });
+});
+
+describe("skills run and executions tail", () => {
+  const started = { status: 202, body: { data: { executionId: "exec-1", status: "running" } } };
+
+  test("start a skill with its input", async () => {
+    const { code, stdout, transport } = await run(["skills", "run", "daily-report", "--input", '{"date":"2026-10-18"}'], {
+      routes: { "POST /skills/{id}/execute": started },
+    });
+
+    assert.equal(code, 0);
+    assert.equal(stdout, "Started execution exec-1 (running)\n");
+    assert.deepEqual(transport.calls[0].body, { input: { date: "2026-10-18" } });
+  });
+
+  test("read the input from a file", async () => {
+    const file = path.join(await newDir(), "input.yaml");
+    await fs.writeFile(file, "date: 2026-10-18\n");
+
+    const { transport } = await run(["skills", "run", "daily-report", "--input-file", file], {
+      routes: { "POST /skills/{id}/execute": started },
+    });
+
+    assert.deepEqual(transport.calls[0].body, { input: { date: "2026-10-18" } });
+  });
+
+  test("with --wait, follow the execution and print its output", async () => {
+    const { code, stdout } = await run(["skills", "run", "daily-report", "--wait", "--interval", "0.01"], {
+      routes: {
+        "POST /skills/{id}/execute": started,
+        "GET /executions/{id}": [
+          { body: { data: { id: "exec-1", status: "running", steps: [{ id: "step-1", status: "running" }] } } },
+          { body: { data: { id: "exec-1", status: "completed", steps: [{ id: "step-1", status: "completed" }], output: "Done" } } },
+        ],
+      },
+    });
+
+    assert.equal(code, 0);
+    assert.equal(
+      stdout,
+      [
+        "Execution exec-1: running",
+        "  step-1: running",
+        "Execution exec-1: completed",
+        "  step-1: completed",
+        "Done",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("exit with code 1 when the execution failed", async () => {
+    const { code, stdout } = await run(["executions", "tail", "exec-1"], {
+      routes: { "GET /executions/{id}": { body: { data: { id: "exec-1", status: "failed", error: "Slack is down" } } } },
+    });
+
+    assert.equal(code, 1);
+    assert.match(stdout, /Error: Slack is down/);
+  });
+});
+
+describe("vm status", () => {
+  const vm = {
+    id: "inst-1",
+    name: "Production",
+    environment: "production",
+    vmStatus: "ready",
+    vmSubdomain: "cozy-peanut",
+    vmRegion: "hel1",
+    vmSize: "cx32",
+    vmVolumeSize: 40,
+    health: { status: "healthy", responseTime: 84 },
+  };
+
+  test("exit with code 0 for a healthy VM", async () => {
+    const { code, stdout } = await run(["vm", "status"], { routes: { "GET /vm": { body: { data: vm } } } });
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Health: {4}healthy \(84 ms\)/);
+  });
+
+  test("exit with code 1 for a VM that isn't ready or healthy", async () => {
+    const provisioning = await run(["vm", "status"], {
+      routes: { "GET /vm": { body: { data: { ...vm, vmStatus: "provisioning", health: null } } } },
+    });
+    const unhealthy = await run(["vm", "status", "--json"], {
+      routes: { "GET /vm": { body: { data: { ...vm, health: { status: "timeout", responseTime: null } } } } },
+    });
+
+    assert.equal(provisioning.code, 1);
+    assert.match(provisioning.stdout, /not checked \(VM not ready\)/);
+    assert.equal(unhealthy.code, 1);
+    assert.equal(JSON.parse(unhealthy.stdout).health.status, "timeout");
+  });
+});
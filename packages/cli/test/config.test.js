@@ -0,0 +1,131 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  getConfigPath,
+  readConfig,
+  writeConfig,
+  deleteConfig,
+  resolveSettings,
+  DEFAULT_BASE_URL,
+} from "../src/config.js";
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), "alfred-cli-config-"));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+describe("getConfigPath", () => {
+  test("uses ALFRED_CONFIG_DIR first", () => {
+    assert.equal(getConfigPath({ ALFRED_CONFIG_DIR: "/etc/alfred", XDG_CONFIG_HOME: "/xdg" }), "/etc/alfred/config.json");
+  });
+
+  test("then XDG_CONFIG_HOME", () => {
+    assert.equal(getConfigPath({ XDG_CONFIG_HOME: "/xdg" }), "/xdg/alfred/config.json");
+  });
+
+  test("then ~/.config", () => {
+    assert.equal(getConfigPath({}), path.join(os.homedir(), ".config", "alfred", "config.json"));
+  });
+});
+
+describe("readConfig, writeConfig and deleteConfig", () => {
+  test("read an empty config before anybody logged in", async () => {
+    assert.deepEqual(await readConfig({ ALFRED_CONFIG_DIR: path.join(tmp, "nobody") }), {});
+  });
+
+  test("write the config readable only by the user, and read it back", async () => {
+    const env = { ALFRED_CONFIG_DIR: path.join(tmp, "written") };
+
+    const configPath = await writeConfig({ apiKey: "alf_secret", baseUrl: DEFAULT_BASE_URL }, env);
+
+    assert.equal(configPath, path.join(tmp, "written", "config.json"));
+    assert.equal((await fs.stat(configPath)).mode & 0o777, 0o600);
+    assert.equal((await fs.stat(path.dirname(configPath))).mode & 0o777, 0o700);
+    assert.deepEqual(await readConfig(env), { apiKey: "alf_secret", baseUrl: DEFAULT_BASE_URL });
+  });
+
+  test("make an existing config readable only by the user when it is rewritten", async () => {
+    const env = { ALFRED_CONFIG_DIR: path.join(tmp, "existing") };
+    await fs.mkdir(env.ALFRED_CONFIG_DIR);
+    await fs.writeFile(getConfigPath(env), "{}", { mode: 0o644 });
+
+    await writeConfig({ apiKey: "alf_secret" }, env);
+
+    assert.equal((await fs.stat(getConfigPath(env))).mode & 0o777, 0o600);
+  });
+
+  test("fail on a config that isn't JSON", async () => {
+    const env = { ALFRED_CONFIG_DIR: path.join(tmp, "broken") };
+    await fs.mkdir(env.ALFRED_CONFIG_DIR);
+    await fs.writeFile(getConfigPath(env), "apiKey: alf_secret");
+
+    await assert.rejects(readConfig(env), /Can't read .*broken\/config\.json/);
+  });
+
+  test("delete the config, and tell whether there was one", async () => {
+    const env = { ALFRED_CONFIG_DIR: path.join(tmp, "deleted") };
+    await writeConfig({ apiKey: "alf_secret" }, env);
+
+    assert.equal(await deleteConfig(env), true);
+    assert.equal(await deleteConfig(env), false);
+    assert.deepEqual(await readConfig(env), {});
+  });
+});
+
+describe("resolveSettings", () => {
+  const configDir = () => path.join(tmp, "settings");
+
+  before(async () => {
+    await writeConfig({ apiKey: "alf_from_config", baseUrl: "https://config.example.com/api/v1" }, {
+      ALFRED_CONFIG_DIR: configDir(),
+    });
+  });
+
+  test("use the config when nothing overrides it", async () => {
+    assert.deepEqual(await resolveSettings({}, { ALFRED_CONFIG_DIR: configDir() }), {
+      apiKey: "alf_from_config",
+      baseUrl: "https://config.example.com/api/v1",
+      instanceId: undefined,
+    });
+  });
+
+  test("prefer the environment to the config", async () => {
+    const env = {
+      ALFRED_CONFIG_DIR: configDir(),
+      ALFRED_API_KEY: "alf_from_env",
+      ALFRED_BASE_URL: "https://env.example.com/api/v1",
+      ALFRED_INSTANCE: "staging",
+    };
+
+    assert.deepEqual(await resolveSettings({}, env), {
+      apiKey: "alf_from_env",
+      baseUrl: "https://env.example.com/api/v1",
+      instanceId: "staging",
+    });
+  });
+
+  test("prefer options to the environment", async () => {
+    const env = { ALFRED_CONFIG_DIR: configDir(), ALFRED_BASE_URL: "https://env.example.com/api/v1", ALFRED_INSTANCE: "staging" };
+
+    const settings = await resolveSettings({ "base-url": "http://localhost:3000/api/v1", instance: "dev" }, env);
+
+    assert.equal(settings.baseUrl, "http://localhost:3000/api/v1");
+    assert.equal(settings.instanceId, "dev");
+  });
+
+  test("use the default URL and no API key without a config", async () => {
+    assert.deepEqual(await resolveSettings({}, { ALFRED_CONFIG_DIR: path.join(tmp, "none") }), {
+      apiKey: undefined,
+      baseUrl: DEFAULT_BASE_URL,
+      instanceId: undefined,
+    });
+  });
+});
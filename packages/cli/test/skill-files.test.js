@@ -0,0 +1,160 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  toSkillFile,
+  validateSkillFile,
+  readSkillFile,
+  writeSkillFile,
+  findSkillFiles,
+  skillFileSlug,
+  SKILL_FILE_SCHEMA_URL,
+} from "../src/skill-files.js";
+
+const SKILL = {
+  id: "daily-report",
+  name: "Daily report",
+  description: "Sums up yesterday's orders",
+  trigger_type: "schedule",
+  trigger_config: { cron: "0 8 * * *" },
+  steps: [{ id: "step-1", prompt: "List yesterday's orders", allowedTools: ["shopify"] }],
+  connections: ["shopify"],
+  is_active: true,
+};
+
+let tmp;
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), "alfred-cli-files-"));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+describe("toSkillFile", () => {
+  test("keeps the fields of a skill file in file order, without the API's own", () => {
+    const skill = {
+      created_at: "2026-10-01",
+      is_active: true,
+      steps: [{ status: "done", prompt: "List yesterday's orders", id: "step-1" }],
+      name: "Daily report",
+      id: "daily-report",
+      run_count: 12,
+      trigger_config: null,
+    };
+
+    const file = toSkillFile(skill);
+
+    assert.deepEqual(Object.keys(file), ["id", "name", "steps", "is_active"]);
+    assert.deepEqual(file.steps, [{ id: "step-1", prompt: "List yesterday's orders" }]);
+  });
+});
+
+describe("validateSkillFile", () => {
+  test("accepts a skill file", () => {
+    assert.equal(validateSkillFile({ $schema: SKILL_FILE_SCHEMA_URL, version: 1, ...SKILL }), null);
+  });
+
+  test("requires the version", () => {
+    assert.match(validateSkillFile(SKILL), /no version \(add "version: 1"\)/);
+    assert.match(validateSkillFile({ ...SKILL, version: 2 }), /Version 2 skill files aren't supported/);
+  });
+
+  test("reports what doesn't match the schema, one problem per line", () => {
+    const problem = validateSkillFile({
+      version: 1,
+      ...SKILL,
+      trigger_type: "hourly",
+      trigger_config: { cron: 8 },
+      steps: [{ id: "step-1" }],
+      owner: "me",
+    });
+
+    assert.equal(
+      problem,
+      [
+        "The file doesn't match the skill file format:",
+        "  $.trigger_type must be one of: manual, schedule, webhook",
+        "  $.trigger_config.cron must be a string",
+        "  $.steps[0].prompt is required",
+        "  $.owner isn't a known field",
+      ].join("\n")
+    );
+  });
+
+  test("sends bundles of skills to the dashboard", () => {
+    const { id, ...skill } = SKILL;
+
+    assert.match(validateSkillFile({ version: 1, skills: [{ ...skill, name: id }] }), /bundle of skills: import it on the dashboard/);
+  });
+
+  test("rejects files that don't hold a skill", () => {
+    assert.match(validateSkillFile("name: Daily report"), /must contain a skill/);
+  });
+});
+
+describe("writeSkillFile and readSkillFile", () => {
+  test("write YAML with the schema comment, and read it back", async () => {
+    const file = path.join(tmp, "yaml", "daily-report.yaml");
+
+    await writeSkillFile(file, { ...SKILL, run_count: 3 });
+
+    const text = await fs.readFile(file, "utf8");
+    assert.ok(text.startsWith(`# yaml-language-server: $schema=${SKILL_FILE_SCHEMA_URL}\nversion: 1\nid: daily-report\n`));
+    assert.deepEqual(await readSkillFile(file), { version: 1, ...SKILL });
+  });
+
+  test("write JSON with $schema, and read it back", async () => {
+    const file = path.join(tmp, "json", "daily-report.json");
+
+    await writeSkillFile(file, SKILL);
+
+    const contents = await readSkillFile(file);
+    assert.deepEqual(Object.keys(contents).slice(0, 3), ["$schema", "version", "id"]);
+    assert.deepEqual(contents, { $schema: SKILL_FILE_SCHEMA_URL, version: 1, ...SKILL });
+    assert.equal(validateSkillFile(contents), null);
+  });
+
+  test("fail on a file that can't be parsed", async () => {
+    const file = path.join(tmp, "broken.json");
+    await fs.writeFile(file, "{ name: ");
+
+    await assert.rejects(readSkillFile(file), SyntaxError);
+  });
+});
+
+describe("findSkillFiles", () => {
+  test("find the YAML and JSON files of directories, sorted, and keep files as they are", async () => {
+    const dir = path.join(tmp, "found");
+    await fs.mkdir(path.join(dir, "nested"), { recursive: true });
+    for (const name of ["b.yml", "a.yaml", "c.json", "notes.md", "nested/d.yaml"]) {
+      await fs.writeFile(path.join(dir, name), "");
+    }
+
+    const files = await findSkillFiles([dir, path.join(tmp, "broken.json")]);
+
+    assert.deepEqual(files, [
+      path.join(dir, "a.yaml"),
+      path.join(dir, "b.yml"),
+      path.join(dir, "c.json"),
+      path.join(tmp, "broken.json"),
+    ]);
+  });
+
+  test("fail on a path that doesn't exist", async () => {
+    await assert.rejects(findSkillFiles([path.join(tmp, "missing")]), { code: "ENOENT" });
+  });
+});
+
+describe("skillFileSlug", () => {
+  test("make a file name from the skill's name", () => {
+    assert.equal(skillFileSlug({ id: "s1", name: "Café: Daily Report!" }), "cafe-daily-report");
+  });
+
+  test("fall back to the skill's ID", () => {
+    assert.equal(skillFileSlug({ id: 42, name: "???" }), "42");
+  });
+});
@@ -0,0 +1,416 @@
+/**
+ * Alfred API client
+ *
+ * Wraps the public API (/api/v1): every method returns the response's data, lists return
+ * { data, pagination }, and failures throw AlfredError (see errors.js).
+ *
+ * Requests that failed without being processed are retried with exponential backoff: rate limits (429
+ * rate_limited, after Retry-After), unavailable VMs (503), gateway errors and timeouts. Requests that
+ * change something (POST, PATCH) are only retried when the API certainly didn't act on them.
+ */
+
+import { AlfredError, AlfredConnectionError, toAlfredError } from "./errors.js";
+import { createFetchTransport } from "./transports.js";
+
+const DEFAULT_BASE_URL = "https://alfred.rocks/api/v1";
+
+// Statuses retried for any request; POST and PATCH only on NOT_PROCESSED_STATUSES, which the API answers
+// without contacting the VM (a VM that timed out answers 504 vm_timeout and may have acted)
+const RETRY_STATUSES = [408, 429, 502, 503, 504];
+const NOT_PROCESSED_STATUSES = [429, 503];
+const IDEMPOTENT_METHODS = ["GET", "DELETE"];
+
+// Running executions end as one of these
+const FINISHED_EXECUTION_STATUSES = ["completed", "failed"];
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class Alfred {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - API key (alf_...), from the dashboard's API keys page
+   * @param {string} options.baseUrl - API URL (default: https://alfred.rocks/api/v1)
+   * @param {string} options.instanceId - Instance to work on (default: the production instance)
+   * @param {number} options.maxRetries - Retries of a failed request (default: 3)
+   * @param {number} options.retryDelay - First retry delay in milliseconds, doubled on each retry (default: 500)
+   * @param {number} options.maxRetryDelay - Longest wait between retries in milliseconds (default: 30000)
+   * @param {number} options.timeout - Request timeout in milliseconds, for the default transport (default: 30000)
+   * @param {Function} options.transport - Sends requests (default: fetch, see transports.js)
+   * @param {Function} options.sleep - Waits between retries and polls (ms) => Promise, e.g. instant in tests
+   */
+  constructor({
+    apiKey,
+    baseUrl = DEFAULT_BASE_URL,
+    instanceId,
+    maxRetries = 3,
+    retryDelay = 500,
+    maxRetryDelay = 30000,
+    timeout = 30000,
+    transport,
+    sleep = defaultSleep,
+  } = {}) {
+    if (!apiKey) {
+      throw new Error("An API key is required: new Alfred({ apiKey: 'alf_...' })");
+    }
+
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.instanceId = instanceId;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.transport = transport || createFetchTransport({ timeout });
+    this.sleep = sleep;
+
+    this.skills = new Skills(this);
+    this.executions = new Executions(this);
+    this.connections = new Connections(this);
+    this.vm = new Vm(this);
+    this.usage = new Usage(this);
+  }
+
+  /**
+   * Use another instance of the organization, e.g. staging
+   *
+   * @param {string} instanceId - Instance ID
+   * @returns {Alfred} A client sharing this one's settings
+   */
+  withInstance(instanceId) {
+    const client = Object.create(Alfred.prototype);
+    Object.assign(client, this, { instanceId });
+    client.skills = new Skills(client);
+    client.executions = new Executions(client);
+    client.connections = new Connections(client);
+    client.vm = new Vm(client);
+    client.usage = new Usage(client);
+    return client;
+  }
+
+  /**
+   * Send a request to the API
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under /api/v1, e.g. '/skills'
+   * @param {Object} options
+   * @param {Object} options.query - Query parameters (undefined and null values are left out)
+   * @param {Object} options.body - JSON body
+   * @returns {Promise<Object>} The response body { data, pagination? }
+   * @throws {AlfredError} When the API answers an error, or AlfredConnectionError when it can't be reached
+   */
+  async request(method, path, { query, body } = {}) {
+    const url = new URL(`${this.baseUrl}${path}`);
+    for (const [name, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(name, String(value));
+      }
+    }
+
+    const headers = {
+      Authorization: `Bearer ${this.apiKey}`,
+      Accept: "application/json",
+    };
+    if (body !== undefined) {
+      headers["Content-Type"] = "application/json";
+    }
+    if (this.instanceId) {
+      headers["X-Alfred-Instance"] = this.instanceId;
+    }
+
+    const request = {
+      method,
+      url: url.toString(),
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await this.transport(request);
+      } catch (error) {
+        // Without an answer, a POST or PATCH may have been processed, so only idempotent requests are retried
+        if (attempt < this.maxRetries && IDEMPOTENT_METHODS.includes(method)) {
+          await this.sleep(this.getRetryDelay(attempt));
+          continue;
+        }
+        throw new AlfredConnectionError(`${method} ${path} failed: ${error.message}`, { cause: error });
+      }
+
+      if (response.status >= 200 && response.status < 300) {
+        return response.body;
+      }
+
+      const error = toAlfredError(response);
+      if (attempt < this.maxRetries && this.shouldRetry(method, error)) {
+        await this.sleep(this.getRetryDelay(attempt, error));
+        continue;
+      }
+
+      throw error;
+    }
+  }
+
+  shouldRetry(method, error) {
+    // Waiting out a plan's usage limit takes hours, not seconds
+    if (error.code === "usage_limit_exceeded") {
+      return false;
+    }
+
+    const statuses = IDEMPOTENT_METHODS.includes(method) ? RETRY_STATUSES : NOT_PROCESSED_STATUSES;
+    return statuses.includes(error.status);
+  }
+
+  getRetryDelay(attempt, error) {
+    const retryAfter = Number(error?.headers?.["retry-after"]);
+    if (retryAfter > 0) {
+      return Math.min(retryAfter * 1000, this.maxRetryDelay);
+    }
+
+    // Exponential backoff with jitter, so clients that failed together don't retry together
+    const delay = this.retryDelay * 2 ** attempt;
+    return Math.min(delay / 2 + Math.random() * (delay / 2), this.maxRetryDelay);
+  }
+
+  /**
+   * Go through every page of a list
+   *
+   * @param {Function} listPage - (cursor) => Promise<{ data, pagination }>
+   * @returns {AsyncGenerator<Object>} Each item of each page
+   */
+  async *paginate(listPage) {
+    let cursor;
+    do {
+      const { data, pagination } = await listPage(cursor);
+      yield* data;
+      cursor = pagination?.hasMore ? pagination.nextCursor : null;
+    } while (cursor);
+  }
+}
+
+const encode = (id) => encodeURIComponent(id);
+
+class Skills {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * List skills, one page at a time
+   * @param {Object} options - { limit, cursor }
+   * @returns {Promise<Object>} { data: Skill[], pagination: { nextCursor, hasMore } }
+   */
+  list({ limit, cursor } = {}) {
+    return this.client.request("GET", "/skills", { query: { limit, cursor } });
+  }
+
+  /**
+   * Go through every skill
+   * @returns {AsyncGenerator<Object>} Skills
+   *
+   * @example
+   * for await (const skill of alfred.skills.listAll()) console.log(skill.name);
+   */
+  listAll({ limit = 100 } = {}) {
+    return this.client.paginate((cursor) => this.list({ limit, cursor }));
+  }
+
+  /**
+   * @param {string} id - Skill ID
+   * @returns {Promise<Object>} Skill
+   */
+  async get(id) {
+    return (await this.client.request("GET", `/skills/${encode(id)}`)).data;
+  }
+
+  /**
+   * @param {Object} skill - { name, description, trigger_type, trigger_config?, steps, connections?, is_active? }
+   * @returns {Promise<Object>} The created skill
+   */
+  async create(skill) {
+    return (await this.client.request("POST", "/skills", { body: skill })).data;
+  }
+
+  /**
+   * Change some of a skill's fields
+   * @param {string} id - Skill ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} The updated skill
+   */
+  async update(id, changes) {
+    return (await this.client.request("PATCH", `/skills/${encode(id)}`, { body: changes })).data;
+  }
+
+  /**
+   * @param {string} id - Skill ID
+   * @returns {Promise<Object>} { id, deleted: true }
+   */
+  async delete(id) {
+    return (await this.client.request("DELETE", `/skills/${encode(id)}`)).data;
+  }
+
+  /**
+   * Start running a skill
+   * @param {string} id - Skill ID
+   * @param {Object} options
+   * @param {Object} options.input - Input for the skill
+   * @param {boolean} options.wait - Wait for the execution to finish (see executions.waitForCompletion)
+   * @returns {Promise<Object>} { executionId, status }, or the finished execution when waiting
+   */
+  async execute(id, { input, wait = false, ...waitOptions } = {}) {
+    const { data } = await this.client.request("POST", `/skills/${encode(id)}/execute`, {
+      body: input === undefined ? {} : { input },
+    });
+
+    return wait ? this.client.executions.waitForCompletion(data.executionId, waitOptions) : data;
+  }
+}
+
+class Executions {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * List executions, newest first, one page at a time
+   * @param {Object} options - { status, skillId, limit, cursor }
+   * @returns {Promise<Object>} { data: Execution[], pagination: { nextCursor, hasMore } }
+   */
+  list({ status, skillId, limit, cursor } = {}) {
+    return this.client.request("GET", "/executions", { query: { status, skillId, limit, cursor } });
+  }
+
+  /**
+   * Go through every execution, newest first
+   * @param {Object} options - { status, skillId }
+   * @returns {AsyncGenerator<Object>} Executions
+   */
+  listAll({ status, skillId, limit = 100 } = {}) {
+    return this.client.paginate((cursor) => this.list({ status, skillId, limit, cursor }));
+  }
+
+  /**
+   * @param {string} id - Execution ID
+   * @returns {Promise<Object>} Execution with its steps, output and token usage
+   */
+  async get(id) {
+    return (await this.client.request("GET", `/executions/${encode(id)}`)).data;
+  }
+
+  /**
+   * Poll an execution until it has completed or failed
+   *
+   * @param {string} id - Execution ID
+   * @param {Object} options
+   * @param {number} options.interval - Milliseconds between polls (default: 2000)
+   * @param {number} options.timeout - Milliseconds before giving up (default: 600000)
+   * @param {Function} options.onPoll - Called with the execution after each poll
+   * @returns {Promise<Object>} The finished execution (check its status: 'completed' or 'failed')
+   * @throws {AlfredError} 'wait_timeout' if it is still running after the timeout
+   */
+  async waitForCompletion(id, { interval = 2000, timeout = 600000, onPoll } = {}) {
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      const execution = await this.get(id);
+      onPoll?.(execution);
+
+      if (FINISHED_EXECUTION_STATUSES.includes(execution.status)) {
+        return execution;
+      }
+
+      if (Date.now() + interval > deadline) {
+        throw new AlfredError(`Execution ${id} was still ${execution.status} after ${timeout}ms`, {
+          code: "wait_timeout",
+          details: { execution },
+        });
+      }
+
+      await this.client.sleep(interval);
+    }
+  }
+}
+
+class Connections {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * List connections, one page at a time
+   * @param {Object} options - { limit, cursor }
+   * @returns {Promise<Object>} { data: Connection[], pagination: { nextCursor, hasMore } }
+   */
+  list({ limit, cursor } = {}) {
+    return this.client.request("GET", "/connections", { query: { limit, cursor } });
+  }
+
+  /**
+   * Go through every connection
+   * @returns {AsyncGenerator<Object>} Connections
+   */
+  listAll({ limit = 100 } = {}) {
+    return this.client.paginate((cursor) => this.list({ limit, cursor }));
+  }
+
+  /**
+   * @param {string} id - Connection ID
+   * @returns {Promise<Object>} Connection
+   */
+  async get(id) {
+    return (await this.client.request("GET", `/connections/${encode(id)}`)).data;
+  }
+
+  /**
+   * Add an MCP connection
+   * @param {Object} connection - { name, type, config }
+   * @returns {Promise<Object>} The created connection
+   */
+  async create(connection) {
+    return (await this.client.request("POST", "/connections", { body: connection })).data;
+  }
+
+  /**
+   * @param {string} id - Connection ID
+   * @returns {Promise<Object>} { id, deleted: true }
+   */
+  async delete(id) {
+    return (await this.client.request("DELETE", `/connections/${encode(id)}`)).data;
+  }
+}
+
+class Vm {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Status of the instance's VM, health checked when it is ready
+   * @returns {Promise<Object>} Instance fields (vmStatus, vmSubdomain, ...) and health ({ status, responseTime } or null)
+   */
+  async status() {
+    return (await this.client.request("GET", "/vm")).data;
+  }
+}
+
+class Usage {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * This month's usage of the organization against its plan's quotas
+   * @returns {Promise<Object>} { period, usage, quotas, metered }
+   */
+  async get() {
+    return (await this.client.request("GET", "/usage")).data;
+  }
+
+  /**
+   * Usage over a date range
+   * @param {Object} options - { from, to } as YYYY-MM-DD, interval ('day' or 'week')
+   * @returns {Promise<Object>} { from, to, interval, series, totals }
+   */
+  async metrics({ from, to, interval } = {}) {
+    return (await this.client.request("GET", "/usage/metrics", { query: { from, to, interval } })).data;
+  }
+}
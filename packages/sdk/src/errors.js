@@ -0,0 +1,55 @@
+/**
+ * Errors thrown by the client
+ *
+ * The API answers errors as { error: { code, message, details? } } (see libs/api-v1.js); they are thrown
+ * as AlfredError with the same code. Requests that never got an answer throw AlfredConnectionError.
+ */
+
+export class AlfredError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} options
+   * @param {string} options.code - API error code, e.g. 'not_found' or 'rate_limited'
+   * @param {number} options.status - HTTP status (0 when there was no response)
+   * @param {Object} options.details - Extra fields sent with some codes
+   * @param {Object} options.headers - Response headers
+   */
+  constructor(message, { code, status = 0, details, headers = {} } = {}) {
+    super(message);
+    this.name = "AlfredError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+export class AlfredConnectionError extends AlfredError {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} options
+   * @param {Error} options.cause - The network or timeout error
+   */
+  constructor(message, { cause } = {}) {
+    super(message, { code: "connection_error" });
+    this.name = "AlfredConnectionError";
+    this.cause = cause;
+  }
+}
+
+/**
+ * Make the error for a response that isn't successful
+ *
+ * @param {Object} response - Transport response { status, headers, body }
+ * @returns {AlfredError}
+ */
+export function toAlfredError(response) {
+  const error = response.body?.error;
+
+  return new AlfredError(error?.message || `Request failed with status ${response.status}`, {
+    code: error?.code || "unknown_error",
+    status: response.status,
+    details: error?.details,
+    headers: response.headers,
+  });
+}
@@ -0,0 +1,259 @@
+// Types of the Alfred API (see /api/v1/openapi.json) and of this client
+
+export type TriggerType = "manual" | "schedule" | "webhook";
+export type ExecutionStatus = "running" | "completed" | "failed";
+
+export type ErrorCode =
+  | "invalid_request"
+  | "unauthorized"
+  | "forbidden"
+  | "not_found"
+  | "rate_limited"
+  | "usage_limit_exceeded"
+  | "internal_error"
+  | "vm_error"
+  | "vm_unavailable"
+  | "vm_timeout"
+  | "connection_error"
+  | "wait_timeout"
+  | "unknown_error";
+
+export interface SkillStep {
+  id: string;
+  prompt: string;
+  guidance?: string;
+  allowedTools?: string[];
+}
+
+export interface SkillInput {
+  name: string;
+  description: string;
+  trigger_type: TriggerType;
+  trigger_config?: { cron?: string; method?: string; [key: string]: unknown };
+  steps: SkillStep[];
+  connections?: string[];
+  is_active?: boolean;
+}
+
+export interface Skill extends SkillInput {
+  id: string;
+  [key: string]: unknown;
+}
+
+export interface Execution {
+  id: string;
+  status: ExecutionStatus;
+  skillId?: string;
+  skillName?: string;
+  triggerType?: TriggerType;
+  input?: Record<string, unknown>;
+  output?: unknown;
+  error?: string;
+  steps?: Record<string, unknown>[];
+  tokens?: { input?: number; output?: number };
+  duration?: number;
+  createdAt?: string;
+  [key: string]: unknown;
+}
+
+export interface ExecutionStarted {
+  executionId: string;
+  status: ExecutionStatus;
+}
+
+export interface ConnectionInput {
+  name: string;
+  type: string;
+  config: Record<string, unknown>;
+}
+
+export interface Connection {
+  id: string;
+  name: string;
+  type: string;
+  status?: string;
+  toolsCount?: number;
+  url?: string;
+  [key: string]: unknown;
+}
+
+export interface Deleted {
+  id: string;
+  deleted: true;
+}
+
+export interface VmStatus {
+  id: string;
+  name: string;
+  environment: "production" | "staging";
+  vmStatus: string;
+  vmSubdomain: string | null;
+  vmRegion: string | null;
+  vmSize: string | null;
+  vmVolumeSize: number | null;
+  vmProvisionedAt: string | null;
+  vmDeprovisionAt: string | null;
+  createdAt: string;
+  health: { status: "healthy" | "unhealthy" | "timeout" | "error"; responseTime: number | null; checkedAt: string } | null;
+}
+
+export interface UsageTotals {
+  executions: number;
+  successes: number;
+  failures: number;
+  tokens: number;
+  durationMs: number;
+}
+
+export interface UsageSummary {
+  period: string;
+  usage: UsageTotals;
+  quotas: { executions?: number; tokens?: number };
+  metered: {
+    metric: string;
+    included: number;
+    overage: number;
+    unitPrice: number;
+    estimatedCost: number;
+  } | null;
+}
+
+export interface UsageMetrics {
+  from: string;
+  to: string;
+  interval: "day" | "week";
+  series: (UsageTotals & { date: string })[];
+  totals: UsageTotals;
+}
+
+export interface Pagination {
+  nextCursor: string | null;
+  hasMore: boolean;
+}
+
+export interface Page<T> {
+  data: T[];
+  pagination: Pagination;
+}
+
+export interface PageOptions {
+  limit?: number;
+  cursor?: string;
+}
+
+export interface WaitOptions {
+  interval?: number;
+  timeout?: number;
+  onPoll?: (execution: Execution) => void;
+}
+
+export interface TransportRequest {
+  method: string;
+  url: string;
+  headers: Record<string, string>;
+  body?: string;
+}
+
+export interface TransportResponse {
+  status: number;
+  headers: Record<string, string>;
+  body: any;
+}
+
+export type Transport = (request: TransportRequest) => Promise<TransportResponse>;
+
+export interface AlfredOptions {
+  apiKey: string;
+  baseUrl?: string;
+  instanceId?: string;
+  maxRetries?: number;
+  retryDelay?: number;
+  maxRetryDelay?: number;
+  timeout?: number;
+  transport?: Transport;
+  sleep?: (ms: number) => Promise<void>;
+}
+
+export class Alfred {
+  constructor(options: AlfredOptions);
+  withInstance(instanceId: string): Alfred;
+  request<T = any>(method: string, path: string, options?: { query?: Record<string, unknown>; body?: unknown }): Promise<T>;
+
+  skills: {
+    list(options?: PageOptions): Promise<Page<Skill>>;
+    listAll(options?: { limit?: number }): AsyncGenerator<Skill>;
+    get(id: string): Promise<Skill>;
+    create(skill: SkillInput): Promise<Skill>;
+    update(id: string, changes: Partial<SkillInput>): Promise<Skill>;
+    delete(id: string): Promise<Deleted>;
+    execute(id: string, options?: { input?: Record<string, unknown>; wait?: false }): Promise<ExecutionStarted>;
+    execute(id: string, options: { input?: Record<string, unknown>; wait: true } & WaitOptions): Promise<Execution>;
+  };
+
+  executions: {
+    list(options?: PageOptions & { status?: ExecutionStatus; skillId?: string }): Promise<Page<Execution>>;
+    listAll(options?: { status?: ExecutionStatus; skillId?: string; limit?: number }): AsyncGenerator<Execution>;
+    get(id: string): Promise<Execution>;
+    waitForCompletion(id: string, options?: WaitOptions): Promise<Execution>;
+  };
+
+  connections: {
+    list(options?: PageOptions): Promise<Page<Connection>>;
+    listAll(options?: { limit?: number }): AsyncGenerator<Connection>;
+    get(id: string): Promise<Connection>;
+    create(connection: ConnectionInput): Promise<Connection>;
+    delete(id: string): Promise<Deleted>;
+  };
+
+  vm: {
+    status(): Promise<VmStatus>;
+  };
+
+  usage: {
+    get(): Promise<UsageSummary>;
+    metrics(options?: { from?: string; to?: string; interval?: "day" | "week" }): Promise<UsageMetrics>;
+  };
+}
+
+export class AlfredError extends Error {
+  code: ErrorCode;
+  status: number;
+  details?: Record<string, unknown>;
+  headers: Record<string, string>;
+}
+
+export class AlfredConnectionError extends AlfredError {
+  cause?: Error;
+}
+
+export type MockResponse = { status?: number; headers?: Record<string, string>; body?: unknown };
+
+export interface MockRequest {
+  method: string;
+  path: string;
+  query: Record<string, string>;
+  params: Record<string, string>;
+  headers: Record<string, string>;
+  body?: any;
+}
+
+export type MockHandler = MockResponse | ((request: MockRequest) => MockResponse | Promise<MockResponse>);
+
+export interface MockTransport extends Transport {
+  calls: MockRequest[];
+  reset(): void;
+}
+
+export function createFetchTransport(options?: { fetch?: typeof fetch; timeout?: number }): Transport;
+export function createMockTransport(routes?: Record<string, MockHandler | MockHandler[]>): MockTransport;
+
+export const SKILL_FILE_VERSION: 1;
+export const SKILL_FILE_SCHEMA_URL: string;
+export const SKILL_FILE_SCHEMA: Record<string, unknown>;
+export const SKILL_SCHEMA: Record<string, unknown>;
+export const SKILL_TRIGGER_TYPES: TriggerType[];
+
+export function checkSchema(value: unknown, schema: Record<string, unknown>, path?: string): string[];
+export function checkSkillFile(
+  contents: unknown
+): { bundle: boolean; skills: SkillInput[]; error?: undefined } | { error: string; details?: string[] };
@@ -0,0 +1,12 @@
+export { Alfred } from "./client.js";
+export { AlfredError, AlfredConnectionError } from "./errors.js";
+export { createFetchTransport, createMockTransport } from "./transports.js";
+export { checkSchema } from "./json-schema.js";
+export {
+  SKILL_FILE_VERSION,
+  SKILL_FILE_SCHEMA,
+  SKILL_FILE_SCHEMA_URL,
+  SKILL_SCHEMA,
+  SKILL_TRIGGER_TYPES,
+  checkSkillFile,
+} from "./skill-file.js";
@@ -0,0 +1,89 @@
+/**
+ * JSON Schema checks
+ *
+ * A small checker for the parts of JSON Schema that Alfred's schemas use (skill files, and the requests of
+ * the API), so the API, this SDK and the CLI check values the same way without a validator dependency:
+ * const, enum, type, minLength, maxLength, minimum, maximum, minItems, maxItems, items, required,
+ * properties and additionalProperties: false. Other keywords are only documentation.
+ */
+
+/**
+ * Name a value's JSON type the way JSON Schema does
+ *
+ * @param {*} value - Any value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+export function jsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Where the value is, for the messages (default: '$')
+ * @returns {Array<string>} What is wrong, as 'path problem' messages (none if the value is valid)
+ *
+ * @example
+ * checkSchema({ steps: [] }, { type: "object", required: ["name"] });
+ * // ['$.name is required']
+ */
+export function checkSchema(value, schema, path = "$") {
+  if ("const" in schema && value !== schema.const) {
+    return [`${path} must be ${JSON.stringify(schema.const)}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} must be one of: ${schema.enum.join(", ")}`];
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const type = jsonType(value);
+    if (!types.includes(type) && !(type === "integer" && types.includes("number"))) {
+      return [`${path} must be ${types.map((t) => (/^[aeiou]/.test(t) ? `an ${t}` : `a ${t}`)).join(" or ")}`];
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength && value.trim().length < schema.minLength) return [`${path} can't be empty`];
+    if (schema.maxLength && value.length > schema.maxLength) {
+      return [`${path} must be at most ${schema.maxLength} characters`];
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) return [`${path} must be at least ${schema.minimum}`];
+    if (schema.maximum !== undefined && value > schema.maximum) return [`${path} must be at most ${schema.maximum}`];
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) return [`${path} needs at least ${schema.minItems} item`];
+    if (schema.maxItems && value.length > schema.maxItems) return [`${path} can have at most ${schema.maxItems} items`];
+    if (schema.items) {
+      return value.flatMap((item, index) => checkSchema(item, schema.items, `${path}[${index}]`));
+    }
+  }
+
+  if (jsonType(value) === "object") {
+    const errors = (schema.required || [])
+      .filter((field) => value[field] === undefined)
+      .map((field) => `${path}.${field} is required`);
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const fieldSchema = schema.properties?.[field];
+      if (fieldSchema) {
+        errors.push(...checkSchema(fieldValue, fieldSchema, `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${field} isn't a known field`);
+      }
+    }
+    return errors;
+  }
+
+  return [];
+}
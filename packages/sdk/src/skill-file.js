@@ -0,0 +1,147 @@
+/**
+ * Skill files
+ *
+ * Skills are exported and imported as YAML or JSON files, for backups, reviews in a repository and
+ * moving skills between instances. A file holds one skill, or a bundle of skills:
+ *
+ *   version: 1                         version: 1
+ *   name: Daily report                 exportedAt: 2026-10-19T08:00:00.000Z
+ *   description: ...                   skills:
+ *   trigger_type: schedule               - name: Daily report
+ *   trigger_config: { cron: ... }          ...
+ *   steps: [{ id, prompt, ... }]
+ *
+ * SKILL_FILE_SCHEMA describes the format. The API serves it at /api/v1/schemas/skill-file.json, and the
+ * dashboard's import and the CLI check files against it with checkSkillFile, so a file one of them accepts
+ * is accepted by the others. `version` changes only when a file written for an older version would be read
+ * differently.
+ */
+
+import { checkSchema, jsonType } from "./json-schema.js";
+
+export const SKILL_FILE_VERSION = 1;
+
+export const SKILL_FILE_SCHEMA_URL = "https://alfred.rocks/api/v1/schemas/skill-file.json";
+
+export const SKILL_TRIGGER_TYPES = ["manual", "schedule", "webhook"];
+
+// Skills per bundle, so one import can't keep a VM busy for long (far more than a VM has in practice)
+export const MAX_BUNDLE_SKILLS = 500;
+
+export const SKILL_STEP_SCHEMA = {
+  type: "object",
+  required: ["id", "prompt"],
+  additionalProperties: false,
+  properties: {
+    id: { type: ["string", "integer"], minLength: 1, minimum: 1, description: "Step number or name, unique in the skill" },
+    prompt: { type: "string", minLength: 1, description: "What Alfred does in this step" },
+    guidance: { type: "string", description: "How to do it, or what to avoid" },
+    allowedTools: { type: "array", items: { type: "string" }, description: "Tools the step may use (all, if unset)" },
+  },
+};
+
+// A skill's definition, as the API takes it and skill files hold it
+export const SKILL_SCHEMA = {
+  type: "object",
+  required: ["name", "description", "trigger_type", "steps"],
+  additionalProperties: false,
+  properties: {
+    id: { type: "string", description: "ID of the skill (imports of skill files ignore it)" },
+    name: { type: "string", minLength: 1, maxLength: 200 },
+    description: { type: "string", minLength: 1 },
+    trigger_type: { type: "string", enum: SKILL_TRIGGER_TYPES },
+    trigger_config: {
+      type: "object",
+      properties: {
+        cron: { type: "string", minLength: 1, description: "Schedule of a schedule trigger, e.g. '0 8 * * *'" },
+        method: { type: "string", description: "HTTP method of a webhook trigger" },
+      },
+    },
+    steps: { type: "array", minItems: 1, items: SKILL_STEP_SCHEMA },
+    connections: { type: "array", items: { type: "string" }, description: "IDs of the connections the skill uses" },
+    is_active: { type: "boolean" },
+  },
+};
+
+const FILE_PROPERTIES = {
+  $schema: { type: "string" },
+  version: { const: SKILL_FILE_VERSION },
+};
+
+const SINGLE_SKILL_SCHEMA = {
+  title: "Skill",
+  type: "object",
+  required: ["version", ...SKILL_SCHEMA.required],
+  additionalProperties: false,
+  properties: { ...FILE_PROPERTIES, ...SKILL_SCHEMA.properties },
+};
+
+const BUNDLE_SCHEMA = {
+  title: "Bundle of skills",
+  type: "object",
+  required: ["version", "skills"],
+  additionalProperties: false,
+  properties: {
+    ...FILE_PROPERTIES,
+    exportedAt: { type: "string", description: "When the bundle was exported (ISO 8601)" },
+    instance: {
+      type: "object",
+      description: "Instance the skills were exported from",
+      properties: { name: { type: "string" }, environment: { type: "string" } },
+    },
+    skills: { type: "array", maxItems: MAX_BUNDLE_SKILLS, items: SKILL_SCHEMA },
+  },
+};
+
+export const SKILL_FILE_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: SKILL_FILE_SCHEMA_URL,
+  title: "Alfred skill file",
+  description: `A skill, or a bundle of skills, exported from Alfred (version ${SKILL_FILE_VERSION})`,
+  oneOf: [SINGLE_SKILL_SCHEMA, BUNDLE_SCHEMA],
+};
+
+/**
+ * Check the contents of a skill file against SKILL_FILE_SCHEMA
+ *
+ * @param {*} contents - Parsed file (YAML or JSON)
+ * @returns {Object} { bundle, skills } if the file is valid (bundle: whether it holds a bundle of skills),
+ *   or { error, details? } where details lists each problem as 'path problem'
+ *
+ * @example
+ * const file = checkSkillFile(yaml.load(text));
+ * if (file.error) {
+ *   console.error(file.error, file.details);
+ * }
+ */
+export function checkSkillFile(contents) {
+  if (jsonType(contents) !== "object") {
+    return { error: "The file must contain a skill or a bundle of skills" };
+  }
+
+  if (contents.version !== SKILL_FILE_VERSION) {
+    return {
+      error:
+        contents.version === undefined
+          ? `The file has no version (add "version: ${SKILL_FILE_VERSION}")`
+          : `Version ${contents.version} skill files aren't supported (only version ${SKILL_FILE_VERSION} is)`,
+    };
+  }
+
+  const bundle = "skills" in contents;
+  const details = checkSchema(contents, bundle ? BUNDLE_SCHEMA : SINGLE_SKILL_SCHEMA);
+
+  if (details.length === 0 && bundle) {
+    // Imports match skills by name, so a bundle can't have two of the same name
+    const names = contents.skills.map((skill) => skill.name.trim());
+    names.forEach((name, index) => {
+      if (names.indexOf(name) !== index) details.push(`$.skills[${index}] has the name of another skill: "${name}"`);
+    });
+  }
+
+  if (details.length) {
+    return { error: "The file doesn't match the skill file format", details };
+  }
+
+  return { bundle, skills: bundle ? contents.skills : [contents] };
+}
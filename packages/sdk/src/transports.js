@@ -0,0 +1,154 @@
+/**
+ * Transports
+ *
+ * A transport sends one HTTP request and returns its response; the client adds authentication, retries
+ * and error handling around it. Swap in createMockTransport to test code using the client offline.
+ *
+ * A transport is an async function (request) => response where:
+ * - request is { method, url, headers, body } with body already JSON-encoded (or undefined)
+ * - response is { status, headers, body } with headers lower-cased and body JSON-decoded (or null)
+ * It throws when there is no response at all (network error, timeout).
+ */
+
+/**
+ * Make a transport that uses fetch
+ *
+ * @param {Object} options
+ * @param {Function} options.fetch - fetch implementation (default: the global fetch, Node 18+)
+ * @param {number} options.timeout - Milliseconds before a request is abandoned (default: 30000)
+ * @returns {Function} Transport
+ */
+export function createFetchTransport({ fetch: fetchImpl = globalThis.fetch, timeout = 30000 } = {}) {
+  if (!fetchImpl) {
+    throw new Error("No fetch implementation found. Use Node 18+ or pass one: createFetchTransport({ fetch })");
+  }
+
+  return async ({ method, url, headers, body }) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetchImpl(url, { method, headers, body, signal: controller.signal });
+      const text = await response.text();
+
+      let data = null;
+      if (text) {
+        try {
+          data = JSON.parse(text);
+        } catch {
+          data = { error: { code: "invalid_response", message: text.slice(0, 500) } };
+        }
+      }
+
+      return {
+        status: response.status,
+        headers: Object.fromEntries([...response.headers].map(([name, value]) => [name.toLowerCase(), value])),
+        body: data,
+      };
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw new Error(`Request timed out after ${timeout}ms`, { cause: error });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+}
+
+// Match "GET /skills/{id}" against a method and path, returning the path parameters
+function matchRoute(pattern, method, path) {
+  const [patternMethod, patternPath] = pattern.split(" ");
+  if (patternMethod.toUpperCase() !== method) {
+    return null;
+  }
+
+  const patternParts = patternPath.split("/");
+  const pathParts = path.split("/");
+  if (patternParts.length !== pathParts.length) {
+    return null;
+  }
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    const name = patternParts[i].match(/^\{(\w+)\}$/)?.[1];
+    if (name) {
+      params[name] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Make a transport that answers from handlers instead of the network, for tests
+ *
+ * Routes are "METHOD /path" relative to /api/v1, with {name} for path parameters. A handler is either a
+ * response ({ status?, headers?, body? }) or a function of the request returning one. A handler that is
+ * an array answers its responses in turn and repeats the last one (e.g. a 503 then a 200).
+ * Requests with no handler get a 404 not_found. Every request is recorded in transport.calls.
+ *
+ * @param {Object} routes - { "GET /skills": handler, ... }
+ * @returns {Function} Transport with .calls (requests with method, path, query, params, headers and
+ *   decoded body) and .reset() to clear them
+ *
+ * @example
+ * const transport = createMockTransport({
+ *   "GET /skills": { body: { data: [{ id: "daily-report" }], pagination: { nextCursor: null, hasMore: false } } },
+ *   "POST /skills/{id}/execute": ({ params }) => ({ status: 202, body: { data: { executionId: `exec-${params.id}`, status: "running" } } }),
+ * });
+ * const alfred = new Alfred({ apiKey: "alf_test", transport });
+ */
+export function createMockTransport(routes = {}) {
+  const sequences = new Map();
+  const calls = [];
+
+  const transport = async ({ method, url, headers, body }) => {
+    const { pathname, searchParams } = new URL(url);
+    const path = pathname.replace(/^.*\/api\/v1/, "") || "/";
+    const request = {
+      method,
+      path,
+      query: Object.fromEntries(searchParams),
+      headers,
+      body: body === undefined ? undefined : JSON.parse(body),
+      params: {},
+    };
+    calls.push(request);
+
+    const route = Object.keys(routes).find((pattern) => (request.params = matchRoute(pattern, method, path)));
+    if (!route) {
+      request.params = {};
+      return {
+        status: 404,
+        headers: {},
+        body: { error: { code: "not_found", message: `No mock response for ${method} ${path}` } },
+      };
+    }
+
+    let handler = routes[route];
+    if (Array.isArray(handler)) {
+      const index = sequences.get(route) || 0;
+      sequences.set(route, index + 1);
+      handler = handler[Math.min(index, handler.length - 1)];
+    }
+
+    const response = typeof handler === "function" ? await handler(request) : handler;
+
+    return {
+      status: response?.status || 200,
+      headers: response?.headers || {},
+      body: response?.body === undefined ? null : JSON.parse(JSON.stringify(response.body)),
+    };
+  };
+
+  transport.calls = calls;
+  transport.reset = () => {
+    calls.length = 0;
+    sequences.clear();
+  };
+
+  return transport;
+}
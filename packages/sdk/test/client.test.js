@@ -0,0 +1,323 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { Alfred, AlfredError, AlfredConnectionError, createMockTransport } from "../src/index.js";
+
+const SKILL = { id: "daily-report", name: "Daily report" };
+
+const error = (status, code, { headers, details } = {}) => ({
+  status,
+  headers,
+  body: { error: { code, message: `${code} happened`, details } },
+});
+
+// A client on the mock transport whose waits are recorded instead of slept
+function createClient(routes, options = {}) {
+  const transport = createMockTransport(routes);
+  const delays = [];
+  const client = new Alfred({
+    apiKey: "alf_test",
+    transport,
+    retryDelay: 100,
+    sleep: async (ms) => {
+      delays.push(ms);
+    },
+    ...options,
+  });
+  return { client, transport, delays };
+}
+
+describe("Alfred", () => {
+  test("requires an API key", () => {
+    assert.throws(() => new Alfred(), /API key is required/);
+  });
+
+  test("sends the API key, the instance and JSON bodies", async () => {
+    const { client, transport } = createClient({ "POST /skills": { status: 201, body: { data: SKILL } } });
+
+    const skill = await client.withInstance("staging").skills.create({ name: "Daily report" });
+
+    assert.deepEqual(skill, SKILL);
+    const [call] = transport.calls;
+    assert.equal(call.headers.Authorization, "Bearer alf_test");
+    assert.equal(call.headers["X-Alfred-Instance"], "staging");
+    assert.equal(call.headers["Content-Type"], "application/json");
+    assert.deepEqual(call.body, { name: "Daily report" });
+  });
+
+  test("leaves out undefined query parameters and encodes path parameters", async () => {
+    const { client, transport } = createClient({
+      "GET /executions": { body: { data: [], pagination: { nextCursor: null, hasMore: false } } },
+      "GET /skills/{id}": ({ params }) => ({ body: { data: { id: params.id } } }),
+    });
+
+    await client.executions.list({ status: "failed", limit: 10 });
+    const skill = await client.skills.get("daily report/v2");
+
+    assert.deepEqual(transport.calls[0].query, { status: "failed", limit: "10" });
+    assert.equal(transport.calls[1].path, "/skills/daily%20report%2Fv2");
+    assert.equal(skill.id, "daily report/v2");
+  });
+});
+
+describe("errors", () => {
+  test("throws API errors as AlfredError with their code, status, details and headers", async () => {
+    const { client } = createClient({
+      "GET /skills/{id}": error(404, "not_found", { headers: { "x-request-id": "req_1" }, details: { id: "nope" } }),
+    });
+
+    await assert.rejects(client.skills.get("nope"), (e) => {
+      assert.ok(e instanceof AlfredError);
+      assert.equal(e.code, "not_found");
+      assert.equal(e.status, 404);
+      assert.equal(e.message, "not_found happened");
+      assert.deepEqual(e.details, { id: "nope" });
+      assert.equal(e.headers["x-request-id"], "req_1");
+      return true;
+    });
+  });
+
+  test("names errors without an error body unknown_error", async () => {
+    const { client } = createClient({ "GET /usage": { status: 500, body: "<html>" } }, { maxRetries: 0 });
+
+    await assert.rejects(client.usage.get(), { code: "unknown_error", status: 500, message: "Request failed with status 500" });
+  });
+
+  test("throws AlfredConnectionError when the API can't be reached", async () => {
+    const cause = new Error("ECONNREFUSED");
+    const { client, delays } = createClient({}, {
+      transport: async () => {
+        throw cause;
+      },
+    });
+
+    await assert.rejects(client.vm.status(), (e) => {
+      assert.ok(e instanceof AlfredConnectionError);
+      assert.ok(e instanceof AlfredError);
+      assert.equal(e.code, "connection_error");
+      assert.equal(e.cause, cause);
+      assert.match(e.message, /GET \/vm failed: ECONNREFUSED/);
+      return true;
+    });
+    assert.equal(delays.length, 3);
+  });
+
+  test("doesn't retry a POST that got no answer, since it may have been processed", async () => {
+    let attempts = 0;
+    const { client } = createClient({}, {
+      transport: async () => {
+        attempts++;
+        throw new Error("socket hang up");
+      },
+    });
+
+    await assert.rejects(client.skills.create({ name: "Daily report" }), AlfredConnectionError);
+    assert.equal(attempts, 1);
+  });
+});
+
+describe("retries", () => {
+  test("retries GET requests on 408, 429, 502, 503 and 504, then succeeds", async () => {
+    const { client, transport } = createClient({
+      "GET /skills/{id}": [
+        error(408, "timeout"),
+        error(502, "vm_error"),
+        error(503, "vm_unavailable"),
+        { body: { data: SKILL } },
+      ],
+    });
+
+    assert.deepEqual(await client.skills.get("daily-report"), SKILL);
+    assert.equal(transport.calls.length, 4);
+  });
+
+  test("backs off exponentially with jitter, up to maxRetryDelay", async () => {
+    const { client, delays } = createClient({ "GET /usage": error(503, "vm_unavailable") }, { maxRetries: 4, maxRetryDelay: 500 });
+
+    await assert.rejects(client.usage.get(), { code: "vm_unavailable" });
+
+    assert.equal(delays.length, 4);
+    const ranges = [[50, 100], [100, 200], [200, 400], [400, 500]];
+    delays.forEach((delay, attempt) => {
+      const [min, max] = ranges[attempt];
+      assert.ok(delay >= min && delay <= max, `retry ${attempt + 1} waited ${delay}ms`);
+    });
+  });
+
+  test("waits for Retry-After, capped at maxRetryDelay", async () => {
+    const { client, delays } = createClient(
+      {
+        "GET /skills": [
+          error(429, "rate_limited", { headers: { "retry-after": "2" } }),
+          error(429, "rate_limited", { headers: { "retry-after": "120" } }),
+          { body: { data: [], pagination: { nextCursor: null, hasMore: false } } },
+        ],
+      },
+      { maxRetryDelay: 30000 }
+    );
+
+    await client.skills.list();
+
+    assert.deepEqual(delays, [2000, 30000]);
+  });
+
+  test("gives up after maxRetries and throws the last error", async () => {
+    const { client, transport } = createClient({ "DELETE /skills/{id}": error(504, "vm_timeout") }, { maxRetries: 2 });
+
+    await assert.rejects(client.skills.delete("daily-report"), { status: 504 });
+    assert.equal(transport.calls.length, 3);
+  });
+
+  test("retries POST and PATCH only on 429 and 503, which the API answers without contacting the VM", async () => {
+    const { client, transport } = createClient({
+      "POST /skills": [error(429, "rate_limited"), error(503, "vm_unavailable"), { status: 201, body: { data: SKILL } }],
+      "PATCH /skills/{id}": error(502, "vm_error"),
+    });
+
+    assert.deepEqual(await client.skills.create({ name: "Daily report" }), SKILL);
+    assert.equal(transport.calls.length, 3);
+
+    transport.reset();
+    await assert.rejects(client.skills.update("daily-report", { is_active: false }), { status: 502 });
+    assert.equal(transport.calls.length, 1);
+  });
+
+  test("doesn't rerun a skill on a VM that timed out, since it may have started it", async () => {
+    const { client, transport } = createClient({ "POST /skills/{id}/execute": error(504, "vm_timeout") });
+
+    await assert.rejects(client.skills.execute("daily-report"), { code: "vm_timeout", status: 504 });
+    assert.equal(transport.calls.length, 1);
+  });
+
+  test("doesn't retry usage_limit_exceeded, even with Retry-After", async () => {
+    const { client, transport, delays } = createClient({
+      "POST /skills/{id}/execute": error(429, "usage_limit_exceeded", {
+        headers: { "retry-after": "3600" },
+        details: { limit: 1000 },
+      }),
+    });
+
+    await assert.rejects(client.skills.execute("daily-report"), { code: "usage_limit_exceeded", details: { limit: 1000 } });
+    assert.equal(transport.calls.length, 1);
+    assert.deepEqual(delays, []);
+  });
+
+  test("doesn't retry client errors", async () => {
+    const { client, transport } = createClient({ "GET /skills/{id}": error(404, "not_found") });
+
+    await assert.rejects(client.skills.get("nope"), { code: "not_found" });
+    assert.equal(transport.calls.length, 1);
+  });
+});
+
+describe("pagination", () => {
+  const pages = {
+    "GET /skills": ({ query }) => {
+      const offset = Number(query.cursor || 0);
+      const data = [{ id: `skill-${offset}` }, { id: `skill-${offset + 1}` }];
+      const hasMore = offset < 2;
+      return { body: { data, pagination: { nextCursor: hasMore ? String(offset + 2) : null, hasMore } } };
+    },
+  };
+
+  test("list returns one page with its pagination", async () => {
+    const { client } = createClient(pages);
+
+    const page = await client.skills.list({ limit: 2 });
+
+    assert.deepEqual(page.data, [{ id: "skill-0" }, { id: "skill-1" }]);
+    assert.deepEqual(page.pagination, { nextCursor: "2", hasMore: true });
+  });
+
+  test("listAll follows the cursors through every page", async () => {
+    const { client, transport } = createClient(pages);
+
+    const skills = [];
+    for await (const skill of client.skills.listAll({ limit: 2 })) {
+      skills.push(skill.id);
+    }
+
+    assert.deepEqual(skills, ["skill-0", "skill-1", "skill-2", "skill-3"]);
+    assert.deepEqual(
+      transport.calls.map((call) => call.query),
+      [{ limit: "2" }, { limit: "2", cursor: "2" }]
+    );
+  });
+
+  test("listAll passes the filters of executions to every page", async () => {
+    const { client, transport } = createClient({
+      "GET /executions": [
+        { body: { data: [{ id: "exec-1" }], pagination: { nextCursor: "next", hasMore: true } } },
+        { body: { data: [{ id: "exec-2" }], pagination: { nextCursor: null, hasMore: false } } },
+      ],
+    });
+
+    const executions = [];
+    for await (const execution of client.executions.listAll({ status: "failed", skillId: "daily-report" })) {
+      executions.push(execution.id);
+    }
+
+    assert.deepEqual(executions, ["exec-1", "exec-2"]);
+    assert.deepEqual(transport.calls[1].query, { status: "failed", skillId: "daily-report", limit: "100", cursor: "next" });
+  });
+});
+
+describe("executions", () => {
+  test("execute starts the skill with its input", async () => {
+    const { client, transport } = createClient({
+      "POST /skills/{id}/execute": { status: 202, body: { data: { executionId: "exec-1", status: "running" } } },
+    });
+
+    assert.deepEqual(await client.skills.execute("daily-report", { input: { date: "2026-10-18" } }), {
+      executionId: "exec-1",
+      status: "running",
+    });
+    assert.deepEqual(transport.calls[0].body, { input: { date: "2026-10-18" } });
+  });
+
+  test("waitForCompletion polls until the execution has finished", async () => {
+    const { client, delays } = createClient({
+      "GET /executions/{id}": [
+        { body: { data: { id: "exec-1", status: "running" } } },
+        { body: { data: { id: "exec-1", status: "running" } } },
+        { body: { data: { id: "exec-1", status: "failed", error: "Slack is down" } } },
+      ],
+    });
+    const polled = [];
+
+    const execution = await client.executions.waitForCompletion("exec-1", {
+      interval: 1000,
+      onPoll: (e) => polled.push(e.status),
+    });
+
+    assert.equal(execution.status, "failed");
+    assert.deepEqual(polled, ["running", "running", "failed"]);
+    assert.deepEqual(delays, [1000, 1000]);
+  });
+
+  test("execute with wait returns the finished execution", async () => {
+    const { client } = createClient({
+      "POST /skills/{id}/execute": { status: 202, body: { data: { executionId: "exec-1", status: "running" } } },
+      "GET /executions/{id}": [
+        { body: { data: { id: "exec-1", status: "running" } } },
+        { body: { data: { id: "exec-1", status: "completed", output: "Done" } } },
+      ],
+    });
+
+    const execution = await client.skills.execute("daily-report", { wait: true, interval: 10 });
+
+    assert.equal(execution.output, "Done");
+  });
+
+  test("waitForCompletion throws wait_timeout with the execution once the timeout has passed", async () => {
+    const { client } = createClient({
+      "GET /executions/{id}": { body: { data: { id: "exec-1", status: "running" } } },
+    });
+
+    await assert.rejects(client.executions.waitForCompletion("exec-1", { interval: 1000, timeout: 500 }), (e) => {
+      assert.ok(e instanceof AlfredError);
+      assert.equal(e.code, "wait_timeout");
+      assert.deepEqual(e.details.execution, { id: "exec-1", status: "running" });
+      return true;
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { checkSchema, checkSkillFile, SKILL_FILE_SCHEMA, SKILL_FILE_SCHEMA_URL } from "../src/index.js";
+
+const SKILL = {
+  version: 1,
+  name: "Daily report",
+  description: "Sums up yesterday's orders",
+  trigger_type: "schedule",
+  trigger_config: { cron: "0 8 * * *" },
+  steps: [{ id: "step-1", prompt: "List yesterday's orders", allowedTools: ["shopify"] }],
+  connections: ["shopify"],
+  is_active: true,
+};
+
+describe("checkSchema", () => {
+  test("accepts a value that matches", () => {
+    assert.deepEqual(checkSchema({ limit: 5 }, { type: "object", properties: { limit: { type: "integer", minimum: 1 } } }), []);
+  });
+
+  test("reports each problem with its path", () => {
+    const schema = {
+      type: "object",
+      required: ["name", "steps"],
+      additionalProperties: false,
+      properties: {
+        name: { type: "string", minLength: 1 },
+        steps: { type: "array", items: { type: "object", required: ["prompt"] } },
+        limit: { type: "integer", maximum: 100 },
+        status: { enum: ["running", "completed"] },
+      },
+    };
+
+    assert.deepEqual(checkSchema({ name: "  ", steps: [{}], limit: 101, status: "paused", extra: true }, schema), [
+      "$.name can't be empty",
+      "$.steps[0].prompt is required",
+      "$.limit must be at most 100",
+      "$.status must be one of: running, completed",
+      "$.extra isn't a known field",
+    ]);
+  });
+
+  test("names the expected types, counting integers as numbers", () => {
+    assert.deepEqual(checkSchema("5", { type: "integer" }, "limit"), ["limit must be an integer"]);
+    assert.deepEqual(checkSchema([], { type: ["string", "integer"] }), ["$ must be a string or an integer"]);
+    assert.deepEqual(checkSchema(5, { type: "number" }), []);
+  });
+});
+
+describe("checkSkillFile", () => {
+  test("accepts a skill", () => {
+    assert.deepEqual(checkSkillFile(SKILL), { bundle: false, skills: [SKILL] });
+  });
+
+  test("accepts a bundle of skills", () => {
+    const { version, ...skill } = SKILL;
+    const other = { ...skill, name: "Weekly report" };
+
+    const file = checkSkillFile({ version, exportedAt: "2026-10-19T08:00:00.000Z", skills: [skill, other] });
+
+    assert.deepEqual(file, { bundle: true, skills: [skill, other] });
+  });
+
+  test("requires the supported version", () => {
+    const skill = { ...SKILL, version: undefined };
+
+    assert.match(checkSkillFile(skill).error, /has no version \(add "version: 1"\)/);
+    assert.match(checkSkillFile({ ...skill, version: 2 }).error, /Version 2 skill files aren't supported/);
+  });
+
+  test("rejects what isn't a skill or a bundle", () => {
+    assert.equal(checkSkillFile(["a"]).error, "The file must contain a skill or a bundle of skills");
+    assert.equal(checkSkillFile(null).error, "The file must contain a skill or a bundle of skills");
+  });
+
+  test("reports unknown fields, wrong types and empty schedules", () => {
+    const file = checkSkillFile({
+      ...SKILL,
+      trigger_type: "hourly",
+      trigger_config: { cron: " " },
+      steps: [{ id: 0, prompt: "", note: "x" }],
+      owner: "me",
+    });
+
+    assert.equal(file.error, "The file doesn't match the skill file format");
+    assert.deepEqual(file.details, [
+      "$.trigger_type must be one of: manual, schedule, webhook",
+      "$.trigger_config.cron can't be empty",
+      "$.steps[0].id must be at least 1",
+      "$.steps[0].prompt can't be empty",
+      "$.steps[0].note isn't a known field",
+      "$.owner isn't a known field",
+    ]);
+  });
+
+  test("rejects bundles with two skills of the same name", () => {
+    const { version, ...skill } = SKILL;
+
+    const file = checkSkillFile({ version, skills: [skill, { ...skill, name: " Daily report " }] });
+
+    assert.deepEqual(file.details, ['$.skills[1] has the name of another skill: "Daily report"']);
+  });
+
+  test("publishes the schema at its URL", () => {
+    assert.equal(SKILL_FILE_SCHEMA.$id, SKILL_FILE_SCHEMA_URL);
+    assert.equal(SKILL_FILE_SCHEMA.oneOf.length, 2);
+  });
+});
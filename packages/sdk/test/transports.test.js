@@ -0,0 +1,156 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { createFetchTransport, createMockTransport } from "../src/index.js";
+
+const BASE_URL = "https://alfred.rocks/api/v1";
+
+const request = (method, path, body) => ({
+  method,
+  url: `${BASE_URL}${path}`,
+  headers: { Authorization: "Bearer alf_test" },
+  body: body === undefined ? undefined : JSON.stringify(body),
+});
+
+describe("createMockTransport", () => {
+  test("answers a route with its response and records the request", async () => {
+    const transport = createMockTransport({
+      "POST /skills": { status: 201, headers: { "x-ratelimit-remaining": "59" }, body: { data: { id: "daily-report" } } },
+    });
+
+    const response = await transport(request("POST", "/skills?dryRun=true", { name: "Daily report" }));
+
+    assert.deepEqual(response, {
+      status: 201,
+      headers: { "x-ratelimit-remaining": "59" },
+      body: { data: { id: "daily-report" } },
+    });
+    assert.deepEqual(transport.calls, [
+      {
+        method: "POST",
+        path: "/skills",
+        query: { dryRun: "true" },
+        headers: { Authorization: "Bearer alf_test" },
+        body: { name: "Daily report" },
+        params: {},
+      },
+    ]);
+  });
+
+  test("passes decoded path parameters to handler functions", async () => {
+    const transport = createMockTransport({
+      "GET /skills": { body: { data: [] } },
+      "GET /skills/{id}": ({ params }) => ({ body: { data: { id: params.id } } }),
+      "POST /skills/{id}/execute": ({ params, body }) => ({ status: 202, body: { data: { skill: params.id, body } } }),
+    });
+
+    const skill = await transport(request("GET", "/skills/daily%20report"));
+    const execution = await transport(request("POST", "/skills/daily-report/execute", { input: {} }));
+
+    assert.deepEqual(skill.body, { data: { id: "daily report" } });
+    assert.deepEqual(execution.body, { data: { skill: "daily-report", body: { input: {} } } });
+    assert.deepEqual(transport.calls[0].params, { id: "daily report" });
+  });
+
+  test("matches the method as well as the path", async () => {
+    const transport = createMockTransport({ "DELETE /skills/{id}": { body: { data: { deleted: true } } } });
+
+    const response = await transport(request("GET", "/skills/daily-report"));
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error.code, "not_found");
+    assert.match(response.body.error.message, /No mock response for GET \/skills\/daily-report/);
+  });
+
+  test("answers a sequence in turn and repeats its last response", async () => {
+    const transport = createMockTransport({
+      "GET /vm": [{ status: 503, body: { error: { code: "vm_unavailable" } } }, { body: { data: { vmStatus: "ready" } } }],
+    });
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await transport(request("GET", "/vm"))).status);
+    }
+
+    assert.deepEqual(statuses, [503, 200, 200]);
+  });
+
+  test("reset clears the calls and restarts the sequences", async () => {
+    const transport = createMockTransport({ "GET /usage": [{ body: { data: 1 } }, { body: { data: 2 } }] });
+
+    await transport(request("GET", "/usage"));
+    await transport(request("GET", "/usage"));
+    transport.reset();
+
+    assert.equal(transport.calls.length, 0);
+    assert.deepEqual((await transport(request("GET", "/usage"))).body, { data: 1 });
+    assert.equal(transport.calls.length, 1);
+  });
+
+  test("copies response bodies, so tests can't change them through the client", async () => {
+    const skill = { id: "daily-report", steps: [] };
+    const transport = createMockTransport({ "GET /skills/{id}": { body: { data: skill } } });
+
+    const response = await transport(request("GET", "/skills/daily-report"));
+    response.body.data.steps.push({ id: 1 });
+
+    assert.deepEqual(skill.steps, []);
+  });
+
+  test("answers 200 with a null body by default", async () => {
+    const transport = createMockTransport({ "DELETE /connections/{id}": () => ({}) });
+
+    assert.deepEqual(await transport(request("DELETE", "/connections/slack")), { status: 200, headers: {}, body: null });
+  });
+});
+
+describe("createFetchTransport", () => {
+  const fakeFetch = (status, text, headers = {}) => {
+    const calls = [];
+    const fetch = async (url, init) => {
+      calls.push({ url, ...init });
+      return new Response(text, { status, headers });
+    };
+    return { fetch, calls };
+  };
+
+  test("sends the request and decodes the JSON response, with lower-cased headers", async () => {
+    const { fetch, calls } = fakeFetch(201, JSON.stringify({ data: { id: "slack" } }), { "X-RateLimit-Limit": "60" });
+    const transport = createFetchTransport({ fetch });
+
+    const response = await transport(request("POST", "/connections", { name: "Slack" }));
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(response.body, { data: { id: "slack" } });
+    assert.equal(response.headers["x-ratelimit-limit"], "60");
+    assert.equal(calls[0].url, `${BASE_URL}/connections`);
+    assert.equal(calls[0].method, "POST");
+    assert.equal(calls[0].body, JSON.stringify({ name: "Slack" }));
+  });
+
+  test("turns a response that isn't JSON into an invalid_response error body", async () => {
+    const { fetch } = fakeFetch(502, "<html>Bad gateway</html>");
+    const transport = createFetchTransport({ fetch });
+
+    const response = await transport(request("GET", "/skills"));
+
+    assert.equal(response.status, 502);
+    assert.deepEqual(response.body, { error: { code: "invalid_response", message: "<html>Bad gateway</html>" } });
+  });
+
+  test("answers a null body for an empty response", async () => {
+    const { fetch } = fakeFetch(204, null);
+    const transport = createFetchTransport({ fetch });
+
+    assert.equal((await transport(request("DELETE", "/skills/daily-report"))).body, null);
+  });
+
+  test("abandons requests after the timeout", async () => {
+    const fetch = (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(Object.assign(new Error("aborted"), { name: "AbortError" })));
+      });
+    const transport = createFetchTransport({ fetch, timeout: 10 });
+
+    await assert.rejects(transport(request("GET", "/skills")), /Request timed out after 10ms/);
+  });
+});